@@ -4,9 +4,19 @@ var apiNameList = [
     'identity-import',
     'identity-export',
     'identity-delete',
+    'identity-certify',
+    'identity-rotate',
+    'identity-backup-split',
+    'identity-backup-restore',
 
     'message-write',
     'message-read',
+    'message-sign-detached',
+    'message-verify-detached',
+
+    'session-prekey',
+    'session-write',
+    'session-read',
 ];
 
 var readline = require('readline');
@@ -0,0 +1,83 @@
+/*
+ * Registration of Native Accelerators
+ * ===================================
+ *
+ * Accelerators replace functions of this library with ones calling native
+ * code of the platform, e.g. the `crypto` module of NodeJS. Each accelerator
+ * registers itself with
+ *
+ *      tool.get('acc.register')(NAME, NATIVE, CHECK)
+ *
+ * where NAME is the name under which the pure JavaScript version is set,
+ * and CHECK a function(NATIVE, JAVASCRIPT) computing with both versions on
+ * some fixed input and returning true when they agree. Native versions are
+ * expected to fall back to the JavaScript one, whenever an input or the
+ * platform isn't supported.
+ *
+ * The use of accelerators is chosen by `ENIGMA_ACCELERATION`, given as a
+ * global variable, or under NodeJS also in the environment:
+ *
+ *      'off'           no accelerator is used;
+ *      'crosscheck'    accelerators are checked when being registered, and
+ *                      used only when they pass;
+ *      otherwise       accelerators are used without checking.
+ *
+ * `__enigma_jscrypto__.accelerator.status()` tells which accelerators are in
+ * use, and `__enigma_jscrypto__.accelerator.crossCheck()` runs all checks at
+ * any time, returning the results by name.
+ */
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+
+var mode = '';
+if('undefined' !== typeof ENIGMA_ACCELERATION)
+    mode = ENIGMA_ACCELERATION;
+else if(tool.get('env.isNode') && process.env.ENIGMA_ACCELERATION)
+    mode = process.env.ENIGMA_ACCELERATION;
+
+var checks = {}, status = {};
+
+function runCheck(name){
+    try{
+        return true === checks[name]();
+    } catch(e){
+        return false;
+    };
+};
+
+function register(name, native, check){
+    var javascript = tool.get(name);
+    checks[name] = function(){
+        return check(native, javascript);
+    };
+
+    if('off' == mode){
+        status[name] = 'off';
+        return;
+    };
+    if('crosscheck' == mode && !runCheck(name)){
+        tool.get('util.log').error(
+            'Native accelerator for ' + name + ' disagrees, not used.');
+        status[name] = 'failed';
+        return;
+    };
+    tool.acc(name, native);
+    status[name] = 'native';
+};
+
+tool.set('acc.register', register);
+
+tool.exp('accelerator', {
+    status: function(){
+        var ret = {};
+        for(var name in status) ret[name] = status[name];
+        return ret;
+    },
+    crossCheck: function(){
+        var ret = {};
+        for(var name in checks) ret[name] = runCheck(name);
+        return ret;
+    },
+});
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
@@ -0,0 +1,170 @@
+/*
+ * ChaCha20 Acceleration under NodeJS
+ *
+ * The keystream of ChaCha20/20 with 256-bit keys is generated by the
+ * `chacha20` cipher of OpenSSL. Its 16-byte IV holds the block counter and
+ * the nonce, so that the 64-bit nonce and counter of the original ChaCha20
+ * used in this library are given as counter(8 bytes) followed by nonce.
+ * A nonce of 24 bytes(XChaCha20) is turned into a subkey and a nonce of 8
+ * bytes first. Shorter keys are left to the JavaScript version.
+ */
+(function(tool){
+if(!tool.get('env.isNode')) return;
+
+//////////////////////////////////////////////////////////////////////////////
+
+try{
+    var createCipheriv = require('crypto').createCipheriv,
+        buffer = require('buffer');
+    createCipheriv(
+        'chacha20',
+        buffer.Buffer.alloc(32),
+        buffer.Buffer.alloc(16)
+    );
+} catch(e){
+    return;
+};
+
+var javascript = tool.get('cipher.symmetric.chacha20');
+
+function NativeChaCha20Interface(){
+    var self = this;
+    var keyBuffer, nonceArray, counter = new Uint32Array(2),
+        givenNonce = null, givenKey = null, fallback = null;
+
+    function _xorBuf(dataBuf){
+        if(null !== fallback) return fallback.encrypt(dataBuf);
+        if(!tool.get('util.type')(dataBuf).isArrayBuffer())
+            throw new Error('invalid-input');
+
+        var iv = new Uint8Array(16);
+        iv.set(new Uint8Array(counter.buffer), 0);
+        iv.set(nonceArray, 8);
+
+        var cipher = createCipheriv(
+            'chacha20',
+            keyBuffer,
+            buffer.Buffer.from(iv)
+        );
+        var ret = new Uint8Array(
+            cipher.update(buffer.Buffer.from(new Uint8Array(dataBuf)))
+        );
+
+        // advance by the blocks used, as the JavaScript version does
+        var blocks = Math.ceil(dataBuf.byteLength / 64),
+            low = counter[0] + blocks;
+        counter[0] = low;
+        if(low > 0xffffffff) counter[1] += 1;
+        return ret.buffer;
+    };
+
+    function _seek(u32_0, u32_1){
+        if(null !== fallback) return fallback.seek(u32_0, u32_1);
+        if(undefined === u32_1){
+            // a single block number, of up to 2^53
+            counter[0] = u32_0 % 0x100000000;
+            counter[1] = Math.floor(u32_0 / 0x100000000);
+        } else {
+            counter[0] = u32_0;
+            counter[1] = u32_1;
+        };
+    };
+
+    // a nonce of 24 bytes is that of XChaCha20, whose subkey is derived with
+    // the HChaCha20 of the JavaScript version
+    function _initialize(){
+        var nonceAry = givenNonce, keyAry = givenKey;
+        if(16 == keyAry.length){
+            fallback = javascript.constructor()
+                .nonce(nonceAry.buffer)
+                .key(keyAry.buffer);
+            return;
+        };
+        if(24 == nonceAry.length){
+            keyAry = tool.get('cipher.symmetric.chacha20.hchacha20')(
+                keyAry, nonceAry.subarray(0, 16));
+            nonceAry = nonceAry.subarray(16);
+        };
+        fallback = null;
+        nonceArray = new Uint8Array(nonceAry);
+        keyBuffer = buffer.Buffer.from(keyAry);
+        counter[0] = counter[1] = 0;
+    };
+
+    this.nonce = function(nonceBuf){
+        if(!(
+            tool.get('util.type')(nonceBuf).isArrayBuffer() &&
+            (8 == nonceBuf.byteLength || 24 == nonceBuf.byteLength)
+        ))
+            throw new Error('invalid-nonce');
+        givenNonce = new Uint8Array(nonceBuf.slice(0));
+        if(null !== givenKey) _initialize();
+        return self;
+    };
+
+    this.key = function(bufKey){
+        if(!tool.get('util.type')(bufKey).isArrayBuffer())
+            throw new Error('invalid-key');
+
+        var keylen = bufKey.byteLength;
+
+        if(null !== givenNonce){
+            // the nonce is given separately, bufKey is the key of 16 or 32
+            // bytes only
+            if(16 != keylen && 32 != keylen) throw new Error('invalid-key');
+            if(24 == givenNonce.length && 32 != keylen)
+                throw new Error('invalid-key');
+            givenKey = new Uint8Array(bufKey.slice(0));
+        } else {
+            // as in the JavaScript version, the first 8 bytes are the nonce
+            if(keylen < 24) throw new Error('invalid-key');
+            givenNonce = new Uint8Array(bufKey.slice(0, 8));
+            givenKey = new Uint8Array(bufKey.slice(8, (keylen < 40) ? 24 : 40));
+        };
+        _initialize();
+
+        self.encrypt = _xorBuf;
+        self.decrypt = _xorBuf;
+        self.seek = _seek;
+        delete self.key;
+        return self;
+    };
+
+    return this;
+};
+
+function check(native, javascript){
+    var key = new Uint8Array(40), data = new Uint8Array(300);
+    for(var i=0; i<key.length; i++) key[i] = 3 * i;
+    for(var i=0; i<data.length; i++) data[i] = i & 0xff;
+
+    // encrypt in two calls, so that counting of blocks is compared as well
+    var a = native.constructor().key(key.buffer),
+        b = javascript.constructor().key(key.buffer),
+        equal = tool.get('util.buffer').equal;
+    if(!(
+        equal(a.encrypt(data.buffer), b.encrypt(data.buffer)) &&
+        equal(a.encrypt(data.buffer), b.encrypt(data.buffer))
+    ))
+        return false;
+
+    // XChaCha20 from a block beyond 2^32
+    a = native.constructor().nonce(key.slice(0, 24).buffer)
+        .key(key.slice(8).buffer);
+    b = javascript.constructor().nonce(key.slice(0, 24).buffer)
+        .key(key.slice(8).buffer);
+    a.seek(0x200000005);
+    b.seek(0x200000005);
+    return equal(a.encrypt(data.buffer), b.encrypt(data.buffer));
+};
+
+tool.get('acc.register')('cipher.symmetric.chacha20', {
+    name: javascript.name,
+    constructor: function(){
+        return new NativeChaCha20Interface();
+    },
+    raw: javascript.raw,
+}, check);
+
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
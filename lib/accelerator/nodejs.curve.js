@@ -0,0 +1,153 @@
+/*
+ * Elliptic Curve Acceleration under NodeJS
+ *
+ * X25519 scalar multiplications are done with `crypto.diffieHellman` on keys
+ * imported as DER. Keys in this library are written most significant byte
+ * first, so they are reversed to and from the encoding of RFC 7748.
+ *
+ * For ECDSA and ECDH on curves of `ecparams.js`, multiplications of the base
+ * point are done by `crypto.createECDH`, which derives full public keys. This
+ * speeds up deriving keys, signing and half of verifying. Other points are
+ * still multiplied in JavaScript, since `computeSecret` of NodeJS gives only
+ * the x coordinate while this library uses both. No native ECDSA is used: it
+ * hashes messages itself, and chooses random nonces instead of RFC 6979.
+ */
+(function(tool){
+if(!tool.get('env.isNode')) return;
+
+//////////////////////////////////////////////////////////////////////////////
+
+try{
+    var crypto = require('crypto'),
+        buffer = require('buffer');
+} catch(e){
+    return;
+};
+
+function reversed(buf){
+    var ret = buffer.Buffer.from(new Uint8Array(buf));
+    ret.reverse();
+    return ret;
+};
+
+function toArrayBuffer(nodeBuffer){
+    return new Uint8Array(nodeBuffer).buffer;
+};
+
+////////////////////////////// X25519 ////////////////////////////////////////
+
+// DER prefixes of private and public keys, followed by the 32 key bytes
+var X25519_PKCS8 = buffer.Buffer.from(
+        '302e020100300506032b656e04220420', 'hex'),
+    X25519_SPKI = buffer.Buffer.from('302a300506032b656e032100', 'hex');
+
+function x25519(scalarBuf, pointBuf){
+    var privateKey = crypto.createPrivateKey({
+        key: buffer.Buffer.concat([X25519_PKCS8, reversed(scalarBuf)]),
+        format: 'der',
+        type: 'pkcs8',
+    });
+
+    var result;
+    if(!pointBuf){
+        result = crypto.createPublicKey(privateKey).export({
+            format: 'der',
+            type: 'spki',
+        }).slice(X25519_SPKI.length);
+    } else {
+        result = crypto.diffieHellman({
+            privateKey: privateKey,
+            publicKey: crypto.createPublicKey({
+                key: buffer.Buffer.concat([X25519_SPKI, reversed(pointBuf)]),
+                format: 'der',
+                type: 'spki',
+            }),
+        });
+    };
+    return toArrayBuffer(reversed(result));
+};
+
+if(
+    crypto.diffieHellman &&
+    crypto.createPrivateKey &&
+    crypto.createPublicKey
+) (function(){
+    var javascript = tool.get('cipher.asymmetric.curve25519.scalarMult');
+
+    tool.get('acc.register')(
+        'cipher.asymmetric.curve25519.scalarMult',
+        function(scalarBuf, pointBuf){
+            try{
+                return x25519(scalarBuf, pointBuf);
+            } catch(e){
+                // e.g. points of small order, rejected by OpenSSL
+                return javascript(scalarBuf, pointBuf);
+            };
+        },
+        function(native, javascript){
+            var scalar = new Uint8Array(32),
+                equal = tool.get('util.buffer').equal;
+            for(var i=0; i<32; i++) scalar[i] = 7 * i + 1;
+            var publicKey = native(scalar.buffer);
+            return (
+                equal(publicKey, javascript(scalar.buffer)) &&
+                equal(
+                    native(scalar.buffer, publicKey),
+                    javascript(scalar.buffer, publicKey)
+                )
+            );
+        }
+    );
+})();
+
+////////////////////// BASE POINT MULTIPLICATION /////////////////////////////
+
+// curve names of this library, and those used by OpenSSL
+var curveNames = {
+    'secp192r1': 'prime192v1',
+    'secp224r1': 'secp224r1',
+    'secp256r1': 'prime256v1',
+    'secp256k1': 'secp256k1',
+    'secp384r1': 'secp384r1',
+    'secp521r1': 'secp521r1',
+};
+
+if(crypto.createECDH && crypto.getCurves) (function(){
+    var javascript = tool.get('cipher.asymmetric.ec.multiplyG'),
+        available = crypto.getCurves(),
+        ECPointFp = tool.get('cipher.asymmetric.ec.ecurve').ECPointFp;
+
+    function multiplyG(ecparams, k){
+        var nodeName = curveNames[ecparams.name];
+        if(!nodeName || available.indexOf(nodeName) < 0)
+            return javascript(ecparams, k);
+        try{
+            var ecdh = crypto.createECDH(nodeName);
+            ecdh.setPrivateKey(buffer.Buffer.from(
+                k.mod(ecparams.getN()).toByteArrayUnsigned()
+            ));
+            var encoded = ecdh.getPublicKey(),
+                point = new Array(encoded.length);
+            for(var i=0; i<point.length; i++) point[i] = encoded[i];
+            return ECPointFp.decodeFrom(ecparams.getCurve(), point);
+        } catch(e){
+            // e.g. k being a multiple of the order, giving the infinity
+            return javascript(ecparams, k);
+        };
+    };
+
+    tool.get('acc.register')(
+        'cipher.asymmetric.ec.multiplyG',
+        multiplyG,
+        function(native, javascript){
+            var ecparams =
+                    tool.get('cipher.asymmetric.ec.ecparams')('secp256r1'),
+                k = tool.get('cipher.asymmetric.ec.bigi')(
+                    new Array(5).join('0123456789abcdef'), 16);
+            return native(ecparams, k).equals(javascript(ecparams, k));
+        }
+    );
+})();
+
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
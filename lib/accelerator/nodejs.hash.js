@@ -1,5 +1,9 @@
 /*
  * Acceleration under NodeJS
+ *
+ * Hash algorithms are computed by `crypto.createHash` when NodeJS supports
+ * them. Sizes and the `mac` function are still given by the JavaScript
+ * versions, which also do BLAKE2 with shortened digests.
  */
 (function(tool){
 if(!tool.get('env.isNode')) return;
@@ -13,31 +17,73 @@ try{
     return;
 };
 
-var supportWhirlpool = true;
-try{
-    createHash('whirlpool');
-} catch(e){
-    supportWhirlpool = false;
+var algorithms = {
+    'whirlpool': {node: 'whirlpool'},
+    'sha256': {node: 'sha256'},
+    'sha512': {node: 'sha512'},
+    'sha3-256': {node: 'sha3-256'},
+    'sha3-512': {node: 'sha3-512'},
+    'shake128': {node: 'shake128', xof: true},
+    'shake256': {node: 'shake256', xof: true},
+    'blake2b': {node: 'blake2b512', variableLength: true},
+    'blake2s': {node: 'blake2s256', variableLength: true},
+};
+
+function supported(nodeName){
+    try{
+        createHash(nodeName);
+        return true;
+    } catch(e){
+        return false;
+    };
 };
 
-/* Whirlpool Hash Acceleration */
-if(supportWhirlpool) tool.acc('hash.algorithms.whirlpool', function(){
-    var self = this;
+function getNativeInterface(algorithmName){
+    var algorithm = algorithms[algorithmName],
+        javascript = tool.get('hash.algorithms.' + algorithmName);
+
+    return function hashFunctionInterface(params){
+        var self = this;
+        if(javascript) javascript.call(this, params);
 
-    this.name = 'WHIRLPOOL';
-    this.blockSize = 64;
-    this.digestSize = 64;
+        if(
+            algorithm.variableLength && params &&
+            params.length > 0 && params.length < self.digestSize
+        )
+            return this;
 
-    this.hash = function(dataBuf){
-        var hasher = createHash('whirlpool');
-        hasher.update(new buffer.Buffer(new Uint8Array(dataBuf)));
-        var ret = hasher.digest(), retary = new Uint8Array(ret.length);
-        for(var i=0; i<retary.length; i++) retary[i] = ret[i];
-        return retary.buffer;
+        this.hash = function(dataBuf){
+            var hasher = createHash(
+                algorithm.node,
+                algorithm.xof ? {outputLength: self.digestSize} : undefined
+            );
+            hasher.update(buffer.Buffer.from(new Uint8Array(dataBuf)));
+            var ret = hasher.digest(), retary = new Uint8Array(ret.length);
+            for(var i=0; i<retary.length; i++) retary[i] = ret[i];
+            return retary.buffer;
+        };
+
+        return this;
     };
+};
 
-    return this;
-});
+function check(native, javascript){
+    var input = new Uint8Array(300);
+    for(var i=0; i<input.length; i++) input[i] = i & 0xff;
+    return tool.get('util.buffer').equal(
+        new native().hash(input.buffer),
+        new javascript().hash(input.buffer)
+    );
+};
+
+for(var algorithmName in algorithms){
+    if(!supported(algorithms[algorithmName].node)) continue;
+    tool.get('acc.register')(
+        'hash.algorithms.' + algorithmName,
+        getNativeInterface(algorithmName),
+        check
+    );
+};
 
 //////////////////////////////////////////////////////////////////////////////
 })(tool);
@@ -0,0 +1,298 @@
+/*
+ * Promise-returning Interface
+ * ===========================
+ *
+ * All functions of this library compute synchronously, and long operations
+ * like generating identities, PBKDF2 or encrypting large buffers block the
+ * thread calling them. `__enigma_jscrypto__.async` offers these operations
+ * returning Promises:
+ *
+ *      async.hash(LENGTH, ALGORITHM).hash(BUFFER)
+ *                                   .mac(BUFFER, KEY)
+ *                                   .pbkdf2(KEY, SALT, ITERATIONS, LENGTH)
+ *
+ *      async.cipher.symmetric(NAME).key(KEY).encrypt(BUFFER)
+ *                                           .decrypt(BUFFER)
+ *
+ *      async.identity.generate(SUBJECT, OPTIONS)      => IDENTITY
+ *      async.identity.loadPrivate(BUFFER, PINKEY)     => IDENTITY
+ *      async.identity.exportPrivate(IDENTITY, PINKEY, OPTIONS)
+ *
+ *      async.message.write(PLAINTEXT, OPTIONS)
+ *      async.message.read(BUFFER, OPTIONS)
+ *
+ * resolving with what the synchronous versions return, and rejecting with
+ * their errors. `message.write` accepts the options of `enigma.message`'s
+ * `write`, and besides
+ *      {sign: [IDENTITY or {identity: IDENTITY, options: SIGN OPTIONS}, ...],
+ *       encrypt: [IDENTITY, ...]}
+ * `message.read` accepts the options of `read`, and besides
+ *      {decrypt: IDENTITY, verify: [IDENTITY, ...]}
+ * resolving with
+ *      {plaintext: BUFFER or null, receivers: [FINGERPRINT, ...],
+ *       signers: [FINGERPRINT, ...], verified: [RESULT OF VERIFY, ...]}
+ * where `plaintext` is null for detached signatures, or when the message is
+ * encrypted and no identity for decrypting is given.
+ *
+ * Without workers(see `async/worker.js`) the operations still run on the
+ * calling thread, only later. Identities are passed to and from workers
+ * exported, and loaded again on the other side, which costs a verification
+ * of their self signatures. The channel to workers is trusted: private
+ * identities are exported with a random key posted along with them, only
+ * since `exportPrivate` requires one, and are not protected by it.
+ */
+(function(tool){
+if('undefined' == typeof Promise) return;
+
+//////////////////////////////////////////////////////////////////////////////
+
+var testType = tool.get('util.type');
+
+function loadIdentity(identityBuf, transportKeyBuf){
+    var identity = tool.get('enigma.identity')();
+    if(identity.canLoadPrivate(identityBuf))
+        identity.loadPrivate(identityBuf, transportKeyBuf);
+    else
+        identity.loadPublic(identityBuf);
+    return identity;
+};
+
+function hasMethod(methods, method){
+    for(var i=0; i<methods.length; i++)
+        if(methods[i] === method) return true;
+    throw new Error('invalid-parameter');
+};
+
+/*
+ * Operations by name, called with arguments which can be posted to a
+ * worker, i.e. without identities or other instances.
+ */
+var tasks = {
+    'hash': function(length, algorithmName, method, args){
+        hasMethod(['hash', 'mac', 'pbkdf2'], method);
+        var hasher = new tool.get('hash')(length, algorithmName);
+        return hasher[method].apply(hasher, args);
+    },
+
+    'cipher.symmetric': function(algorithmName, keyBuf, method, dataBuf){
+        hasMethod(['encrypt', 'decrypt'], method);
+        return tool.get('cipher.symmetric')(algorithmName)
+            .key(keyBuf)[method](dataBuf);
+    },
+
+    'identity.generate': function(subject, options, transportKeyBuf){
+        var identity = tool.get('enigma.identity')();
+        identity.generate(subject, options);
+        return identity.exportPrivate(transportKeyBuf);
+    },
+
+    'identity.loadPrivate': function(identityBuf, pinkey, transportKeyBuf){
+        var identity = tool.get('enigma.identity')();
+        identity.loadPrivate(identityBuf, pinkey);
+        return identity.exportPrivate(transportKeyBuf);
+    },
+
+    'identity.exportPrivate': function(
+        identityBuf, transportKeyBuf, pinkey, options
+    ){
+        return loadIdentity(identityBuf, transportKeyBuf)
+            .exportPrivate(pinkey, options);
+    },
+
+    'message.write': function(
+        plaintextBuf, options, signers, receivers, transportKeyBuf
+    ){
+        var message = tool.get('enigma.message')();
+        message.write(plaintextBuf, options);
+        for(var i=0; i<signers.length; i++)
+            message.sign(
+                loadIdentity(signers[i].identity, transportKeyBuf),
+                signers[i].options
+            );
+        for(var i=0; i<receivers.length; i++)
+            message.encrypt(loadIdentity(receivers[i]));
+        if(!message.done) throw new Error('enigma-invalid-input');
+        return message.done();
+    },
+
+    'message.read': function(
+        messageBuf, options, decryptorBuf, verifierBufs, transportKeyBuf
+    ){
+        var message = tool.get('enigma.message')(),
+            ret = {plaintext: null, receivers: [], signers: [], verified: []};
+        message.read(messageBuf, options);
+
+        if(message.decrypt){
+            ret.receivers = message.getReceivers();
+            if(!decryptorBuf) return ret;
+            message.decrypt(loadIdentity(decryptorBuf, transportKeyBuf));
+        };
+
+        if(message.getPlaintext) ret.plaintext = message.getPlaintext();
+        if(message.getSigners){
+            ret.signers = message.getSigners();
+            for(var i=0; i<verifierBufs.length; i++)
+                ret.verified.push(
+                    message.verify(loadIdentity(verifierBufs[i])));
+        };
+        return ret;
+    },
+};
+
+function runTask(name, args){
+    if(!Object.prototype.hasOwnProperty.call(tasks, name))
+        throw new Error('invalid-parameter');
+    return tasks[name].apply(null, args);
+};
+
+// runs a task on a worker when available, otherwise later on this thread
+function run(name, args){
+    var pool = tool.get('async.pool')();
+    if(pool) return pool.run(name, args);
+    return Promise.resolve().then(function(){
+        return runTask(name, args);
+    });
+};
+
+////////////////////////////// FACADE ////////////////////////////////////////
+
+// required by `exportPrivate`, though sent along with what it encrypts
+function transportKey(){
+    return new tool.get('util.srand')().bytes(32);
+};
+
+function exportIdentity(identity, transportKeyBuf){
+    if(identity.isPrivate()) return identity.exportPrivate(transportKeyBuf);
+    return identity.exportPublic();
+};
+
+function asyncHash(length, algorithmName){
+    // fails early on unknown algorithms, as the synchronous version does
+    new tool.get('hash')(length, algorithmName);
+
+    function call(method){
+        return function(){
+            var args = Array.prototype.slice.call(arguments);
+            return run('hash', [length, algorithmName, method, args]);
+        };
+    };
+
+    this.hash = call('hash');
+    this.mac = call('mac');
+    this.pbkdf2 = call('pbkdf2');
+    return this;
+};
+
+function asyncSymmetric(algorithmName){
+    var self = this;
+    tool.get('cipher.symmetric')(algorithmName);
+
+    this.key = function(keyBuf){
+        if(!testType(keyBuf).isArrayBuffer())
+            throw new Error('invalid-key');
+        self.encrypt = function(dataBuf){
+            return run(
+                'cipher.symmetric',
+                [algorithmName, keyBuf, 'encrypt', dataBuf]
+            );
+        };
+        self.decrypt = function(dataBuf){
+            return run(
+                'cipher.symmetric',
+                [algorithmName, keyBuf, 'decrypt', dataBuf]
+            );
+        };
+        delete self.key;
+        return self;
+    };
+
+    return this;
+};
+
+var asyncIdentity = {
+    generate: function(subject, options){
+        var key = transportKey();
+        return run('identity.generate', [subject, options, key])
+            .then(function(identityBuf){
+                return loadIdentity(identityBuf, key);
+            });
+    },
+
+    loadPrivate: function(identityBuf, pinkey){
+        var key = transportKey();
+        return run('identity.loadPrivate', [identityBuf, pinkey, key])
+            .then(function(identityBuf){
+                return loadIdentity(identityBuf, key);
+            });
+    },
+
+    exportPrivate: function(identity, pinkey, options){
+        var key = transportKey();
+        return run(
+            'identity.exportPrivate',
+            [identity.exportPrivate(key), key, pinkey, options]
+        );
+    },
+};
+
+// options of `enigma.message`, without those only known to this interface
+function messageOptions(options, without){
+    var ret = {};
+    for(var name in options)
+        if(without.indexOf(name) < 0) ret[name] = options[name];
+    return ret;
+};
+
+var asyncMessage = {
+    write: function(plaintextBuf, options){
+        if(!options) options = {};
+        var key = transportKey(), signers = [], receivers = [], each;
+
+        for(var i=0; i<(options.sign || []).length; i++){
+            each = options.sign[i];
+            if(!each.identity) each = {identity: each};
+            signers.push({
+                identity: exportIdentity(each.identity, key),
+                options: each.options,
+            });
+        };
+        for(var i=0; i<(options.encrypt || []).length; i++)
+            receivers.push(options.encrypt[i].exportPublic());
+
+        return run('message.write', [
+            plaintextBuf,
+            messageOptions(options, ['sign', 'encrypt']),
+            signers,
+            receivers,
+            key
+        ]);
+    },
+
+    read: function(messageBuf, options){
+        if(!options) options = {};
+        var key = transportKey(), verifiers = [];
+        for(var i=0; i<(options.verify || []).length; i++)
+            verifiers.push(options.verify[i].exportPublic());
+
+        return run('message.read', [
+            messageBuf,
+            messageOptions(options, ['decrypt', 'verify']),
+            options.decrypt ? exportIdentity(options.decrypt, key) : null,
+            verifiers,
+            key
+        ]);
+    },
+};
+
+tool.set('async.run', runTask);
+
+tool.exp('async.hash', function(length, algorithmName){
+    return new asyncHash(length, algorithmName);
+});
+tool.exp('async.cipher.symmetric', function(algorithmName){
+    return new asyncSymmetric(algorithmName);
+});
+tool.exp('async.identity', asyncIdentity);
+tool.exp('async.message', asyncMessage);
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
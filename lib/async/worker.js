@@ -0,0 +1,264 @@
+/*
+ * Worker Pool for the Promise-returning Interface
+ * ===============================================
+ *
+ * Operations of `__enigma_jscrypto__.async` may be run off the main thread,
+ * in Web Workers of browsers or in `worker_threads` of NodeJS, each of which
+ * loads this library again:
+ *
+ *      __enigma_jscrypto__.async.startWorkers({size: 2, url: URL})
+ *      __enigma_jscrypto__.async.stopWorkers()
+ *
+ * `size` is the number of workers, by default 2. `url` is where browsers
+ * load the library from, by default the `src` of the script tag including
+ * it. Under NodeJS the file of this library is always used. Operations are
+ * queued, and given to the next idle worker.
+ *
+ * A worker lost by an error or by exiting rejects its current operation and
+ * is replaced, unless a few workers were lost in a row without any operation
+ * done between. Once no worker is left, the queued and any further
+ * operations are rejected with `async-workers-failed`.
+ *
+ * Buffers of results are transferred back instead of copied. Buffers given
+ * as arguments are copied, unless `{transfer: true}` is also given when
+ * starting, after which they can not be used by the caller anymore.
+ *
+ * A worker serves only when started as such, i.e. with `workerData` marked
+ * under NodeJS, or with `#enigma-worker` appended to its URL in browsers, so
+ * that loading this library in other workers has no side effect.
+ */
+(function(tool){
+if('undefined' == typeof Promise) return;
+
+//////////////////////////////////////////////////////////////////////////////
+
+var WORKER_MARK = 'enigma-worker';
+
+// workers lost in a row, before a pool gives up
+var MAX_FAILURES = 3;
+
+// url of this library, only known while the script tag is being executed
+var scriptURL = null;
+if('undefined' != typeof document && document.currentScript)
+    scriptURL = document.currentScript.src;
+
+// buffers in a result or argument, each listed once
+function collectBuffers(value, list){
+    if(tool.get('util.type')(value).isArrayBuffer()){
+        if(list.indexOf(value) < 0) list.push(value);
+    } else if(value && 'object' == typeof value){
+        for(var key in value) collectBuffers(value[key], list);
+    };
+    return list;
+};
+
+/*
+ * Starts a worker, which calls `onMessage(DATA)` with each reply and
+ * `onFailure(ERROR)` once when it breaks down.
+ */
+function spawn(url, onMessage, onFailure){
+    if(tool.get('env.isNode')){
+        if('undefined' == typeof __filename)
+            throw new Error('async-workers-not-available');
+        var worker = new (require('worker_threads').Worker)(__filename, {
+            workerData: WORKER_MARK,
+        }), lost = false;
+        function fail(error){
+            if(lost) return;
+            lost = true;
+            onFailure(error);
+        };
+        worker.on('message', onMessage);
+        worker.on('error', fail);
+        // e.g. `process.exit` in the worker, which gives no error
+        worker.on('exit', function(){
+            fail(new Error('async-worker-exited'));
+        });
+        worker.unref();
+        return {
+            post: function(data, transfer){
+                worker.ref();
+                worker.postMessage(data, transfer);
+            },
+            idle: function(){ worker.unref(); },
+            terminate: function(){
+                lost = true;
+                worker.terminate();
+            },
+        };
+    };
+
+    if('undefined' == typeof Worker || !url)
+        throw new Error('async-workers-not-available');
+    var worker = new Worker(url + '#' + WORKER_MARK);
+    worker.onmessage = function(e){ onMessage(e.data); };
+    worker.onerror = function(e){
+        e.preventDefault();
+        onFailure(new Error(e.message));
+    };
+    return {
+        post: function(data, transfer){ worker.postMessage(data, transfer); },
+        idle: function(){},
+        terminate: function(){ worker.terminate(); },
+    };
+};
+
+function pool(options){
+    var size = options.size || 2,
+        url = options.url || scriptURL,
+        transfer = (true === options.transfer);
+
+    var workers = [], queue = [], nextID = 0, failures = 0, failed = null;
+
+    function dispatch(){
+        for(var i=0; i<workers.length && queue.length > 0; i++){
+            if(null !== workers[i].task) continue;
+            var task = queue.shift();
+            workers[i].task = task;
+            workers[i].handle.post(
+                {id: task.id, name: task.name, args: task.args},
+                transfer ? collectBuffers(task.args, []) : []
+            );
+        };
+    };
+
+    function giveUp(){
+        // no worker is left, and no more are started
+        failed = new Error('async-workers-failed');
+        for(var i=0; i<queue.length; i++) queue[i].reject(failed);
+        queue = [];
+    };
+
+    function addWorker(){
+        var entry = {task: null};
+        function finish(){
+            var task = entry.task;
+            entry.task = null;
+            entry.handle.idle();
+            dispatch();
+            return task;
+        };
+        entry.handle = spawn(
+            url,
+            function(data){
+                if(!entry.task || entry.task.id !== data.id) return;
+                failures = 0;
+                var task = finish();
+                if(undefined !== data.error)
+                    task.reject(new Error(data.error));
+                else
+                    task.resolve(data.result);
+            },
+            function(error){
+                // the worker is lost, and replaced unless lost too often
+                var task = entry.task;
+                entry.task = null;
+                entry.handle.terminate();
+                workers.splice(workers.indexOf(entry), 1);
+                if(task) task.reject(error);
+                if(++failures <= MAX_FAILURES){
+                    try{
+                        addWorker();
+                    } catch(e){
+                    };
+                };
+                if(0 == workers.length) return giveUp();
+                dispatch();
+            }
+        );
+        workers.push(entry);
+    };
+
+    for(var i=0; i<size; i++) addWorker();
+
+    this.run = function(name, args){
+        return new Promise(function(resolve, reject){
+            if(null !== failed) return reject(failed);
+            queue.push({
+                id: nextID++,
+                name: name,
+                args: args,
+                resolve: resolve,
+                reject: reject,
+            });
+            dispatch();
+        });
+    };
+
+    this.terminate = function(){
+        var error = new Error('async-workers-stopped');
+        for(var i=0; i<workers.length; i++){
+            workers[i].handle.terminate();
+            if(workers[i].task) workers[i].task.reject(error);
+        };
+        for(var i=0; i<queue.length; i++) queue[i].reject(error);
+        workers = [];
+        queue = [];
+    };
+
+    return this;
+};
+
+var current = null;
+
+function startWorkers(options){
+    stopWorkers();
+    current = new pool(options || {});
+};
+
+function stopWorkers(){
+    if(null !== current) current.terminate();
+    current = null;
+};
+
+tool.set('async.pool', function(){ return current; });
+tool.exp('async.startWorkers', startWorkers);
+tool.exp('async.stopWorkers', stopWorkers);
+
+///////////////////////////// WORKER SIDE ////////////////////////////////////
+
+// replies to each posted task with its result or the message of its error
+function serve(post){
+    return function(data){
+        var reply;
+        try{
+            reply = {
+                id: data.id,
+                result: tool.get('async.run')(data.name, data.args),
+            };
+        } catch(e){
+            reply = {id: data.id, error: e.message || String(e)};
+        };
+        post(reply, collectBuffers(reply.result, []));
+    };
+};
+
+if(tool.get('env.isNode')){
+    try{
+        var workerThreads = require('worker_threads');
+    } catch(e){
+        workerThreads = null;
+    };
+    if(
+        workerThreads &&
+        !workerThreads.isMainThread &&
+        WORKER_MARK === workerThreads.workerData
+    ){
+        var parentPort = workerThreads.parentPort;
+        parentPort.on('message', serve(function(reply, transfer){
+            parentPort.postMessage(reply, transfer);
+        }));
+    };
+} else if(
+    'undefined' != typeof importScripts &&
+    'undefined' != typeof self &&
+    self.location &&
+    ('#' + WORKER_MARK) === self.location.hash
+){
+    var handler = serve(function(reply, transfer){
+        self.postMessage(reply, transfer);
+    });
+    self.addEventListener('message', function(e){ handler(e.data); });
+};
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
@@ -2,35 +2,21 @@
 //////////////////////////////////////////////////////////////////////////////
 
 var cipherToolkit = {};
-var definition = {
-    'NECRAC128': {
-        name: 'NECRAC128',
-        secretLength: 32,
-        sign: {
-            algorithm: 'ec',
-            parameters: {curve: 'secp256r1'},
-            secretLength: 32,
-        },
-        crypt: {
-            algorithm: 'curve25519',
-            parameters: {},
-            secretLength: 32,
-        },
-        hashLength: 32,
-    },
-};
 
 
 function AsymmetricCipher(algorithmName){
     var self = this;
 
     /* Initialize Algorithm Suite */
-    var algorithmSuite = definition[algorithmName];
+    var algorithmSuite = tool.get('cipher.suite')(algorithmName);
     var pkSigning, pkEncrypting;
     if(!algorithmSuite) throw new Error('invalid-algorithm-choice');
 
     function _digest(dataBuf){
-        var hasher = new tool.get('hash')(algorithmSuite.hashLength);
+        var hasher = new tool.get('hash')(
+            algorithmSuite.hashLength,
+            algorithmSuite.hashAlgorithm
+        );
         return hasher.hash(dataBuf).buffer;
     };
 
@@ -117,7 +103,10 @@ function AsymmetricCipher(algorithmName){
          * the private key being imported and exported, are the source of
          * such derivations.
          */
-        var pbkdf2 = new tool.get('hash')(algorithmSuite.hashAlgorithm).pbkdf2;
+        var pbkdf2 = new tool.get('hash')(
+            null,
+            algorithmSuite.hashAlgorithm
+        ).pbkdf2;
 
         var secretSigning = pbkdf2(
             credentialBuf,
@@ -197,7 +186,7 @@ function cipherInitializer(cipherConf){
 var exporter = function(x){ return new AsymmetricCipher(x); };
 tool.set('cipher.asymmetric', exporter);
 tool.set('cipher.asymmetric.definition', function(algoname){
-    return definition[algoname] || null;
+    return tool.get('cipher.suite')(algoname);
 });
 tool.exp('cipher.asymmetric', exporter);
 //////////////////////////////////////////////////////////////////////////////
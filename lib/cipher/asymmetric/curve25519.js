@@ -448,6 +448,38 @@ function curve25519(f, c) {
 }
 
 
+// ------------------------------------------------------------------------ //
+// Field arithmetic modulo 2^255-19, shared with `cipher.asymmetric.ed25519`.
+// Elements are arrays of 16 limbs of 16 bits, least significant first.
+tool.set('cipher.asymmetric.curve25519.field', {
+    zero: c255lzero,
+    one: c255lone,
+    prime: c255lprime,
+    add: c255laddmodp,
+    sub: c255lsubmodp,
+    mul: c255lmulmodp,
+    sqr: c255lsqrmodp,
+    inv: c255linvmodp,
+    reduce: c255lreduce,
+    compare: c255lbigintcmp,    // on fully reduced limbs only
+    subtract: c255lbigintsub,   // dito, not modulo p
+    fromHEX: c255lhexdecode,
+});
+
+// ------------------------------------------------------------------------ //
+// Scalar multiplication on buffers of 32 bytes, most significant byte first,
+// separated to be replaced by native accelerators. When `pointBuf` is not
+// given, the base point is used.
+tool.set('cipher.asymmetric.curve25519.scalarMult', function(
+    scalarBuf,
+    pointBuf
+){
+    var encoding = tool.get('util.encoding');
+    var point = (pointBuf ? c255lhexdecode(encoding(pointBuf).toHEX()) : null);
+    var result = curve25519(c255lhexdecode(encoding(scalarBuf).toHEX()), point);
+    return encoding(c255lhexencode(result), 'hex').toArrayBuffer();
+});
+
 // ------------------------------------------------------------------------ //
 // Export curve25519 using notations of this library
 function curve25519Interface(params){
@@ -455,15 +487,22 @@ function curve25519Interface(params){
 
     var internalPrivateKey, internalPublicKey;
 
+    // keys are taken as numbers of 255 bits, so that each has one encoding
+    function normalize(buf){
+        var hex = tool.get('util.encoding')(buf).toHEX();
+        hex = c255lhexencode(c255lhexdecode(hex));
+        return tool.get('util.encoding')(hex, 'hex').toArrayBuffer();
+    };
+
 
     /* Interface for initializing */
 
     this.setPrivateKey = function(privateKeyBuf){
-        initWithPrivateKey(tool.get('util.encoding')(privateKeyBuf).toHEX());
+        initWithPrivateKey(normalize(privateKeyBuf));
     };
 
     this.setPublicKey = function(publicKeyBuf){
-        initWithPublicKey(tool.get('util.encoding')(publicKeyBuf).toHEX());
+        initWithPublicKey(normalize(publicKeyBuf));
     };
 
     /* Internal Function for initializing */
@@ -477,40 +516,35 @@ function curve25519Interface(params){
 
         self.encrypt = encrypt;
         self.getPublicKey = function(){
-            var hex = c255lhexencode(internalPublicKey);
-            return tool.get('util.encoding')(hex, 'hex').toArrayBuffer();
+            return internalPublicKey.slice(0);
         };
 
         delete self.setPrivateKey;
         delete self.setPublicKey;
     };
 
-    function initWithPublicKey(publicKeyHEX){
-        // convert publicKeyBuffer to array as library required.
+    function initWithPublicKey(publicKeyBuf){
         internalPrivateKey = null;
-        internalPublicKey = c255lhexdecode(publicKeyHEX);
+        internalPublicKey = publicKeyBuf;
         init(false);
     };
 
-    function initWithPrivateKey(privateKeyHEX){
-        // convert privateKeyBuffer to array as library required.
-        internalPrivateKey = c255lhexdecode(privateKeyHEX);
+    function initWithPrivateKey(privateKeyBuf){
+        internalPrivateKey = privateKeyBuf;
         // calculate public key.
-        internalPublicKey = curve25519(internalPrivateKey);
+        internalPublicKey = tool.get('cipher.asymmetric.curve25519.scalarMult')(
+            internalPrivateKey
+        );
         init(true);
     };
 
     function _computeSecret(anotherPublicKeyBuf){
         if(!tool.get('util.type')(anotherPublicKeyBuf).isArrayBuffer())
             throw Error('invalid-parameter');
-        var anotherPublicKeyHEX =
-            tool.get('util.encoding')(anotherPublicKeyBuf).toHEX();
-        var sharedsecretArray = curve25519(
+        return tool.get('cipher.asymmetric.curve25519.scalarMult')(
             internalPrivateKey,
-            c255lhexdecode(anotherPublicKeyHEX)
+            normalize(anotherPublicKeyBuf)
         );
-        var retHEX = c255lhexencode(sharedsecretArray);
-        return tool.get('util.encoding')(retHEX, 'hex').toArrayBuffer();
     };
 
     function encrypt(dataBuf){
@@ -1,11 +1,17 @@
 /*
  * ECDSA and ECDH implementation utilizing JSBN library.
+ *
+ * Nonces for signing are derived deterministically as in RFC 6979, with HMAC
+ * on the hash algorithm named by parameter `nonceHash`(default SHA-256). With
+ * parameter `hedged` set, random bytes are mixed into the derivation as well,
+ * so that a fault or a broken hash alone doesn't reveal the key.
  */
 (function(tool){
 //////////////////////////////////////////////////////////////////////////////
 
-function EC(curveName){
+function EC(curveName, params){
     var self = this;
+    if(!params) params = {};
 
     var _ecparams = tool.get('cipher.asymmetric.ec.ecparams'),
         _ecdsa = tool.get('cipher.asymmetric.ec.ecdsa'),
@@ -70,7 +76,10 @@ function EC(curveName){
         bigiPrivateKey = _bigi.fromByteArrayUnsigned(privateKeyArray);
             
         // calculate public key.
-        var pubPoint = ecparams.getG().multiply(bigiPrivateKey);
+        var pubPoint = tool.get('cipher.asymmetric.ec.multiplyG')(
+            ecparams,
+            bigiPrivateKey
+        );
         bigiPublicKey = pubPoint.getEncoded(false);
 
         init(true);
@@ -83,9 +92,15 @@ function EC(curveName){
         if(!tool.get('util.type')(digestBuffer).isArrayBuffer())
             throw new Error('invalid-parameter');
         
+        var nonceOptions = {hash: params.nonceHash};
+        if(params.hedged)
+            nonceOptions.extra =
+                toArray(new tool.get('util.srand')().array(32));
+
         var signature = ecdsa.sign(
             tool.get('util.encoding')(digestBuffer).toArray(),
-            bigiPrivateKey
+            bigiPrivateKey,
+            nonceOptions
         );
         return tool.get('util.encoding')(signature).toArrayBuffer();
     };
@@ -199,7 +214,7 @@ function EC(curveName){
 var exporter = {
     name: 'EC',
     constructor: function(p){
-        return new EC(p.curve);
+        return new EC(p.curve, p);
     },
 };
 tool.set('cipher.asymmetric.ec', exporter);
@@ -39,24 +39,14 @@ function ECDSA(ecparams){
 
     var P_OVER_FOUR = null;
 
-    /* random source wrapper */
-    var srand = new tool.get('util.srand')();
-    var rng = {
-        nextBytes: function(arr) {
-            var byteArr = srand.bytes(arr.length);
-            for (var i = 0; i < byteArr.length; ++i) arr[i] = byteArr[i];
-        },
-    };
-    
     /* exposed functions */
-    this.sign = function (hash, priv) {
+    this.sign = function (hash, priv, options) {
         var d = priv;
         var n = ecparams.getN();
         var e = BigInteger.fromByteArrayUnsigned(hash);
 
-        var k = getBigRandom(n); //Following: replaced with RFC6979
-        var G = ecparams.getG();
-        var Q = G.multiply(k);
+        var k = deterministicK(hash, d, options);
+        var Q = tool.get('cipher.asymmetric.ec.multiplyG')(ecparams, k);
         var r = Q.getX().toBigInteger().mod(n);
 
         var s = k.modInverse(n).multiply(e.add(d.multiply(r))).mod(n)
@@ -69,6 +59,10 @@ function ECDSA(ecparams){
         return serializeSig(r, s)
     };
     
+    this.nonce = function(hash, priv, options){
+        return deterministicK(hash, priv, options);
+    };
+
     this.verify = function (hash, sig, pubkey){
         var r,s
         if (Array.isArray(sig)) {
@@ -114,7 +108,8 @@ function ECDSA(ecparams){
         // signed message verification!? Probably an implementation
         // error!
         //var point = implShamirsTrick(G, u1, Q, u2);
-        var point = G.multiply(u1).add(Q.multiply(u2));
+        var point = tool.get('cipher.asymmetric.ec.multiplyG')(ecparams, u1)
+            .add(Q.multiply(u2));
 
         var v = point.getX().toBigInteger().mod(n);
         return v.equals(r);
@@ -137,13 +132,75 @@ function ECDSA(ecparams){
         return {r: r, s: s, i: i};
     };
 
-    function getBigRandom(limit) {
-        return new BigInteger(limit.bitLength(), rng)
-            .mod(limit.subtract(BigInteger.ONE))
-            .add(BigInteger.ONE)
-        ;
+    /*
+     * Nonce generation as in RFC 6979, section 3.2, using HMAC with the hash
+     * algorithm named in `options.hash`(default SHA-256). When an array of
+     * bytes is given in `options.extra`, it's appended to the seeding as
+     * described in section 3.6, and the nonce becomes a hedged one.
+     */
+    function deterministicK(hash, d, options){
+        if(!options) options = {};
+        var n = ecparams.getN(),
+            qlen = n.bitLength(),
+            rlen = Math.ceil(qlen / 8);
+        var hmac = new tool.get('hash')(null, options.hash || 'sha256'),
+            extra = options.extra || [];
+
+        function HMAC(K, parts){
+            var data = [];
+            for(var i=0; i<parts.length; i++) data = data.concat(parts[i]);
+            return toArray(hmac.mac(
+                new Uint8Array(data).buffer,
+                new Uint8Array(K).buffer
+            ).buffer);
+        };
+
+        function bits2int(arr){
+            var ret = BigInteger.fromByteArrayUnsigned(arr);
+            if(arr.length * 8 > qlen) ret = ret.shiftRight(arr.length * 8 - qlen);
+            return ret;
+        };
+
+        function int2octets(x){
+            var ret = x.toByteArrayUnsigned();
+            while(ret.length < rlen) ret.unshift(0);
+            return ret;
+        };
+
+        var z = bits2int(hash);
+        if(z.compareTo(n) >= 0) z = z.subtract(n);
+        var x = int2octets(d), h = int2octets(z);
+
+        var hlen = hmac.getOutputBytesLength(), V = [], K = [];
+        for(var i=0; i<hlen; i++){
+            V.push(1);
+            K.push(0);
+        };
+
+        K = HMAC(K, [V, [0], x, h, extra]);
+        V = HMAC(K, [V]);
+        K = HMAC(K, [V, [1], x, h, extra]);
+        V = HMAC(K, [V]);
+
+        var T, k;
+        while(true){
+            T = [];
+            while(T.length < rlen){
+                V = HMAC(K, [V]);
+                T = T.concat(V);
+            };
+            k = bits2int(T.slice(0, rlen));
+            if(k.signum() > 0 && k.compareTo(n) < 0) return k;
+            K = HMAC(K, [V, [0]]);
+            V = HMAC(K, [V]);
+        };
     };
 
+    function toArray(buf){
+        var view = new Uint8Array(buf), ret = new Array(view.length);
+        for(var i=0; i<ret.length; i++) ret[i] = view[i];
+        return ret;
+    };
 
     /*
      * Serialize a signature into DER format.
@@ -207,7 +207,16 @@ tool.set('cipher.asymmetric.ec.ecparams', function getSECCurveByName(name){
     BigInteger = tool.get('cipher.asymmetric.ec.bigi'),
     ECCurveFp = tool.get('cipher.asymmetric.ec.ecurve');
   };
-  return (typeof namedCurves[name] == 'function')? namedCurves[name]() : null;
+  if(typeof namedCurves[name] != 'function') return null;
+  var ret = namedCurves[name]();
+  ret.name = name;
+  return ret;
+});
+
+// Multiplies the base point of a curve with a BigInteger, separated to be
+// replaced by native accelerators.
+tool.set('cipher.asymmetric.ec.multiplyG', function(ecparams, k){
+  return ecparams.getG().multiply(k);
 });
 
 //////////////////////////////////////////////////////////////////////////////
@@ -0,0 +1,316 @@
+/*
+ * Ed25519 signatures as specified in RFC 8032, on the field arithmetic of
+ * `curve25519.js`.
+ *
+ * The private key is the 32-byte seed of RFC 8032, the public key the 32-byte
+ * encoded point and a signature 64 bytes. Signatures are deterministic: the
+ * nonce is derived from the private key and the message, so that the quality
+ * of the random generator doesn't matter when signing.
+ *
+ * This module signs only, and is meant for the `sign` half of a suite in
+ * `cipher.suite`.
+ */
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+
+var F = null, D, D2, SQRTM1, BASE;
+
+// the group order L = 2^252 + 27742317777372353535851937790883648493
+var L = [
+    0xed, 0xd3, 0xf5, 0x5c, 0x1a, 0x63, 0x12, 0x58,
+    0xd6, 0x9c, 0xf7, 0xa2, 0xde, 0xf9, 0xde, 0x14,
+    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0x10,
+];
+
+function loadField(){
+    if(null !== F) return;
+    F = tool.get('cipher.asymmetric.curve25519.field');
+    D = F.fromHEX(
+        '52036cee2b6ffe738cc740797779e89800700a4d4141d8ab75eb4dca135978a3');
+    D2 = F.fromHEX(
+        '2406d9dc56dffce7198e80f2eef3d13000e0149a8283b156ebd69b9426b2f159');
+    SQRTM1 = F.fromHEX(
+        '2b8324804fc1df0b2b4d00993dfbd7a72f431806ad2fe478c4ee1b274a0ea0b0');
+    var x = F.fromHEX(
+        '216936d3cd6e53fec0a4e231fdd6dc5c692cc7609525a7b2c9562d608f25d51a');
+    var y = F.fromHEX(
+        '6666666666666666666666666666666666666666666666666666666666666658');
+    BASE = [x, y, F.one(), F.mul(x, y)];
+};
+
+////////////////////////////// FIELD ELEMENTS ////////////////////////////////
+
+// canonical little-endian encoding of a field element
+function pack(a){
+    var t = a.slice(0), ret = new Uint8Array(32);
+    F.reduce(t);
+    F.reduce(t);
+    F.reduce(t);
+    while(F.compare(t, F.prime) >= 0) t = F.subtract(t, F.prime);
+    for(var i=0; i<16; i++){
+        ret[2*i] = t[i] & 0xff;
+        ret[2*i+1] = (t[i] >>> 8) & 0xff;
+    };
+    return ret;
+};
+
+function unpack(bytes){
+    var ret = F.zero();
+    for(var i=0; i<16; i++) ret[i] = bytes[2*i] | (bytes[2*i+1] << 8);
+    ret[15] &= 0x7fff;
+    return ret;
+};
+
+function equal(a, b){
+    var x = pack(a), y = pack(b), diff = 0;
+    for(var i=0; i<32; i++) diff |= x[i] ^ y[i];
+    return 0 == diff;
+};
+
+function neg(a){ return F.sub(F.zero(), a); };
+
+// a^((p-5)/8), with (p-5)/8 = 2^252 - 3
+function pow2523(a){
+    var c = a.slice(0);
+    for(var i=250; i>=0; i--){
+        c = F.sqr(c);
+        if(1 != i) c = F.mul(c, a);
+    };
+    return c;
+};
+
+///////////////////////// POINTS IN EXTENDED COORDINATES /////////////////////
+
+function pointAdd(P, Q){
+    var a = F.mul(F.sub(P[1], P[0]), F.sub(Q[1], Q[0])),
+        b = F.mul(F.add(P[1], P[0]), F.add(Q[1], Q[0])),
+        c = F.mul(F.mul(P[3], Q[3]), D2),
+        d = F.mul(P[2], Q[2]);
+    d = F.add(d, d);
+    var e = F.sub(b, a), f = F.sub(d, c), g = F.add(d, c), h = F.add(b, a);
+    return [F.mul(e, f), F.mul(g, h), F.mul(f, g), F.mul(e, h)];
+};
+
+function pointSelect(P, Q, bit){
+    // returns P if bit is 0, otherwise Q, without branching
+    var m2 = -bit, m1 = ~m2, ret = [[], [], [], []];
+    for(var i=0; i<4; i++)
+        for(var j=0; j<16; j++)
+            ret[i][j] = (P[i][j] & m1) | (Q[i][j] & m2);
+    return ret;
+};
+
+// multiplies a point with a scalar of 32 bytes, little-endian
+function scalarMult(P, scalar){
+    var Q = [F.zero(), F.one(), F.one(), F.zero()], bit;
+    for(var i=255; i>=0; i--){
+        Q = pointAdd(Q, Q);
+        bit = (scalar[i >>> 3] >>> (i & 7)) & 1;
+        Q = pointSelect(Q, pointAdd(Q, P), bit);
+    };
+    return Q;
+};
+
+function encodePoint(P){
+    var zi = F.inv(P[2]),
+        x = pack(F.mul(P[0], zi)),
+        ret = pack(F.mul(P[1], zi));
+    ret[31] |= (x[0] & 1) << 7;
+    return ret;
+};
+
+// returns null when the bytes don't encode a point
+function decodePoint(bytes){
+    var sign = bytes[31] >>> 7, y = unpack(bytes), yBytes = pack(y);
+    for(var i=0; i<32; i++)
+        if(yBytes[i] != (31 == i ? bytes[i] & 0x7f : bytes[i])) return null;
+
+    // x = u * v^3 * (u * v^7)^((p-5)/8), with u = y^2 - 1, v = d*y^2 + 1
+    var y2 = F.sqr(y),
+        u = F.sub(y2, F.one()),
+        v = F.add(F.mul(y2, D), F.one()),
+        v3 = F.mul(F.sqr(v), v),
+        x = F.mul(F.mul(u, v3), pow2523(F.mul(u, F.mul(F.sqr(v3), v))));
+
+    var vx2 = F.mul(v, F.sqr(x));
+    if(!equal(vx2, u)){
+        if(!equal(vx2, neg(u))) return null;
+        x = F.mul(x, SQRTM1);
+    };
+
+    var xBytes = pack(x);
+    if((xBytes[0] & 1) != sign){
+        if(equal(x, F.zero())) return null;
+        x = neg(x);
+    };
+    return [x, y, F.one(), F.mul(x, y)];
+};
+
+////////////////////////////// SCALARS MODULO L //////////////////////////////
+
+// reduces x, an array of 64 numbers each being a byte, into 32 bytes
+function modL(x){
+    var carry, i, j, k, ret = new Uint8Array(32);
+    for(i=63; i>=32; i--){
+        carry = 0;
+        for(j=i-32, k=i-12; j<k; j++){
+            x[j] += carry - 16 * x[i] * L[j - (i - 32)];
+            carry = Math.floor((x[j] + 128) / 256);
+            x[j] -= carry * 256;
+        };
+        x[j] += carry;
+        x[i] = 0;
+    };
+    carry = 0;
+    for(j=0; j<32; j++){
+        x[j] += carry - (x[31] >> 4) * L[j];
+        carry = x[j] >> 8;
+        x[j] &= 255;
+    };
+    for(j=0; j<32; j++) x[j] -= carry * L[j];
+    for(i=0; i<32; i++){
+        x[i+1] += x[i] >> 8;
+        ret[i] = x[i] & 255;
+    };
+    return ret;
+};
+
+function hashModL(bufs){
+    var digest = new Uint8Array(new tool.get('hash')(64, 'sha512').hash(
+        tool.get('util.buffer').concat(bufs)
+    ).buffer);
+    var x = new Float64Array(64);
+    for(var i=0; i<64; i++) x[i] = digest[i];
+    return modL(x);
+};
+
+// true when the 32-byte scalar s is less than L
+function lessThanL(s){
+    for(var i=31; i>=0; i--){
+        if(s[i] < L[i]) return true;
+        if(s[i] > L[i]) return false;
+    };
+    return false;
+};
+
+// ------------------------------------------------------------------------ //
+// Export ed25519 using notations of this library
+function ed25519Interface(params){
+    var self = this;
+
+    var scalar, prefixBuf, publicKeyBytes, publicPoint;
+
+    loadField();
+
+    /* Interface for initializing */
+
+    this.setPrivateKey = function(privateKeyBuf){
+        if(!(
+            tool.get('util.type')(privateKeyBuf).isArrayBuffer() &&
+            32 == privateKeyBuf.byteLength
+        ))
+            throw new Error('invalid-parameter');
+
+        var h = new Uint8Array(
+            new tool.get('hash')(64, 'sha512').hash(privateKeyBuf).buffer
+        );
+        scalar = h.slice(0, 32);
+        scalar[0] &= 248;
+        scalar[31] &= 127;
+        scalar[31] |= 64;
+        prefixBuf = h.slice(32).buffer;
+
+        publicKeyBytes = encodePoint(scalarMult(BASE, scalar));
+        publicPoint = decodePoint(publicKeyBytes);
+        init(true);
+    };
+
+    this.setPublicKey = function(publicKeyBuf){
+        if(!(
+            tool.get('util.type')(publicKeyBuf).isArrayBuffer() &&
+            32 == publicKeyBuf.byteLength
+        ))
+            throw new Error('invalid-parameter');
+        publicKeyBytes = new Uint8Array(publicKeyBuf.slice(0));
+        publicPoint = decodePoint(publicKeyBytes);
+        if(null === publicPoint) throw new Error('invalid-public-key');
+        init(false);
+    };
+
+    /* Internal Function for initializing */
+
+    function init(prv){
+        if(prv) self.sign = sign;
+
+        self.verify = verify;
+        self.getPublicKey = function(){
+            return publicKeyBytes.slice(0).buffer;
+        };
+
+        delete self.setPrivateKey;
+        delete self.setPublicKey;
+    };
+
+    /* Functions for normal working */
+
+    function sign(dataBuf){
+        if(!tool.get('util.type')(dataBuf).isArrayBuffer())
+            throw new Error('invalid-parameter');
+
+        var r = hashModL([prefixBuf, dataBuf]),
+            R = encodePoint(scalarMult(BASE, r)),
+            k = hashModL([R.buffer, publicKeyBytes.buffer, dataBuf]);
+
+        // S = (r + k * a) mod L
+        var x = new Float64Array(64), i, j;
+        for(i=0; i<32; i++) x[i] = r[i];
+        for(i=0; i<32; i++)
+            for(j=0; j<32; j++)
+                x[i+j] += k[i] * scalar[j];
+        var S = modL(x);
+
+        return tool.get('util.buffer').concat([R.buffer, S.buffer]);
+    };
+
+    function verify(dataBuf, signatureBuf){
+        if(!(
+            tool.get('util.type')(dataBuf).isArrayBuffer() &&
+            tool.get('util.type')(signatureBuf).isArrayBuffer()
+        ))
+            throw new Error('invalid-parameter');
+        if(64 != signatureBuf.byteLength) return false;
+
+        var R = new Uint8Array(signatureBuf.slice(0, 32)),
+            S = new Uint8Array(signatureBuf.slice(32));
+        if(!lessThanL(S)) return false;
+
+        // check [S]B = R + [k]A, as [S]B + [k](-A) encoding to R
+        var k = hashModL([R.buffer, publicKeyBytes.buffer, dataBuf]);
+        var negA = [
+            neg(publicPoint[0]),
+            publicPoint[1],
+            publicPoint[2],
+            neg(publicPoint[3]),
+        ];
+        var check = encodePoint(pointAdd(
+            scalarMult(BASE, S),
+            scalarMult(negA, k)
+        ));
+
+        var diff = 0;
+        for(var i=0; i<32; i++) diff |= check[i] ^ R[i];
+        return 0 == diff;
+    };
+
+    return this;
+};
+
+var exporter = {
+    name: 'ed25519',
+    constructor: function(p){
+        return new ed25519Interface(p);
+    },
+};
+tool.set('cipher.asymmetric.ed25519', exporter);
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
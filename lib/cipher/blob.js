@@ -0,0 +1,259 @@
+/*
+ * Seekable Encrypted Blob
+ * =======================
+ *
+ * `cipher.symmetric` encrypts and authenticates a buffer as a whole, so that
+ * reading any part of it requires decrypting everything. A blob instead cuts
+ * the plaintext into chunks of a fixed size, each sealed independently with
+ * XChaCha20-Poly1305, so that any range can be decrypted and verified by
+ * reading only the chunks it covers:
+ *
+ *      var blob = __enigma_jscrypto__.cipher.blob(KEY);
+ *      var BLOB = blob.encrypt(PLAINTEXT, {chunkSize: 65536});
+ *
+ *      var reader = blob.read(HEADER);     // first `blob.headerLength` bytes
+ *      reader.length                       // length of the plaintext
+ *      var pos = reader.locate(START, END);
+ *      reader.decrypt(START, END, BLOB.slice(pos.start, pos.end));
+ *
+ *      blob.decrypt(BLOB)                  // the whole plaintext
+ *
+ * `locate` tells which bytes of the blob are needed for the plaintext from
+ * START up to END(excluded), and `decrypt` takes exactly these bytes.
+ *
+ * The header records the chunk size, the length of the plaintext and a
+ * random nonce, and is authenticated with a tag of its own. It serves as the
+ * index: chunk N begins at `headerLength + N * (chunkSize + 16)`. The nonce of
+ * each chunk is the one of the header followed by the chunk number, and the
+ * header is the associated data of each chunk. Chunks can therefore not be
+ * reordered, moved into another blob, or cut off without being detected.
+ *
+ *      [2 bytes "EB"][1 byte version][1 byte reserved]
+ *      [4 bytes chunk size][8 bytes plaintext length][16 bytes nonce]
+ *      [16 bytes header tag]
+ *      [chunk 0 ciphertext][16 bytes tag] ...
+ *
+ * KEY has 32 bytes, keys of other lengths are hashed with BLAKE2b first. A
+ * failed authentication throws `blob-corrupted`.
+ */
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+// Adjustable
+var config = {
+    defaultChunkSize: 65536,
+};
+/****************************************************************************/
+
+var VERSION = 1, HEADER_DATA_LENGTH = 32, TAG_LENGTH = 16,
+    HEADER_LENGTH = HEADER_DATA_LENGTH + TAG_LENGTH;
+
+function u32Pair(n){
+    return new Uint32Array([
+        n % 0x100000000,
+        Math.floor(n / 0x100000000)
+    ]).buffer;
+};
+
+function readU32Pair(buf){
+    var ary = new Uint32Array(buf);
+    return ary[0] + ary[1] * 0x100000000;
+};
+
+function chunkCount(length, chunkSize){
+    return Math.ceil(length / chunkSize);
+};
+
+//--------------------------------------------------------------------------//
+
+function blob(keyBuf){
+    var self = this;
+    var testType = tool.get('util.type'),
+        buffer = tool.get('util.buffer'),
+        aead = tool.get('cipher.symmetric.chacha20poly1305');
+
+    if(!(testType(keyBuf).isArrayBuffer() && keyBuf.byteLength > 0))
+        throw new Error('invalid-key');
+    if(32 != keyBuf.byteLength)
+        keyBuf = new tool.get('hash')(32, 'blake2b').hash(keyBuf).buffer;
+
+    // nonce of chunk N, or of the header tag with N = 2^64-1
+    function chunkNonce(nonceBuf, index){
+        if(null === index)
+            return buffer.concat([
+                nonceBuf,
+                new Uint32Array([0xffffffff, 0xffffffff]).buffer,
+            ]);
+        return buffer.concat([nonceBuf, u32Pair(index)]);
+    };
+
+    this.headerLength = HEADER_LENGTH;
+
+    this.encrypt = function(plaintextBuf, options){
+        if(!testType(plaintextBuf).isArrayBuffer())
+            throw new Error('invalid-parameter');
+        if(!options) options = {};
+
+        var chunkSize = config.defaultChunkSize;
+        if(undefined !== options.chunkSize){
+            if(!(
+                testType(options.chunkSize).isNumber() &&
+                options.chunkSize >= 1 &&
+                options.chunkSize <= 0xffffffff
+            ))
+                throw new Error('invalid-parameter');
+            chunkSize = Math.floor(options.chunkSize);
+        };
+
+        var length = plaintextBuf.byteLength,
+            nonceBuf = new tool.get('util.srand')().bytes(16);
+        var headerBuf = buffer.concat([
+            new Uint8Array([69, 66, VERSION, 0]).buffer,
+            new Uint32Array([chunkSize]).buffer,
+            u32Pair(length),
+            nonceBuf,
+        ]);
+
+        var result = [
+            headerBuf,
+            aead.seal(
+                keyBuf,
+                chunkNonce(nonceBuf, null),
+                new Uint8Array(0).buffer,
+                headerBuf
+            ),
+        ];
+        for(var i=0; i<chunkCount(length, chunkSize); i++){
+            result.push(aead.seal(
+                keyBuf,
+                chunkNonce(nonceBuf, i),
+                plaintextBuf.slice(i * chunkSize, (i + 1) * chunkSize),
+                headerBuf
+            ));
+        };
+        return buffer.concat(result);
+    };
+
+    /* Reads the header, which is at the beginning of the given buffer. */
+    this.read = function(dataBuf){
+        if(!(
+            testType(dataBuf).isArrayBuffer() &&
+            dataBuf.byteLength >= HEADER_LENGTH
+        ))
+            throw new Error('invalid-parameter');
+
+        var headerBuf = dataBuf.slice(0, HEADER_DATA_LENGTH),
+            header = new Uint8Array(headerBuf);
+        if(!(69 == header[0] && 66 == header[1] && VERSION == header[2]))
+            throw new Error('blob-corrupted');
+
+        var nonceBuf = headerBuf.slice(16, 32);
+        if(null === aead.open(
+            keyBuf,
+            chunkNonce(nonceBuf, null),
+            dataBuf.slice(HEADER_DATA_LENGTH, HEADER_LENGTH),
+            headerBuf
+        ))
+            throw new Error('blob-corrupted');
+
+        return new reader(
+            headerBuf,
+            nonceBuf,
+            new Uint32Array(headerBuf.slice(4, 8))[0],
+            readU32Pair(headerBuf.slice(8, 16))
+        );
+    };
+
+    function reader(headerBuf, nonceBuf, chunkSize, length){
+        var count = chunkCount(length, chunkSize),
+            totalLength = HEADER_LENGTH + length + count * TAG_LENGTH;
+
+        this.length = length;
+        this.chunkSize = chunkSize;
+
+        function checkRange(start, end){
+            if(!(
+                testType(start).isNumber() &&
+                testType(end).isNumber() &&
+                0 <= start && start <= end && end <= length
+            ))
+                throw new Error('invalid-parameter');
+        };
+
+        // the chunks from `first` up to `last`(excluded) cover the range
+        function chunksOf(start, end){
+            var first = Math.floor(start / chunkSize);
+            return {
+                first: first,
+                last: (start == end) ? first : Math.ceil(end / chunkSize),
+            };
+        };
+
+        function chunkOffset(index){
+            return Math.min(
+                HEADER_LENGTH + index * (chunkSize + TAG_LENGTH),
+                totalLength
+            );
+        };
+
+        this.locate = function(start, end){
+            checkRange(start, end);
+            var chunks = chunksOf(start, end);
+            return {
+                start: chunkOffset(chunks.first),
+                end: chunkOffset(chunks.last),
+            };
+        };
+
+        this.decrypt = function(start, end, dataBuf){
+            checkRange(start, end);
+            var chunks = chunksOf(start, end),
+                offset = chunkOffset(chunks.first);
+            if(!(
+                testType(dataBuf).isArrayBuffer() &&
+                dataBuf.byteLength == chunkOffset(chunks.last) - offset
+            ))
+                throw new Error('invalid-parameter');
+
+            var result = [], plaintextBuf;
+            for(var i=chunks.first; i<chunks.last; i++){
+                plaintextBuf = aead.open(
+                    keyBuf,
+                    chunkNonce(nonceBuf, i),
+                    dataBuf.slice(
+                        chunkOffset(i) - offset,
+                        chunkOffset(i + 1) - offset
+                    ),
+                    headerBuf
+                );
+                if(null === plaintextBuf) throw new Error('blob-corrupted');
+                result.push(plaintextBuf);
+            };
+
+            var skip = chunks.first * chunkSize;
+            return buffer.concat(result).slice(start - skip, end - skip);
+        };
+
+        return this;
+    };
+
+    this.decrypt = function(dataBuf){
+        var r = self.read(dataBuf);
+        if(dataBuf.byteLength != r.locate(0, r.length).end)
+            throw new Error('blob-corrupted');
+        return r.decrypt(
+            0,
+            r.length,
+            dataBuf.slice(HEADER_LENGTH)
+        );
+    };
+
+    return this;
+};
+
+function exporter(keyBuf){
+    return new blob(keyBuf);
+};
+tool.set('cipher.blob', exporter);
+tool.exp('cipher.blob', exporter);
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
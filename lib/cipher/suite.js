@@ -0,0 +1,181 @@
+/*
+ * Cipher Suites
+ * =============
+ *
+ * A cipher suite names all primitives used together by an identity or a
+ * message: the asymmetric algorithms for signing and encrypting, the
+ * symmetric cipher and the hash function. Each suite has a name and a 1-byte
+ * ID, which is recorded in serialized identities and envelopes instead of
+ * the single algorithms, so that readers may choose the primitives by it:
+ *
+ *      __enigma_jscrypto__.cipher.suite('NECRAC128')  // or by ID, here 0
+ *
+ * returns the definition, or null if the suite is unknown.
+ *
+ * Suites are named after the security level in bits. The curves for ECDSA
+ * and the lengths of digests being signed are chosen to match that level.
+ * For encryption Curve25519 is used up to 128 bits, above which an ECDH on
+ * a larger curve takes its place.
+ *
+ * A trailing `E` in the name marks a suite signing with Ed25519 instead of
+ * ECDSA. Ed25519 signatures are deterministic and don't depend on the quality
+ * of random numbers, and are faster to make and check. A trailing `A` marks
+ * a suite encrypting with the AEAD XChaCha20-Poly1305 instead of NCSC512,
+ * with full-length tags and associated data.
+ *
+ * A suite once published must never be changed, since old data depend on
+ * it. New combinations of primitives go into new suites with new IDs.
+ */
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+
+var definitions = [
+    {
+        id: 0,      // same as the `algorithm` enum used before suites
+        name: 'NECRAC128',
+        secretLength: 32,
+        sign: {
+            algorithm: 'ec',
+            parameters: {curve: 'secp256r1'},
+            secretLength: 32,
+        },
+        crypt: {
+            algorithm: 'curve25519',
+            parameters: {},
+            secretLength: 32,
+        },
+        hashAlgorithm: 'whirlpool',
+        hashLength: 32,
+        symmetric: 'NCSC512',
+    },
+    {
+        id: 1,
+        name: 'NECRAC256',
+        secretLength: 64,
+        sign: {
+            algorithm: 'ec',
+            parameters: {curve: 'secp521r1'},
+            secretLength: 65,
+        },
+        crypt: {
+            algorithm: 'ec',
+            parameters: {curve: 'secp521r1'},
+            secretLength: 65,
+        },
+        hashAlgorithm: 'whirlpool',
+        hashLength: 64,
+        symmetric: 'NCSC512',
+    },
+    {
+        id: 2,
+        name: 'NECRAC192',
+        secretLength: 48,
+        sign: {
+            algorithm: 'ec',
+            parameters: {curve: 'secp384r1'},
+            secretLength: 48,
+        },
+        crypt: {
+            algorithm: 'ec',
+            parameters: {curve: 'secp384r1'},
+            secretLength: 48,
+        },
+        hashAlgorithm: 'whirlpool',
+        hashLength: 48,
+        symmetric: 'NCSC512',
+    },
+    {
+        id: 3,
+        name: 'NECRAC112',
+        secretLength: 32,
+        sign: {
+            algorithm: 'ec',
+            parameters: {curve: 'secp224r1'},
+            secretLength: 28,
+        },
+        crypt: {
+            algorithm: 'curve25519',
+            parameters: {},
+            secretLength: 32,
+        },
+        hashAlgorithm: 'whirlpool',
+        hashLength: 28,
+        symmetric: 'NCSC512',
+    },
+    {
+        id: 4,
+        name: 'NECRAC96',
+        secretLength: 32,
+        sign: {
+            algorithm: 'ec',
+            parameters: {curve: 'secp192r1'},
+            secretLength: 24,
+        },
+        crypt: {
+            algorithm: 'curve25519',
+            parameters: {},
+            secretLength: 32,
+        },
+        hashAlgorithm: 'whirlpool',
+        hashLength: 24,
+        symmetric: 'NCSC512',
+    },
+    {
+        id: 5,
+        name: 'NECRAC128E',
+        secretLength: 32,
+        sign: {
+            algorithm: 'ed25519',
+            parameters: {},
+            secretLength: 32,
+        },
+        crypt: {
+            algorithm: 'curve25519',
+            parameters: {},
+            secretLength: 32,
+        },
+        hashAlgorithm: 'whirlpool',
+        hashLength: 32,
+        symmetric: 'NCSC512',
+    },
+    {
+        id: 6,
+        name: 'NECRAC128EA',
+        secretLength: 32,
+        sign: {
+            algorithm: 'ed25519',
+            parameters: {},
+            secretLength: 32,
+        },
+        crypt: {
+            algorithm: 'curve25519',
+            parameters: {},
+            secretLength: 32,
+        },
+        hashAlgorithm: 'whirlpool',
+        hashLength: 32,
+        symmetric: 'XChaCha20-Poly1305',
+    },
+];
+
+function suite(nameOrID){
+    for(var i=0; i<definitions.length; i++){
+        if(
+            nameOrID === definitions[i].name ||
+            nameOrID === definitions[i].id
+        )
+            return definitions[i];
+    };
+    return null;
+};
+
+suite.list = function(){
+    var ret = [];
+    for(var i=0; i<definitions.length; i++) ret.push(definitions[i].name);
+    return ret;
+};
+
+tool.set('cipher.suite', suite);
+tool.exp('cipher.suite', suite);
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
@@ -5,6 +5,11 @@
 //
 // Implementation derived from chacha-ref.c version 20080118
 // See for details: http://cr.yp.to/chacha/chacha-20080128.pdf
+//
+// Used as `cipher.symmetric.chacha20.constructor()` the same way as Salsa20:
+// `.key(NONCE + KEY)` with a nonce of 8 bytes, or `.nonce(NONCE).key(KEY)`,
+// where a nonce of 24 bytes selects XChaCha20. `seek(BLOCK)` or
+// `seek(LOW_WORD, HIGH_WORD)` sets the counter of 64-byte blocks.
 (function(tool){
 //////////////////////////////////////////////////////////////////////////////
 
@@ -61,6 +66,19 @@ Chacha20.prototype.quarterRound = function(x, a, b, c, d){
     x[c] += x[d]; x[b] = ROTATE(x[b] ^ x[c],  7);
 };
 
+Chacha20.prototype.rounds = function(x){
+    for (var i = this._rounds; i > 0; i -= 2){
+        this.quarterRound(x, 0, 4, 8,12);
+        this.quarterRound(x, 1, 5, 9,13);
+        this.quarterRound(x, 2, 6,10,14);
+        this.quarterRound(x, 3, 7,11,15);
+        this.quarterRound(x, 0, 5,10,15);
+        this.quarterRound(x, 1, 6,11,12);
+        this.quarterRound(x, 2, 7, 8,13);
+        this.quarterRound(x, 3, 4, 9,14);
+    };
+};
+
 Chacha20.prototype.encrypt = function(dst, src, len) {
     var x = new Uint32Array(16);
     var output = new Uint8Array(64);
@@ -68,16 +86,7 @@ Chacha20.prototype.encrypt = function(dst, src, len) {
 
     while (len > 0 ){
         for (i = 16; i--;) x[i] = this.input[i];
-        for (i = this._rounds; i > 0; i -= 2){
-            this.quarterRound(x, 0, 4, 8,12);
-            this.quarterRound(x, 1, 5, 9,13);
-            this.quarterRound(x, 2, 6,10,14);
-            this.quarterRound(x, 3, 7,11,15);
-            this.quarterRound(x, 0, 5,10,15);
-            this.quarterRound(x, 1, 6,11,12);
-            this.quarterRound(x, 2, 7, 8,13);
-            this.quarterRound(x, 3, 4, 9,14);
-        };
+        this.rounds(x);
         for (i = 16; i--;) x[i] += this.input[i];
         for (i = 16; i--;) U32TO8_LE(output, 4*i, x[i]);
 
@@ -106,11 +115,27 @@ Chacha20.prototype.seek = function(u32_0, u32_1){
     this.input[13] = u32_1;
 };
 
+// HChaCha20 derives a subkey from a 256-bit key and a 16-byte nonce, which
+// fills the words of counter and nonce. See draft-irtf-cfrg-xchacha.
+function HChaCha20(key, nonce, rounds){
+    var state = new Chacha20(
+            rounds || 20, key, nonce.subarray(4), U8TO32_LE(nonce, 0)),
+        x = new Uint32Array(state.input),
+        ret = new Uint8Array(32);
+    state.rounds(x);
+    for(var i=0; i<4; i++){
+        U32TO8_LE(ret, 4*i, x[i]);
+        U32TO8_LE(ret, 16 + 4*i, x[12+i]);
+    };
+    return ret;
+};
+
 //--------------------------------------------------------------------------//
 
 function ChaCha20Interface(rounds, testing){
     var self = this;
     var cipher = null;
+    var givenNonce = null, givenKey = null;
 
     function _xorBuf(dataBuf){
         if(!tool.get('util.type')(dataBuf).isArrayBuffer())
@@ -121,26 +146,63 @@ function ChaCha20Interface(rounds, testing){
         return ret.buffer;
     };
 
+    function _seek(u32_0, u32_1){
+        if(undefined === u32_1){
+            // a single block number, of up to 2^53
+            cipher.seek(
+                u32_0 % 0x100000000,
+                Math.floor(u32_0 / 0x100000000)
+            );
+        } else
+            cipher.seek(u32_0, u32_1);
+    };
+
+    // a nonce of 24 bytes is that of XChaCha20, whose subkey is derived with
+    // HChaCha20 from the key and the first 16 bytes of the nonce
+    function _initialize(nonceAry, keyAry){
+        if(24 == nonceAry.length){
+            if(32 != keyAry.length) throw new Error('invalid-key');
+            keyAry = HChaCha20(keyAry, nonceAry.subarray(0, 16), rounds);
+            nonceAry = nonceAry.subarray(16);
+        };
+        cipher = new Chacha20(rounds, keyAry, nonceAry, 0);
+    };
+
+    this.nonce = function(nonceBuf){
+        if(!(
+            tool.get('util.type')(nonceBuf).isArrayBuffer() &&
+            (8 == nonceBuf.byteLength || 24 == nonceBuf.byteLength)
+        ))
+            throw new Error('invalid-nonce');
+        givenNonce = new Uint8Array(nonceBuf.slice(0));
+        if(null !== givenKey) _initialize(givenNonce, givenKey);
+        return self;
+    };
+
     this.key = function(bufKey){
         if(!tool.get('util.type')(bufKey).isArrayBuffer())
             throw new Error('invalid-key');
 
         var keylen = bufKey.byteLength;
 
-        // buffer typed bufKey, first 24 or 40 bytes will be used. among them,
-        // the first 8 bytes will be taken as nonce. the rest will be the key.
-        if(keylen < 24) throw new Error('invalid-key');
-        var nonceAry = new Uint8Array(bufKey.slice(0, 8));
-        var keyAry = null;
-        if(keylen < 40)
-            keyAry = new Uint8Array(bufKey.slice(8, 24));
-        else
-            keyAry = new Uint8Array(bufKey.slice(8, 40));
-        cipher = new Chacha20(rounds, keyAry, nonceAry);
+        if(null !== givenNonce){
+            // the nonce is given separately, bufKey is the key of 16 or 32
+            // bytes only
+            if(16 != keylen && 32 != keylen) throw new Error('invalid-key');
+            givenKey = new Uint8Array(bufKey.slice(0));
+        } else {
+            // buffer typed bufKey, first 24 or 40 bytes will be used. among
+            // them, the first 8 bytes will be taken as nonce. the rest will
+            // be the key.
+            if(keylen < 24) throw new Error('invalid-key');
+            givenNonce = new Uint8Array(bufKey.slice(0, 8));
+            givenKey = new Uint8Array(bufKey.slice(8, (keylen < 40) ? 24 : 40));
+        };
+        _initialize(givenNonce, givenKey);
 
         self.encrypt = _xorBuf;
         self.decrypt = _xorBuf;
-        self.seek = cipher.seek;
+        self.seek = _seek;
         delete self.key;
         return self;
     };
@@ -159,5 +221,12 @@ var exporter = {
 };
 
 tool.set('cipher.symmetric.chacha20', exporter);
+
+// the keystream of ChaCha20/20 with a 256-bit key, a 12-byte nonce and a
+// 32-bit counter(RFC 8439), or an 8-byte nonce and a 64-bit counter
+tool.set('cipher.symmetric.chacha20.stream', function(key, nonce, counter){
+    return new Chacha20(20, key, nonce, counter);
+});
+tool.set('cipher.symmetric.chacha20.hchacha20', HChaCha20);
 //////////////////////////////////////////////////////////////////////////////
 })(tool);
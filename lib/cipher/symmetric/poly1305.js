@@ -0,0 +1,103 @@
+/*
+ * Poly1305 One-time Authenticator
+ * ===============================
+ *
+ * Computes the 16-byte tag of a message with a 32-byte one-time key, as
+ * specified in RFC 8439:
+ *
+ *      tool.get('cipher.symmetric.poly1305')(KEY, MESSAGE)
+ *
+ * where KEY and MESSAGE are ArrayBuffers. A key must never be used twice, so
+ * it's usually derived from a stream cipher for each message.
+ *
+ * The arithmetic follows TweetNaCl, with numbers modulo 2^130-5 kept in 17
+ * limbs of 8 bits. This is slow, but simple and free of overflows in
+ * JavaScript.
+ */
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+
+// -p, i.e. 2^130 - (2^130 - 5), in limbs
+var minusp = [5, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 252];
+
+function add1305(h, c){
+    var u = 0;
+    for(var j=0; j<17; j++){
+        u += h[j] + c[j];
+        h[j] = u & 255;
+        u >>>= 8;
+    };
+};
+
+function poly1305(keyBuf, dataBuf){
+    if(!(
+        tool.get('util.type')(keyBuf).isArrayBuffer() &&
+        tool.get('util.type')(dataBuf).isArrayBuffer() &&
+        32 == keyBuf.byteLength
+    ))
+        throw new Error('invalid-parameter');
+
+    var k = new Uint8Array(keyBuf), m = new Uint8Array(dataBuf);
+    var x = new Array(17), r = new Array(17), h = new Array(17),
+        c = new Array(17), g = new Array(17);
+    var i, j, u, s, pos = 0, n = m.length;
+
+    for(j=0; j<17; j++) r[j] = h[j] = 0;
+    for(j=0; j<16; j++) r[j] = k[j];
+    // clamping of r
+    r[3] &= 15; r[4] &= 252; r[7] &= 15; r[8] &= 252;
+    r[11] &= 15; r[12] &= 252; r[15] &= 15;
+
+    while(n > 0){
+        for(j=0; j<17; j++) c[j] = 0;
+        for(j=0; j<16 && j<n; j++) c[j] = m[pos + j];
+        c[j] = 1;
+        pos += j;
+        n -= j;
+        add1305(h, c);
+
+        // h = h * r, with 2^136 = 320 modulo p
+        for(i=0; i<17; i++){
+            x[i] = 0;
+            for(j=0; j<17; j++)
+                x[i] += h[j] * ((j <= i) ? r[i - j] : 320 * r[i + 17 - j]);
+        };
+        for(i=0; i<17; i++) h[i] = x[i];
+
+        // partial reduction
+        u = 0;
+        for(j=0; j<16; j++){
+            u += h[j];
+            h[j] = u & 255;
+            u >>>= 8;
+        };
+        u += h[16];
+        h[16] = u & 3;
+        u = 5 * (u >>> 2);
+        for(j=0; j<16; j++){
+            u += h[j];
+            h[j] = u & 255;
+            u >>>= 8;
+        };
+        u += h[16];
+        h[16] = u;
+    };
+
+    // full reduction, taking h - p unless it's negative
+    for(j=0; j<17; j++) g[j] = h[j];
+    add1305(h, minusp);
+    s = -(h[16] >>> 7);
+    for(j=0; j<17; j++) h[j] ^= s & (g[j] ^ h[j]);
+
+    for(j=0; j<16; j++) c[j] = k[j + 16];
+    c[16] = 0;
+    add1305(h, c);
+
+    var ret = new Uint8Array(16);
+    for(j=0; j<16; j++) ret[j] = h[j];
+    return ret.buffer;
+};
+
+tool.set('cipher.symmetric.poly1305', poly1305);
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
@@ -8,8 +8,7 @@
  *
  * Although Salsa20 is designed as a stream cipher, the streaming function is
  * NOT included in this implementation. The output ciphertext is the same
- * length as the input, but the counter will be reset to zero each time the
- * encryption/decryption begins.
+ * length as the input.
  *
  * WARNING: This module is wrtten by someone who have no rich experiences in
  * programming with JavaScript. The algorithm is partially verified against the
@@ -38,6 +37,24 @@
  *      var decryptor = salsa20(12).key(KEY); // 12 is the round number
  *      var DECRYPTED = decryptor.decrypt(CIPHERTEXT);
  *
+ * Notice that the round number counts double rounds, so that Salsa20/20 of
+ * the specification is `salsa20(10)`.
+ *
+ * The nonce may also be given separately, before the key, which is then of
+ * 16 or 32 bytes only:
+ *
+ *      var encryptor = salsa20(10).nonce(NONCE).key(KEY);
+ *
+ * A nonce of 8 bytes is that of Salsa20. A nonce of 24 bytes, which is long
+ * enough to be chosen at random, selects XSalsa20, for which a subkey is
+ * derived with HSalsa20 from the 32-byte key and the first 16 bytes of the
+ * nonce. Calling `nonce` again after the key is set starts a new stream.
+ *
+ * The counter of 64-byte blocks starts at zero, and `seek(BLOCK)` or
+ * `seek(LOW_WORD, HIGH_WORD)` sets it, so that a ciphertext may be decrypted
+ * starting from any multiple of 64 bytes. Each call to `encrypt` or `decrypt`
+ * starts at a new block, discarding the rest of the last one.
+ *
  * References
  * ----------
  * [1] Another implementation in Javascript at:
@@ -53,12 +70,16 @@ function _Salsa20(rounds, testing){
 
     var coreFuncX = new Uint32Array(16);
     function coreFunc(ina, ret){
-        function R(a, b){return (((a) << (b)) | ((a) >>> (32 - (b))));};
-        // Salsa20 Core Word Specification
-        var i; //ret = new Uint32Array(16);
-        var x = coreFuncX;
+        var i, x = coreFuncX;
         for (i=0; i<16; i++) x[i] = ina[i];
+        doubleRounds(x);
+        for(i=0; i<16; i++) ret[i] = x[i] + ina[i];
+    };
 
+    function doubleRounds(x){
+        function R(a, b){return (((a) << (b)) | ((a) >>> (32 - (b))));};
+        // Salsa20 Core Word Specification
+        var i;
         for (i=0; i<rounds; i++){
             x[ 4] ^= R(x[ 0]+x[12], 7);  x[ 8] ^= R(x[ 4]+x[ 0], 9);
             x[12] ^= R(x[ 8]+x[ 4],13);  x[ 0] ^= R(x[12]+x[ 8],18);
@@ -77,8 +98,23 @@ function _Salsa20(rounds, testing){
             x[12] ^= R(x[15]+x[14], 7);  x[13] ^= R(x[12]+x[15], 9);
             x[14] ^= R(x[13]+x[12],13);  x[15] ^= R(x[14]+x[13],18);
         };
+    };
 
-        for(i=0; i<16; i++) ret[i] = x[i] + ina[i];
+    // HSalsa20, deriving a subkey of XSalsa20 from a 32 bytes key and the
+    // first 16 bytes of its nonce, i.e. the core without the final addition
+    function hsalsa(keyBuf, nonceBuf){
+        var key = new Uint32Array(keyBuf),
+            nonce = new Uint32Array(nonceBuf),
+            x = new Uint32Array([
+                0x61707865, key[0], key[1], key[2],
+                key[3], 0x3320646e, nonce[0], nonce[1],
+                nonce[2], nonce[3], 0x79622d32, key[4],
+                key[5], key[6], key[7], 0x6b206574
+            ]);
+        doubleRounds(x);
+        return new Uint32Array([
+            x[0], x[5], x[10], x[15], x[6], x[7], x[8], x[9]
+        ]).buffer;
     };
 
     /* key expansion */
@@ -165,6 +201,12 @@ function _Salsa20(rounds, testing){
     };
 
     function _initialize(nonceBuf, keyBuf){
+        _counterReset();
+        if(24 == nonceBuf.byteLength){
+            if(32 != keyBuf.byteLength) throw new Error('invalid-key-length');
+            keyBuf = hsalsa(keyBuf, nonceBuf.slice(0, 16));
+            nonceBuf = nonceBuf.slice(16, 24);
+        };
         var nonce = new Uint32Array(nonceBuf);
         if(32 == keyBuf.byteLength){
             var key = new Uint32Array(keyBuf);
@@ -194,7 +236,7 @@ function _Salsa20(rounds, testing){
         if(!isArrayBuffer(dataBuf)) throw new Error('invalid-input');
 
         var origLength = dataBuf.byteLength,
-            blocksCount = Math.floor(origLength / 64) + 1,
+            blocksCount = Math.ceil(origLength / 64),
             block = new Uint32Array(16);    // holder of new generated block
         var stream = new Uint8Array(dataBuf),
             xorStream = new Uint8Array(stream.length + 64);
@@ -215,23 +257,46 @@ function _Salsa20(rounds, testing){
     };
 
     function _seek(u32_0, u32_1){
-        counter[0] = u32_0;
-        counter[1] = u32_1;
+        if(undefined === u32_1){
+            // a single block number, of up to 2^53
+            counter[0] = u32_0 % 0x100000000;
+            counter[1] = Math.floor(u32_0 / 0x100000000);
+        } else {
+            counter[0] = u32_0;
+            counter[1] = u32_1;
+        };
+    };
+
+    var givenNonce = null, givenKey = null;
+
+    this.nonce = function(nonceBuf){
+        if(!(
+            isArrayBuffer(nonceBuf) &&
+            (8 == nonceBuf.byteLength || 24 == nonceBuf.byteLength)
+        ))
+            throw new Error('invalid-nonce');
+        givenNonce = nonceBuf.slice(0);
+        if(null !== givenKey) _initialize(givenNonce, givenKey);
+        return self;
     };
 
     this.key = function(bufKey){
         if(!isArrayBuffer(bufKey)) throw new Error('invalid-key');
         var keylen = bufKey.byteLength;
 
-        // buffer typed bufKey, first 24 or 40 bytes will be used. among them,
-        // the first 8 bytes will be taken as nonce. the rest will be the key.
-        if(keylen < 24) throw new Error('invalid-key');
-
-        var nonceBuf = bufKey.slice(0, 8);
-        if(keylen < 40)
-            _initialize(nonceBuf, bufKey.slice(8, 24));
-        else
-            _initialize(nonceBuf, bufKey.slice(8, 40));
+        if(null !== givenNonce){
+            // the nonce is given separately, bufKey is the key of 16 or 32
+            // bytes only
+            givenKey = bufKey.slice(0);
+        } else {
+            // buffer typed bufKey, first 24 or 40 bytes will be used. among
+            // them, the first 8 bytes will be taken as nonce. the rest will
+            // be the key.
+            if(keylen < 24) throw new Error('invalid-key');
+            givenNonce = bufKey.slice(0, 8);
+            givenKey = bufKey.slice(8, (keylen < 40) ? 24 : 40);
+        };
+        _initialize(givenNonce, givenKey);
 
         self.encrypt = _xorBuf;
         self.decrypt = _xorBuf;
@@ -3,6 +3,12 @@
  * =======================================================
  *
  * This aims at doing a cascaded symmetric cipher for NeoAtlantis.
+ *
+ * `__enigma_jscrypto__.cipher.symmetric(NAME)` returns this cipher for NAME
+ * being `NCSC512` or omitted, and for `XChaCha20-Poly1305` the AEAD cipher of
+ * `xchacha20poly1305.js`. Both have the same interface, but only the latter
+ * authenticates associated data, given as a second argument to `encrypt` and
+ * `decrypt`. Its attribute `aead` is therefore true, while false here.
  */
 
 (function(tool){
@@ -11,6 +17,8 @@
 function NCSC512(){
     var self = this;
 
+    this.aead = false;
+
     //////////////////////////////////////////////////////////////////////
 
     var keyBuffer = null;
@@ -35,8 +43,13 @@ function NCSC512(){
         return result;
     };
 
-    var encrypt = function(dataBuffer){
-        if(!tool.get('util.type')(dataBuffer).isArrayBuffer())
+    // associated data can't be authenticated, and is refused rather than
+    // being ignored
+    var encrypt = function(dataBuffer, aadBuffer){
+        if(!(
+            tool.get('util.type')(dataBuffer).isArrayBuffer() &&
+            undefined === aadBuffer
+        ))
             throw new Error('invalid-parameter');
 
         // get random bytes
@@ -57,10 +70,11 @@ function NCSC512(){
         return tool.get('util.buffer').concat([saltBuf, result]);
     };
 
-    var decrypt = function(dataBuffer){
+    var decrypt = function(dataBuffer, aadBuffer){
         if(!(
             tool.get('util.type')(dataBuffer).isArrayBuffer() &&
-            dataBuffer.byteLength >= 10
+            dataBuffer.byteLength >= 10 &&
+            undefined === aadBuffer
         ))
             throw new Error('invalid-parameter');
 
@@ -148,7 +162,14 @@ var ChaCha20Decrypt = function(key, ciphertext){
     };
 };
 
-function exporter(){ return new NCSC512(); };
+// the cipher may be chosen by name, as given in a cipher suite
+function exporter(algorithmName){
+    if(undefined === algorithmName || 'NCSC512' === algorithmName)
+        return new NCSC512();
+    if('XChaCha20-Poly1305' === algorithmName)
+        return tool.get('cipher.symmetric.xchacha20poly1305').constructor();
+    throw new Error('invalid-algorithm-choice');
+};
 tool.set('cipher.symmetric', exporter);
 tool.exp('cipher.symmetric', exporter);
 //////////////////////////////////////////////////////////////////////////////
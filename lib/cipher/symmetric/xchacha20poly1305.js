@@ -0,0 +1,197 @@
+/*
+ * ChaCha20-Poly1305 and XChaCha20-Poly1305
+ * ========================================
+ *
+ * Authenticated encryption with associated data(AEAD) as specified in RFC
+ * 8439, and its variant XChaCha20-Poly1305(draft-irtf-cfrg-xchacha), whose
+ * nonces of 24 bytes are long enough to be chosen at random:
+ *
+ *      var aead = tool.get('cipher.symmetric.chacha20poly1305');
+ *      aead.seal(KEY, NONCE, PLAINTEXT, AAD)       // CIPHERTEXT + TAG
+ *      aead.open(KEY, NONCE, CIPHERTEXT + TAG, AAD)
+ *
+ * KEY has 32 bytes, and NONCE 12 bytes for ChaCha20-Poly1305 or 24 bytes for
+ * XChaCha20-Poly1305. The associated data AAD is authenticated but not
+ * encrypted, and may be omitted. `open` returns null when the tag of 16 bytes
+ * doesn't match.
+ *
+ * `cipher.symmetric('XChaCha20-Poly1305')` uses this the same way as NCSC512:
+ *
+ *      .key(KEY).encrypt(PLAINTEXT, AAD)
+ *      .key(KEY).decrypt(CIPHERTEXT, AAD)
+ *
+ * A random nonce is put before the ciphertext. Keys of other lengths than 32
+ * bytes are hashed with BLAKE2b first. Its `aead` attribute is true, telling
+ * that AAD is accepted.
+ */
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+
+var NONCE_LENGTH = 24, TAG_LENGTH = 16;
+
+function pad16(n){ return (16 - n % 16) % 16; };
+
+// aad | pad16(aad) | ciphertext | pad16(ciphertext) | len(aad) | len(ct)
+function macData(aad, ciphertext){
+    var aadEnd = aad.length + pad16(aad.length),
+        ciphertextEnd = aadEnd + ciphertext.length + pad16(ciphertext.length);
+    var ret = new Uint8Array(ciphertextEnd + 16);
+    ret.set(aad, 0);
+    ret.set(ciphertext, aadEnd);
+    writeLength(ret, ciphertextEnd, aad.length);
+    writeLength(ret, ciphertextEnd + 8, ciphertext.length);
+    return ret.buffer;
+};
+
+function writeLength(ary, pos, n){
+    for(var i=0; i<8; i++){
+        ary[pos + i] = n & 0xff;
+        n = Math.floor(n / 256);
+    };
+};
+
+// compares tags in a time not depending on where they differ
+function tagEqual(a, b){
+    var diff = 0;
+    for(var i=0; i<TAG_LENGTH; i++) diff |= a[i] ^ b[i];
+    return 0 === diff;
+};
+
+/*
+ * Returns the ChaCha20 streams with block counter 0, whose first 32 bytes
+ * are the Poly1305 key, and with counter 1 for the data. 24-byte nonces
+ * are those of XChaCha20, which uses a subkey derived with HChaCha20.
+ */
+function streams(keyBuf, nonceBuf){
+    if(!(
+        tool.get('util.type')(keyBuf).isArrayBuffer() &&
+        tool.get('util.type')(nonceBuf).isArrayBuffer() &&
+        32 == keyBuf.byteLength &&
+        (12 == nonceBuf.byteLength || 24 == nonceBuf.byteLength)
+    ))
+        throw new Error('invalid-parameter');
+
+    var key = new Uint8Array(keyBuf), nonce = new Uint8Array(nonceBuf);
+    if(24 == nonce.length){
+        key = tool.get('cipher.symmetric.chacha20.hchacha20')(
+            key, nonce.subarray(0, 16));
+        var subnonce = new Uint8Array(12);
+        subnonce.set(nonce.subarray(16), 4);
+        nonce = subnonce;
+    };
+
+    var stream = tool.get('cipher.symmetric.chacha20.stream'),
+        macKey = new Uint8Array(32);
+    stream(key, nonce, 0).keystream(macKey, 32);
+    return {
+        macKey: macKey.buffer,
+        data: stream(key, nonce, 1),
+    };
+};
+
+function toArray(buf){
+    if(undefined === buf || null === buf) return new Uint8Array(0);
+    if(!tool.get('util.type')(buf).isArrayBuffer())
+        throw new Error('invalid-parameter');
+    return new Uint8Array(buf);
+};
+
+function seal(keyBuf, nonceBuf, plaintextBuf, aadBuf){
+    var plaintext = toArray(plaintextBuf), aad = toArray(aadBuf);
+    var s = streams(keyBuf, nonceBuf),
+        ret = new Uint8Array(plaintext.length + TAG_LENGTH);
+
+    s.data.encrypt(ret, plaintext, plaintext.length);
+    var ciphertext = ret.subarray(0, plaintext.length);
+    ret.set(
+        new Uint8Array(tool.get('cipher.symmetric.poly1305')(
+            s.macKey,
+            macData(aad, ciphertext)
+        )),
+        plaintext.length
+    );
+    return ret.buffer;
+};
+
+function open(keyBuf, nonceBuf, sealedBuf, aadBuf){
+    var sealed = toArray(sealedBuf), aad = toArray(aadBuf);
+    if(sealed.length < TAG_LENGTH) return null;
+    var s = streams(keyBuf, nonceBuf),
+        ciphertext = sealed.subarray(0, sealed.length - TAG_LENGTH),
+        tag = sealed.subarray(ciphertext.length);
+
+    var expected = new Uint8Array(tool.get('cipher.symmetric.poly1305')(
+        s.macKey,
+        macData(aad, ciphertext)
+    ));
+    if(!tagEqual(tag, expected)) return null;
+
+    var ret = new Uint8Array(ciphertext.length);
+    s.data.encrypt(ret, ciphertext, ciphertext.length);
+    return ret.buffer;
+};
+
+//--------------------------------------------------------------------------//
+
+function XChaCha20Poly1305(){
+    var self = this;
+    var keyBuffer = null;
+
+    this.aead = true;
+
+    function encrypt(dataBuffer, aadBuffer){
+        if(!tool.get('util.type')(dataBuffer).isArrayBuffer())
+            throw new Error('invalid-parameter');
+        var nonceBuf = new tool.get('util.srand')().bytes(NONCE_LENGTH);
+        return tool.get('util.buffer').concat([
+            nonceBuf,
+            seal(keyBuffer, nonceBuf, dataBuffer, aadBuffer)
+        ]);
+    };
+
+    function decrypt(dataBuffer, aadBuffer){
+        if(!(
+            tool.get('util.type')(dataBuffer).isArrayBuffer() &&
+            dataBuffer.byteLength >= NONCE_LENGTH + TAG_LENGTH
+        ))
+            throw new Error('invalid-parameter');
+        return open(
+            keyBuffer,
+            dataBuffer.slice(0, NONCE_LENGTH),
+            dataBuffer.slice(NONCE_LENGTH),
+            aadBuffer
+        );
+    };
+
+    this.key = function(keyBuf){
+        if(!(
+            tool.get('util.type')(keyBuf).isArrayBuffer() &&
+            keyBuf.byteLength > 0
+        ))
+            throw new Error('invalid-key');
+        if(32 == keyBuf.byteLength)
+            keyBuffer = keyBuf;
+        else
+            keyBuffer = new tool.get('hash')(32, 'blake2b').hash(keyBuf).buffer;
+
+        delete self.key;
+        self.encrypt = encrypt;
+        self.decrypt = decrypt;
+        return self;
+    };
+
+    return this;
+};
+
+tool.set('cipher.symmetric.chacha20poly1305', {
+    seal: seal,
+    open: open,
+});
+tool.set('cipher.symmetric.xchacha20poly1305', {
+    name: 'XChaCha20-Poly1305',
+    constructor: function(){
+        return new XChaCha20Poly1305();
+    },
+});
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
@@ -2,23 +2,261 @@
  * Enigma Object Encoding/Decoding
  * ===============================
  *
- * Outputs of `identity.js` and `message.js` are instances of this encoder.
- * This a quasi-generic encoder dealing with serialization/deserialization of
- * mentioned messages. Binary or Base64 represented output can be selected
- * in such instances.
+ * Outputs of `identity.js` and `message.js` are binary buffers. This encoder
+ * wraps such buffers into an armored ASCII text, which survives being pasted
+ * into emails, chat windows or web forms:
+ *
+ *      -----BEGIN ENIGMA MESSAGE-----
+ *      Encoding: Base64
+ *      Comment: anything
+ *
+ *      RUMAAQ... (line-wrapped data)
+ *      =AbCd
+ *      -----END ENIGMA MESSAGE-----
+ *
+ * The line beginning with `=` carries a checksum(first 3 bytes of the hash
+ * of the data) in the same encoding, so that transmission errors are
+ * detected before the data is parsed. Data may be encoded in Base64 or in
+ * Base32, the latter is case insensitive and easier to be read aloud.
+ *
+ *      var encoder = __enigma_jscrypto__.enigma.encoder;
+ *      var text = encoder.armor('MESSAGE', BUFFER, {encoding: 'base32'});
+ *      var block = encoder.dearmor(text); // {type, headers, data}
  *
  * It is also able to read in any input and decide, if it contains an `Enigma`
- * generated input. The reading and decoding such inputs will be then done.
+ * generated input. `find` returns all valid armored blocks found within a
+ * given text, even if they are quoted(like lines beginning with `> ` in an
+ * email). `decode` accepts either an armored text or a HEX string and
+ * returns the buffer.
  */
 (function(tool){
 //////////////////////////////////////////////////////////////////////////////
+// Adjustable
+var config = {
+    lineLength: 64,
+    checksumLength: 3,
+    defaultEncoding: 'base64',
+};
+/****************************************************************************/
+
+var encodings = {
+    'base64': 'Base64',
+    'base32': 'Base32',
+};
+
+var regexpBegin = /^(.*?)-----BEGIN ENIGMA ([A-Z][A-Z ]*[A-Z])-----\s*$/,
+    regexpHeader = /^([A-Za-z][A-Za-z0-9\-]*):\s*(.*)$/;
+
+function checksum(dataBuf){
+    return tool.get('hash')(config.checksumLength).hash(dataBuf).buffer;
+};
+
+function encodeData(dataBuf, encoding){
+    if('base32' == encoding)
+        return tool.get('util.encoding')(dataBuf).toBase32();
+    return tool.get('util.encoding')(dataBuf).toBase64();
+};
+
+function decodeData(str, encoding){
+    if('base32' == encoding) str = str.toLowerCase();
+    return tool.get('util.encoding')(str, encoding).toArrayBuffer();
+};
+
+function armor(type, dataBuf, options){
+    if(!options) options = {};
+    var testType = tool.get('util.type');
+
+    if(!(
+        testType(type).isString() &&
+        /^[A-Z][A-Z ]*[A-Z]$/.test(type) &&
+        testType(dataBuf).isArrayBuffer()
+    ))
+        throw new Error('enigma-invalid-input');
+
+    var encoding = (options.encoding || config.defaultEncoding).toLowerCase();
+    if(!encodings[encoding]) throw new Error('enigma-invalid-input');
 
-function abstractMessage(){
-    var self = this;
+    var lines = ['-----BEGIN ENIGMA ' + type + '-----'];
 
+    lines.push('Encoding: ' + encodings[encoding]);
+    if(options.headers){
+        for(var name in options.headers){
+            if(!(
+                regexpHeader.test(name + ': ') &&
+                'encoding' != name.toLowerCase() &&
+                /^[\x20-\x7E]*$/.test(options.headers[name])
+            ))
+                throw new Error('enigma-invalid-input');
+            lines.push(name + ': ' + options.headers[name]);
+        };
+    };
+    lines.push('');
 
-    return this;
+    var body = encodeData(dataBuf, encoding);
+    for(var i=0; i<body.length; i+=config.lineLength)
+        lines.push(body.slice(i, i + config.lineLength));
+
+    lines.push('=' + encodeData(checksum(dataBuf), encoding));
+    lines.push('-----END ENIGMA ' + type + '-----');
+    return lines.join('\n');
 };
 
+/*
+ * Parses lines between BEGIN and END markers. Returns {headers, data} or
+ * throws an error.
+ */
+function parseBlock(lines){
+    var headers = {}, bodyLines = [], checksumLine = null, i = 0, m;
+
+    for(; i<lines.length; i++){
+        if('' == lines[i]){ i++; break; };
+        m = regexpHeader.exec(lines[i]);
+        if(!m){
+            // no headers given, the block starts with data directly
+            if(0 == i) break;
+            throw new Error('enigma-armor-invalid');
+        };
+        headers[m[1]] = m[2];
+    };
+
+    for(; i<lines.length; i++){
+        if('' == lines[i]) continue;
+        if('=' == lines[i][0]){
+            if(null !== checksumLine) throw new Error('enigma-armor-invalid');
+            checksumLine = lines[i].slice(1);
+            continue;
+        };
+        if(null !== checksumLine) throw new Error('enigma-armor-invalid');
+        bodyLines.push(lines[i]);
+    };
+    if(null === checksumLine || bodyLines.length < 1)
+        throw new Error('enigma-armor-invalid');
+
+    var encoding = config.defaultEncoding;
+    for(var name in headers){
+        if('encoding' != name.toLowerCase()) continue;
+        encoding = headers[name].toLowerCase();
+        delete headers[name];
+    };
+    if(!encodings[encoding]) throw new Error('enigma-armor-invalid');
+
+    try{
+        var dataBuf = decodeData(bodyLines.join(''), encoding),
+            checksumBuf = decodeData(checksumLine, encoding);
+    } catch(e){
+        throw new Error('enigma-armor-invalid');
+    };
+
+    if(!tool.get('util.buffer').equal(checksum(dataBuf), checksumBuf))
+        throw new Error('enigma-armor-checksum-mismatch');
+
+    return {headers: headers, data: dataBuf};
+};
+
+/*
+ * Scans the text for armored blocks. When `strict`, the first block found
+ * is returned or its error thrown; otherwise all valid blocks are returned
+ * and invalid ones skipped.
+ */
+function scan(text, strict){
+    if(!tool.get('util.type')(text).isString())
+        throw new Error('enigma-invalid-input');
+
+    var lines = text.split(/\r?\n/), ret = [];
+    var m, prefix, trimmedPrefix, endLine, blockLines, line, block;
+
+    for(var i=0; i<lines.length; i++){
+        m = regexpBegin.exec(lines[i]);
+        if(!m) continue;
+
+        // lines within the block are expected to carry the same prefix as
+        // the BEGIN line, e.g. `> ` in a quoted email. Empty quoted lines
+        // may lose their trailing spaces.
+        prefix = m[1];
+        trimmedPrefix = prefix.replace(/\s+$/, '');
+        endLine = '-----END ENIGMA ' + m[2] + '-----';
+        blockLines = [];
+        block = null;
+
+        for(var j=i+1; j<lines.length; j++){
+            line = lines[j];
+            if(0 == line.indexOf(prefix))
+                line = line.slice(prefix.length);
+            else if(0 == line.indexOf(trimmedPrefix))
+                line = line.slice(trimmedPrefix.length);
+            line = line.trim();
+
+            if(endLine == line){
+                block = blockLines;
+                break;
+            };
+            if(regexpBegin.test(line)) break;
+            blockLines.push(line);
+        };
+
+        if(null === block){
+            if(strict) throw new Error('enigma-armor-invalid');
+            continue;
+        };
+
+        try{
+            block = parseBlock(block);
+        } catch(e){
+            if(strict) throw e;
+            continue;
+        };
+
+        block.type = m[2];
+        if(strict) return block;
+        ret.push(block);
+        i = j;
+    };
+
+    if(strict) throw new Error('enigma-armor-not-found');
+    return ret;
+};
+
+function dearmor(text){ return scan(text, true); };
+function find(text){ return scan(text, false); };
+
+function isArmored(text){
+    if(!tool.get('util.type')(text).isString()) return false;
+    var lines = text.split(/\r?\n/);
+    for(var i=0; i<lines.length; i++)
+        if(regexpBegin.test(lines[i])) return true;
+    return false;
+};
+
+/*
+ * Accepts either an armored text(in which case the first block is used, and
+ * must be of one of the `acceptTypes`, if given), or a HEX string.
+ */
+function decode(input, acceptTypes){
+    if(tool.get('util.type')(input).isArrayBuffer()) return input;
+    if(!tool.get('util.type')(input).isString())
+        throw new Error('enigma-invalid-input');
+
+    if(isArmored(input)){
+        var block = dearmor(input);
+        if(acceptTypes && acceptTypes.indexOf(block.type) < 0)
+            throw new Error('enigma-armor-unexpected-type');
+        return block.data;
+    };
+
+    input = input.trim();
+    if(0 == input.length % 2 && /^[0-9a-f]+$/i.test(input))
+        return tool.get('util.encoding')(input, 'hex').toArrayBuffer();
+    throw new Error('enigma-invalid-input');
+};
+
+var exporter = {
+    armor: armor,
+    dearmor: dearmor,
+    find: find,
+    isArmored: isArmored,
+    decode: decode,
+};
+tool.set('enigma.encoder', exporter);
+tool.exp('enigma.encoder', exporter);
 //////////////////////////////////////////////////////////////////////////////
 })(tool);
@@ -3,8 +3,8 @@
  * =====================
  *
  * In `Enigma`, an identity is a public key bound with a description. It is
- * always self-signed(this is the only signature that exists in Enigma system
- * and doesn't follow the standard format of signing--the signing in message).
+ * always self-signed(this signature doesn't follow the standard format of
+ * signing--the signing in message).
  *
  * To initialize a class, 2 ways are provided:
  *  1 by generating an identity. Providing description and selecting algorithm.
@@ -19,6 +19,15 @@
  * The identity is also ready for encryption/decryption/signing/verifying based
  * on how it is generated.
  *
+ * Besides, a private identity may
+ *  o certify other identities, see `certify` and `checkCertification`;
+ *  o issue a revocation certificate, see `exportRevocation` and `revoke`;
+ *  o rotate its encryption key, see `rotate`;
+ *  o be backed up in shares(`exportBackup`, `loadBackup`) or as words
+ *    (`exportMnemonic`).
+ * Identities record their time of creation and may expire, see `generate`.
+ * Those exported in the older layout are still loaded, see `templateLegacy`.
+ *
  *
  * ===================================
  * IMPORTANT!! Remarks on `pinkey` !!!
@@ -44,6 +53,10 @@
  *  In short, you YOURSELF are responsible for providing key good enough to
  *  secure the user's secret(seed used to initialize all user's private key
  *  instances).
+ *
+ *  --------------------------------------------------------------------------
+ *  Update: a passphrase may now be given as a string, see `exportPrivate`.
+ *  --------------------------------------------------------------------------
  */
 (function(tool){
 //////////////////////////////////////////////////////////////////////////////
@@ -55,6 +68,34 @@ var config = {
 /****************************************************************************/
 
 var template = {
+    '_': ['constant', new Uint8Array([69, 73, 1]).buffer],
+        // magic and version of the layout
+    'subject': 'shortBinary',
+    'algorithm': 'uint8',
+        // ID of the cipher suite(see `cipher.suite`). NECRAC128, the only
+        // choice before suites, keeps its former value 0.
+    'public': 'binary',
+    'secret': 'binary',
+        // optional. if given, should be ciphertext protected with pinkey,
+        // see `templateSecret`.
+    'kdf': 'shortBinary',
+        // optional. if given, the pinkey is derived from a passphrase using
+        // parameters in this header.
+    'created': 'datetime',
+    'expires': 'datetime',
+        // optional. after this time the identity shall not be used.
+    'revocation': 'binary',
+        // optional. a revocation certificate, see `templateRevocation`.
+    'subkeys': 'array',
+        // encryption subkeys, oldest first. see `templateSubkey`.
+    'signature': 'binary',
+};
+
+// identities exported before the layout was versioned. In place of the
+// version stands the `algorithm`, which was always 0 then. They have no time
+// of creation, their self signature covers the ID alone, and they are
+// exported again in the current layout.
+var templateLegacy = {
     '_': ['constant', new Uint8Array([69, 73]).buffer],
     'subject': 'shortBinary',
     'algorithm': ['enum',
@@ -62,8 +103,69 @@ var template = {
     ],
     'public': 'binary',
     'secret': 'shortBinary',
-        // optional. if given, should be ciphertext protected with pinkey
-        // max. length: 255 bytes. should be enough!
+        // the primary secret alone, protected with pinkey
+    'signature': 'binary',
+};
+
+// the secrets of a private identity, before being protected with pinkey
+var templateSecret = {
+    '_': ['constant', new Uint8Array([69, 107]).buffer],
+    'primary': 'shortBinary',
+    'subkeys': 'shortArray',    // in the same order as `subkeys` above
+};
+
+// an encryption subkey, certified by the primary key
+var templateSubkey = {
+    '_': ['constant', new Uint8Array([69, 115]).buffer],
+    'identity': 'binary',   // ID of the primary identity
+    'public': 'binary',
+    'created': 'datetime',
+    'expires': 'datetime',
+    'signature': 'binary',
+};
+
+// a share of the secrets, as produced by `exportBackup`
+var templateShare = {
+    '_': ['constant', new Uint8Array([69, 87]).buffer],
+    'identity': 'binary',   // ID of the identity
+    'set': 'shortBinary',   // random, telling shares of the same backup
+    'threshold': 'uint8',
+    'share': 'binary',
+};
+
+// result of `encrypt`, telling which key to use for decryption
+var templateCiphertext = {
+    '_': ['constant', new Uint8Array([69, 120]).buffer],
+    'key': 'shortBinary',   // ID of the subkey, empty for the primary key
+    'ciphertext': 'longBinary',
+};
+
+// the self signature covers the ID and the validity period
+var templateValidity = {
+    '_': ['constant', new Uint8Array([69, 86]).buffer],
+    'created': 'datetime',
+    'expires': 'datetime',
+};
+
+// a certification by one identity over another
+var templateCertification = {
+    '_': ['constant', new Uint8Array([69, 84]).buffer],
+    'certifier': 'binary',  // ID of the certifying identity
+    'identity': 'binary',   // ID of the certified identity
+    'level': ['enum',
+        'casual',   // the binding is believed, but not checked
+        'checked',  // the binding is checked in some way
+        'full',     // the binding is checked carefully
+    ],
+    'created': 'datetime',
+    'signature': 'binary',
+};
+
+var templateRevocation = {
+    '_': ['constant', new Uint8Array([69, 82]).buffer],
+    'identity': 'binary',   // the ID, i.e. hash of public key and subject
+    'created': 'datetime',
+    'reason': 'shortBinary',
     'signature': 'binary',
 };
 
@@ -71,13 +173,23 @@ function identity(){
     var self = this;
     var hash = tool.get('hash');
     var buffer = tool.get('util.buffer');
-    var getDef = tool.get('cipher.asymmetric.definition');
+    var getDef = tool.get('cipher.suite');
     var testType = tool.get('util.type');
 
-    var serializer = tool.get('util.serialize')(template);
+    var serializer = tool.get('util.serialize')(template),
+        legacySerializer = tool.get('util.serialize')(templateLegacy),
+        validitySerializer = tool.get('util.serialize')(templateValidity),
+        revocationSerializer = tool.get('util.serialize')(templateRevocation),
+        certificationSerializer =
+            tool.get('util.serialize')(templateCertification),
+        secretSerializer = tool.get('util.serialize')(templateSecret),
+        subkeySerializer = tool.get('util.serialize')(templateSubkey),
+        shareSerializer = tool.get('util.serialize')(templateShare),
+        ciphertextSerializer = tool.get('util.serialize')(templateCiphertext);
 
     var subjectBuf, secretBuf, publicKeyBuf, algorithmName, signatureBuf,
-        asymCipher;
+        asymCipher, createdDate = null, expiresDate = null,
+        revocationBuf = null, subkeys = [];
 
     var identityID = false;
     function getID(){
@@ -86,6 +198,18 @@ function identity(){
         return identityID;
     };
 
+    function getSelfSigned(){
+        // identities of the legacy layout have no time of creation
+        if(null === createdDate) return getID();
+        return buffer.concat([
+            getID(),
+            validitySerializer.serialize({
+                'created': createdDate,
+                'expires': expiresDate,
+            }),
+        ]);
+    };
+
     ////////////////////// STAGE 1 INITIALIZATION ////////////////////////
 
     /*
@@ -94,6 +218,7 @@ function identity(){
      *  o set `publicKeyBuf`
      *  o set `signatureBuf`
      *  o set `algorithmName`
+     *  o set `createdDate` and `expiresDate`
      *  o initialize `asymCipher`
      */
 
@@ -105,17 +230,31 @@ function identity(){
         self.getHash = getID;
         self.getSubject = getSubject;
         self.getAlgorithm = getAlgorithm;
+        self.getCreated = getCreated;
+        self.getExpires = getExpires;
+        self.isExpired = isExpired;
+        self.isRevoked = isRevoked;
+        self.getRevocation = getRevocation;
+        self.revoke = revoke;
+        self.checkCertification = checkCertification;
+        self.getSubkeys = getSubkeys;
 
         if(prv){
             self.decrypt = decrypt;
             self.sign = sign;
             self.exportPrivate = exportPrivate;
+            self.exportRevocation = exportRevocation;
+            self.certify = certify;
+            self.rotate = rotate;
+            self.exportBackup = exportBackup;
+            self.exportMnemonic = exportMnemonic;
         };
         self.isPrivate = function(){ return Boolean(prv); };
 
         delete self.generate;
         delete self.loadPublic;
         delete self.loadPrivate;
+        delete self.loadBackup;
     };
 
     this.generate = function(subject, options){
@@ -125,11 +264,30 @@ function identity(){
          *  2. Fetch random secret
          *  3. set asymCipher, algorithmName
          *  4. get public key and signature
+         *
+         * `options.expires` is an optional DATE of expiry, covered by the
+         * self signature like the time of creation. `options.secret`, the
+         * words of `exportMnemonic` decoded, restores an identity of the
+         * same subject with the same fingerprint, though with a new time of
+         * creation and without subkeys.
          */
         if(!options) options = {};
         if(!config.subjectRule.test(subject))
             throw new Error('enigma-invalid-input');
 
+        // validity period, recorded precise to seconds
+        createdDate = new Date();
+        createdDate.setUTCMilliseconds(0);
+        if(undefined !== options.expires && null !== options.expires){
+            if(!(
+                testType(options.expires).isDate() &&
+                options.expires.getTime() > createdDate.getTime()
+            ))
+                throw new Error('enigma-invalid-input');
+            expiresDate = new Date(options.expires.getTime());
+            expiresDate.setUTCMilliseconds(0);
+        };
+
         // write subject buf
         subjectBuf =
             tool.get('util.encoding')(subject, 'ascii').toArrayBuffer();
@@ -138,12 +296,20 @@ function identity(){
         algorithmName = options.algorithm || config.defaultAlgorithmName;
         var algorithm = getDef(algorithmName);
         if(!algorithm){
-            algorithmName = defaults.algorithmName;
-            algorithm = getDef(algorithmname);
+            algorithmName = config.defaultAlgorithmName;
+            algorithm = getDef(algorithmName);
         };
 
         // choose a secret, if not given, or use the one in option
-        if(options.overrideSecret){
+        if(undefined !== options.secret){
+            // restoring a known secret, e.g. from `exportMnemonic`
+            if(!(
+                testType(options.secret).isArrayBuffer() &&
+                options.secret.byteLength == algorithm.secretLength
+            ))
+                throw new Error('enigma-invalid-input');
+            secretBuf = options.secret;
+        } else if(options.overrideSecret){
             secretBuf = tool.get('hash')(algorithm.secretLength).hash(
                 tool.get('util.encoding')(
                     options.overrideSecret
@@ -158,51 +324,96 @@ function identity(){
         asymCipher.setPrivateKey(secretBuf);
         publicKeyBuf = asymCipher.getPublicKey();
 
-        signatureBuf = asymCipher.sign(getID());
+        signatureBuf = asymCipher.sign(getSelfSigned());
 
         // initialize the instance
         initialize(true);
     };
 
-    function loadIdentityBuf(buf, pinkeyBuf){
+    function deserialize(buf){
+        // reads either layout, marking the legacy one
+        try{
+            return serializer.deserialize(buf);
+        } catch(e){
+        };
+        try{
+            var d = legacySerializer.deserialize(buf);
+        } catch(e){
+            throw new Error('enigma-invalid-input');
+        };
+        d.legacy = true;
+        return d;
+    };
+
+    function loadIdentityBuf(buf, pinkeyBuf, secretsBuf){
         if(!testType(buf).isArrayBuffer())
             throw new Error('enigma-invalid-input');
+        if(testType(pinkeyBuf).isString())
+            pinkeyBuf = passphraseToBuf(pinkeyBuf);
         if(pinkeyBuf && !testType(pinkeyBuf).isArrayBuffer())
             throw new Error('enigma-invalid-input');
 
-        try{
-            var d = serializer.deserialize(buf);
-        } catch(e){
-            throw new Error('enigma-invalid-input');
-        };
+        var d = deserialize(buf);
 
         var dSubjectBuf = d['subject'],
             dAlgorithmName = d['algorithm'],
             dSignatureBuf = d['signature'],
             dPublicBuf = d['public'],
-            dSecretBuf = d['secret'];
+            dSecretBuf = d['secret'],
+            dKDFBuf = d['kdf'],
+            dCreated = d['created'] || null,
+            dExpires = d['expires'] || null,
+            dRevocationBuf = d['revocation'] || null,
+            dSubkeys = d['subkeys'] || [],
+            dSubkeySecrets = [];
 
         if(!config.subjectRule.test(
             tool.get('util.encoding')(dSubjectBuf).toASCII()
         ))
             throw new Error('enigma-invalid-input');
 
+        // choose the primitives by the suite ID
+        var suite = getDef(dAlgorithmName);
+        if(!suite) throw new Error('enigma-identity-unsupported-suite');
+
         subjectBuf = dSubjectBuf;
-        algorithmName = dAlgorithmName;
+        algorithmName = suite.name;
         signatureBuf = dSignatureBuf;
         publicKeyBuf = dPublicBuf;
+        createdDate = dCreated;
+        expiresDate = dExpires;
 
         // initialize asymmetric cipher
         asymCipher = tool.get('cipher.asymmetric')(algorithmName);
-        if(pinkeyBuf){
+        if(pinkeyBuf || secretsBuf){
             try{
-                secretBuf = tool.get('cipher.symmetric')()
-                    .key(pinkeyBuf)
-                    .decrypt(dSecretBuf)
-                ;
+                if(pinkeyBuf && dKDFBuf)
+                    pinkeyBuf = tool.get('hash.kdf').derive(
+                        pinkeyBuf,
+                        dKDFBuf,
+                        64
+                    );
+                // secrets are either restored from a backup, or decrypted
+                if(pinkeyBuf)
+                    secretsBuf = tool.get('cipher.symmetric')(suite.symmetric)
+                        .key(pinkeyBuf)
+                        .decrypt(dSecretBuf);
+                if(pinkeyBuf && d.legacy)
+                    secretsBuf = secretSerializer.serialize({
+                        'primary': secretsBuf,
+                        'subkeys': [],
+                    });
+                var secrets = secretSerializer.deserialize(secretsBuf);
+                secretBuf = secrets['primary'];
+                dSubkeySecrets = secrets['subkeys'] || [];
             } catch(e){
                 throw new Error('enigma-invalid-pinkey');
             };
+            if(!testType(secretBuf).isArrayBuffer())
+                throw new Error('enigma-invalid-pinkey');
+            // a backup taken before a rotation lacks the later secrets
+            if(dSubkeySecrets.length > dSubkeys.length)
+                throw new Error('enigma-identity-inconsistent');
             asymCipher.setPrivateKey(secretBuf);
 
             var derivedPublicKey = asymCipher.getPublicKey();
@@ -218,13 +429,28 @@ function identity(){
 
         // verify public key self signature
         try{
-            var selfSigVerify = asymCipher.verify(getID(), signatureBuf);
+            var selfSigVerify = asymCipher.verify(
+                getSelfSigned(),
+                signatureBuf
+            );
             if(!selfSigVerify)
                 throw new Error('enigma-identity-bad-self-signature');
         } catch(e){
             throw new Error('enigma-identity-bad-self-signature');
         };
 
+        // a carried revocation certificate must be valid
+        if(dRevocationBuf){
+            if(!verifyRevocation(dRevocationBuf))
+                throw new Error('enigma-identity-bad-revocation');
+            revocationBuf = dRevocationBuf;
+        };
+
+        // subkeys must be certified by the primary key
+        subkeys = [];
+        for(var i=0; i<dSubkeys.length; i++)
+            subkeys.push(readSubkey(dSubkeys[i], dSubkeySecrets[i]));
+
         return true;
     };
 
@@ -244,21 +470,68 @@ function identity(){
         if(loadIdentityBuf(secretIdentityBuf, pinkeyBuf)) initialize(true);
     };
 
-    this.canLoadPrivate = function(testIdentityBuf){
-        if(!testType(testIdentityBuf).isArrayBuffer())
+    this.loadBackup = function(publicIdentityBuf, shareBufs){
+        /*
+         * Restore a private identity from its public part and the shares
+         * of a backup. The restored identity must be exported again with a
+         * new passphrase. Subkeys rotated after the backup are kept without
+         * their secrets, and what was encrypted to them can't be decrypted.
+         */
+        if(!(
+            testType(shareBufs).isArray() &&
+            shareBufs.length > 0
+        ))
             throw new Error('enigma-invalid-input');
 
+        var shares = [], first = null, d;
+        for(var i=0; i<shareBufs.length; i++){
+            try{
+                d = shareSerializer.deserialize(shareBufs[i]);
+            } catch(e){
+                throw new Error('enigma-invalid-input');
+            };
+            if(null === first) first = d;
+            if(!(
+                testType(d.share).isArrayBuffer() &&
+                buffer.equal(d.identity, first.identity) &&
+                buffer.equal(d.set, first.set)
+            ))
+                throw new Error('enigma-identity-bad-backup');
+            shares.push(d.share);
+        };
+        if(shares.length < first.threshold)
+            throw new Error('enigma-identity-bad-backup');
+
         try{
-            var d = serializer.deserialize(testIdentityBuf);
+            var secretsBuf = tool.get('util.sss').combine(shares);
+            var loaded = loadIdentityBuf(
+                publicIdentityBuf,
+                null,
+                secretsBuf
+            );
         } catch(e){
-            throw new Error('enigma-invalid-input');
+            if('enigma-invalid-input' == e.message) throw e;
+            throw new Error('enigma-identity-bad-backup');
         };
+        if(!buffer.equal(getID(), first.identity))
+            throw new Error('enigma-identity-bad-backup');
+        if(loaded) initialize(true);
+    };
+
+    this.canLoadPrivate = function(testIdentityBuf){
+        if(!testType(testIdentityBuf).isArrayBuffer())
+            throw new Error('enigma-invalid-input');
 
-        return Boolean(null != d['secret']);
+        return Boolean(null != deserialize(testIdentityBuf)['secret']);
     };
 
     ////////////////////////// STAGE 2 USAGE ////////////////////////////
 
+    function passphraseToBuf(passphrase){
+        if(passphrase.length < 1) throw new Error('enigma-invalid-pinkey');
+        return tool.get('util.encoding')(passphrase).toArrayBuffer();
+    };
+
     function getSubject(){
         return tool.get('util.encoding')(subjectBuf).toASCII();
     };
@@ -267,8 +540,339 @@ function identity(){
         return algorithmName;
     };
 
+    function getCreated(){ return createdDate; };
+    function getExpires(){ return expiresDate; };
+
+    function isExpired(atDate){
+        if(!expiresDate) return false;
+        if(!atDate) atDate = new Date();
+        return expiresDate.getTime() < atDate.getTime();
+    };
+
+    function isRevoked(){ return null !== revocationBuf; };
+    function getRevocation(){ return revocationBuf; };
+
+    function checkUsable(){
+        if(isRevoked()) throw new Error('enigma-identity-revoked');
+        if(isExpired()) throw new Error('enigma-identity-expired');
+    };
+
+    function exportRevocation(reason){
+        /*
+         * Issue a revocation certificate for this identity. The optional
+         * reason is a short ASCII string. The certificate does not revoke
+         * this instance, unless it's given to `revoke`. Best issued right
+         * after generation and kept somewhere safe.
+         */
+        var reasonBuf = null;
+        if(undefined !== reason && null !== reason){
+            if(!(
+                testType(reason).isString() &&
+                /^[\x20-\x7E]{1,255}$/.test(reason)
+            ))
+                throw new Error('enigma-invalid-input');
+            reasonBuf = tool.get('util.encoding')(reason, 'ascii')
+                .toArrayBuffer();
+        };
+
+        var created = new Date();
+        created.setUTCMilliseconds(0);
+        var signedBuf = revocationSerializer.serialize({
+            'identity': getID(),
+            'created': created,
+            'reason': reasonBuf,
+            'signature': null,
+        });
+        return revocationSerializer.serialize({
+            'identity': getID(),
+            'created': created,
+            'reason': reasonBuf,
+            'signature': asymCipher.sign(signedBuf),
+        });
+    };
+
+    function readRevocation(certBuf){
+        // returns the deserialized certificate, if it's valid for this
+        // identity, otherwise null.
+        if(!testType(certBuf).isArrayBuffer()) return null;
+        try{
+            var d = revocationSerializer.deserialize(certBuf);
+        } catch(e){
+            return null;
+        };
+        if(!(
+            testType(d.identity).isArrayBuffer() &&
+            testType(d.signature).isArrayBuffer() &&
+            buffer.equal(d.identity, getID())
+        ))
+            return null;
+
+        var signedBuf = revocationSerializer.serialize({
+            'identity': d.identity,
+            'created': d.created,
+            'reason': d.reason,
+            'signature': null,
+        });
+        try{
+            if(true !== asymCipher.verify(signedBuf, d.signature))
+                return null;
+        } catch(e){
+            return null;
+        };
+        return d;
+    };
+
+    function verifyRevocation(certBuf){
+        return null !== readRevocation(certBuf);
+    };
+
+    function revoke(certBuf){
+        /*
+         * Apply a revocation certificate. Returns an object describing the
+         * revocation, i.e. `{created: DATE, reason: STRING or null}`. The
+         * certificate is then carried in the exports, and the identity
+         * refuses to encrypt or to sign, as it does once expired.
+         */
+        var d = readRevocation(certBuf);
+        if(null === d) throw new Error('enigma-identity-bad-revocation');
+        revocationBuf = certBuf;
+        return {
+            created: d.created,
+            reason: (
+                d.reason ?
+                tool.get('util.encoding')(d.reason).toASCII() :
+                null
+            ),
+        };
+    };
+
+    function certify(targetIdentity, options){
+        /*
+         * Certify another identity, i.e. vouch for the binding between its
+         * subject and public key. `options.level` tells how carefully this
+         * was checked, default is 'checked'.
+         */
+        if(!options) options = {};
+        var level = options.level || 'checked';
+        if(!(
+            targetIdentity &&
+            testType(targetIdentity.getHash).isFunction() &&
+            templateCertification.level.indexOf(level) > 0
+        ))
+            throw new Error('enigma-invalid-input');
+        if(buffer.equal(targetIdentity.getHash(), getID()))
+            throw new Error('enigma-invalid-input');
+        checkUsable();
+
+        var created = new Date();
+        created.setUTCMilliseconds(0);
+        var certification = {
+            'certifier': getID(),
+            'identity': targetIdentity.getHash(),
+            'level': level,
+            'created': created,
+            'signature': null,
+        };
+        certification.signature = asymCipher.sign(
+            certificationSerializer.serialize(certification)
+        );
+        return certificationSerializer.serialize(certification);
+    };
+
+    function checkCertification(certBuf, certifiedIdentity){
+        /*
+         * Check a certification issued by this identity over the given one.
+         * Returns `{level: LEVEL, created: DATE}` when valid, otherwise
+         * null.
+         */
+        if(!(
+            testType(certBuf).isArrayBuffer() &&
+            certifiedIdentity &&
+            testType(certifiedIdentity.getHash).isFunction()
+        ))
+            throw new Error('enigma-invalid-input');
+
+        try{
+            var d = certificationSerializer.deserialize(certBuf);
+        } catch(e){
+            return null;
+        };
+        if(!(
+            testType(d.certifier).isArrayBuffer() &&
+            testType(d.identity).isArrayBuffer() &&
+            testType(d.signature).isArrayBuffer() &&
+            buffer.equal(d.certifier, getID()) &&
+            buffer.equal(d.identity, certifiedIdentity.getHash())
+        ))
+            return null;
+
+        var signatureBuf = d.signature;
+        d.signature = null;
+        try{
+            if(true !== asymCipher.verify(
+                certificationSerializer.serialize(d),
+                signatureBuf
+            ))
+                return null;
+        } catch(e){
+            return null;
+        };
+        return {level: d.level, created: d.created};
+    };
+
+    function getSubkeyCipher(){
+        var conf = getDef(algorithmName).crypt;
+        return tool.get('cipher.asymmetric.' + conf.algorithm)
+            .constructor(conf.parameters);
+    };
+
+    function readSubkey(subkeyBuf, subkeySecretBuf){
+        // returns the subkey, after checking its certification and, when
+        // given, its secret. Throws an error otherwise.
+        try{
+            var d = subkeySerializer.deserialize(subkeyBuf);
+        } catch(e){
+            throw new Error('enigma-identity-bad-subkey');
+        };
+        if(!(
+            testType(d.identity).isArrayBuffer() &&
+            testType(d.public).isArrayBuffer() &&
+            testType(d.signature).isArrayBuffer() &&
+            buffer.equal(d.identity, getID())
+        ))
+            throw new Error('enigma-identity-bad-subkey');
+
+        var subkeySignatureBuf = d.signature;
+        d.signature = null;
+        try{
+            var subkeySigVerify = asymCipher.verify(
+                subkeySerializer.serialize(d),
+                subkeySignatureBuf
+            );
+        } catch(e){
+            throw new Error('enigma-identity-bad-subkey');
+        };
+        if(true !== subkeySigVerify)
+            throw new Error('enigma-identity-bad-subkey');
+
+        var cipher = getSubkeyCipher();
+        if(subkeySecretBuf && 0 == subkeySecretBuf.byteLength)
+            subkeySecretBuf = null;
+        if(subkeySecretBuf){
+            cipher.setPrivateKey(subkeySecretBuf);
+            if(!buffer.equal(cipher.getPublicKey(), d.public))
+                throw new Error('enigma-identity-inconsistent');
+        } else
+            cipher.setPublicKey(d.public);
+
+        return {
+            id: hash(10).hash(d.public).buffer,
+            buf: subkeyBuf,
+            secret: subkeySecretBuf || null,
+            created: d.created,
+            expires: d.expires,
+            cipher: cipher,
+        };
+    };
+
+    function rotate(options){
+        /*
+         * Generate a new encryption subkey, which will be preferred by
+         * `encrypt` from now on. `options.expires` optionally limits its
+         * use. Returns the ID of the subkey in Base32.
+         *
+         * The subkey is certified by the primary key and carried in the
+         * exports. Older subkeys are kept for `decrypt`. As the ID covers
+         * only the primary public key and the subject, the fingerprint
+         * stays the same.
+         */
+        if(!options) options = {};
+        checkUsable();
+        if(subkeys.length >= 255) throw new Error('enigma-invalid-input');
+
+        var created = new Date(), expires = null;
+        created.setUTCMilliseconds(0);
+        if(undefined !== options.expires && null !== options.expires){
+            if(!(
+                testType(options.expires).isDate() &&
+                options.expires.getTime() > created.getTime()
+            ))
+                throw new Error('enigma-invalid-input');
+            expires = new Date(options.expires.getTime());
+            expires.setUTCMilliseconds(0);
+        };
+
+        var conf = getDef(algorithmName).crypt,
+            subkeySecretBuf = tool.get('util.srand')().bytes(conf.secretLength),
+            cipher = getSubkeyCipher();
+        cipher.setPrivateKey(subkeySecretBuf);
+
+        var subkey = {
+            'identity': getID(),
+            'public': cipher.getPublicKey(),
+            'created': created,
+            'expires': expires,
+            'signature': null,
+        };
+        subkey.signature = asymCipher.sign(subkeySerializer.serialize(subkey));
+
+        var added = readSubkey(
+            subkeySerializer.serialize(subkey),
+            subkeySecretBuf
+        );
+        subkeys.push(added);
+        return tool.get('util.encoding')(added.id).toBase32();
+    };
+
+    function getSubkeys(){
+        // lists the subkeys, oldest first
+        var ret = [];
+        for(var i=0; i<subkeys.length; i++)
+            ret.push({
+                id: tool.get('util.encoding')(subkeys[i].id).toBase32(),
+                created: subkeys[i].created,
+                expires: subkeys[i].expires,
+                expired: Boolean(
+                    subkeys[i].expires &&
+                    subkeys[i].expires.getTime() < new Date().getTime()
+                ),
+            });
+        return ret;
+    };
+
+    function getEncryptingSubkey(){
+        // the newest subkey not expired, or null
+        var now = new Date().getTime(), chosen = null;
+        for(var i=0; i<subkeys.length; i++){
+            if(subkeys[i].expires && subkeys[i].expires.getTime() < now)
+                continue;
+            if(
+                null === chosen ||
+                subkeys[i].created.getTime() >= chosen.created.getTime()
+            )
+                chosen = subkeys[i];
+        };
+        return chosen;
+    };
+
+    function listSubkeySecrets(){
+        // secrets missing after a restore are written as empty
+        var ret = [];
+        for(var i=0; i<subkeys.length; i++)
+            ret.push(subkeys[i].secret || new Uint8Array(0).buffer);
+        return ret;
+    };
+
+    function listSubkeyBufs(){
+        var ret = [];
+        for(var i=0; i<subkeys.length; i++) ret.push(subkeys[i].buf);
+        return ret;
+    };
+
     function getFingerprint(useStrFormat){
         var fp = getID().slice(0, 10);
+        if('mnemonic' === useStrFormat)
+            return tool.get('util.encoding')(fp).toMnemonic();
         if(useStrFormat) return tool.get('util.encoding')(fp).toBase32();
         return fp;
     };
@@ -276,36 +880,112 @@ function identity(){
     function exportPublic(){
         var ret = serializer.serialize({
             'subject': subjectBuf,
-            'algorithm': algorithmName,
+            'algorithm': getDef(algorithmName).id,
             'public': publicKeyBuf,
             'secret': new Uint8Array(0).buffer,
+            'kdf': new Uint8Array(0).buffer,
+            'created': createdDate,
+            'expires': expiresDate,
+            'revocation': revocationBuf,
+            'subkeys': listSubkeyBufs(),
             'signature': signatureBuf,
         });
         return ret;
     };
 
-    function exportPrivate(pinkeyBuf){
+    function exportPrivate(pinkeyBuf, options){
+        /*
+         * Export the private identity, protecting the secret either with
+         * a pinkey(an `ArrayBuffer` of at least 32 bytes), or with a
+         * passphrase(a string), in which case `options.kdf` may specify the
+         * cost parameters for `hash.kdf`. These are stored in the `kdf`
+         * field, which is left empty for a pinkey.
+         */
+        var kdfBuf = new Uint8Array(0).buffer;
+        if(testType(pinkeyBuf).isString()){
+            kdfBuf = tool.get('hash.kdf').header((options || {}).kdf);
+            pinkeyBuf = tool.get('hash.kdf').derive(
+                passphraseToBuf(pinkeyBuf),
+                kdfBuf,
+                64
+            );
+        };
         if(!(
             testType(pinkeyBuf).isArrayBuffer() &&
             pinkeyBuf.byteLength >= 32
         ))
             throw new Error('enigma-invalid-pinkey');
 
-        var secretEncryptedBuf = tool.get('cipher.symmetric')()
+        var subkeySecrets = listSubkeySecrets();
+
+        var symmetric = getDef(algorithmName).symmetric;
+        var secretEncryptedBuf = tool.get('cipher.symmetric')(symmetric)
             .key(pinkeyBuf)
-            .encrypt(secretBuf)
+            .encrypt(secretSerializer.serialize({
+                'primary': secretBuf,
+                'subkeys': subkeySecrets,
+            }))
         ;
 
         var ret = serializer.serialize({
             'subject': subjectBuf,
-            'algorithm': algorithmName,
+            'algorithm': getDef(algorithmName).id,
             'public': publicKeyBuf,
             'secret': secretEncryptedBuf,
+            'kdf': kdfBuf,
+            'created': createdDate,
+            'expires': expiresDate,
+            'revocation': revocationBuf,
+            'subkeys': listSubkeyBufs(),
             'signature': signatureBuf,
         });
         return ret;
     };
 
+    function exportBackup(options){
+        /*
+         * Split the secrets into `options.shares` shares, of which
+         * `options.threshold` are required for restoring. Returns a list of
+         * serialized shares(see `util.sss`).
+         *
+         * Only the subkeys existing now are covered, so the backup should be
+         * renewed after each rotation.
+         */
+        if(!options) options = {};
+        var count = options.shares, threshold = options.threshold;
+        if(!(
+            testType(count).isNumber() &&
+            testType(threshold).isNumber() &&
+            threshold >= 2 && threshold <= count && count <= 255
+        ))
+            throw new Error('enigma-invalid-input');
+
+        var subkeySecrets = listSubkeySecrets();
+        var shares = tool.get('util.sss').split(
+            secretSerializer.serialize({
+                'primary': secretBuf,
+                'subkeys': subkeySecrets,
+            }),
+            count,
+            threshold
+        );
+
+        var setBuf = tool.get('util.srand')().bytes(8), ret = [];
+        for(var i=0; i<shares.length; i++)
+            ret.push(shareSerializer.serialize({
+                'identity': getID(),
+                'set': setBuf,
+                'threshold': threshold,
+                'share': shares[i],
+            }));
+        return ret;
+    };
+
+    function exportMnemonic(){
+        // the primary secret as words, see `util.encoding` and `generate`
+        return tool.get('util.encoding')(secretBuf).toMnemonic();
+    };
+
     function verify(plaintext, signature){
         if(!(
             testType(plaintext).isArrayBuffer() &&
@@ -323,6 +1003,7 @@ function identity(){
     function sign(plaintext){
         if(!testType(plaintext).isArrayBuffer())
             throw new Error('enigma-invalid-input');
+        checkUsable();
 
         try{
             return asymCipher.sign(plaintext);
@@ -332,25 +1013,65 @@ function identity(){
     };
 
     function encrypt(plaintext){
+        // with the newest valid subkey, or the primary key if there's none,
+        // tagging the ciphertext with the key used
         if(!testType(plaintext).isArrayBuffer())
             throw new Error('enigma-invalid-input');
+        checkUsable();
 
+        var subkey = getEncryptingSubkey();
         try{
-            return asymCipher.encrypt(plaintext);
+            return ciphertextSerializer.serialize({
+                'key': (subkey ? subkey.id : null),
+                'ciphertext': (
+                    subkey ?
+                    subkey.cipher.encrypt(plaintext) :
+                    asymCipher.encrypt(plaintext)
+                ),
+            });
         } catch(e){
             throw new Error('enigma-identity-unable-to-encrypt');
         };
     };
 
+    function decryptWrapped(d){
+        // find the key used, which may be an expired subkey
+        var cipher = asymCipher;
+        if(d.key){
+            cipher = null;
+            for(var i=0; i<subkeys.length; i++){
+                if(!buffer.equal(subkeys[i].id, d.key)) continue;
+                // not restored, if rotated after the backup
+                if(subkeys[i].secret) cipher = subkeys[i].cipher;
+                break;
+            };
+            if(null === cipher)
+                throw new Error('enigma-identity-unable-to-decrypt');
+        };
+        return cipher.decrypt(d.ciphertext);
+    };
+
     function decrypt(ciphertext){
         if(!testType(ciphertext).isArrayBuffer())
             throw new Error('enigma-invalid-input');
 
         try{
-            return asymCipher.decrypt(ciphertext);
+            var result = decryptWrapped(
+                ciphertextSerializer.deserialize(ciphertext));
+            if(null !== result) return result;
         } catch(e){
-            throw new Error('enigma-identity-unable-to-decrypt');
         };
+
+        // ciphertexts written before subkeys existed are not wrapped with
+        // `templateCiphertext`, and belong to the primary key
+        try{
+            result = asymCipher.decrypt(ciphertext);
+        } catch(e){
+            result = null;
+        };
+        if(null === result)
+            throw new Error('enigma-identity-unable-to-decrypt');
+        return result;
     };
 
     return this;
@@ -358,8 +1079,93 @@ function identity(){
 
 
 
+/*
+ * Reads a revocation certificate without verifying it, e.g. to find out the
+ * identity it's issued for. Returns null if the input is not a revocation
+ * certificate. The result must only be trusted after `revoke` on the named
+ * identity has succeeded.
+ */
+function readRevocation(certBuf){
+    if(!tool.get('util.type')(certBuf).isArrayBuffer()) return null;
+    try{
+        var d = tool.get('util.serialize')(templateRevocation)
+            .deserialize(certBuf);
+    } catch(e){
+        return null;
+    };
+    if(!tool.get('util.type')(d.identity).isArrayBuffer()) return null;
+    return {
+        fingerprint: tool.get('util.encoding')(d.identity.slice(0, 10))
+            .toBase32(),
+        created: d.created,
+        reason: (
+            d.reason ? tool.get('util.encoding')(d.reason).toASCII() : null
+        ),
+    };
+};
+
+/*
+ * Reads a certification without verifying it. Returns null if the input is
+ * not a certification.
+ */
+function readCertification(certBuf){
+    if(!tool.get('util.type')(certBuf).isArrayBuffer()) return null;
+    try{
+        var d = tool.get('util.serialize')(templateCertification)
+            .deserialize(certBuf);
+    } catch(e){
+        return null;
+    };
+    if(!(
+        tool.get('util.type')(d.certifier).isArrayBuffer() &&
+        tool.get('util.type')(d.identity).isArrayBuffer() &&
+        templateCertification.level.indexOf(d.level) > 0
+    ))
+        return null;
+    return {
+        certifier: tool.get('util.encoding')(d.certifier.slice(0, 10))
+            .toBase32(),
+        identity: tool.get('util.encoding')(d.identity.slice(0, 10))
+            .toBase32(),
+        level: d.level,
+        created: d.created,
+    };
+};
+
+/*
+ * Reads a share of a backup, e.g. to find out how many shares are required.
+ * Returns null if the input is not such a share.
+ */
+function readShare(shareBuf){
+    if(!tool.get('util.type')(shareBuf).isArrayBuffer()) return null;
+    try{
+        var d = tool.get('util.serialize')(templateShare)
+            .deserialize(shareBuf);
+    } catch(e){
+        return null;
+    };
+    if(!(
+        tool.get('util.type')(d.identity).isArrayBuffer() &&
+        tool.get('util.type')(d.set).isArrayBuffer() &&
+        tool.get('util.type')(d.share).isArrayBuffer()
+    ))
+        return null;
+    return {
+        fingerprint: tool.get('util.encoding')(d.identity.slice(0, 10))
+            .toBase32(),
+        set: tool.get('util.encoding')(d.set).toHEX(),
+        threshold: d.threshold,
+    };
+};
+
 var exporter = function(){ return new identity(); };
 tool.set('enigma.identity', exporter);
+tool.set('enigma.identity.readRevocation', readRevocation);
+tool.set('enigma.identity.readCertification', readCertification);
+tool.set('enigma.identity.readShare', readShare);
 tool.exp('enigma.identity', exporter);
+tool.exp('enigma.identity.readRevocation', readRevocation);
+tool.exp('enigma.identity.readCertification', readCertification);
+tool.exp('enigma.identity.readShare', readShare);
 //////////////////////////////////////////////////////////////////////////////
 })(tool);
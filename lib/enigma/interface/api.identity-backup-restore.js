@@ -0,0 +1,104 @@
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+
+function getTaskList(_storage, log){
+    var list = [];
+
+    // collect shares, until there are enough of them
+
+    list.push(function askShare(data){
+        if(!data.shares) return {data: {shares: []}, question: 'text.share'};
+        return {question: 'text.share'};
+    });
+
+    list.push(function addShare(data, answer){
+        try{
+            var shareBuf = tool.get('util.encoding')(
+                answer['text.share'].toLowerCase(),
+                'base32'
+            ).toArrayBuffer();
+        } catch(e){
+            return {error: 'invalid-share', jump: 'askShare'};
+        };
+
+        var info = tool.get('enigma.identity.readShare')(shareBuf);
+        if(!info) return {error: 'invalid-share', jump: 'askShare'};
+        if(data.shares.length > 0 && !(
+            info.fingerprint == data.info.fingerprint &&
+            info.set == data.info.set
+        ))
+            return {error: 'invalid-share', jump: 'askShare'};
+
+        var shares = data.shares.concat([shareBuf]);
+        if(shares.length < info.threshold)
+            return {data: {shares: shares, info: info}, jump: 'askShare'};
+        return {data: {shares: shares, info: info}};
+    });
+
+
+    // restore with the public identity in storage
+
+    list.push(function restoreIdentity(data, answer){
+        var publicIdentity = tool.get(
+            'enigma.interface.api.message.common.loadIdentity'
+        )(_storage, data.info.fingerprint, false);
+        if(!publicIdentity)
+            return {error: 'identity-not-found', terminate: true};
+
+        var identity = tool.get('enigma.identity')();
+        try{
+            identity.loadBackup(publicIdentity.exportPublic(), data.shares);
+        } catch(e){
+            return {error: 'unable-to-restore', terminate: true};
+        };
+        return {data: {identity: identity}};
+    });
+
+    list.push(function askPassphrase(){
+        // for saving the restored identity
+        return {question: 'text.passphrase'};
+    });
+
+    list.push(function doer(data, answer){
+        var storage = tool.get('enigma.interface.storage')(_storage);
+        var fingerprint = data.identity.getFingerprint(true);
+
+        var identityBuf = data.identity.exportPrivate(answer['text.passphrase']);
+        storage.value(
+            fingerprint,
+            tool.get('util.encoding')(identityBuf).toBase64()
+        );
+        storage.note(fingerprint, 'isPrivate', true);
+        log('Identity [' + fingerprint + '] restored.');
+
+        return {terminate: fingerprint};
+    });
+
+    return list;
+};
+
+/****************************************************************************/
+
+var exporter = {
+    variables: {
+        'text.share': {
+            type: 'string',
+            validate: function(v){ return /^[0-9a-z]+$/i.test(v); },
+        },
+        'text.passphrase': {
+            type: 'string',
+            validate: function(v){ return /^[\x20-\x7E]{32,}$/.test(v); },
+        },
+    },
+    errors: [
+        'invalid-share',
+        'identity-not-found',
+        'unable-to-restore',
+    ],
+    constructor: function(storage, log){
+        return getTaskList(storage, log);
+    },
+};
+tool.set('enigma.interface.api.identity-backup-restore', exporter);
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
@@ -0,0 +1,97 @@
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+
+function getTaskList(_storage, log){
+    var list = [];
+
+    list.push(function askFingerprint(){
+        // the private identity to be backed up
+        return {question: 'text.fingerprint'};
+    });
+
+    list.push(function askPassphrase(){
+        return {question: 'text.passphrase'};
+    });
+
+    list.push(function loadIdentity(data, answer){
+        var storage = tool.get('enigma.interface.storage')(_storage);
+        var fingerprint = answer['text.fingerprint'];
+        if(true !== storage.note(fingerprint, 'isPrivate'))
+            return {error: 'identity-not-found', terminate: true};
+
+        var identity = tool.get(
+            'enigma.interface.api.message.common.loadIdentity'
+        )(_storage, fingerprint, answer['text.passphrase']);
+        if(!identity)
+            return {error: 'unable-to-load-identity', jump: 'askPassphrase'};
+        return {data: {identity: identity}};
+    });
+
+    list.push(function askShares(){
+        // number of shares to be given out
+        return {question: 'text.shares'};
+    });
+
+    list.push(function askThreshold(){
+        // number of shares required for restoring
+        return {question: 'text.threshold'};
+    });
+
+    list.push(function doer(data, answer){
+        try{
+            var shares = data.identity.exportBackup({
+                shares: parseInt(answer['text.shares'], 10),
+                threshold: parseInt(answer['text.threshold'], 10),
+            });
+        } catch(e){
+            return {error: 'invalid-threshold', terminate: true};
+        };
+
+        var ret = [];
+        for(var i=0; i<shares.length; i++)
+            ret.push(tool.get('util.encoding')(shares[i]).toBase32());
+        log(
+            'Identity [' + answer['text.fingerprint'] + '] split into ' +
+            ret.length + ' shares.'
+        );
+        return {terminate: ret};
+    });
+
+    return list;
+};
+
+/****************************************************************************/
+
+var exporter = {
+    variables: {
+        'text.fingerprint': {
+            type: 'string',
+            validate: function(v){
+                return /^[0-9a-z]+$/i.test(v);
+            },
+        },
+        'text.passphrase': {
+            type: 'string',
+            validate: function(v){ return /^[\x20-\x7E]{32,}$/.test(v); },
+        },
+        'text.shares': {
+            type: 'string',
+            validate: function(v){ return /^[0-9]{1,3}$/.test(v); },
+        },
+        'text.threshold': {
+            type: 'string',
+            validate: function(v){ return /^[0-9]{1,3}$/.test(v); },
+        },
+    },
+    errors: [
+        'identity-not-found',
+        'unable-to-load-identity',
+        'invalid-threshold',
+    ],
+    constructor: function(storage, log){
+        return getTaskList(storage, log);
+    },
+};
+tool.set('enigma.interface.api.identity-backup-split', exporter);
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
@@ -0,0 +1,116 @@
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+
+function getTaskList(_storage, log){
+    var list = [];
+
+    list.push(function askFingerprint(){
+        // the identity to be certified
+        return {question: 'text.fingerprint'};
+    });
+
+    list.push(function loadIdentity(data, answer){
+        var identity = tool.get(
+            'enigma.interface.api.message.common.loadIdentity'
+        )(_storage, answer['text.fingerprint'], false);
+        if(!identity) return {error: 'identity-not-found', terminate: true};
+        return {data: {identity: identity}};
+    });
+
+    list.push(function askCertifierFingerprint(){
+        return {question: 'text.certifier-fingerprint'};
+    });
+
+    list.push(function askPassphrase(){
+        return {question: 'text.passphrase'};
+    });
+
+    list.push(function loadCertifier(data, answer){
+        var storage = tool.get('enigma.interface.storage')(_storage);
+        var fingerprint = answer['text.certifier-fingerprint'];
+        if(true !== storage.note(fingerprint, 'isPrivate'))
+            return {
+                error: 'unable-to-load-identity',
+                jump: 'askCertifierFingerprint',
+            };
+
+        var certifier = tool.get(
+            'enigma.interface.api.message.common.loadIdentity'
+        )(_storage, fingerprint, answer['text.passphrase']);
+        if(!certifier)
+            return {
+                error: 'unable-to-load-identity',
+                jump: 'askCertifierFingerprint',
+            };
+        return {data: {certifier: certifier}};
+    });
+
+    list.push(function askLevel(){
+        return {question: 'select.level'};
+    });
+
+    list.push(function doer(data, answer){
+        try{
+            var certBuf = data.certifier.certify(
+                data.identity,
+                {level: answer['select.level']}
+            );
+        } catch(e){
+            return {error: 'unable-to-certify', terminate: true};
+        };
+
+        tool.get('enigma.interface.api.identity.common.addCertification')(
+            _storage,
+            certBuf
+        );
+        log('Identity [' + answer['text.fingerprint'] + '] is certified.');
+
+        // the certification may be given to others, who import it.
+        var certText = tool.get('enigma.encoder').armor(
+            'CERTIFICATION',
+            certBuf
+        );
+        return {terminate: certText};
+    });
+
+    return list;
+};
+
+/****************************************************************************/
+
+var exporter = {
+    variables: {
+        'text.fingerprint': {
+            type: 'string',
+            validate: function(v){
+                return /^[0-9a-z]+$/i.test(v);
+            },
+        },
+        'text.certifier-fingerprint': {
+            type: 'string',
+            validate: function(v){
+                return /^[0-9a-z]+$/i.test(v);
+            },
+        },
+        'text.passphrase': {
+            type: 'string',
+            validate: function(v){ return /^[\x20-\x7E]{32,}$/.test(v); },
+        },
+        'select.level': ['enum', [
+            'casual',
+            'checked',
+            'full',
+        ]],
+    },
+    errors: [
+        'identity-not-found',
+        'unable-to-load-identity',
+        'unable-to-certify',
+    ],
+    constructor: function(storage, log){
+        return getTaskList(storage, log);
+    },
+};
+tool.set('enigma.interface.api.identity-certify', exporter);
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
@@ -48,55 +48,47 @@ function getTaskList(_storage, log){
             fingerprint = answers['text.fingerprint'];
         var get = storage.value(fingerprint);
 
-        var loadPrivate = true, passphraseBuf, savePassphraseBuf;
+        var loadPrivate = true, passphrase, savePassphrase;
         if(false === data.isPrivate)
             loadPrivate = false;
         else if(!answers['option.include-private'])
             loadPrivate = false;
         else {
-            passphraseBuf = tool.get('util.encoding')(
-                answers['text.passphrase'],
-                'ascii'
-            )
-                .toArrayBuffer();
-            savePassphraseBuf = tool.get('util.encoding')(
-                answers['text.save-passphrase'],
-                'ascii'
-            )
-                .toArrayBuffer();
+            // passphrases are given as strings, and will be derived into
+            // pinkeys by `enigma.identity`.
+            passphrase = answers['text.passphrase'];
+            savePassphrase = answers['text.save-passphrase'];
         };
 
         if(null == get)
             return {terminate: true, error: 'identity-not-found'};
 
-        try{
-            var identitySerializedBuf = 
-                tool.get('util.encoding')(get, 'base64').toArrayBuffer();
-            var identity = tool.get('enigma.identity')();
-
-            console.log(get);
-
-            if(loadPrivate){
-                log('Private identity is being read.');
-                identity.loadPrivate(identitySerializedBuf, passphraseBuf);
-            } else {
-                log('Public identity is being read.');
-                identity.loadPublic(identitySerializedBuf);
-            };
-        } catch(e){
-            console.log(e);
+        // the common loader applies also an imported revocation
+        // certificate, which is then carried in the export
+        if(loadPrivate)
+            log('Private identity is being read.');
+        else
+            log('Public identity is being read.');
+        var identity = tool.get(
+            'enigma.interface.api.message.common.loadIdentity'
+        )(_storage, fingerprint, loadPrivate ? passphrase : false);
+        if(!identity)
             return {error: 'identity-could-not-be-loaded', terminate: true};
-        };
-        
 
         if(loadPrivate){
-            var exportBuf = identity.exportPrivate(savePassphraseBuf);
+            var exportBuf = identity.exportPrivate(savePassphrase),
+                exportType = 'PRIVATE IDENTITY';
         } else {
-            var exportBuf = identity.exportPublic();
+            var exportBuf = identity.exportPublic(),
+                exportType = 'PUBLIC IDENTITY';
         };
 
-        var exportHEX = tool.get('util.encoding')(exportBuf).toHEX();
-        return {terminate: exportHEX};
+        var exportText = tool.get('enigma.encoder').armor(
+            exportType,
+            exportBuf,
+            {headers: {'Fingerprint': fingerprint}}
+        );
+        return {terminate: exportText};
     });
 
     return list;
@@ -19,10 +19,7 @@ function getTaskList(_storage, log){
     list.push(function generateIdentity(data, answer){
         var storage = tool.get('enigma.interface.storage')(_storage);
         var newIdentity = tool.get('enigma.identity')(),
-            passphrase = tool.get('util.encoding')(
-                answer['text.passphrase'],
-                'ascii'
-            ).toArrayBuffer();
+            passphrase = answer['text.passphrase'];
 
         newIdentity.generate(
             answer['text.subject'],
@@ -42,6 +39,20 @@ function getTaskList(_storage, log){
         storage.note(newFingerprint, 'subject', answer['text.subject']);
         storage.note(newFingerprint, 'isPrivate', true);
         storage.note(newFingerprint, 'algorithm', answer['select.algorithm']);
+        storage.note(newFingerprint, 'revoked', false);
+        storage.note(newFingerprint, 'expires', null);
+
+        // prepare a revocation certificate, to be used when the identity is
+        // lost or compromised.
+        storage.note(
+            newFingerprint,
+            'revocationCertificate',
+            tool.get('enigma.encoder').armor(
+                'REVOCATION',
+                newIdentity.exportRevocation(),
+                {headers: {'Fingerprint': newFingerprint}}
+            )
+        );
 
         return {terminate: newFingerprint};
     });
@@ -65,6 +76,8 @@ var exporter = {
             'NECRAC256',
             'NECRAC192',
             'NECRAC128',
+            'NECRAC128E',
+            'NECRAC128EA',
             'NECRAC112',
             'NECRAC96'
         ]],
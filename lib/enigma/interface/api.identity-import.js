@@ -12,8 +12,38 @@ function getTaskList(_storage, log){
     });
 
     list.push(function decodeIdentityData(data, answer){
-        var decoder = tool.get('util.encoding')(answer['text.data'], 'hex');
-        data.identityBuf = decoder.toArrayBuffer();
+        // accepts either an armored identity or a HEX string
+        try{
+            data.identityBuf = tool.get('enigma.encoder').decode(
+                answer['text.data'],
+                [
+                    'PUBLIC IDENTITY',
+                    'PRIVATE IDENTITY',
+                    'REVOCATION',
+                    'CERTIFICATION',
+                ]
+            );
+        } catch(e){
+            return {error: 'invalid-identity', terminate: true};
+        };
+
+        // a revocation certificate for an identity already stored
+        var revocation = tool.get('enigma.identity.readRevocation')(
+            data.identityBuf
+        );
+        if(null !== revocation){
+            data.revocation = revocation;
+            return {data: data, jump: 'applyRevocation'};
+        };
+
+        // a certification between identities already stored
+        var certification = tool.get('enigma.identity.readCertification')(
+            data.identityBuf
+        );
+        if(null !== certification){
+            data.certification = certification;
+            return {data: data, jump: 'addCertification'};
+        };
         return {data: data};
     });
 
@@ -53,11 +83,10 @@ function getTaskList(_storage, log){
         
         try{
             if(data.isPrivate){
-                var pinkeyBuf = tool.get('util.encoding')(
-                    answer['text.read-passphrase'],
-                    'ascii'
-                ).toArrayBuffer();
-                newdata.identity.loadPrivate(data.identityBuf, pinkeyBuf);
+                newdata.identity.loadPrivate(
+                    data.identityBuf,
+                    answer['text.read-passphrase']
+                );
             } else {
                 newdata.identity.loadPublic(data.identityBuf);
             };
@@ -91,12 +120,23 @@ function getTaskList(_storage, log){
         var storage = tool.get('enigma.interface.storage')(_storage);
         var fingerprint = data.identity.getFingerprint(true);
 
+        // a revocation certificate imported before stays in force
+        var revocation = storage.note(fingerprint, 'revocation');
+        if(revocation && !data.identity.isRevoked()){
+            try{
+                data.identity.revoke(
+                    tool.get('util.encoding')(revocation, 'base64')
+                        .toArrayBuffer()
+                );
+            } catch(e){
+                return {error: 'invalid-revocation', terminate: true};
+            };
+        };
+
         if(data.isPrivate){
-            var passphraseBuf = tool.get('util.encoding')(
-                    answer['text.passphrase'],
-                    'ascii'
-                ).toArrayBuffer();
-            var identityBuf = data.identity.exportPrivate(passphraseBuf);
+            var identityBuf = data.identity.exportPrivate(
+                answer['text.passphrase']
+            );
         } else
             var identityBuf = data.identity.exportPublic();
 
@@ -107,6 +147,75 @@ function getTaskList(_storage, log){
         storage.note(fingerprint, 'isPrivate', data.isPrivate);
         storage.note(fingerprint, 'algorithm', data.identity.getAlgorithm());
 
+        // flag identities not to be used any more
+        var expires = data.identity.getExpires();
+        storage.note(fingerprint, 'revoked', data.identity.isRevoked());
+        storage.note(fingerprint, 'expires', expires ? expires : null);
+
+        if(data.identity.isRevoked())
+            return {error: 'identity-revoked', terminate: fingerprint};
+        if(data.identity.isExpired())
+            return {error: 'identity-expired', terminate: fingerprint};
+        return {terminate: fingerprint};
+    });
+
+
+    // apply a revocation certificate
+
+    list.push(function applyRevocation(data, answer){
+        var storage = tool.get('enigma.interface.storage')(_storage);
+        var fingerprint = data.revocation.fingerprint;
+
+        var identity = tool.get(
+            'enigma.interface.api.message.common.loadIdentity'
+        )(_storage, fingerprint, false);
+        if(!identity) return {error: 'identity-not-found', terminate: true};
+
+        try{
+            identity.revoke(data.identityBuf);
+        } catch(e){
+            return {error: 'invalid-revocation', terminate: true};
+        };
+
+        storage.note(
+            fingerprint,
+            'revocation',
+            tool.get('util.encoding')(data.identityBuf).toBase64()
+        );
+        storage.note(fingerprint, 'revoked', true);
+        log('Identity [' + fingerprint + '] is revoked.');
+
+        return {terminate: fingerprint};
+    });
+
+
+    // add a certification
+
+    list.push(function addCertification(data, answer){
+        var identityLoader = tool.get(
+            'enigma.interface.api.message.common.loadIdentity'
+        );
+        var fingerprint = data.certification.identity;
+
+        var identity = identityLoader(_storage, fingerprint, false),
+            certifier = identityLoader(
+                _storage,
+                data.certification.certifier,
+                false
+            );
+        if(!(identity && certifier))
+            return {error: 'identity-not-found', terminate: true};
+
+        if(!certifier.checkCertification(data.identityBuf, identity))
+            return {error: 'invalid-certification', terminate: true};
+
+        tool.get('enigma.interface.api.identity.common.addCertification')(
+            _storage,
+            data.identityBuf
+        );
+        log('Identity [' + fingerprint + '] is certified by [' +
+            data.certification.certifier + '].');
+
         return {terminate: fingerprint};
     });
 
@@ -122,6 +231,7 @@ var exporter = {
         'text.data': {
             type: 'string',
             validate: function(v){
+                if(tool.get('enigma.encoder').isArmored(v)) return true;
                 return (0 == v.length % 2) && /^[0-9a-f]+$/i.test(v);
             },
         },
@@ -137,6 +247,11 @@ var exporter = {
     errors: [
         'identity-could-not-be-loaded',
         'invalid-identity',
+        'identity-revoked',
+        'identity-expired',
+        'identity-not-found',
+        'invalid-revocation',
+        'invalid-certification',
     ],
     constructor: function(storage, log){
         return getTaskList(storage, log);
@@ -27,13 +27,14 @@ function getTaskList(_storage, log){
         var storage = tool.get('enigma.interface.storage')(_storage),
             listAllFingerprints = storage.all();
 
-        var ret = {}, fingerprint, subject, isPrivate, algorithm;
+        var ret = {}, fingerprint, subject, isPrivate, algorithm, expires;
         var subjectLow, filtered = false;
         for(var i in listAllFingerprints){
             fingerprint = listAllFingerprints[i];
             isPrivate = storage.note(fingerprint, 'isPrivate');
             subject = storage.note(fingerprint, 'subject');
             algorithm = storage.note(fingerprint, 'algorithm');
+            expires = storage.note(fingerprint, 'expires');
 
             if(answers['option.list-private-identities-only'] && !isPrivate)
                 continue;
@@ -55,7 +56,20 @@ function getTaskList(_storage, log){
                 'private': isPrivate,
                 'subject': subject,
                 'fingerprint': fingerprint,
+                // for comparing aloud
+                'fingerprintWords': tool.get('util.encoding')(
+                    tool.get('util.encoding')(fingerprint, 'base32')
+                        .toArrayBuffer()
+                ).toMnemonic(),
                 'algorithm': algorithm,
+                'revoked': true === storage.note(fingerprint, 'revoked'),
+                'expires': expires,
+                'expired': Boolean(
+                    expires && new Date(expires).getTime() < new Date().getTime()
+                ),
+                'validity': tool.get(
+                    'enigma.interface.api.identity.common.validity'
+                )(_storage, fingerprint),
             };
         };
 
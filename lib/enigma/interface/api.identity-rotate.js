@@ -0,0 +1,107 @@
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+
+function getTaskList(_storage, log){
+    var list = [];
+
+    list.push(function askFingerprint(){
+        // the private identity, whose encryption key is to be rotated
+        return {question: 'text.fingerprint'};
+    });
+
+    list.push(function askPassphrase(){
+        return {question: 'text.passphrase'};
+    });
+
+    list.push(function loadIdentity(data, answer){
+        var storage = tool.get('enigma.interface.storage')(_storage);
+        var fingerprint = answer['text.fingerprint'];
+        if(true !== storage.note(fingerprint, 'isPrivate'))
+            return {error: 'identity-not-found', terminate: true};
+
+        var identity = tool.get(
+            'enigma.interface.api.message.common.loadIdentity'
+        )(_storage, fingerprint, answer['text.passphrase']);
+        if(!identity)
+            return {error: 'unable-to-load-identity', jump: 'askPassphrase'};
+        return {data: {identity: identity}};
+    });
+
+    list.push(function askValidDays(){
+        // '0' for a subkey without expiry
+        return {question: 'text.valid-days'};
+    });
+
+    list.push(function doer(data, answer){
+        var storage = tool.get('enigma.interface.storage')(_storage);
+        var fingerprint = answer['text.fingerprint'],
+            days = parseInt(answer['text.valid-days'], 10),
+            expires = null;
+        if(days > 0) expires = new Date(new Date().getTime() + days * 86400000);
+
+        try{
+            var subkeyID = data.identity.rotate({expires: expires});
+        } catch(e){
+            if('enigma-identity-revoked' == e.message)
+                return {error: 'identity-revoked', terminate: true};
+            if('enigma-identity-expired' == e.message)
+                return {error: 'identity-expired', terminate: true};
+            return {error: 'unable-to-rotate', terminate: true};
+        };
+
+        // save with the same passphrase, the fingerprint is not changed
+        var identityBuf = data.identity.exportPrivate(
+            answer['text.passphrase']
+        );
+        storage.value(
+            fingerprint,
+            tool.get('util.encoding')(identityBuf).toBase64()
+        );
+        log('Identity [' + fingerprint + '] has new subkey: ' + subkeyID);
+
+        // the public identity has to be given to others again, so that they
+        // use the new subkey.
+        var exportText = tool.get('enigma.encoder').armor(
+            'PUBLIC IDENTITY',
+            data.identity.exportPublic(),
+            {headers: {'Fingerprint': fingerprint}}
+        );
+        return {terminate: exportText};
+    });
+
+    return list;
+};
+
+/****************************************************************************/
+
+var exporter = {
+    variables: {
+        'text.fingerprint': {
+            type: 'string',
+            validate: function(v){
+                return /^[0-9a-z]+$/i.test(v);
+            },
+        },
+        'text.passphrase': {
+            type: 'string',
+            validate: function(v){ return /^[\x20-\x7E]{32,}$/.test(v); },
+        },
+        'text.valid-days': {
+            type: 'string',
+            validate: function(v){ return /^[0-9]{1,5}$/.test(v); },
+        },
+    },
+    errors: [
+        'identity-not-found',
+        'unable-to-load-identity',
+        'identity-revoked',
+        'identity-expired',
+        'unable-to-rotate',
+    ],
+    constructor: function(storage, log){
+        return getTaskList(storage, log);
+    },
+};
+tool.set('enigma.interface.api.identity-rotate', exporter);
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
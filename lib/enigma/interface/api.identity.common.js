@@ -0,0 +1,110 @@
+/*
+ * Validity of Stored Identities
+ * =============================
+ *
+ * Computes a score between 0 and 100, telling how much the binding between
+ * the subject and the public key of a stored identity is believed:
+ *
+ *  o revoked or expired identities score 0;
+ *  o local private identities score 100;
+ *  o otherwise, each valid certification stored in the note
+ *    `certifications` adds the score of its certifier, weighted by the level
+ *    of certification. Certifiers other than local private identities count
+ *    only half. The sum is limited to 100.
+ *
+ * Certifiers are followed up to `config.maxDepth` steps.
+ */
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+// Adjustable
+var config = {
+    maxDepth: 3,
+    weights: {
+        'casual': 0.25,
+        'checked': 0.5,
+        'full': 1,
+    },
+    indirectFactor: 0.5,
+};
+/****************************************************************************/
+
+function score(_storage, fingerprint, visited){
+    var storage = tool.get('enigma.interface.storage')(_storage);
+    var identityLoader = tool.get(
+        'enigma.interface.api.message.common.loadIdentity'
+    );
+
+    var identity = identityLoader(_storage, fingerprint, false);
+    if(!identity) return 0;
+    if(identity.isRevoked() || identity.isExpired()) return 0;
+    if(true === storage.note(fingerprint, 'isPrivate')) return 100;
+    if(visited.length >= config.maxDepth) return 0;
+
+    var certifications = storage.note(fingerprint, 'certifications') || [],
+        total = 0, certBuf, info, certifier, certifierScore, checked;
+    visited = visited.concat([fingerprint]);
+
+    for(var i=0; i<certifications.length; i++){
+        try{
+            certBuf = tool.get('util.encoding')(certifications[i], 'base64')
+                .toArrayBuffer();
+        } catch(e){
+            continue;
+        };
+        info = tool.get('enigma.identity.readCertification')(certBuf);
+        if(!info || info.identity != fingerprint) continue;
+        if(visited.indexOf(info.certifier) >= 0) continue;
+
+        certifierScore = score(_storage, info.certifier, visited);
+        if(certifierScore <= 0) continue;
+
+        certifier = identityLoader(_storage, info.certifier, false);
+        if(!certifier) continue;
+        checked = certifier.checkCertification(certBuf, identity);
+        if(!checked) continue;
+
+        if(true !== storage.note(info.certifier, 'isPrivate'))
+            certifierScore *= config.indirectFactor;
+        total += config.weights[checked.level] * certifierScore;
+    };
+
+    return Math.min(100, Math.round(total));
+};
+
+tool.set('enigma.interface.api.identity.common.validity',
+function(s, fingerprint){
+    return score(s, fingerprint, []);
+});
+
+/*
+ * Stores a certification in the notes of the certified identity, replacing
+ * the one from the same certifier. The certification is not checked here.
+ */
+tool.set('enigma.interface.api.identity.common.addCertification',
+function(s, certBuf){
+    var storage = tool.get('enigma.interface.storage')(s);
+    var info = tool.get('enigma.identity.readCertification')(certBuf);
+    if(!info) throw new Error('invalid-certification');
+
+    var certifications = storage.note(info.identity, 'certifications') || [],
+        result = [], each;
+    for(var i=0; i<certifications.length; i++){
+        try{
+            each = tool.get('enigma.identity.readCertification')(
+                tool.get('util.encoding')(certifications[i], 'base64')
+                    .toArrayBuffer()
+            );
+        } catch(e){
+            continue;
+        };
+        if(!each || each.certifier == info.certifier) continue;
+        result.push(certifications[i]);
+    };
+    result.push(tool.get('util.encoding')(certBuf).toBase64());
+
+    storage.note(info.identity, 'certifications', result);
+    return info;
+});
+
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
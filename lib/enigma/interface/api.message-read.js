@@ -10,12 +10,14 @@ function getTaskList(_storage, log){
     });
 
     list.push(function prepareMessage(data, answer){
-        var dataBuf = tool.get('util.encoding')(answer['text.data'], 'hex')
-            .toArrayBuffer();
-
         data.message = tool.get('enigma.message')();
         
         try{
+            // accepts either an armored message or a HEX string
+            var dataBuf = tool.get('enigma.encoder').decode(
+                answer['text.data'],
+                ['MESSAGE']
+            );
             data.message.read(dataBuf);
         } catch(e){
             return {error: 'unable-to-read-message', terminate: true};
@@ -76,10 +78,7 @@ function getTaskList(_storage, log){
             var identity = identityLoader(
                 _storage,
                 data.decrypt[0],
-                tool.get('util.encoding')(
-                    answer['text.passphrase'],
-                    'ascii'
-                ).toArrayBuffer()
+                answer['text.passphrase']
             );
             if(!identity)
                 return {
@@ -154,8 +153,12 @@ function getTaskList(_storage, log){
 
             // try to validate
             try{
-                if(true === data.message.verify(identity))
-                    result[signers[i]] = true;
+                // the structured result, including signed attributes and
+                // the validity of the signer's identity
+                result[signers[i]] = data.message.verify(identity);
+                result[signers[i]].validity = tool.get(
+                    'enigma.interface.api.identity.common.validity'
+                )(_storage, signers[i]);
             } catch(e){
             };
         };
@@ -185,6 +188,7 @@ var exporter = {
         'text.data': {
             type: 'string',
             validate: function(v){
+                if(tool.get('enigma.encoder').isArmored(v)) return true;
                 return 0 == v.length % 2 && /^[0-9a-f]+$/i.test(v);
             },
         },
@@ -0,0 +1,104 @@
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+
+
+function getTaskList(_storage, log){
+    var list = [];
+
+    list.push(function askRawData(){
+        return {question: 'text.data'};
+    });
+
+    list.push(function askSignature(){
+        return {question: 'text.signature'};
+    });
+
+    list.push(function prepareMessage(data, answer){
+        var dataBuf = tool.get('util.encoding')(answer['text.data'], 'hex')
+            .toArrayBuffer();
+
+        data.message = tool.get('enigma.message')();
+
+        try{
+            // accepts either an armored signature or a HEX string
+            var signatureBuf = tool.get('enigma.encoder').decode(
+                answer['text.signature'],
+                ['SIGNATURE']
+            );
+            data.message.read(signatureBuf, {detached: dataBuf});
+        } catch(e){
+            return {error: 'unable-to-read-signature', terminate: true};
+        };
+
+        return {data: data};
+    });
+
+
+    // verify with each signer known in storage
+    list.push(function doer(data, answer){
+        var identityLoader = tool.get(
+            'enigma.interface.api.message.common.loadIdentity'
+        );
+
+        var result = {};
+        var signers = data.message.getSigners();
+        for(var i in signers){
+            result[signers[i]] = false;
+
+            try{
+                var identity = identityLoader(
+                    _storage,
+                    signers[i],
+                    false
+                );
+                if(!identity) continue;
+            } catch(e){
+                continue;
+            };
+
+            try{
+                // the structured result, including signed attributes and
+                // the validity of the signer's identity
+                result[signers[i]] = data.message.verify(identity);
+                result[signers[i]].validity = tool.get(
+                    'enigma.interface.api.identity.common.validity'
+                )(_storage, signers[i]);
+            } catch(e){
+            };
+        };
+
+        log('Detached signature checked.');
+        return {terminate: {verify: result}};
+    });
+
+    return list;
+};
+
+/****************************************************************************/
+
+var exporter = {
+    variables: {
+        'text.data': {
+            type: 'string',
+            validate: function(v){
+                return 0 == v.length % 2 && /^[0-9a-f]*$/i.test(v);
+            },
+        },
+        'text.signature': {
+            type: 'string',
+            validate: function(v){
+                if(tool.get('enigma.encoder').isArmored(v)) return true;
+                return 0 == v.length % 2 && /^[0-9a-f]+$/i.test(v);
+            },
+        },
+    },
+    errors: [
+        'unable-to-read-signature',
+    ],
+    constructor: function(storage, log){
+        return getTaskList(storage, log);
+    },
+};
+tool.set('enigma.interface.api.message-verify-detached', exporter);
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
@@ -9,12 +9,18 @@ function getTaskList(_storage, log){
         return {question: 'text.data'};
     });
 
+    // padding hides the length of the message, see `enigma/message.js`.
+    // Optional, none by default.
+    list.push(function askPadding(){
+        return {question: 'select.padding'};
+    });
+
     list.push(function prepareMessage(data, answer){
         var dataBuf = tool.get('util.encoding')(answer['text.data'], 'hex')
             .toArrayBuffer();
 
         data.message = tool.get('enigma.message')();
-        data.message.write(dataBuf);
+        data.message.write(dataBuf, {padding: answer['select.padding']});
         return {data: data};
     });
 
@@ -54,6 +60,10 @@ function getTaskList(_storage, log){
         try{
             data.message.encrypt(identity);
         } catch(e){
+            if('enigma-identity-revoked' == e.message)
+                return {error: 'identity-revoked', jump: 'askAddEncrypt'};
+            if('enigma-identity-expired' == e.message)
+                return {error: 'identity-expired', jump: 'askAddEncrypt'};
             return {
                 error: 'unable-to-encrypt-using-this-identity',
                 jump: 'askAddEncrypt',
@@ -71,7 +81,7 @@ function getTaskList(_storage, log){
     });
 
     list.push(function askSignWithFingerprint(data, answer){
-        if(!answer['option.add-sign']) return {jump: 'doer'};
+        if(!answer['option.add-sign']) return {jump: 'askFormat'};
         return {question: 'text.fingerprint'};
     });
 
@@ -88,10 +98,7 @@ function getTaskList(_storage, log){
             var identity = identityLoader(
                 _storage,
                 answer['text.fingerprint'],
-                tool.get('util.encoding')(
-                    answer['text.passphrase'],
-                    'ascii'
-                ).toArrayBuffer()
+                answer['text.passphrase']
             );
             if(!identity)
                 return {
@@ -106,6 +113,10 @@ function getTaskList(_storage, log){
         try{
             data.message.sign(identity);
         } catch(e){
+            if('enigma-identity-revoked' == e.message)
+                return {error: 'identity-revoked', jump: 'askAddSign'};
+            if('enigma-identity-expired' == e.message)
+                return {error: 'identity-expired', jump: 'askAddSign'};
             return {
                 error: 'unable-to-sign-using-this-identity',
                 jump: 'askAddSign',
@@ -116,14 +127,22 @@ function getTaskList(_storage, log){
     });
 
 
+    // HEX as before, unless armor is asked for. Optional.
+    list.push(function askFormat(){
+        return {question: 'select.format'};
+    });
+
     // produce the message
     list.push(function doer(data, answer){
         if(undefined == data.message.done)
             return {error: 'nothing-to-do', terminate: true};
 
         var result = data.message.done();
-        var resultHEX = tool.get('util.encoding')(result).toHEX();
-        return {terminate: resultHEX};
+        if('armor' == answer['select.format'])
+            return {
+                terminate: tool.get('enigma.encoder').armor('MESSAGE', result),
+            };
+        return {terminate: tool.get('util.encoding')(result).toHEX()};
     });
 
 
@@ -140,6 +159,15 @@ var exporter = {
                 return 0 == v.length % 2 && /^[0-9a-f]+$/i.test(v);
             },
         },
+        'select.padding': ['enum', [
+            'none',
+            'padme',
+            'bucket'
+        ]],
+        'select.format': ['enum', [
+            'hex',
+            'armor'
+        ]],
         'option.add-encrypt': 'boolean',
         'option.add-sign': 'boolean',
         'text.fingerprint': {
@@ -157,8 +185,14 @@ var exporter = {
         'unable-to-load-identity',
         'unable-to-encrypt-using-this-identity',
         'unable-to-sign-using-this-identity',
+        'identity-revoked',
+        'identity-expired',
         'nothing-to-do',
     ],
+    defaults: {
+        'select.padding': 'none',
+        'select.format': 'hex',
+    },
     constructor: function(storage, log){
         return getTaskList(storage, log);
     },
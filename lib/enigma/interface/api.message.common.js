@@ -24,6 +24,18 @@ function (s, fingerprint, pinKey){
         return false;
     };
 
+    // apply the revocation certificate imported for this identity
+    var revocation = storage.note(fingerprint, 'revocation');
+    if(revocation){
+        try{
+            ret.revoke(
+                tool.get('util.encoding')(revocation, 'base64').toArrayBuffer()
+            );
+        } catch(e){
+            return false;
+        };
+    };
+
     return ret;
 });
 
@@ -0,0 +1,85 @@
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+
+function getTaskList(_storage, log){
+    var list = [];
+
+    list.push(function askFingerprint(){
+        // the private identity publishing the prekey
+        return {question: 'text.fingerprint'};
+    });
+
+    list.push(function askPassphrase(){
+        return {question: 'text.passphrase'};
+    });
+
+    list.push(function doer(data, answer){
+        var storage = tool.get('enigma.interface.storage')(_storage);
+        var fingerprint = answer['text.fingerprint'];
+        if(true !== storage.note(fingerprint, 'isPrivate'))
+            return {error: 'identity-not-found', terminate: true};
+
+        var identity = tool.get(
+            'enigma.interface.api.message.common.loadIdentity'
+        )(_storage, fingerprint, answer['text.passphrase']);
+        if(!identity)
+            return {error: 'unable-to-load-identity', jump: 'askPassphrase'};
+
+        var prekey = tool.get('enigma.session.prekey')();
+        try{
+            prekey.generate(identity);
+            tool.get('enigma.interface.api.session.common.savePrekey')(
+                _storage,
+                identity,
+                prekey
+            );
+        } catch(e){
+            if('enigma-identity-revoked' == e.message)
+                return {error: 'identity-revoked', terminate: true};
+            if('enigma-identity-expired' == e.message)
+                return {error: 'identity-expired', terminate: true};
+            return {error: 'unable-to-generate-prekey', terminate: true};
+        };
+        log('Prekey [' + prekey.getID() + '] generated.');
+
+        // to be given to others, who start sessions with it
+        var prekeyText = tool.get('enigma.encoder').armor(
+            'PREKEY',
+            prekey.exportPublic(),
+            {headers: {'Fingerprint': fingerprint}}
+        );
+        return {terminate: prekeyText};
+    });
+
+    return list;
+};
+
+/****************************************************************************/
+
+var exporter = {
+    variables: {
+        'text.fingerprint': {
+            type: 'string',
+            validate: function(v){
+                return /^[0-9a-z]+$/i.test(v);
+            },
+        },
+        'text.passphrase': {
+            type: 'string',
+            validate: function(v){ return /^[\x20-\x7E]{32,}$/.test(v); },
+        },
+    },
+    errors: [
+        'identity-not-found',
+        'unable-to-load-identity',
+        'identity-revoked',
+        'identity-expired',
+        'unable-to-generate-prekey',
+    ],
+    constructor: function(storage, log){
+        return getTaskList(storage, log);
+    },
+};
+tool.set('enigma.interface.api.session-prekey', exporter);
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
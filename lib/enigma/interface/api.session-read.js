@@ -0,0 +1,191 @@
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+
+function getTaskList(_storage, log){
+    var list = [];
+
+    list.push(function askRawData(){
+        return {question: 'text.data'};
+    });
+
+    list.push(function prepareMessage(data, answer){
+        try{
+            // accepts either an armored message or a HEX string
+            var dataBuf = tool.get('enigma.encoder').decode(
+                answer['text.data'],
+                ['SESSION MESSAGE']
+            );
+        } catch(e){
+            return {error: 'unable-to-read-message', terminate: true};
+        };
+
+        // the first messages of a session tell the identities involved
+        var handshake = tool.get('enigma.session.readHandshake')(dataBuf);
+        if(null !== handshake)
+            return {
+                data: {
+                    messageBuf: dataBuf,
+                    handshake: handshake,
+                    localFingerprint: handshake.responder,
+                    senderFingerprint: handshake.initiator,
+                },
+                jump: 'askPassphrase',
+            };
+        return {data: {messageBuf: dataBuf, handshake: null}};
+    });
+
+    list.push(function askFingerprint(){
+        // the local private identity, which receives the message
+        return {question: 'text.fingerprint'};
+    });
+
+    list.push(function askSenderFingerprint(data, answer){
+        return {question: 'text.sender-fingerprint'};
+    });
+
+    list.push(function setFingerprints(data, answer){
+        return {
+            data: {
+                localFingerprint: answer['text.fingerprint'],
+                senderFingerprint: answer['text.sender-fingerprint'],
+            },
+        };
+    });
+
+    list.push(function askPassphrase(data, answer){
+        var storage = tool.get('enigma.interface.storage')(_storage);
+        if(true !== storage.note(data.localFingerprint, 'isPrivate'))
+            return {error: 'identity-not-found', terminate: true};
+        return {
+            question: 'text.passphrase',
+            hint: {
+                fingerprint: data.localFingerprint,
+                subject: storage.note(data.localFingerprint, 'subject'),
+            },
+        };
+    });
+
+    list.push(function loadSession(data, answer){
+        var identityLoader = tool.get(
+            'enigma.interface.api.message.common.loadIdentity'
+        );
+        var identity = identityLoader(
+            _storage,
+            data.localFingerprint,
+            answer['text.passphrase']
+        );
+        if(!identity)
+            return {error: 'unable-to-load-identity', jump: 'askPassphrase'};
+
+        var session = tool.get(
+            'enigma.interface.api.session.common.loadSession'
+        )(_storage, identity, data.senderFingerprint);
+        if(session) return {data: {identity: identity, session: session}};
+
+        // otherwise accept a new session
+        if(null === data.handshake)
+            return {error: 'session-not-found', terminate: true};
+
+        var sender = identityLoader(_storage, data.senderFingerprint, false);
+        if(!sender) return {error: 'identity-not-found', terminate: true};
+
+        var prekey = tool.get(
+            'enigma.interface.api.session.common.loadPrekey'
+        )(_storage, identity, data.handshake.prekey);
+        if(!prekey) return {error: 'prekey-not-found', terminate: true};
+
+        session = tool.get('enigma.session')();
+        try{
+            session.accept(identity, sender, prekey, data.messageBuf);
+        } catch(e){
+            return {error: 'invalid-handshake', terminate: true};
+        };
+        log('New session with [' + data.senderFingerprint + '] accepted.');
+        return {data: {identity: identity, session: session}};
+    });
+
+    list.push(function doer(data, answer){
+        try{
+            var plaintextBuf = data.session.decrypt(data.messageBuf);
+        } catch(e){
+            return {error: 'unable-to-decrypt', terminate: true};
+        };
+
+        // the state is stored encrypted to the local identity, which is
+        // refused when it's revoked or expired. The plaintext is then not
+        // given out either, as if the message had not been read.
+        try{
+            tool.get('enigma.interface.api.session.common.saveSession')(
+                _storage,
+                data.identity,
+                data.session
+            );
+        } catch(e){
+            if('enigma-identity-revoked' == e.message)
+                return {error: 'identity-revoked', terminate: true};
+            if('enigma-identity-expired' == e.message)
+                return {error: 'identity-expired', terminate: true};
+            return {error: 'unable-to-save-session', terminate: true};
+        };
+
+        return {
+            terminate: {
+                plaintext: tool.get('util.encoding')(plaintextBuf).toHEX(),
+                sender: data.senderFingerprint,
+                validity: tool.get(
+                    'enigma.interface.api.identity.common.validity'
+                )(_storage, data.senderFingerprint),
+            },
+        };
+    });
+
+    return list;
+};
+
+/****************************************************************************/
+
+var exporter = {
+    variables: {
+        'text.data': {
+            type: 'string',
+            validate: function(v){
+                if(tool.get('enigma.encoder').isArmored(v)) return true;
+                return 0 == v.length % 2 && /^[0-9a-f]+$/i.test(v);
+            },
+        },
+        'text.fingerprint': {
+            type: 'string',
+            validate: function(v){
+                return /^[0-9a-z]+$/i.test(v);
+            },
+        },
+        'text.sender-fingerprint': {
+            type: 'string',
+            validate: function(v){
+                return /^[0-9a-z]+$/i.test(v);
+            },
+        },
+        'text.passphrase': {
+            type: 'string',
+            validate: function(v){ return /^[\x20-\x7E]{32,}$/.test(v); },
+        },
+    },
+    errors: [
+        'unable-to-read-message',
+        'identity-not-found',
+        'unable-to-load-identity',
+        'session-not-found',
+        'prekey-not-found',
+        'invalid-handshake',
+        'unable-to-decrypt',
+        'identity-revoked',
+        'identity-expired',
+        'unable-to-save-session',
+    ],
+    constructor: function(storage, log){
+        return getTaskList(storage, log);
+    },
+};
+tool.set('enigma.interface.api.session-read', exporter);
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
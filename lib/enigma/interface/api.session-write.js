@@ -0,0 +1,159 @@
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+
+function getTaskList(_storage, log){
+    var list = [];
+
+    list.push(function askFingerprint(){
+        // the local private identity, which sends the message
+        return {question: 'text.fingerprint'};
+    });
+
+    list.push(function askPassphrase(){
+        return {question: 'text.passphrase'};
+    });
+
+    list.push(function loadIdentity(data, answer){
+        var storage = tool.get('enigma.interface.storage')(_storage);
+        var fingerprint = answer['text.fingerprint'];
+        if(true !== storage.note(fingerprint, 'isPrivate'))
+            return {error: 'identity-not-found', terminate: true};
+
+        var identity = tool.get(
+            'enigma.interface.api.message.common.loadIdentity'
+        )(_storage, fingerprint, answer['text.passphrase']);
+        if(!identity)
+            return {error: 'unable-to-load-identity', jump: 'askPassphrase'};
+        return {data: {identity: identity}};
+    });
+
+    list.push(function askReceiverFingerprint(){
+        return {question: 'text.receiver-fingerprint'};
+    });
+
+    list.push(function loadSession(data, answer){
+        var fingerprint = answer['text.receiver-fingerprint'];
+        var receiver = tool.get(
+            'enigma.interface.api.message.common.loadIdentity'
+        )(_storage, fingerprint, false);
+        if(!receiver) return {error: 'identity-not-found', terminate: true};
+
+        // continue with an existing session, if any
+        var session = tool.get(
+            'enigma.interface.api.session.common.loadSession'
+        )(_storage, data.identity, fingerprint);
+        if(session)
+            return {
+                data: {receiver: receiver, session: session},
+                jump: 'askRawData',
+            };
+        return {data: {receiver: receiver}};
+    });
+
+    list.push(function askPrekey(){
+        // a new session is started with a prekey of the receiver
+        return {question: 'text.prekey'};
+    });
+
+    list.push(function startSession(data, answer){
+        var session = tool.get('enigma.session')();
+        try{
+            var prekeyBuf = tool.get('enigma.encoder').decode(
+                answer['text.prekey'],
+                ['PREKEY']
+            );
+            session.initiate(data.identity, data.receiver, prekeyBuf);
+        } catch(e){
+            if('enigma-identity-revoked' == e.message)
+                return {error: 'identity-revoked', terminate: true};
+            if('enigma-identity-expired' == e.message)
+                return {error: 'identity-expired', terminate: true};
+            return {error: 'invalid-prekey', terminate: true};
+        };
+        log('New session with [' + session.getRemote() + '] started.');
+        return {data: {session: session}};
+    });
+
+    list.push(function askRawData(){
+        return {question: 'text.data'};
+    });
+
+    list.push(function doer(data, answer){
+        var dataBuf = tool.get('util.encoding')(answer['text.data'], 'hex')
+            .toArrayBuffer();
+
+        // nothing is given out, unless the advanced state is stored
+        var resultBuf = data.session.encrypt(dataBuf);
+        try{
+            tool.get('enigma.interface.api.session.common.saveSession')(
+                _storage,
+                data.identity,
+                data.session
+            );
+        } catch(e){
+            if('enigma-identity-revoked' == e.message)
+                return {error: 'identity-revoked', terminate: true};
+            if('enigma-identity-expired' == e.message)
+                return {error: 'identity-expired', terminate: true};
+            return {error: 'unable-to-save-session', terminate: true};
+        };
+
+        var resultText = tool.get('enigma.encoder').armor(
+            'SESSION MESSAGE',
+            resultBuf
+        );
+        return {terminate: resultText};
+    });
+
+    return list;
+};
+
+/****************************************************************************/
+
+var exporter = {
+    variables: {
+        'text.fingerprint': {
+            type: 'string',
+            validate: function(v){
+                return /^[0-9a-z]+$/i.test(v);
+            },
+        },
+        'text.passphrase': {
+            type: 'string',
+            validate: function(v){ return /^[\x20-\x7E]{32,}$/.test(v); },
+        },
+        'text.receiver-fingerprint': {
+            type: 'string',
+            validate: function(v){
+                return /^[0-9a-z]+$/i.test(v);
+            },
+        },
+        'text.prekey': {
+            type: 'string',
+            validate: function(v){
+                if(tool.get('enigma.encoder').isArmored(v)) return true;
+                return 0 == v.length % 2 && /^[0-9a-f]+$/i.test(v);
+            },
+        },
+        'text.data': {
+            type: 'string',
+            validate: function(v){
+                return 0 == v.length % 2 && /^[0-9a-f]*$/i.test(v);
+            },
+        },
+    },
+    errors: [
+        'identity-not-found',
+        'unable-to-load-identity',
+        'identity-revoked',
+        'identity-expired',
+        'invalid-prekey',
+        'unable-to-save-session',
+    ],
+    constructor: function(storage, log){
+        return getTaskList(storage, log);
+    },
+};
+tool.set('enigma.interface.api.session-write', exporter);
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
@@ -0,0 +1,80 @@
+/*
+ * Persistence of Sessions and Prekeys
+ * ===================================
+ *
+ * Session states and private prekeys of a local private identity are stored
+ * in its notes:
+ *
+ *  o `prekey-<PREKEY ID>` for a prekey published by this identity;
+ *  o `session-<FINGERPRINT>` for the session with another identity.
+ *
+ * Both contain secrets, and are therefore encrypted to the local identity
+ * itself before being stored. The private identity is required to load them.
+ */
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+
+function store(s, identity, noteKey, buf){
+    var storage = tool.get('enigma.interface.storage')(s);
+    storage.note(
+        identity.getFingerprint(true),
+        noteKey,
+        tool.get('util.encoding')(identity.encrypt(buf)).toBase64()
+    );
+};
+
+function retrieve(s, identity, noteKey){
+    var storage = tool.get('enigma.interface.storage')(s);
+    var stored = storage.note(identity.getFingerprint(true), noteKey);
+    if(!stored) return null;
+    try{
+        return identity.decrypt(
+            tool.get('util.encoding')(stored, 'base64').toArrayBuffer()
+        );
+    } catch(e){
+        return null;
+    };
+};
+
+tool.set('enigma.interface.api.session.common.savePrekey',
+function(s, identity, prekey){
+    store(s, identity, 'prekey-' + prekey.getID(), prekey.exportPrivate());
+});
+
+tool.set('enigma.interface.api.session.common.loadPrekey',
+function(s, identity, prekeyID){
+    if(!/^[0-9a-z]+$/i.test(prekeyID)) return null;
+    var buf = retrieve(s, identity, 'prekey-' + prekeyID);
+    if(!buf) return null;
+
+    var prekey = tool.get('enigma.session.prekey')();
+    try{
+        prekey.loadPrivate(buf);
+    } catch(e){
+        return null;
+    };
+    return prekey;
+});
+
+tool.set('enigma.interface.api.session.common.saveSession',
+function(s, identity, session){
+    store(s, identity, 'session-' + session.getRemote(), session.save());
+});
+
+tool.set('enigma.interface.api.session.common.loadSession',
+function(s, identity, fingerprint){
+    if(!/^[0-9a-z]+$/i.test(fingerprint)) return null;
+    var buf = retrieve(s, identity, 'session-' + fingerprint);
+    if(!buf) return null;
+
+    var session = tool.get('enigma.session')();
+    try{
+        session.load(buf);
+    } catch(e){
+        return null;
+    };
+    return session;
+});
+
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
@@ -9,9 +9,19 @@ var loadAPI = [
     'identity-import',
     'identity-export',
     'identity-delete',
+    'identity-certify',
+    'identity-rotate',
+    'identity-backup-split',
+    'identity-backup-restore',
 
     'message-write',
     'message-read',
+    'message-sign-detached',
+    'message-verify-detached',
+
+    'session-prekey',
+    'session-write',
+    'session-read',
 ];
 
 /*****************************************************************************
@@ -40,8 +50,14 @@ var loadAPI = [
  *    current question, and will wait for another try.
  *  o emit an error and terminate the procedure:
  *      {error: 'ERROR NAME', terminate: true}
+ *
+ * Questions having a default(declared in `defaults` of an API) are optional:
+ * they are answered with the assigned value or else the default, and never
+ * asked.
  */
-function procedure(taskList, translator, validator, variableTypes, errorList){
+function procedure(
+    taskList, translator, validator, variableTypes, errorList, defaults
+){
     // translator: map a given id into localized string
     // validator: given a question ID, and an answer, validate the value
     //            against according rules
@@ -128,9 +144,11 @@ function procedure(taskList, translator, validator, variableTypes, errorList){
             if(!variableTypes[result.question])
                 throw new Error('Undeclared question being asked.');
 
-            if(preassigned[result.question]){
-                if(validator(result.question, preassigned[result.question])){
-                    gotAnswers[result.question] = preassigned[result.question];
+            var assigned = (
+                preassigned[result.question] || defaults[result.question]);
+            if(assigned){
+                if(validator(result.question, assigned)){
+                    gotAnswers[result.question] = assigned;
                     pointer++;
                     shift();
                     return;
@@ -192,13 +210,33 @@ function procedure(taskList, translator, validator, variableTypes, errorList){
 
 function initializer(options){
     var translator = options.translator,
-        storage = options.storage;
+        storage = options.storage,
+        locked = false;
+
+    // an encrypted keyring, opened once and used instead of `storage`
+    var lock = function(){ locked = true; };
+    if(options.keyring){
+        var keyring = options.keyring;
+        if(!(keyring.storage && keyring.key))
+            throw new Error('Missing components for initialization.');
+        storage = tool.get('util.secureStorage')(
+            keyring.storage,
+            {cipher: keyring.cipher}
+        );
+        if(keyring.prefix) storage.prefix(keyring.prefix);
+        var closeKeyring = storage.open(keyring.key);
+        lock = function(){
+            if(!locked) closeKeyring();
+            locked = true;
+        };
+    };
 
     if(!(translator && storage))
         throw new Error('Missing components for initialization.');
 
-    return function(apiName){
+    var factory = function(apiName){
         var type = tool.get('util.type');
+        if(locked) throw new Error('Keyring locked.');
         if(loadAPI.indexOf(apiName) < 0) throw new Error('Unknown API');
         
         var api = tool.get('enigma.interface.api.' + apiName);
@@ -264,11 +302,16 @@ function initializer(options){
             translator,
             validator,
             variableTypes,
-            errors
+            errors,
+            api.defaults || {}
         );
 
         return session;
     };
+
+    // closes the keyring, after which no more session can be started
+    factory.lock = lock;
+    return factory;
 };
 
 tool.exp('enigma.interface', initializer);
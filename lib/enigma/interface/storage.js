@@ -35,7 +35,6 @@ function wrapper(storage){
             storage.removeItem(mappedKey);
             return self;
         } else {
-            console.log('data set:', mappedKey, JSON.stringify(data))
             storage.setItem(mappedKey, JSON.stringify(data));
             return self;
         };
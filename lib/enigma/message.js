@@ -20,6 +20,60 @@
  *  After decryption the instance will have a `read` and a `verify` attribute.
  *  An indication, which shows who have signed the text, will be given. By
  *  supplying an identity, this text will be verified.
+ *
+ * Signed attributes:
+ *  Each signature covers, besides the content, a block of attributes: the
+ *  signer's fingerprint, the time of creation, an optional expiry time and
+ *  content type, and the fingerprints of intended recipients(by default all
+ *  receivers of the message). These are given with `sign(IDENTITY, {expires:
+ *  DATE, contentType: STRING, recipients: [FINGERPRINT, ...]})`, and the
+ *  signatures are calculated in `done()`. `verify` returns an object:
+ *      {
+ *          valid: true or false,   // false also when expired
+ *          signer: FINGERPRINT, subject: STRING,
+ *          created: DATE, expires: DATE or null, expired: true or false,
+ *          contentType: STRING or null, recipients: [FINGERPRINT, ...],
+ *          identityRevoked: true or false,
+ *          identityExpired: true or false, // now or when signing
+ *      }
+ *  A signature is not valid, when the signing identity is revoked or
+ *  expired. Messages written before attributes were
+ *  signed are still read. Their signatures cover the content alone, and
+ *  `verify` gives `created: null` and no recipients for them.
+ *
+ * Detached signatures:
+ *  `write(CONTENT, {detached: true})` prepares a signature over CONTENT,
+ *  which will not be included in the output. After `sign` and `done`, a
+ *  small signature object is returned. CONTENT may also be a digest
+ *  calculated with `enigma.message.digest` over a large file in chunks, in
+ *  which case `{detached: true, digest: true}` is given.
+ *  `read(SIGNATURE, {detached: CONTENT})`(or `{detached: DIGEST, digest:
+ *  true}`) reads such a signature, and `verify` becomes available.
+ *
+ * Cipher suites:
+ *  The envelope records the ID of the cipher suite(see `cipher.suite`),
+ *  whose symmetric cipher protects the payload. It is chosen with
+ *  `write(CONTENT, {suite: NAME})`, by default NECRAC128. Envelopes written
+ *  before suites were recorded are read as NECRAC128. When the cipher is an
+ *  AEAD, the rest of the envelope(suite, receivers, etc.) is authenticated
+ *  together with the payload.
+ *
+ * Compression:
+ *  The payload is compressed with DEFLATE before encryption, or recorded as
+ *  `none` when this doesn't make it shorter. LZW compressed envelopes written
+ *  before are still read. A payload growing beyond `maxPayloadLength` bytes
+ *  when decompressed throws `enigma-payload-too-large`.
+ *
+ * Padding:
+ *  The size of an envelope would tell the length of the compressed payload.
+ *  `write(CONTENT, {padding: 'padme'})` pads it to a length leaving only
+ *  O(log log L) bits of a length L, with an overhead of at most 12%(Padmé,
+ *  see "Reducing Metadata Leakage from Encrypted Files and Communication
+ *  with PURBs"). `{padding: 'bucket', paddingBuckets: [SIZE, ...]}` pads to
+ *  the smallest of fixed sizes(`config.paddingBuckets` by default), or beyond
+ *  the largest to a multiple of it. The scheme is recorded together with the
+ *  padding in the encrypted payload, of envelopes compressed with `deflate`
+ *  or `none`, and is removed when reading. By default nothing is padded.
  */
 (function(tool){
 //////////////////////////////////////////////////////////////////////////////
@@ -27,13 +81,60 @@
 // payload can be directly released(which is a `clear sign`, or be encrypted in
 // serialized form and set to be value of `payload` in envelope.
 var templatePayload = {
+    '_': ['constant', new Uint8Array([69, 113]).buffer],
+    'signers': 'shortArray',
+    'signatures': 'array',
+    'attributes': 'array',
+    'content': 'longBinary',
+};
+
+// payloads written before attributes were signed, still read
+var templatePayloadLegacy = {
     '_': ['constant', new Uint8Array([69, 112]).buffer],
     'signers': 'shortArray',
     'signatures': 'array',
     'content': 'longBinary',
 };
 
+// attributes signed together with the content, one block for each signature
+var templateAttributes = {
+    '_': ['constant', new Uint8Array([69, 65]).buffer],
+    'signer': 'shortBinary',
+    'created': 'datetime',
+    'expires': 'datetime',
+    'contentType': 'shortBinary',
+    'recipients': 'shortArray',
+};
+
 var templateEnvelope = {
+    '_': ['constant', new Uint8Array([69, 67]).buffer],
+    'suite': 'uint8',   // ID of the cipher suite
+    'compression': ['enum',
+        false,
+        'lzw',
+        'deflate',
+        'none',
+    ],
+    'receivers': 'shortArray',
+    'decryptors': 'array',
+    'payload': 'longBinary',
+};
+
+// the compressed payload and its padding, encrypted in envelopes compressed
+// with `deflate` or `none`
+var templatePadded = {
+    '_': ['constant', new Uint8Array([69, 80]).buffer],
+    'scheme': ['enum',
+        'none',
+        'padme',
+        'bucket',
+    ],
+    'content': 'longBinary',
+    'padding': 'longBinary',
+};
+
+// envelopes without a suite ID, as written before, are still read
+var templateEnvelopeLegacy = {
     '_': ['constant', new Uint8Array([69, 67]).buffer],
     'compression': ['enum',
         false,
@@ -44,15 +145,140 @@ var templateEnvelope = {
     'payload': 'longBinary',
 };
 
+// a detached signature signs the digest of some external content
+var templateSignature = {
+    '_': ['constant', new Uint8Array([69, 68]).buffer],
+    'digest': ['enum',
+        'whirlpool-segmented',
+    ],
+    'signers': 'shortArray',
+    'signatures': 'array',
+    'attributes': 'array',
+};
+
+/*
+ * Digest of content for detached signatures. The content is cut into
+ * segments of fixed size, and the hash of all segment hashes together with
+ * the content length is used. The result doesn't depend on how the content
+ * is given to `update`, so that large files may be digested in chunks.
+ */
+var config = {
+    digestSegmentSize: 1048576,
+    digestLength: 64,
+    defaultSuite: 'NECRAC128',
+    maxPayloadLength: 268435456,    // after decompression
+    paddingBuckets: [256, 1024, 4096, 16384, 65536],
+};
+
+// the length to which a payload of `len` bytes is padded
+var paddedLength = {
+    'none': function(len){
+        return len;
+    },
+    'padme': function(len){
+        if(len < 2) return len;
+        var e = 0, s = 0;
+        while(Math.pow(2, e + 1) <= len) e++;   // floor(log2(len))
+        while(Math.pow(2, s + 1) <= e) s++;     // floor(log2(e))
+        var unit = Math.pow(2, e - s - 1);
+        return Math.ceil(len / unit) * unit;
+    },
+    'bucket': function(len, buckets){
+        for(var i=0; i<buckets.length; i++)
+            if(len <= buckets[i]) return buckets[i];
+        var largest = buckets[buckets.length - 1];
+        return Math.ceil(len / largest) * largest;
+    },
+};
+
+function digest(){
+    var self = this;
+    var testType = tool.get('util.type'),
+        buffer = tool.get('util.buffer');
+
+    var pendingBuf = new Uint8Array(0).buffer, segmentDigests = [],
+        totalLength = 0;
+
+    function hashSegment(segmentBuf){
+        segmentDigests.push(
+            tool.get('hash')(config.digestLength).hash(segmentBuf).buffer
+        );
+    };
+
+    this.update = function(dataBuf){
+        if(!testType(dataBuf).isArrayBuffer())
+            throw new Error('enigma-invalid-input');
+        totalLength += dataBuf.byteLength;
+        pendingBuf = buffer.concat([pendingBuf, dataBuf]);
+        var offset = 0, size = config.digestSegmentSize;
+        while(pendingBuf.byteLength - offset >= size){
+            hashSegment(pendingBuf.slice(offset, offset + size));
+            offset += size;
+        };
+        pendingBuf = pendingBuf.slice(offset);
+        return self;
+    };
+
+    this.final = function(){
+        if(pendingBuf.byteLength > 0 || 0 == segmentDigests.length)
+            hashSegment(pendingBuf);
+
+        var lengthBuf = new Uint32Array([
+            totalLength % 0x100000000,
+            Math.floor(totalLength / 0x100000000),
+        ]).buffer;
+
+        delete self.update;
+        delete self.final;
+        return tool.get('hash')(config.digestLength).hash(
+            buffer.concat(segmentDigests.concat([lengthBuf]))
+        ).buffer;
+    };
+
+    return this;
+};
+
 function message(){
     var self = this;
     var testType = tool.get('util.type');
 
     var payloadSerializer = tool.get('util.serialize')(templatePayload),
-        envelopeSerializer = tool.get('util.serialize')(templateEnvelope);
+        legacyPayloadSerializer =
+            tool.get('util.serialize')(templatePayloadLegacy),
+        envelopeSerializer = tool.get('util.serialize')(templateEnvelope),
+        legacyEnvelopeSerializer =
+            tool.get('util.serialize')(templateEnvelopeLegacy),
+        signatureSerializer = tool.get('util.serialize')(templateSignature),
+        attributesSerializer = tool.get('util.serialize')(templateAttributes),
+        paddedSerializer = tool.get('util.serialize')(templatePadded);
 
     var plaintextBuf, mainKeyBuf, receivers = [], decryptors = [],
-        signatures = [], signers = [], clearSign = false;
+        signatures = [], signers = [], attributes = [], clearSign = false,
+        detached = false, pendingSigns = [], suite = null,
+        padding = 'none', paddingBuckets = config.paddingBuckets;
+
+    function detachedDigest(contentBuf, options){
+        if(!testType(contentBuf).isArrayBuffer())
+            throw new Error('enigma-invalid-input');
+        if(true === options.digest){
+            if(config.digestLength != contentBuf.byteLength)
+                throw new Error('enigma-invalid-input');
+            return contentBuf;
+        };
+        return new digest().update(contentBuf).final();
+    };
+
+    // the envelope without payload, authenticated as associated data by
+    // suites with an AEAD cipher, so that e.g. receivers can't be altered
+    function envelopeHeader(suiteID, compression, receivers, decryptors){
+        return envelopeSerializer.serialize({
+            'suite': suiteID,
+            'compression': compression,
+            'receivers': receivers,
+            'decryptors': decryptors,
+            'payload': new Uint8Array(0).buffer,
+        });
+    };
 
     var payloadBuf, payloadCompression;
 
@@ -63,30 +289,77 @@ function message(){
         if(!testType(plaintext).isArrayBuffer())
             throw new Error('enigma-invalid-input');
 
+        delete self.write;
+        delete self.read;
+        self.sign = sign;
+
+        if(options && true === options.detached){
+            // only the digest is to be signed, nothing to be encrypted
+            detached = true;
+            plaintextBuf = detachedDigest(plaintext, options);
+            return;
+        };
+
+        suite = tool.get('cipher.suite')(
+            (options && options.suite) || config.defaultSuite
+        );
+        if(!suite) throw new Error('enigma-message-unsupported-suite');
+
+        if(options && undefined !== options.padding){
+            if(!paddedLength.hasOwnProperty(options.padding))
+                throw new Error('enigma-invalid-input');
+            padding = options.padding;
+        };
+        if(options && undefined !== options.paddingBuckets){
+            var buckets = options.paddingBuckets;
+            if(!(testType(buckets).isArray() && buckets.length > 0))
+                throw new Error('enigma-invalid-input');
+            for(var i=0; i<buckets.length; i++)
+                if(!(
+                    testType(buckets[i]).isNumber() &&
+                    buckets[i] >= 1 &&
+                    buckets[i] == Math.floor(buckets[i]) &&
+                    (0 == i || buckets[i] > buckets[i - 1])
+                ))
+                    throw new Error('enigma-invalid-input');
+            paddingBuckets = buckets;
+        };
+
         plaintextBuf = plaintext;
         mainKeyBuf = new tool.get('util.srand')().bytes(64);
         clearSign = (options && true === options.clearsign);
 
-        delete self.write;
-        delete self.read;
-        self.sign = sign;
         if(!clearSign) self.encrypt = encrypt;
     };
 
     /* Prepares a decryption by supplying the ciphertext. */
-    this.read = function(textBuf){
+    this.read = function(textBuf, options){
         if(!testType(textBuf).isArrayBuffer())
             throw new Error('enigma-invalid-input');
 
+        if(options && undefined !== options.detached)
+            return readDetached(textBuf, options);
+
         // see if we can treat the message as something enveloped.
         var isEnvelope = true;
         try{
             var envelopeDeserialized = envelopeSerializer.deserialize(textBuf);
         } catch(e){
-            isEnvelope = false;
+            try{
+                envelopeDeserialized =
+                    legacyEnvelopeSerializer.deserialize(textBuf);
+                envelopeDeserialized.suite =
+                    tool.get('cipher.suite')('NECRAC128').id;
+            } catch(e){
+                isEnvelope = false;
+            };
         };
 
         if(isEnvelope){
+            // the primitives are chosen by the suite ID
+            suite = tool.get('cipher.suite')(envelopeDeserialized.suite);
+            if(!suite) throw new Error('enigma-message-unsupported-suite');
+
             var dReceivers = envelopeDeserialized.receivers,
                 dDecryptors = envelopeDeserialized.decryptors,
                 dCompression = envelopeDeserialized.compression,
@@ -123,18 +396,64 @@ function message(){
         delete self.read;
     };
 
+    function readDetached(signatureBuf, options){
+        var digestBuf = detachedDigest(options.detached, options);
+        try{
+            var d = signatureSerializer.deserialize(signatureBuf);
+        } catch(e){
+            throw new Error('enigma-invalid-input');
+        };
+        if(!(
+            d.signers.length == d.signatures.length &&
+            d.signers.length == d.attributes.length &&
+            d.signers.length > 0
+        ))
+            throw new Error('enigma-invalid-input');
+
+        plaintextBuf = digestBuf;
+        signers = d.signers;
+        signatures = d.signatures;
+        attributes = d.attributes;
+        self.verify = verify;
+        self.getSigners = getSigners;
+
+        delete self.write;
+        delete self.read;
+    };
+
     function continueUnpackPayload(){
         // this may be called immediate after `this.read`, or after
         // a decryption.
 
+        // padding is found together with the newer choices of compression
+        if('deflate' == payloadCompression || 'none' == payloadCompression){
+            try{
+                payloadBuf = paddedSerializer.deserialize(payloadBuf).content;
+            } catch(e){
+                throw new Error('enigma-invalid-input');
+            };
+            if(null === payloadBuf) throw new Error('enigma-invalid-input');
+        };
+
         // if payload compressed, decompress.
-        if('lzw' == payloadCompression){
+        if('deflate' == payloadCompression){
+            try{
+                payloadBuf = tool.get('util.inflate')(
+                    payloadBuf, config.maxPayloadLength);
+            } catch(e){
+                if('decompression-limit-exceeded' == e.message)
+                    throw new Error('enigma-payload-too-large');
+                throw new Error('enigma-invalid-input');
+            };
+        } else if('lzw' == payloadCompression){
             try{
                 payloadBuf = tool.get('util.decompress')(payloadBuf);
             } catch(e){
                 throw new Error('enigma-invalid-input');
             };
-        } else if(false !== payloadCompression)
+        } else if(!(
+            false === payloadCompression || 'none' == payloadCompression
+        ))
             throw new Error('enigma-invalid-input');
 
         try{
@@ -142,14 +461,27 @@ function message(){
         } catch(e){
             // payload being here must be readable. ciphertext must have been
             // provided with decryptors, which happens above.
-            throw new Error('enigma-invalid-input');
+            try{
+                payloadDeserialized =
+                    legacyPayloadSerializer.deserialize(payloadBuf);
+            } catch(e){
+                throw new Error('enigma-invalid-input');
+            };
+            // no attributes were signed, see `verify`
+            payloadDeserialized.attributes = [];
+            for(var i=0; i<payloadDeserialized.signers.length; i++)
+                payloadDeserialized.attributes.push(null);
         };
 
         var dSignatures = payloadDeserialized.signatures,
             dSigners = payloadDeserialized.signers,
+            dAttributes = payloadDeserialized.attributes,
             dPlaintext = payloadDeserialized.content;
 
-        if(dSignatures.length != dSigners.length)
+        if(!(
+            dSignatures.length == dSigners.length &&
+            dAttributes.length == dSigners.length
+        ))
             throw new Error('enigma-invalid-input');
 
         plaintextBuf = dPlaintext;
@@ -158,6 +490,7 @@ function message(){
         if(dSigners.length > 0){
             signatures = dSignatures;
             signers = dSigners;
+            attributes = dAttributes;
             self.verify = verify;
             self.getSigners = getSigners;
         };
@@ -165,19 +498,87 @@ function message(){
 
     ////////////////// METHODS FOR A WRITTEN INSTANCE ////////////////////
 
-    function sign(withIdentity){
+    function sign(withIdentity, options){
         if(!withIdentity.isPrivate())
             throw new Error('enigma-invalid-identity-for-sign');
+        if(withIdentity.isRevoked()) throw new Error('enigma-identity-revoked');
+        if(withIdentity.isExpired()) throw new Error('enigma-identity-expired');
+        if(!options) options = {};
+
+        var expires = null, contentTypeBuf = null, recipients = null;
+        if(undefined !== options.expires && null !== options.expires){
+            if(!(
+                testType(options.expires).isDate() &&
+                options.expires.getTime() > new Date().getTime()
+            ))
+                throw new Error('enigma-invalid-input');
+            expires = options.expires;
+        };
+        if(undefined !== options.contentType){
+            if(!(
+                testType(options.contentType).isString() &&
+                /^[\x20-\x7E]{1,255}$/.test(options.contentType)
+            ))
+                throw new Error('enigma-invalid-input');
+            contentTypeBuf = tool.get('util.encoding')(
+                options.contentType, 'ascii'
+            ).toArrayBuffer();
+        };
+        if(undefined !== options.recipients){
+            if(!testType(options.recipients).isArray())
+                throw new Error('enigma-invalid-input');
+            recipients = [];
+            for(var i=0; i<options.recipients.length; i++)
+                recipients.push(fingerprintToBuf(options.recipients[i]));
+        };
 
-        var withIdentityFp = withIdentity.getFingerprint();
-        var signature = withIdentity.sign(plaintextBuf);
-        signers.push(withIdentityFp);
-        signatures.push(signature);
+        pendingSigns.push({
+            identity: withIdentity,
+            expires: expires,
+            contentType: contentTypeBuf,
+            recipients: recipients,
+        });
 
-        if(signers.length >= 255) delete self.sign;
+        if(pendingSigns.length >= 255) delete self.sign;
         if(undefined == self.done) self.done = done;
     };
 
+    function fingerprintToBuf(fingerprint){
+        if(testType(fingerprint).isString()){
+            try{
+                fingerprint = tool.get('util.encoding')(
+                    fingerprint.toLowerCase(), 'base32'
+                ).toArrayBuffer();
+            } catch(e){
+                throw new Error('enigma-invalid-input');
+            };
+        };
+        if(!testType(fingerprint).isArrayBuffer())
+            throw new Error('enigma-invalid-input');
+        return fingerprint;
+    };
+
+    function signAll(){
+        // the attributes are decided now, when all receivers are known
+        var created = new Date(), each, attributesBuf;
+        for(var i=0; i<pendingSigns.length; i++){
+            each = pendingSigns[i];
+            attributesBuf = attributesSerializer.serialize({
+                'signer': each.identity.getFingerprint(),
+                'created': created,
+                'expires': each.expires,
+                'contentType': each.contentType,
+                'recipients': each.recipients || receivers,
+            });
+            signers.push(each.identity.getFingerprint());
+            attributes.push(attributesBuf);
+            signatures.push(each.identity.sign(
+                tool.get('util.buffer').concat([attributesBuf, plaintextBuf])
+            ));
+        };
+        pendingSigns = [];
+    };
+
     function encrypt(toIdentity){
         var decryptor = toIdentity.encrypt(mainKeyBuf);
         var toIdentityFp = toIdentity.getFingerprint();
@@ -189,34 +590,71 @@ function message(){
         return true;
     };
 
+    // wraps the compressed payload with padding up to the chosen length
+    function pad(contentBuf){
+        var unpaddedLength = paddedSerializer.serialize({
+            'scheme': padding,
+            'content': contentBuf,
+            'padding': null,
+        }).byteLength;
+        var length = paddedLength[padding](unpaddedLength, paddingBuckets);
+        return paddedSerializer.serialize({
+            'scheme': padding,
+            'content': contentBuf,
+            'padding': new Uint8Array(length - unpaddedLength).buffer,
+        });
+    };
+
     function done(){
         delete self.sign;
         delete self.encrypt;
 
+        signAll();
+
+        if(detached){
+            delete self.done;
+            return signatureSerializer.serialize({
+                'digest': 'whirlpool-segmented',
+                'signers': signers,
+                'signatures': signatures,
+                'attributes': attributes,
+            });
+        };
+
         var payloadBuf = payloadSerializer.serialize({
             'signers': signers,
             'signatures': signatures,
+            'attributes': attributes,
             'content': plaintextBuf,
         });
 
         if(clearSign) return payloadBuf;
 
 
-        var compress = 'lzw';
-        if(compress){
-            payloadBuf = tool.get('util.compress')(payloadBuf);
+        // incompressible payloads, e.g. of already compressed files, are
+        // kept as they are
+        var compress = 'none',
+            deflatedBuf = tool.get('util.deflate')(payloadBuf);
+        if(deflatedBuf.byteLength < payloadBuf.byteLength){
+            compress = 'deflate';
+            payloadBuf = deflatedBuf;
         };
+        payloadBuf = pad(payloadBuf);
 
         var encrypt = (decryptors.length > 0);
         if(encrypt){
-            payloadBuf = tool.get('cipher.symmetric')()
-                .key(mainKeyBuf)
-                .encrypt(payloadBuf)
-            ;
+            var cipher = tool.get('cipher.symmetric')(suite.symmetric)
+                .key(mainKeyBuf);
+            if(cipher.aead)
+                payloadBuf = cipher.encrypt(payloadBuf, envelopeHeader(
+                    suite.id, compress, receivers, decryptors));
+            else
+                payloadBuf = cipher.encrypt(payloadBuf);
         };
 
         var envelopeBuf = envelopeSerializer.serialize({
-            'compression': compress || false,
+            'suite': suite.id,
+            'compression': compress,
             'receivers': receivers,
             'decryptors': decryptors,
             'payload': payloadBuf,
@@ -259,13 +697,17 @@ function message(){
         };
 
         try{
-            payloadBuf = tool.get('cipher.symmetric')()
-                .key(mainKeyBuf)
-                .decrypt(payloadBuf)
-            ;
+            var cipher = tool.get('cipher.symmetric')(suite.symmetric)
+                .key(mainKeyBuf);
+            if(cipher.aead)
+                payloadBuf = cipher.decrypt(payloadBuf, envelopeHeader(
+                    suite.id, payloadCompression, receivers, decryptors));
+            else
+                payloadBuf = cipher.decrypt(payloadBuf);
         } catch(e){
             throw new Error('enigma-message-corrupted');
         };
+        if(null === payloadBuf) throw new Error('enigma-message-corrupted');
 
         continueUnpackPayload(payloadBuf);
         delete self.decrypt;
@@ -288,13 +730,93 @@ function message(){
         };
 
         if(!found) throw new Error('enigma-invalid-identity-for-verify');
+        if(null === attributes[i]) return verifyLegacy(withIdentity, i);
+
+        try{
+            var d = attributesSerializer.deserialize(attributes[i]);
+        } catch(e){
+            throw new Error('enigma-invalid-input');
+        };
+        if(!(
+            testType(d.signer).isArrayBuffer() &&
+            testType(d.created).isDate()
+        ))
+            throw new Error('enigma-invalid-input');
+
+        try{
+            var signatureValid = withIdentity.verify(
+                tool.get('util.buffer').concat([attributes[i], plaintextBuf]),
+                signatures[i]
+            );
+        } catch(e){
+            throw new Error('enigma-invalid-identity-for-verify');
+        };
 
-        var signature = signatures[i];
+        // the signer named in signed attributes must be the one listed
+        if(!tool.get('util.buffer').equal(d.signer, signers[i]))
+            signatureValid = false;
+
+        var expired = Boolean(
+            d.expires && d.expires.getTime() < new Date().getTime()
+        );
+        // the time of creation is claimed by the signer, who may backdate
+        // it, so the identity must not be expired now either
+        var identityRevoked = withIdentity.isRevoked(),
+            identityExpired = (
+                withIdentity.isExpired() ||
+                withIdentity.isExpired(d.created)
+            );
+
+        return {
+            valid: (
+                (true === signatureValid) &&
+                !expired && !identityRevoked && !identityExpired
+            ),
+            signer: tool.get('util.encoding')(d.signer).toBase32(),
+            subject: withIdentity.getSubject(),
+            created: d.created,
+            expires: d.expires,
+            expired: expired,
+            contentType: (
+                d.contentType ?
+                tool.get('util.encoding')(d.contentType).toASCII() :
+                null
+            ),
+            recipients: _fpListToStr(d.recipients),
+            identityRevoked: identityRevoked,
+            identityExpired: identityExpired,
+        };
+    };
+
+    function verifyLegacy(withIdentity, i){
+        // the signature covers the content alone, and its time is unknown
         try{
-            return withIdentity.verify(plaintextBuf, signature);
+            var signatureValid = withIdentity.verify(
+                plaintextBuf,
+                signatures[i]
+            );
         } catch(e){
             throw new Error('enigma-invalid-identity-for-verify');
         };
+
+        var identityRevoked = withIdentity.isRevoked(),
+            identityExpired = withIdentity.isExpired();
+
+        return {
+            valid: (
+                (true === signatureValid) &&
+                !identityRevoked && !identityExpired
+            ),
+            signer: tool.get('util.encoding')(signers[i]).toBase32(),
+            subject: withIdentity.getSubject(),
+            created: null,
+            expires: null,
+            expired: false,
+            contentType: null,
+            recipients: [],
+            identityRevoked: identityRevoked,
+            identityExpired: identityExpired,
+        };
     };
 
     function getPlaintext(){ return plaintextBuf; };
@@ -314,7 +836,10 @@ function message(){
 
 /****************************************************************************/
 function exporter(){ return new message(); };
+function digestExporter(){ return new digest(); };
 tool.set('enigma.message', exporter);
+tool.set('enigma.message.digest', digestExporter);
 tool.exp('enigma.message', exporter);
+tool.exp('enigma.message.digest', digestExporter);
 //////////////////////////////////////////////////////////////////////////////
 })(tool);
@@ -0,0 +1,690 @@
+/*
+ * Enigma Session
+ * ==============
+ *
+ * `enigma.message` encrypts each message to the long-term key of an identity,
+ * so that whoever gets this key later reads all past messages. A session is
+ * an alternative for conversations between 2 identities, where keys are
+ * changed continuously(a double ratchet):
+ *
+ *  o each message is encrypted with its own key, taken from a chain of keys.
+ *    Used keys are forgotten, and cannot be derived from later ones.
+ *  o each time the speaker changes, both sides exchange new Curve25519 keys,
+ *    from which new chains are derived. A stolen session state then stops
+ *    working after one round trip.
+ *
+ * A session is started with a handshake, similar to X3DH:
+ *
+ *  1 the responder Bob generates a prekey with `enigma.session.prekey`,
+ *    signed by his identity, and publishes `exportPublic()`. The private
+ *    part is kept.
+ *  2 the initiator Alice calls `session.initiate(ALICE, BOB, PREKEY)`. She
+ *    combines a Diffie-Hellman result with her ephemeral key and the prekey,
+ *    and a random secret encrypted to Bob's identity. The handshake is
+ *    signed by her identity and attached to her messages, until Bob replies.
+ *  3 Bob finds out the identities and the prekey being used with
+ *    `enigma.session.readHandshake(MESSAGE)`, and calls
+ *    `session.accept(BOB, ALICE, PREKEY, MESSAGE)`.
+ *
+ * Afterwards, `encrypt` and `decrypt` are used on both sides. Messages
+ * arriving out of order are accepted, by keeping up to `config.maxSkipped`
+ * keys for messages not received yet.
+ *
+ * `save()` serializes the whole state of a session, and `load(STATE)`
+ * restores it. Both the state and the private part of a prekey contain
+ * secrets in plain, and must be protected by the caller.
+ */
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+// Adjustable
+var config = {
+    maxSkipped: 200,        // message keys kept for messages not received
+    maxSkippedStep: 100,    // messages to be skipped at once
+};
+/****************************************************************************/
+
+var templatePrekey = {
+    '_': ['constant', new Uint8Array([69, 66]).buffer],
+    'identity': 'binary',   // ID of the identity signing this prekey
+    'public': 'shortBinary',
+    'created': 'datetime',
+    'signature': 'binary',
+};
+
+var templatePrekeyPrivate = {
+    '_': ['constant', new Uint8Array([69, 98]).buffer],
+    'prekey': 'binary',     // serialized `templatePrekey`
+    'secret': 'shortBinary',
+};
+
+var templateHandshake = {
+    '_': ['constant', new Uint8Array([69, 72]).buffer],
+    'initiator': 'binary',  // ID of the initiating identity
+    'responder': 'binary',  // ID of the responding identity
+    'prekey': 'shortBinary',// public key of the prekey being used
+    'ephemeral': 'shortBinary',
+    'secret': 'binary',     // encrypted to the responding identity
+    'signature': 'binary',  // by the initiating identity
+};
+
+var templateMessage = {
+    '_': ['constant', new Uint8Array([69, 77]).buffer],
+    'handshake': 'binary',  // optional, until the responder has replied
+    'ratchet': 'shortBinary',
+    'previous': 'uint32',   // length of the previous sending chain
+    'counter': 'uint32',
+    'ciphertext': 'longBinary',
+};
+
+var templateState = {
+    '_': ['constant', new Uint8Array([69, 76]).buffer],
+    'local': 'binary',
+    'remote': 'binary',
+    'root': 'shortBinary',
+    'sendingSecret': 'shortBinary',
+    'receivingPublic': 'shortBinary',
+    'sendingChain': 'shortBinary',
+    'receivingChain': 'shortBinary',
+    'sent': 'uint32',
+    'received': 'uint32',
+    'previous': 'uint32',
+    'handshake': 'binary',
+    'skipped': 'array',
+        // each is [32 bytes ratchet][4 bytes counter][32 bytes message key]
+};
+
+var prekeySerializer = tool.get('util.serialize')(templatePrekey),
+    prekeyPrivateSerializer = tool.get('util.serialize')(templatePrekeyPrivate),
+    handshakeSerializer = tool.get('util.serialize')(templateHandshake),
+    messageSerializer = tool.get('util.serialize')(templateMessage),
+    stateSerializer = tool.get('util.serialize')(templateState);
+
+function curve(secretBuf){
+    var ret = tool.get('cipher.asymmetric.curve25519').constructor();
+    if(!secretBuf) secretBuf = tool.get('util.srand')().bytes(32);
+    ret.setPrivateKey(secretBuf);
+    ret.secret = secretBuf;
+    return ret;
+};
+
+function constantBuf(x){ return new Uint8Array([x]).buffer; };
+
+function isIdentity(identity){
+    return Boolean(
+        identity &&
+        tool.get('util.type')(identity.getHash).isFunction()
+    );
+};
+
+//////////////////////////////////////////////////////////////////////////////
+
+function prekey(){
+    var self = this;
+    var testType = tool.get('util.type'),
+        buffer = tool.get('util.buffer');
+
+    var prekeyBuf, identityID, publicKeyBuf, secretBuf = null, createdDate;
+
+    function initialize(prv){
+        self.exportPublic = exportPublic;
+        self.getID = getID;
+        self.getIdentity = getIdentity;
+        self.getPublicKey = function(){ return publicKeyBuf; };
+        self.getCreated = function(){ return createdDate; };
+        if(prv){
+            self.exportPrivate = exportPrivate;
+            self.getSecret = function(){ return secretBuf; };
+        };
+
+        delete self.generate;
+        delete self.loadPublic;
+        delete self.loadPrivate;
+    };
+
+    function readPrekey(buf, signerIdentity){
+        try{
+            var d = prekeySerializer.deserialize(buf);
+        } catch(e){
+            throw new Error('enigma-invalid-input');
+        };
+        if(!(
+            testType(d.identity).isArrayBuffer() &&
+            testType(d.public).isArrayBuffer() &&
+            testType(d.signature).isArrayBuffer() &&
+            32 == d.public.byteLength
+        ))
+            throw new Error('enigma-invalid-input');
+
+        if(signerIdentity){
+            if(!buffer.equal(d.identity, signerIdentity.getHash()))
+                throw new Error('enigma-session-bad-prekey');
+            var signatureBuf = d.signature;
+            d.signature = null;
+            if(!signerIdentity.verify(
+                prekeySerializer.serialize(d),
+                signatureBuf
+            ))
+                throw new Error('enigma-session-bad-prekey');
+        };
+
+        prekeyBuf = buf;
+        identityID = d.identity;
+        publicKeyBuf = d.public;
+        createdDate = d.created;
+    };
+
+    this.generate = function(identity){
+        // generate a prekey signed with the given private identity
+        if(!(isIdentity(identity) && identity.isPrivate()))
+            throw new Error('enigma-invalid-input');
+
+        var key = curve();
+        createdDate = new Date();
+        createdDate.setUTCMilliseconds(0);
+        var d = {
+            'identity': identity.getHash(),
+            'public': key.getPublicKey(),
+            'created': createdDate,
+            'signature': null,
+        };
+        d.signature = identity.sign(prekeySerializer.serialize(d));
+
+        readPrekey(prekeySerializer.serialize(d));
+        secretBuf = key.secret;
+        initialize(true);
+    };
+
+    this.loadPublic = function(buf, signerIdentity){
+        // the signature is checked against the identity, which is required
+        if(!(testType(buf).isArrayBuffer() && isIdentity(signerIdentity)))
+            throw new Error('enigma-invalid-input');
+        readPrekey(buf, signerIdentity);
+        initialize(false);
+    };
+
+    this.loadPrivate = function(buf){
+        if(!testType(buf).isArrayBuffer())
+            throw new Error('enigma-invalid-input');
+        try{
+            var d = prekeyPrivateSerializer.deserialize(buf);
+        } catch(e){
+            throw new Error('enigma-invalid-input');
+        };
+        readPrekey(d.prekey);
+        if(!(
+            testType(d.secret).isArrayBuffer() &&
+            buffer.equal(curve(d.secret).getPublicKey(), publicKeyBuf)
+        ))
+            throw new Error('enigma-invalid-input');
+        secretBuf = d.secret;
+        initialize(true);
+    };
+
+    function exportPublic(){ return prekeyBuf; };
+
+    function exportPrivate(){
+        return prekeyPrivateSerializer.serialize({
+            'prekey': prekeyBuf,
+            'secret': secretBuf,
+        });
+    };
+
+    function getID(){
+        return tool.get('util.encoding')(
+            tool.get('hash')(10).hash(publicKeyBuf).buffer
+        ).toBase32();
+    };
+
+    function getIdentity(){
+        return tool.get('util.encoding')(identityID.slice(0, 10)).toBase32();
+    };
+
+    return this;
+};
+
+//////////////////////////////////////////////////////////////////////////////
+
+function session(){
+    var self = this;
+    var testType = tool.get('util.type'),
+        buffer = tool.get('util.buffer'),
+        hash = tool.get('hash');
+
+    /*
+     * The state. `sendingKey` is our current ratchet key pair, while
+     * `receivingPublic` is the latest ratchet key of the other side.
+     * Chains are null, when not derived yet.
+     */
+    var state = null;
+
+    function emptyBuf(){ return new Uint8Array(0).buffer; };
+
+    function deriveRoot(rootBuf, dhBuf){
+        var out = hash(64).mac(dhBuf, rootBuf).buffer;
+        return {root: out.slice(0, 32), chain: out.slice(32, 64)};
+    };
+
+    function deriveChain(chainBuf){
+        return {
+            key: hash(32).mac(constantBuf(1), chainBuf).buffer,
+            chain: hash(32).mac(constantBuf(2), chainBuf).buffer,
+        };
+    };
+
+    function messageCipher(messageKeyBuf, headerBuf){
+        // the header is bound to the message by the key derivation
+        return tool.get('cipher.symmetric')().key(
+            hash(64).mac(headerBuf, messageKeyBuf).buffer
+        );
+    };
+
+    function copyState(s){
+        var ret = {};
+        for(var k in s) ret[k] = s[k];
+        ret.skipped = s.skipped.slice(0);
+        return ret;
+    };
+
+    function ratchetStep(s, remotePublicBuf){
+        // called with a new ratchet key of the other side
+        s.previous = s.sent;
+        s.sent = 0;
+        s.received = 0;
+        s.receivingPublic = remotePublicBuf;
+
+        var derived = deriveRoot(
+            s.root,
+            s.sendingKey._computeSecret(remotePublicBuf)
+        );
+        s.root = derived.root;
+        s.receivingChain = derived.chain;
+
+        s.sendingKey = curve();
+        derived = deriveRoot(
+            s.root,
+            s.sendingKey._computeSecret(remotePublicBuf)
+        );
+        s.root = derived.root;
+        s.sendingChain = derived.chain;
+    };
+
+    function skipUntil(s, counter){
+        // keep the keys of messages not received yet
+        if(null === s.receivingChain) return;
+        if(counter - s.received > config.maxSkippedStep)
+            throw new Error('enigma-session-too-many-skipped');
+        var derived;
+        while(s.received < counter){
+            derived = deriveChain(s.receivingChain);
+            s.skipped.push(buffer.concat([
+                s.receivingPublic,
+                new Uint32Array([s.received]).buffer,
+                derived.key,
+            ]));
+            s.receivingChain = derived.chain;
+            s.received += 1;
+        };
+        if(s.skipped.length > config.maxSkipped)
+            s.skipped = s.skipped.slice(s.skipped.length - config.maxSkipped);
+    };
+
+    function findSkipped(s, ratchetBuf, counter){
+        var entry = buffer.concat([
+            ratchetBuf,
+            new Uint32Array([counter]).buffer,
+        ]);
+        for(var i=0; i<s.skipped.length; i++){
+            if(!buffer.equal(s.skipped[i].slice(0, 36), entry)) continue;
+            var ret = s.skipped[i].slice(36);
+            s.skipped.splice(i, 1);
+            return ret;
+        };
+        return null;
+    };
+
+    function checkPair(localIdentity, remoteIdentity){
+        if(!(
+            isIdentity(localIdentity) &&
+            isIdentity(remoteIdentity) &&
+            localIdentity.isPrivate()
+        ))
+            throw new Error('enigma-invalid-input');
+    };
+
+    function initialize(){
+        self.encrypt = encrypt;
+        self.decrypt = decrypt;
+        self.save = save;
+        self.getLocal = getLocal;
+        self.getRemote = getRemote;
+        self.isEstablished = isEstablished;
+
+        delete self.initiate;
+        delete self.accept;
+        delete self.load;
+    };
+
+    /////////////// METHODS FOR INITIALIZING THIS INSTANCE ///////////////
+
+    this.initiate = function(localIdentity, remoteIdentity, prekeyBuf){
+        /*
+         * Starts a session with the given prekey of the remote identity.
+         * The local identity must be private.
+         */
+        checkPair(localIdentity, remoteIdentity);
+        var remotePrekey = tool.get('enigma.session.prekey')();
+        remotePrekey.loadPublic(prekeyBuf, remoteIdentity);
+
+        var ephemeral = curve(),
+            secretBuf = tool.get('util.srand')().bytes(32);
+        var handshake = {
+            'initiator': localIdentity.getHash(),
+            'responder': remoteIdentity.getHash(),
+            'prekey': remotePrekey.getPublicKey(),
+            'ephemeral': ephemeral.getPublicKey(),
+            'secret': remoteIdentity.encrypt(secretBuf),
+            'signature': null,
+        };
+        handshake.signature = localIdentity.sign(
+            handshakeSerializer.serialize(handshake)
+        );
+
+        var sharedBuf = hash(32).mac(
+            buffer.concat([
+                ephemeral._computeSecret(remotePrekey.getPublicKey()),
+                secretBuf,
+            ]),
+            buffer.concat([handshake.initiator, handshake.responder])
+        ).buffer;
+
+        state = {
+            local: localIdentity.getHash(),
+            remote: remoteIdentity.getHash(),
+            root: sharedBuf,
+            sendingKey: curve(),
+            receivingPublic: remotePrekey.getPublicKey(),
+            sendingChain: null,
+            receivingChain: null,
+            sent: 0,
+            received: 0,
+            previous: 0,
+            handshake: handshakeSerializer.serialize(handshake),
+            skipped: [],
+        };
+        var derived = deriveRoot(
+            state.root,
+            state.sendingKey._computeSecret(state.receivingPublic)
+        );
+        state.root = derived.root;
+        state.sendingChain = derived.chain;
+
+        initialize();
+    };
+
+    this.accept = function(localIdentity, remoteIdentity, localPrekey,
+        messageBuf){
+        /*
+         * Accepts a session started by the remote identity, whose first
+         * message is given. The message is not decrypted here, call
+         * `decrypt` afterwards.
+         */
+        checkPair(localIdentity, remoteIdentity);
+        if(!(
+            localPrekey &&
+            testType(localPrekey.getSecret).isFunction() &&
+            testType(messageBuf).isArrayBuffer()
+        ))
+            throw new Error('enigma-invalid-input');
+
+        try{
+            var message = messageSerializer.deserialize(messageBuf);
+            var handshake = handshakeSerializer.deserialize(
+                message.handshake
+            );
+        } catch(e){
+            throw new Error('enigma-session-bad-handshake');
+        };
+        if(!(
+            testType(handshake.signature).isArrayBuffer() &&
+            testType(handshake.ephemeral).isArrayBuffer() &&
+            testType(handshake.secret).isArrayBuffer() &&
+            buffer.equal(handshake.initiator, remoteIdentity.getHash()) &&
+            buffer.equal(handshake.responder, localIdentity.getHash()) &&
+            buffer.equal(handshake.prekey, localPrekey.getPublicKey())
+        ))
+            throw new Error('enigma-session-bad-handshake');
+
+        var signatureBuf = handshake.signature;
+        handshake.signature = null;
+        if(!remoteIdentity.verify(
+            handshakeSerializer.serialize(handshake),
+            signatureBuf
+        ))
+            throw new Error('enigma-session-bad-handshake');
+
+        try{
+            var secretBuf = localIdentity.decrypt(handshake.secret);
+        } catch(e){
+            throw new Error('enigma-session-bad-handshake');
+        };
+        if(!testType(secretBuf).isArrayBuffer())
+            throw new Error('enigma-session-bad-handshake');
+
+        var prekeyPair = curve(localPrekey.getSecret());
+        var sharedBuf = hash(32).mac(
+            buffer.concat([
+                prekeyPair._computeSecret(handshake.ephemeral),
+                secretBuf,
+            ]),
+            buffer.concat([handshake.initiator, handshake.responder])
+        ).buffer;
+
+        // the first ratchet step happens when decrypting the message
+        state = {
+            local: localIdentity.getHash(),
+            remote: remoteIdentity.getHash(),
+            root: sharedBuf,
+            sendingKey: prekeyPair,
+            receivingPublic: null,
+            sendingChain: null,
+            receivingChain: null,
+            sent: 0,
+            received: 0,
+            previous: 0,
+            handshake: null,
+            skipped: [],
+        };
+
+        initialize();
+    };
+
+    this.load = function(stateBuf){
+        // restores a session saved with `save`
+        if(!testType(stateBuf).isArrayBuffer())
+            throw new Error('enigma-invalid-input');
+        try{
+            var d = stateSerializer.deserialize(stateBuf);
+        } catch(e){
+            throw new Error('enigma-invalid-input');
+        };
+        if(!(
+            testType(d.local).isArrayBuffer() &&
+            testType(d.remote).isArrayBuffer() &&
+            testType(d.root).isArrayBuffer() &&
+            testType(d.sendingSecret).isArrayBuffer()
+        ))
+            throw new Error('enigma-invalid-input');
+
+        state = {
+            local: d.local,
+            remote: d.remote,
+            root: d.root,
+            sendingKey: curve(d.sendingSecret),
+            receivingPublic: d.receivingPublic,
+            sendingChain: d.sendingChain,
+            receivingChain: d.receivingChain,
+            sent: d.sent,
+            received: d.received,
+            previous: d.previous,
+            handshake: d.handshake,
+            skipped: d.skipped || [],
+        };
+
+        initialize();
+    };
+
+    ////////////////// METHODS FOR AN INITIALIZED INSTANCE ////////////////
+
+    function encrypt(plaintextBuf){
+        if(!testType(plaintextBuf).isArrayBuffer())
+            throw new Error('enigma-invalid-input');
+        if(null === state.sendingChain)
+            throw new Error('enigma-session-not-ready');
+        if(state.sent >= 0xffffffff)
+            throw new Error('enigma-session-too-long');
+
+        var derived = deriveChain(state.sendingChain);
+        var message = {
+            'handshake': state.handshake,
+            'ratchet': state.sendingKey.getPublicKey(),
+            'previous': state.previous,
+            'counter': state.sent,
+            'ciphertext': null,
+        };
+        var headerBuf = messageSerializer.serialize(message);
+        message.ciphertext = messageCipher(derived.key, headerBuf)
+            .encrypt(plaintextBuf);
+
+        state.sendingChain = derived.chain;
+        state.sent += 1;
+        return messageSerializer.serialize(message);
+    };
+
+    function decrypt(messageBuf){
+        /*
+         * Returns the plaintext. The state is changed only when the message
+         * is decrypted successfully, otherwise an error is thrown.
+         */
+        if(!testType(messageBuf).isArrayBuffer())
+            throw new Error('enigma-invalid-input');
+        try{
+            var message = messageSerializer.deserialize(messageBuf);
+        } catch(e){
+            throw new Error('enigma-invalid-input');
+        };
+        if(!(
+            testType(message.ratchet).isArrayBuffer() &&
+            32 == message.ratchet.byteLength &&
+            testType(message.ciphertext).isArrayBuffer()
+        ))
+            throw new Error('enigma-invalid-input');
+
+        var ciphertextBuf = message.ciphertext;
+        message.ciphertext = null;
+        var headerBuf = messageSerializer.serialize(message);
+
+        var s = copyState(state), messageKeyBuf;
+        messageKeyBuf = findSkipped(s, message.ratchet, message.counter);
+        if(null === messageKeyBuf){
+            if(!(
+                s.receivingPublic &&
+                buffer.equal(s.receivingPublic, message.ratchet)
+            )){
+                skipUntil(s, message.previous);
+                ratchetStep(s, message.ratchet);
+            };
+            skipUntil(s, message.counter);
+            if(s.received != message.counter)
+                throw new Error('enigma-session-unable-to-decrypt');
+
+            var derived = deriveChain(s.receivingChain);
+            messageKeyBuf = derived.key;
+            s.receivingChain = derived.chain;
+            s.received += 1;
+        };
+
+        var plaintextBuf = messageCipher(messageKeyBuf, headerBuf)
+            .decrypt(ciphertextBuf);
+        if(!testType(plaintextBuf).isArrayBuffer())
+            throw new Error('enigma-session-unable-to-decrypt');
+
+        // a reply proves the handshake being accepted
+        s.handshake = null;
+        state = s;
+        return plaintextBuf;
+    };
+
+    function save(){
+        return stateSerializer.serialize({
+            'local': state.local,
+            'remote': state.remote,
+            'root': state.root,
+            'sendingSecret': state.sendingKey.secret,
+            'receivingPublic': state.receivingPublic,
+            'sendingChain': state.sendingChain,
+            'receivingChain': state.receivingChain,
+            'sent': state.sent,
+            'received': state.received,
+            'previous': state.previous,
+            'handshake': state.handshake,
+            'skipped': state.skipped,
+        });
+    };
+
+    function getLocal(){
+        return tool.get('util.encoding')(state.local.slice(0, 10)).toBase32();
+    };
+
+    function getRemote(){
+        return tool.get('util.encoding')(state.remote.slice(0, 10)).toBase32();
+    };
+
+    function isEstablished(){
+        // true, when messages may be sent without the handshake
+        return null === state.handshake && null !== state.sendingChain;
+    };
+
+    return this;
+};
+
+/*
+ * Reads the handshake attached to a message without verifying it, e.g. to
+ * find out the identities and the prekey to be used with `accept`. Returns
+ * null if there's no handshake.
+ */
+function readHandshake(messageBuf){
+    if(!tool.get('util.type')(messageBuf).isArrayBuffer()) return null;
+    try{
+        var message = messageSerializer.deserialize(messageBuf);
+        if(!message.handshake) return null;
+        var d = handshakeSerializer.deserialize(message.handshake);
+    } catch(e){
+        return null;
+    };
+    if(!(
+        tool.get('util.type')(d.initiator).isArrayBuffer() &&
+        tool.get('util.type')(d.responder).isArrayBuffer() &&
+        tool.get('util.type')(d.prekey).isArrayBuffer()
+    ))
+        return null;
+
+    var encoding = tool.get('util.encoding');
+    return {
+        initiator: encoding(d.initiator.slice(0, 10)).toBase32(),
+        responder: encoding(d.responder.slice(0, 10)).toBase32(),
+        prekey: encoding(tool.get('hash')(10).hash(d.prekey).buffer)
+            .toBase32(),
+    };
+};
+
+/****************************************************************************/
+function exporter(){ return new session(); };
+function prekeyExporter(){ return new prekey(); };
+tool.set('enigma.session', exporter);
+tool.set('enigma.session.prekey', prekeyExporter);
+tool.set('enigma.session.readHandshake', readHandshake);
+tool.exp('enigma.session', exporter);
+tool.exp('enigma.session.prekey', prekeyExporter);
+tool.exp('enigma.session.readHandshake', readHandshake);
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
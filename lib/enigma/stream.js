@@ -0,0 +1,338 @@
+/*
+ * Enigma Streaming Message
+ * ========================
+ *
+ * `enigma.message` requires the whole plaintext or ciphertext at once, which
+ * is not feasible with files of hundreds of megabytes. This class encrypts
+ * and decrypts such data in chunks:
+ *
+ *  o the writer accepts plaintext in arbitrary chunks with `update(chunk)`
+ *    and closes the stream with `final()`. Both return ciphertext, which
+ *    shall be concatenated in the order of returning.
+ *  o the reader accepts ciphertext in arbitrary chunks with `update(chunk)`.
+ *    As soon as the header is read, `getReceivers` and `decrypt` are
+ *    available. After decryption, `update` and `final` return plaintext.
+ *
+ * The stream begins with a header carrying the same envelope concept as
+ * `enigma.message`: a main key is encrypted to each receiver identity. The
+ * plaintext is then cut into segments, each encrypted independently with a
+ * key derived from the main key, the segment index and a flag marking the
+ * last segment. Reordered segments will therefore fail to decrypt, and a
+ * stream missing its final segment is reported as truncated.
+ *
+ * The framing is:
+ *
+ *      [4 bytes length][header]
+ *      [4 bytes length][1 byte flag][segment ciphertext] ...
+ *
+ * Signing is not supported in streaming mode.
+ */
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+// Adjustable
+var config = {
+    defaultSegmentSize: 65536,
+    maxSegmentSize: 0xffffff,
+};
+/****************************************************************************/
+
+var templateHeader = {
+    '_': ['constant', new Uint8Array([69, 83]).buffer],
+    'nonce': 'shortBinary',
+    'receivers': 'shortArray',
+    'decryptors': 'array',
+};
+
+var FLAG_CONTINUE = 0, FLAG_FINAL = 1;
+
+// added to each segment by the symmetric cipher: 10 bytes salt, 6 bytes MAC
+var SEGMENT_OVERHEAD = 16;
+
+function stream(){
+    var self = this;
+    var testType = tool.get('util.type'),
+        buffer = tool.get('util.buffer');
+
+    var headerSerializer = tool.get('util.serialize')(templateHeader);
+
+    var mainKeyBuf, nonceBuf, receivers = [], decryptors = [],
+        segmentSize, segmentIndex = 0, pendingBuf, headerDone = false,
+        finished = false;
+
+    function emptyBuf(){ return new Uint8Array(0).buffer; };
+
+    function segmentKey(index, isFinal){
+        var info = buffer.concat([
+            nonceBuf,
+            new Uint32Array([index]).buffer,
+            new Uint8Array([isFinal ? FLAG_FINAL : FLAG_CONTINUE]).buffer,
+        ]);
+        return tool.get('hash')(64).mac(info, mainKeyBuf).buffer;
+    };
+
+    function nextSegmentIndex(){
+        var ret = segmentIndex;
+        if(segmentIndex >= 0xffffffff)
+            throw new Error('enigma-stream-too-long');
+        segmentIndex += 1;
+        return ret;
+    };
+
+    /////////////// METHODS FOR INITIALIZING THIS INSTANCE ///////////////
+
+    /* Prepares an encryption. */
+    this.write = function(options){
+        if(!options) options = {};
+        segmentSize = config.defaultSegmentSize;
+        if(undefined !== options.segmentSize){
+            if(!(
+                testType(options.segmentSize).isNumber() &&
+                options.segmentSize >= 1 &&
+                options.segmentSize <= config.maxSegmentSize
+            ))
+                throw new Error('enigma-invalid-input');
+            segmentSize = Math.floor(options.segmentSize);
+        };
+
+        mainKeyBuf = new tool.get('util.srand')().bytes(64);
+        nonceBuf = new tool.get('util.srand')().bytes(16);
+        pendingBuf = emptyBuf();
+
+        delete self.write;
+        delete self.read;
+        self.encrypt = encrypt;
+    };
+
+    /* Prepares a decryption. Ciphertext is then given with `update`. */
+    this.read = function(){
+        pendingBuf = emptyBuf();
+
+        delete self.write;
+        delete self.read;
+        self.update = readUpdate;
+        self.final = readFinal;
+    };
+
+    ////////////////// METHODS FOR A WRITTEN INSTANCE ////////////////////
+
+    function encrypt(toIdentity){
+        var decryptor = toIdentity.encrypt(mainKeyBuf);
+        var toIdentityFp = toIdentity.getFingerprint();
+        receivers.push(toIdentityFp);
+        decryptors.push(decryptor);
+
+        if(receivers.length >= 255) delete self.encrypt;
+        if(undefined == self.update){
+            self.update = writeUpdate;
+            self.final = writeFinal;
+        };
+        return true;
+    };
+
+    function packHeader(){
+        var headerBuf = headerSerializer.serialize({
+            'nonce': nonceBuf,
+            'receivers': receivers,
+            'decryptors': decryptors,
+        });
+        headerDone = true;
+        return buffer.concat([
+            new Uint32Array([headerBuf.byteLength]).buffer,
+            headerBuf,
+        ]);
+    };
+
+    function packSegment(plaintextBuf, isFinal){
+        var ciphertextBuf = tool.get('cipher.symmetric')()
+            .key(segmentKey(nextSegmentIndex(), isFinal))
+            .encrypt(plaintextBuf)
+        ;
+        return buffer.concat([
+            new Uint32Array([ciphertextBuf.byteLength]).buffer,
+            new Uint8Array([isFinal ? FLAG_FINAL : FLAG_CONTINUE]).buffer,
+            ciphertextBuf,
+        ]);
+    };
+
+    function writeUpdate(plaintextBuf){
+        if(!testType(plaintextBuf).isArrayBuffer())
+            throw new Error('enigma-invalid-input');
+        delete self.encrypt;
+
+        var output = [];
+        if(!headerDone) output.push(packHeader());
+
+        pendingBuf = buffer.concat([pendingBuf, plaintextBuf]);
+        // always keep some data pending, so that `final` has a segment to
+        // be marked as the last one. The rest is cut off only once.
+        var offset = 0;
+        while(pendingBuf.byteLength - offset > segmentSize){
+            output.push(packSegment(
+                pendingBuf.slice(offset, offset + segmentSize),
+                false
+            ));
+            offset += segmentSize;
+        };
+        pendingBuf = pendingBuf.slice(offset);
+
+        return buffer.concat(output);
+    };
+
+    function writeFinal(){
+        delete self.encrypt;
+        delete self.update;
+        delete self.final;
+
+        var output = [];
+        if(!headerDone) output.push(packHeader());
+        output.push(packSegment(pendingBuf, true));
+        pendingBuf = null;
+        mainKeyBuf = null;
+
+        return buffer.concat(output);
+    };
+
+    ////////////////// METHODS FOR A READING INSTANCE ////////////////////
+
+    function readHeader(){
+        if(pendingBuf.byteLength < 4) return;
+        var headerLength = new Uint32Array(pendingBuf.slice(0, 4))[0];
+        if(pendingBuf.byteLength < 4 + headerLength) return;
+
+        try{
+            var d = headerSerializer.deserialize(
+                pendingBuf.slice(4, 4 + headerLength)
+            );
+        } catch(e){
+            throw new Error('enigma-invalid-input');
+        };
+        if(!(
+            d.receivers.length == d.decryptors.length &&
+            d.receivers.length > 0 &&
+            null !== d.nonce
+        ))
+            throw new Error('enigma-invalid-input');
+
+        nonceBuf = d.nonce;
+        receivers = d.receivers;
+        decryptors = d.decryptors;
+        pendingBuf = pendingBuf.slice(4 + headerLength);
+        headerDone = true;
+
+        self.decrypt = decrypt;
+        self.getReceivers = getReceivers;
+    };
+
+    function readSegments(){
+        var output = [], segmentLength, flag, plaintextBuf, offset = 0;
+        while(pendingBuf.byteLength - offset >= 5){
+            segmentLength = new Uint32Array(
+                pendingBuf.slice(offset, offset + 4))[0];
+            // refused at once instead of buffering what no writer emits
+            if(segmentLength > config.maxSegmentSize + SEGMENT_OVERHEAD)
+                throw new Error('enigma-message-corrupted');
+            if(pendingBuf.byteLength - offset < 5 + segmentLength) break;
+
+            // nothing may follow the last segment
+            if(finished) throw new Error('enigma-message-corrupted');
+
+            flag = new Uint8Array(pendingBuf.slice(offset + 4, offset + 5))[0];
+            if(FLAG_FINAL != flag && FLAG_CONTINUE != flag)
+                throw new Error('enigma-message-corrupted');
+
+            try{
+                plaintextBuf = tool.get('cipher.symmetric')()
+                    .key(segmentKey(nextSegmentIndex(), FLAG_FINAL == flag))
+                    .decrypt(pendingBuf.slice(
+                        offset + 5,
+                        offset + 5 + segmentLength
+                    ))
+                ;
+            } catch(e){
+                plaintextBuf = null;
+            };
+            if(!testType(plaintextBuf).isArrayBuffer())
+                throw new Error('enigma-message-corrupted');
+
+            output.push(plaintextBuf);
+            offset += 5 + segmentLength;
+            if(FLAG_FINAL == flag) finished = true;
+        };
+        pendingBuf = pendingBuf.slice(offset);
+        return buffer.concat(output);
+    };
+
+    function readUpdate(ciphertextBuf){
+        if(!testType(ciphertextBuf).isArrayBuffer())
+            throw new Error('enigma-invalid-input');
+
+        pendingBuf = buffer.concat([pendingBuf, ciphertextBuf]);
+        if(!headerDone) readHeader();
+        if(!mainKeyBuf) return emptyBuf();
+        return readSegments();
+    };
+
+    function readFinal(){
+        if(!mainKeyBuf){
+            if(!headerDone) throw new Error('enigma-message-truncated');
+            throw new Error('enigma-stream-not-decrypted');
+        };
+
+        var output = readSegments();
+        if(!finished || pendingBuf.byteLength > 0)
+            throw new Error('enigma-message-truncated');
+
+        delete self.update;
+        delete self.final;
+        mainKeyBuf = null;
+        return output;
+    };
+
+    function decrypt(withIdentity){
+        if(!withIdentity.isPrivate())
+            throw new Error('enigma-invalid-public-identity-for-decrypt');
+
+        var identityFingerprint = withIdentity.getFingerprint(),
+            found = false;
+        for(var i=0; i<receivers.length; i++){
+            if(buffer.equal(identityFingerprint, receivers[i])){
+                found = true;
+                break;
+            };
+        };
+
+        if(!found) throw new Error('enigma-not-intended-identity-for-decrypt');
+
+        try{
+            var decryptedKeyBuf = withIdentity.decrypt(decryptors[i]);
+        } catch(e){
+            throw new Error('enigma-identity-decryption-error');
+        };
+        if(!(
+            testType(decryptedKeyBuf).isArrayBuffer() &&
+            64 == decryptedKeyBuf.byteLength
+        ))
+            throw new Error('enigma-identity-decryption-error');
+
+        mainKeyBuf = decryptedKeyBuf;
+        delete self.decrypt;
+        delete self.getReceivers;
+    };
+
+    function getReceivers(){
+        var ret = [];
+        for(var i in receivers)
+            ret.push(tool.get('util.encoding')(receivers[i]).toBase32());
+        return ret;
+    };
+
+    return this;
+};
+
+
+/****************************************************************************/
+function exporter(){ return new stream(); };
+tool.set('enigma.stream', exporter);
+tool.exp('enigma.stream', exporter);
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
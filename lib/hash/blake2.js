@@ -0,0 +1,283 @@
+/*
+ * BLAKE2b and BLAKE2s Hash Functions
+ * ==================================
+ *
+ * Implementation of BLAKE2 as specified in RFC 7693. BLAKE2b works on 64-bit
+ * words and gives up to 64 bytes of digest, BLAKE2s works on 32-bit words
+ * and gives up to 32 bytes. The digest length is a parameter of the
+ * function, so that e.g. BLAKE2b-256 is not a truncated BLAKE2b-512.
+ *
+ * Both have a keyed mode, which is used as the `mac` of this algorithm
+ * instead of HMAC. Keys longer than the limit(64 bytes for BLAKE2b, 32 bytes
+ * for BLAKE2s) are first hashed with the unkeyed function.
+ *
+ * 64-bit words of BLAKE2b are held as pairs of 32-bit words, lower half
+ * first.
+ */
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+
+var SIGMA = [
+    [ 0,  1,  2,  3,  4,  5,  6,  7,  8,  9, 10, 11, 12, 13, 14, 15],
+    [14, 10,  4,  8,  9, 15, 13,  6,  1, 12,  0,  2, 11,  7,  5,  3],
+    [11,  8, 12,  0,  5,  2, 15, 13, 10, 14,  3,  6,  7,  1,  9,  4],
+    [ 7,  9,  3,  1, 13, 12, 11, 14,  2,  6,  5, 10,  4,  0, 15,  8],
+    [ 9,  0,  5,  7,  2,  4, 10, 15, 14,  1, 11, 12,  6,  8,  3, 13],
+    [ 2, 12,  6, 10,  0, 11,  8,  3,  4, 13,  7,  5, 15, 14,  1,  9],
+    [12,  5,  1, 15, 14, 13,  4, 10,  0,  7,  6,  3,  9,  2,  8, 11],
+    [13, 11,  7, 14, 12,  1,  3,  9,  5,  0, 15,  4,  8,  6,  2, 10],
+    [ 6, 15, 14,  9, 11,  3,  0,  8, 12,  2, 13,  7,  1,  4, 10,  5],
+    [10,  2,  8,  4,  7,  6,  1,  5, 15, 11,  9, 14,  3, 12, 13,  0],
+];
+
+// initialization vector of BLAKE2s, being the upper halves of BLAKE2b's
+var IV32 = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+    0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+]);
+var IV64 = new Uint32Array([
+    0xf3bcc908, 0x6a09e667, 0x84caa73b, 0xbb67ae85,
+    0xfe94f82b, 0x3c6ef372, 0x5f1d36f1, 0xa54ff53a,
+    0xade682d1, 0x510e527f, 0x2b3e6c1f, 0x9b05688c,
+    0xfb41bd6b, 0x1f83d9ab, 0x137e2179, 0x5be0cd19,
+]);
+
+function readWords(block){
+    // little-endian 32-bit words of a Uint8Array
+    var ret = new Uint32Array(block.length / 4);
+    for(var i=0; i<ret.length; i++)
+        ret[i] = (
+            block[4*i] | (block[4*i+1] << 8) |
+            (block[4*i+2] << 16) | (block[4*i+3] << 24)
+        );
+    return ret;
+};
+
+////////////////////////////// BLAKE2b ///////////////////////////////////////
+
+var v64 = new Uint32Array(32);
+
+// v[a] += v[b], on word pairs
+function add64(v, a, b){
+    var lo = v[a] + v[b];
+    v[a + 1] = v[a + 1] + v[b + 1] + (lo > 0xffffffff ? 1 : 0);
+    v[a] = lo;
+};
+
+// v[a] += m[x], on word pairs
+function add64m(v, a, m, x){
+    var lo = v[a] + m[x];
+    v[a + 1] = v[a + 1] + m[x + 1] + (lo > 0xffffffff ? 1 : 0);
+    v[a] = lo;
+};
+
+function G64(v, m, a, b, c, d, x, y){
+    var xlo, xhi;
+    add64(v, a, b);
+    add64m(v, a, m, x);
+
+    // d = (d ^ a) >>> 32
+    xlo = v[d] ^ v[a];
+    xhi = v[d + 1] ^ v[a + 1];
+    v[d] = xhi;
+    v[d + 1] = xlo;
+
+    add64(v, c, d);
+
+    // b = (b ^ c) >>> 24
+    xlo = v[b] ^ v[c];
+    xhi = v[b + 1] ^ v[c + 1];
+    v[b] = (xlo >>> 24) ^ (xhi << 8);
+    v[b + 1] = (xhi >>> 24) ^ (xlo << 8);
+
+    add64(v, a, b);
+    add64m(v, a, m, y);
+
+    // d = (d ^ a) >>> 16
+    xlo = v[d] ^ v[a];
+    xhi = v[d + 1] ^ v[a + 1];
+    v[d] = (xlo >>> 16) ^ (xhi << 16);
+    v[d + 1] = (xhi >>> 16) ^ (xlo << 16);
+
+    add64(v, c, d);
+
+    // b = (b ^ c) >>> 63
+    xlo = v[b] ^ v[c];
+    xhi = v[b + 1] ^ v[c + 1];
+    v[b] = (xhi >>> 31) ^ (xlo << 1);
+    v[b + 1] = (xlo >>> 31) ^ (xhi << 1);
+};
+
+function compress64(h, block, counter, last){
+    var v = v64, m = readWords(block), i, s;
+    for(i=0; i<16; i++){
+        v[i] = h[i];
+        v[i + 16] = IV64[i];
+    };
+    v[24] ^= counter % 0x100000000;
+    v[25] ^= counter / 0x100000000;
+    if(last){
+        v[28] = ~v[28];
+        v[29] = ~v[29];
+    };
+
+    for(i=0; i<12; i++){
+        s = SIGMA[i % 10];
+        G64(v, m, 0,  8, 16, 24, 2 * s[ 0], 2 * s[ 1]);
+        G64(v, m, 2, 10, 18, 26, 2 * s[ 2], 2 * s[ 3]);
+        G64(v, m, 4, 12, 20, 28, 2 * s[ 4], 2 * s[ 5]);
+        G64(v, m, 6, 14, 22, 30, 2 * s[ 6], 2 * s[ 7]);
+        G64(v, m, 0, 10, 20, 30, 2 * s[ 8], 2 * s[ 9]);
+        G64(v, m, 2, 12, 22, 24, 2 * s[10], 2 * s[11]);
+        G64(v, m, 4, 14, 16, 26, 2 * s[12], 2 * s[13]);
+        G64(v, m, 6,  8, 18, 28, 2 * s[14], 2 * s[15]);
+    };
+
+    for(i=0; i<16; i++) h[i] ^= v[i] ^ v[i + 16];
+};
+
+function init64(outlen, keylen){
+    var h = new Uint32Array(IV64);
+    h[0] ^= 0x01010000 ^ (keylen << 8) ^ outlen;
+    return h;
+};
+
+////////////////////////////// BLAKE2s ///////////////////////////////////////
+
+var v32 = new Uint32Array(16);
+
+function G32(v, m, a, b, c, d, x, y){
+    v[a] = v[a] + v[b] + m[x];
+    v[d] ^= v[a];
+    v[d] = (v[d] >>> 16) | (v[d] << 16);
+    v[c] = v[c] + v[d];
+    v[b] ^= v[c];
+    v[b] = (v[b] >>> 12) | (v[b] << 20);
+    v[a] = v[a] + v[b] + m[y];
+    v[d] ^= v[a];
+    v[d] = (v[d] >>> 8) | (v[d] << 24);
+    v[c] = v[c] + v[d];
+    v[b] ^= v[c];
+    v[b] = (v[b] >>> 7) | (v[b] << 25);
+};
+
+function compress32(h, block, counter, last){
+    var v = v32, m = readWords(block), i, s;
+    for(i=0; i<8; i++){
+        v[i] = h[i];
+        v[i + 8] = IV32[i];
+    };
+    v[12] ^= counter % 0x100000000;
+    v[13] ^= counter / 0x100000000;
+    if(last) v[14] = ~v[14];
+
+    for(i=0; i<10; i++){
+        s = SIGMA[i];
+        G32(v, m, 0, 4,  8, 12, s[ 0], s[ 1]);
+        G32(v, m, 1, 5,  9, 13, s[ 2], s[ 3]);
+        G32(v, m, 2, 6, 10, 14, s[ 4], s[ 5]);
+        G32(v, m, 3, 7, 11, 15, s[ 6], s[ 7]);
+        G32(v, m, 0, 5, 10, 15, s[ 8], s[ 9]);
+        G32(v, m, 1, 6, 11, 12, s[10], s[11]);
+        G32(v, m, 2, 7,  8, 13, s[12], s[13]);
+        G32(v, m, 3, 4,  9, 14, s[14], s[15]);
+    };
+
+    for(i=0; i<8; i++) h[i] ^= v[i] ^ v[i + 8];
+};
+
+function init32(outlen, keylen){
+    var h = new Uint32Array(IV32);
+    h[0] ^= 0x01010000 ^ (keylen << 8) ^ outlen;
+    return h;
+};
+
+//////////////////////////////////////////////////////////////////////////////
+
+var variants = {
+    'blake2b': {
+        name: 'BLAKE2B',
+        blockSize: 128,
+        digestSize: 64,
+        init: init64,
+        compress: compress64,
+    },
+    'blake2s': {
+        name: 'BLAKE2S',
+        blockSize: 64,
+        digestSize: 32,
+        init: init32,
+        compress: compress32,
+    },
+};
+
+function BLAKE2(variant, dataBuf, keyBuf, outlen){
+    var blockSize = variant.blockSize,
+        keylen = keyBuf.byteLength;
+
+    // the key, if any, is padded into a block of its own
+    var input = new Uint8Array(dataBuf);
+    if(keylen > 0){
+        var padded = new Uint8Array(blockSize + input.length);
+        padded.set(new Uint8Array(keyBuf));
+        padded.set(input, blockSize);
+        input = padded;
+    };
+
+    var h = variant.init(outlen, keylen),
+        blockCount = Math.max(1, Math.ceil(input.length / blockSize)),
+        block = new Uint8Array(blockSize),
+        start, end;
+    for(var i=0; i<blockCount; i++){
+        start = i * blockSize;
+        end = Math.min(start + blockSize, input.length);
+        block.fill(0);
+        block.set(input.subarray(start, end));
+        variant.compress(h, block, end, i == blockCount - 1);
+    };
+
+    var ret = new Uint8Array(outlen);
+    for(var i=0; i<outlen; i++) ret[i] = h[i >>> 2] >>> (8 * (i & 3));
+    return ret.buffer;
+};
+
+/////////////////// BEGIN HASH FUNCTION INTERFACE ////////////////////////////
+
+function getInterface(variantName){
+    var variant = variants[variantName];
+
+    return function hashFunctionInterface(params){
+        var self = this;
+        if(!params) params = {};
+
+        var outlen = variant.digestSize;
+        if(params.length > 0 && params.length < variant.digestSize)
+            outlen = params.length;
+
+        this.name = variant.name;
+        this.blockSize = variant.blockSize;
+        this.digestSize = variant.digestSize;
+
+        this.hash = function(dataBuf){
+            return BLAKE2(variant, dataBuf, new ArrayBuffer(0), outlen);
+        };
+
+        this.mac = function(dataBuf, keyBuf){
+            if(keyBuf.byteLength > variant.digestSize)
+                keyBuf = BLAKE2(
+                    variant,
+                    keyBuf,
+                    new ArrayBuffer(0),
+                    variant.digestSize
+                );
+            return BLAKE2(variant, dataBuf, keyBuf, outlen);
+        };
+
+        return this;
+    };
+};
+
+tool.set('hash.algorithms.blake2b', getInterface('blake2b'));
+tool.set('hash.algorithms.blake2s', getInterface('blake2s'));
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
@@ -11,20 +11,33 @@
  *                                                   .buffer
  *                                      .pbkdf2(key, salt, iteration, len)
  *
- * The MAC procedure will be mostly done using HMAC. But since BLAKE2s
- * provides an internal mechanism, it will then be used.
+ * The algorithm is Whirlpool, unless another one registered under
+ * `hash.algorithms` is named as the second argument:
+ *
+ *      __enigma_jscrypto__.hash(32, 'blake2s').hash(STRING)
+ *
+ * Available are 'whirlpool', 'blake2b', 'blake2s', 'sha256', 'sha512',
+ * 'sha3-256', 'sha3-512', 'shake128' and 'shake256'.
+ *
+ * The MAC procedure will be mostly done using HMAC. But since BLAKE2b and
+ * BLAKE2s provide an internal mechanism, it will then be used.
  */
 (function(tool){
 //////////////////////////////////////////////////////////////////////////////
 
-// holds the registered algorithms
-var choosenAlgorithmName = 'whirlpool';
+// the algorithm used when none is named
+var defaultAlgorithmName = 'whirlpool';
 
 
-function hash(outputBytesLength){
+function hash(outputBytesLength, algorithmName){
     var self = this;
 
+    var choosenAlgorithmName = algorithmName || defaultAlgorithmName;
+    if(!/^[0-9a-z\-]+$/.test(choosenAlgorithmName))
+        throw Error('invalid-parameter');
     var choosenAlgorithm = tool.get('hash.algorithms.' + choosenAlgorithmName);
+    if(!tool.get('util.type')(choosenAlgorithm).isFunction())
+        throw Error('unknown-hash-algorithm');
     var choosenAlgorithmMaxOutput = new choosenAlgorithm().digestSize;
     if(!outputBytesLength || outputBytesLength > choosenAlgorithmMaxOutput)
         outputBytesLength = choosenAlgorithmMaxOutput;
@@ -0,0 +1,135 @@
+/*
+ * Passphrase Based Key Derivation with Versioned Parameters
+ * =========================================================
+ *
+ * A human passphrase must not be used directly as a key. This module turns
+ * it into a key using a memory-hard function(currently scrypt as in RFC
+ * 7914, with HMAC-SHA256 as its PRF). All
+ * parameters needed for a later derivation, including the salt, are packed
+ * into a header, which shall be stored along with the protected data:
+ *
+ *      var header = __enigma_jscrypto__.hash.kdf.header({N: 16384});
+ *      var key = __enigma_jscrypto__.hash.kdf.derive(PASSPHRASE, header, 64);
+ *
+ * The header is versioned, so that parameters or algorithms may change in
+ * future without breaking old data. Version 1 headers used HMAC-Whirlpool as
+ * the PRF of scrypt, and are still read.
+ *
+ * Since headers come along with imported data, the cost they ask for is
+ * limited: `N * r * p` up to `config.maxWork`, which bounds both time and
+ * memory(128 * N * r bytes, 16 MiB by default). Headers beyond are refused as
+ * `invalid-kdf-header`. A caller trusting its headers may raise the limit
+ * with `{maxWork: ...}` given to both `header` and `derive`.
+ */
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+// Adjustable
+var config = {
+    version: 2,
+    defaultAlgorithm: 'scrypt',
+    defaultN: 16384,
+    defaultR: 8,
+    defaultP: 1,
+    saltLength: 16,
+    maxWork: 0x20000,   // 2^17, i.e. the defaults, at most 16 MiB of memory
+};
+
+// PRF of scrypt by the version of the header
+var prfs = {
+    1: 'whirlpool',
+    2: 'sha256',
+};
+/****************************************************************************/
+
+var template = {
+    '_': ['constant', new Uint8Array([69, 75]).buffer],
+    'version': 'uint8',
+    'algorithm': ['enum',
+        'scrypt',
+    ],
+    'costN': 'uint8',   // log2 of scrypt's `N`
+    'costR': 'uint16',
+    'costP': 'uint16',
+    'salt': 'shortBinary',
+};
+
+function log2(n){
+    var ret = 0;
+    while(n > 1){
+        if(n & 1) return -1;
+        n = n / 2;
+        ret += 1;
+    };
+    return ret;
+};
+
+function acceptable(costN, costR, costP, maxWork){
+    return (
+        costN >= 1 && costN <= 31 &&
+        costR >= 1 && costP >= 1 &&
+        Math.pow(2, costN) * costR * costP <= (maxWork || config.maxWork)
+    );
+};
+
+function header(options){
+    if(!options) options = {};
+    var algorithm = options.algorithm || config.defaultAlgorithm,
+        costN = log2(options.N || config.defaultN),
+        costR = options.r || config.defaultR,
+        costP = options.p || config.defaultP;
+
+    if(!acceptable(costN, costR, costP, options.maxWork))
+        throw new Error('invalid-parameter');
+
+    return tool.get('util.serialize')(template).serialize({
+        'version': config.version,
+        'algorithm': algorithm,
+        'costN': costN,
+        'costR': costR,
+        'costP': costP,
+        'salt': new tool.get('util.srand')().bytes(config.saltLength),
+    });
+};
+
+function derive(passphraseBuf, headerBuf, length, options){
+    var testType = tool.get('util.type');
+    if(testType(passphraseBuf).isString())
+        passphraseBuf = tool.get('util.encoding')(passphraseBuf)
+            .toArrayBuffer();
+    if(!(
+        testType(passphraseBuf).isArrayBuffer() &&
+        testType(headerBuf).isArrayBuffer() &&
+        length > 0
+    ))
+        throw new Error('invalid-parameter');
+
+    try{
+        var d = tool.get('util.serialize')(template).deserialize(headerBuf);
+    } catch(e){
+        throw new Error('invalid-kdf-header');
+    };
+    if(!prfs[d.version]) throw new Error('unsupported-kdf-version');
+    if(!options) options = {};
+    if(!d.salt || !acceptable(d.costN, d.costR, d.costP, options.maxWork))
+        throw new Error('invalid-kdf-header');
+
+    if('scrypt' == d.algorithm){
+        return tool.get('hash.scrypt')(passphraseBuf, d.salt, {
+            N: Math.pow(2, d.costN),
+            r: d.costR,
+            p: d.costP,
+            length: length,
+            hash: prfs[d.version],
+        });
+    };
+    throw new Error('unsupported-kdf-algorithm');
+};
+
+var exporter = {
+    header: header,
+    derive: derive,
+};
+tool.set('hash.kdf', exporter);
+tool.exp('hash.kdf', exporter);
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
@@ -0,0 +1,144 @@
+/*
+ * The scrypt Password-Based Key Derivation Function
+ * ==================================================
+ *
+ * Implementation of scrypt as specified in RFC 7914. It is memory-hard: the
+ * derivation of a key with parameters `N` and `r` requires 128 * r * N bytes
+ * of memory, which makes a brute force search with specialized hardware
+ * expensive.
+ *
+ *      __enigma_jscrypto__.hash.scrypt(PASSWORD, SALT, {
+ *          N: 16384,       // CPU/memory cost, a power of 2
+ *          r: 8,           // block size
+ *          p: 1,           // parallelization
+ *          length: 64,     // desired output length in bytes
+ *          hash: 'sha256', // optional, see below
+ *      })
+ *
+ * The PBKDF2 being used here follows the standard(RFC 2898) with 1 iteration,
+ * using HMAC over the hash function of this library. It is Whirlpool unless
+ * another algorithm is named with `hash`, e.g. 'sha256' as in RFC 7914.
+ */
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+
+/* Salsa20/8 core, operates in place on a Uint32Array of 16 words */
+var salsa208X = new Uint32Array(16);
+function salsa208(B){
+    function R(a, b){return (((a) << (b)) | ((a) >>> (32 - (b))));};
+    var i, x = salsa208X;
+    for(i=0; i<16; i++) x[i] = B[i];
+    for(i=0; i<8; i+=2){
+        x[ 4] ^= R(x[ 0]+x[12], 7);  x[ 8] ^= R(x[ 4]+x[ 0], 9);
+        x[12] ^= R(x[ 8]+x[ 4],13);  x[ 0] ^= R(x[12]+x[ 8],18);
+        x[ 9] ^= R(x[ 5]+x[ 1], 7);  x[13] ^= R(x[ 9]+x[ 5], 9);
+        x[ 1] ^= R(x[13]+x[ 9],13);  x[ 5] ^= R(x[ 1]+x[13],18);
+        x[14] ^= R(x[10]+x[ 6], 7);  x[ 2] ^= R(x[14]+x[10], 9);
+        x[ 6] ^= R(x[ 2]+x[14],13);  x[10] ^= R(x[ 6]+x[ 2],18);
+        x[ 3] ^= R(x[15]+x[11], 7);  x[ 7] ^= R(x[ 3]+x[15], 9);
+        x[11] ^= R(x[ 7]+x[ 3],13);  x[15] ^= R(x[11]+x[ 7],18);
+        x[ 1] ^= R(x[ 0]+x[ 3], 7);  x[ 2] ^= R(x[ 1]+x[ 0], 9);
+        x[ 3] ^= R(x[ 2]+x[ 1],13);  x[ 0] ^= R(x[ 3]+x[ 2],18);
+        x[ 6] ^= R(x[ 5]+x[ 4], 7);  x[ 7] ^= R(x[ 6]+x[ 5], 9);
+        x[ 4] ^= R(x[ 7]+x[ 6],13);  x[ 5] ^= R(x[ 4]+x[ 7],18);
+        x[11] ^= R(x[10]+x[ 9], 7);  x[ 8] ^= R(x[11]+x[10], 9);
+        x[ 9] ^= R(x[ 8]+x[11],13);  x[10] ^= R(x[ 9]+x[ 8],18);
+        x[12] ^= R(x[15]+x[14], 7);  x[13] ^= R(x[12]+x[15], 9);
+        x[14] ^= R(x[13]+x[12],13);  x[15] ^= R(x[14]+x[13],18);
+    };
+    for(i=0; i<16; i++) B[i] += x[i];
+};
+
+/* scryptBlockMix, B and Y are Uint32Arrays of 32 * r words */
+function blockMix(B, Y, r){
+    var X = new Uint32Array(16), i, j;
+    for(j=0; j<16; j++) X[j] = B[(2*r - 1) * 16 + j];
+    for(i=0; i<2*r; i++){
+        for(j=0; j<16; j++) X[j] ^= B[i * 16 + j];
+        salsa208(X);
+        // Y_i is written in the order of Y_0, Y_2, ..., Y_1, Y_3, ...
+        var offset = ((i & 1) * r + (i >> 1)) * 16;
+        for(j=0; j<16; j++) Y[offset + j] = X[j];
+    };
+};
+
+/* scryptROMix, operates in place on a Uint32Array of 32 * r words */
+function roMix(B, N, r){
+    var blockWords = 32 * r, i, j, k;
+    var V = new Uint32Array(blockWords * N),
+        X = new Uint32Array(blockWords),
+        Y = new Uint32Array(blockWords);
+
+    X.set(B);
+    for(i=0; i<N; i++){
+        V.set(X, i * blockWords);
+        blockMix(X, Y, r);
+        X.set(Y);
+    };
+    for(i=0; i<N; i++){
+        j = X[(2*r - 1) * 16] & (N - 1);
+        for(k=0; k<blockWords; k++) X[k] ^= V[j * blockWords + k];
+        blockMix(X, Y, r);
+        X.set(Y);
+    };
+    B.set(X);
+};
+
+/* PBKDF2 with a single iteration: T_i = PRF(P, S || INT(i)) */
+function pbkdf2Once(hasher, passwordBuf, saltBuf, length){
+    var hashLength = hasher.getOutputBytesLength(),
+        blockCount = Math.ceil(length / hashLength),
+        result = new Array(blockCount), index;
+    for(var i=1; i<=blockCount; i++){
+        index = new Uint8Array([
+            (i >>> 24) & 0xff, (i >>> 16) & 0xff, (i >>> 8) & 0xff, i & 0xff
+        ]).buffer;
+        result[i-1] = hasher.mac(
+            tool.get('util.buffer').concat([saltBuf, index]),
+            passwordBuf
+        ).buffer;
+    };
+    return tool.get('util.buffer').concat(result).slice(0, length);
+};
+
+function scrypt(passwordBuf, saltBuf, options){
+    var testType = tool.get('util.type');
+    if(!options) options = {};
+    var N = options.N || 16384,
+        r = options.r || 8,
+        p = options.p || 1,
+        length = options.length || 64;
+
+    if(!(
+        testType(passwordBuf).isArrayBuffer() &&
+        testType(saltBuf).isArrayBuffer()
+    ))
+        throw new Error('invalid-parameter');
+    if(!(
+        N > 1 && 0 == (N & (N - 1)) && N <= 0x80000000 &&
+        r >= 1 && p >= 1 && r * p < 0x40000000 && length >= 1
+    ))
+        throw new Error('invalid-parameter');
+
+    var hasher = new tool.get('hash')(null, options.hash);
+    var blockBytes = 128 * r;
+    var B = pbkdf2Once(hasher, passwordBuf, saltBuf, p * blockBytes);
+
+    var chunk;
+    for(var i=0; i<p; i++){
+        chunk = new Uint32Array(B, i * blockBytes, blockBytes / 4);
+        roMix(chunk, N, r);
+    };
+
+    return pbkdf2Once(hasher, passwordBuf, B, length);
+};
+
+tool.set('hash.scrypt', scrypt);
+tool.set('hash.scrypt.salsa208', function(inputBuf){
+    var B = new Uint32Array(inputBuf.slice(0));
+    salsa208(B);
+    return B.buffer;
+});
+tool.exp('hash.scrypt', scrypt);
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
@@ -0,0 +1,283 @@
+/*
+ * SHA-256 and SHA-512 Hash Functions
+ * ==================================
+ *
+ * Implementation of SHA-256 and SHA-512 as specified in FIPS 180-4. Both are
+ * provided for interoperability, the MAC over them is HMAC.
+ *
+ * 64-bit words of SHA-512 are held as pairs of 32-bit words, higher half
+ * first, as they are read in big-endian.
+ */
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+
+// round constants of SHA-512, whose higher halves are also those of SHA-256
+var K512 = new Uint32Array([
+    0x428a2f98, 0xd728ae22, 0x71374491, 0x23ef65cd,
+    0xb5c0fbcf, 0xec4d3b2f, 0xe9b5dba5, 0x8189dbbc,
+    0x3956c25b, 0xf348b538, 0x59f111f1, 0xb605d019,
+    0x923f82a4, 0xaf194f9b, 0xab1c5ed5, 0xda6d8118,
+    0xd807aa98, 0xa3030242, 0x12835b01, 0x45706fbe,
+    0x243185be, 0x4ee4b28c, 0x550c7dc3, 0xd5ffb4e2,
+    0x72be5d74, 0xf27b896f, 0x80deb1fe, 0x3b1696b1,
+    0x9bdc06a7, 0x25c71235, 0xc19bf174, 0xcf692694,
+    0xe49b69c1, 0x9ef14ad2, 0xefbe4786, 0x384f25e3,
+    0x0fc19dc6, 0x8b8cd5b5, 0x240ca1cc, 0x77ac9c65,
+    0x2de92c6f, 0x592b0275, 0x4a7484aa, 0x6ea6e483,
+    0x5cb0a9dc, 0xbd41fbd4, 0x76f988da, 0x831153b5,
+    0x983e5152, 0xee66dfab, 0xa831c66d, 0x2db43210,
+    0xb00327c8, 0x98fb213f, 0xbf597fc7, 0xbeef0ee4,
+    0xc6e00bf3, 0x3da88fc2, 0xd5a79147, 0x930aa725,
+    0x06ca6351, 0xe003826f, 0x14292967, 0x0a0e6e70,
+    0x27b70a85, 0x46d22ffc, 0x2e1b2138, 0x5c26c926,
+    0x4d2c6dfc, 0x5ac42aed, 0x53380d13, 0x9d95b3df,
+    0x650a7354, 0x8baf63de, 0x766a0abb, 0x3c77b2a8,
+    0x81c2c92e, 0x47edaee6, 0x92722c85, 0x1482353b,
+    0xa2bfe8a1, 0x4cf10364, 0xa81a664b, 0xbc423001,
+    0xc24b8b70, 0xd0f89791, 0xc76c51a3, 0x0654be30,
+    0xd192e819, 0xd6ef5218, 0xd6990624, 0x5565a910,
+    0xf40e3585, 0x5771202a, 0x106aa070, 0x32bbd1b8,
+    0x19a4c116, 0xb8d2d0c8, 0x1e376c08, 0x5141ab53,
+    0x2748774c, 0xdf8eeb99, 0x34b0bcb5, 0xe19b48a8,
+    0x391c0cb3, 0xc5c95a63, 0x4ed8aa4a, 0xe3418acb,
+    0x5b9cca4f, 0x7763e373, 0x682e6ff3, 0xd6b2b8a3,
+    0x748f82ee, 0x5defb2fc, 0x78a5636f, 0x43172f60,
+    0x84c87814, 0xa1f0ab72, 0x8cc70208, 0x1a6439ec,
+    0x90befffa, 0x23631e28, 0xa4506ceb, 0xde82bde9,
+    0xbef9a3f7, 0xb2c67915, 0xc67178f2, 0xe372532b,
+    0xca273ece, 0xea26619c, 0xd186b8c7, 0x21c0c207,
+    0xeada7dd6, 0xcde0eb1e, 0xf57d4f7f, 0xee6ed178,
+    0x06f067aa, 0x72176fba, 0x0a637dc5, 0xa2c898a6,
+    0x113f9804, 0xbef90dae, 0x1b710b35, 0x131c471b,
+    0x28db77f5, 0x23047d84, 0x32caab7b, 0x40c72493,
+    0x3c9ebe0a, 0x15c9bebc, 0x431d67c4, 0x9c100d4c,
+    0x4cc5d4be, 0xcb3e42b6, 0x597f299c, 0xfc657e2a,
+    0x5fcb6fab, 0x3ad6faec, 0x6c44198c, 0x4a475817,
+]);
+
+var K256 = new Uint32Array(64);
+for(var i=0; i<64; i++) K256[i] = K512[2 * i];
+
+var H256 = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+    0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+]);
+var H512 = new Uint32Array([
+    0x6a09e667, 0xf3bcc908, 0xbb67ae85, 0x84caa73b,
+    0x3c6ef372, 0xfe94f82b, 0xa54ff53a, 0x5f1d36f1,
+    0x510e527f, 0xade682d1, 0x9b05688c, 0x2b3e6c1f,
+    0x1f83d9ab, 0xfb41bd6b, 0x5be0cd19, 0x137e2179,
+]);
+
+/*
+ * Pads the message and returns it as big-endian 32-bit words. The length
+ * field is 8 bytes for SHA-256 and 16 bytes for SHA-512, of which only the
+ * lowest 8 bytes are used.
+ */
+function pad(dataBuf, blockSize){
+    var data = new Uint8Array(dataBuf),
+        lengthBytes = blockSize / 8,
+        total = Math.ceil((data.length + 1 + lengthBytes) / blockSize);
+    var padded = new Uint8Array(total * blockSize);
+    padded.set(data);
+    padded[data.length] = 0x80;
+
+    var bitsHi = Math.floor(data.length / 0x20000000),
+        bitsLo = (data.length << 3) >>> 0,
+        end = padded.length;
+    padded[end - 8] = bitsHi >>> 24;
+    padded[end - 7] = bitsHi >>> 16;
+    padded[end - 6] = bitsHi >>> 8;
+    padded[end - 5] = bitsHi;
+    padded[end - 4] = bitsLo >>> 24;
+    padded[end - 3] = bitsLo >>> 16;
+    padded[end - 2] = bitsLo >>> 8;
+    padded[end - 1] = bitsLo;
+
+    var words = new Uint32Array(padded.length / 4);
+    for(var i=0; i<words.length; i++)
+        words[i] = (
+            (padded[4*i] << 24) | (padded[4*i+1] << 16) |
+            (padded[4*i+2] << 8) | padded[4*i+3]
+        );
+    return words;
+};
+
+function output(h){
+    var ret = new Uint8Array(h.length * 4);
+    for(var i=0; i<h.length; i++){
+        ret[4*i] = h[i] >>> 24;
+        ret[4*i+1] = h[i] >>> 16;
+        ret[4*i+2] = h[i] >>> 8;
+        ret[4*i+3] = h[i];
+    };
+    return ret.buffer;
+};
+
+////////////////////////////// SHA-256 ///////////////////////////////////////
+
+function SHA256(dataBuf){
+    var words = pad(dataBuf, 64),
+        h = new Uint32Array(H256),
+        w = new Uint32Array(64),
+        a, b, c, d, e, f, g, hh, t1, t2, x, i, j;
+
+    for(j=0; j<words.length; j+=16){
+        for(i=0; i<16; i++) w[i] = words[j + i];
+        for(i=16; i<64; i++){
+            x = w[i - 15];
+            t1 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+            x = w[i - 2];
+            t2 = ((x >>> 17) | (x << 15)) ^ ((x >>> 19) | (x << 13)) ^ (x >>> 10);
+            w[i] = t1 + t2 + w[i - 7] + w[i - 16];
+        };
+
+        a = h[0]; b = h[1]; c = h[2]; d = h[3];
+        e = h[4]; f = h[5]; g = h[6]; hh = h[7];
+        for(i=0; i<64; i++){
+            t1 = (
+                hh +
+                (((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^
+                    ((e >>> 25) | (e << 7))) +
+                ((e & f) ^ (~e & g)) +
+                K256[i] + w[i]
+            ) | 0;
+            t2 = (
+                (((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^
+                    ((a >>> 22) | (a << 10))) +
+                ((a & b) ^ (a & c) ^ (b & c))
+            ) | 0;
+            hh = g; g = f; f = e;
+            e = (d + t1) | 0;
+            d = c; c = b; b = a;
+            a = (t1 + t2) | 0;
+        };
+
+        h[0] += a; h[1] += b; h[2] += c; h[3] += d;
+        h[4] += e; h[5] += f; h[6] += g; h[7] += hh;
+    };
+
+    return output(h);
+};
+
+////////////////////////////// SHA-512 ///////////////////////////////////////
+
+function SHA512(dataBuf){
+    var words = pad(dataBuf, 128),
+        h = new Uint32Array(H512),
+        w = new Uint32Array(160),
+        v = new Uint32Array(16),   // a, b, ..., h as word pairs
+        i, j, xh, xl, yh, yl, lo, hi,
+        s0h, s0l, s1h, s1l, chh, chl, majh, majl;
+
+    for(j=0; j<words.length; j+=32){
+        for(i=0; i<32; i++) w[i] = words[j + i];
+        for(i=32; i<160; i+=2){
+            // sigma0 = (x >>> 1) ^ (x >>> 8) ^ (x >> 7)
+            xh = w[i - 30]; xl = w[i - 29];
+            s0h = ((xh >>> 1) | (xl << 31)) ^ ((xh >>> 8) | (xl << 24)) ^
+                (xh >>> 7);
+            s0l = ((xl >>> 1) | (xh << 31)) ^ ((xl >>> 8) | (xh << 24)) ^
+                ((xl >>> 7) | (xh << 25));
+            // sigma1 = (x >>> 19) ^ (x >>> 61) ^ (x >> 6)
+            xh = w[i - 4]; xl = w[i - 3];
+            s1h = ((xh >>> 19) | (xl << 13)) ^ ((xl >>> 29) | (xh << 3)) ^
+                (xh >>> 6);
+            s1l = ((xl >>> 19) | (xh << 13)) ^ ((xh >>> 29) | (xl << 3)) ^
+                ((xl >>> 6) | (xh << 26));
+
+            lo = (s0l >>> 0) + (s1l >>> 0) + w[i - 13] + w[i - 31];
+            hi = (s0h >>> 0) + (s1h >>> 0) + w[i - 14] + w[i - 32] +
+                Math.floor(lo / 0x100000000);
+            w[i] = hi;
+            w[i + 1] = lo;
+        };
+
+        v.set(h);
+        for(i=0; i<160; i+=2){
+            // Sigma1 = (e >>> 14) ^ (e >>> 18) ^ (e >>> 41)
+            xh = v[8]; xl = v[9];
+            s1h = ((xh >>> 14) | (xl << 18)) ^ ((xh >>> 18) | (xl << 14)) ^
+                ((xl >>> 9) | (xh << 23));
+            s1l = ((xl >>> 14) | (xh << 18)) ^ ((xl >>> 18) | (xh << 14)) ^
+                ((xh >>> 9) | (xl << 23));
+            // Ch = (e & f) ^ (~e & g)
+            chh = (xh & v[10]) ^ (~xh & v[12]);
+            chl = (xl & v[11]) ^ (~xl & v[13]);
+
+            // t1 = h + Sigma1 + Ch + K + w
+            lo = v[15] + (s1l >>> 0) + (chl >>> 0) + K512[i + 1] + w[i + 1];
+            hi = v[14] + (s1h >>> 0) + (chh >>> 0) + K512[i] + w[i] +
+                Math.floor(lo / 0x100000000);
+            yh = hi >>> 0;
+            yl = lo >>> 0;
+
+            // Sigma0 = (a >>> 28) ^ (a >>> 34) ^ (a >>> 39)
+            xh = v[0]; xl = v[1];
+            s0h = ((xh >>> 28) | (xl << 4)) ^ ((xl >>> 2) | (xh << 30)) ^
+                ((xl >>> 7) | (xh << 25));
+            s0l = ((xl >>> 28) | (xh << 4)) ^ ((xh >>> 2) | (xl << 30)) ^
+                ((xh >>> 7) | (xl << 25));
+            // Maj = (a & b) ^ (a & c) ^ (b & c)
+            majh = (xh & v[2]) ^ (xh & v[4]) ^ (v[2] & v[4]);
+            majl = (xl & v[3]) ^ (xl & v[5]) ^ (v[3] & v[5]);
+
+            // h = g, g = f, f = e, e = d + t1
+            v[14] = v[12]; v[15] = v[13];
+            v[12] = v[10]; v[13] = v[11];
+            v[10] = v[8]; v[11] = v[9];
+            lo = v[7] + yl;
+            v[8] = v[6] + yh + Math.floor(lo / 0x100000000);
+            v[9] = lo;
+
+            // d = c, c = b, b = a, a = t1 + Sigma0 + Maj
+            v[6] = v[4]; v[7] = v[5];
+            v[4] = v[2]; v[5] = v[3];
+            v[2] = v[0]; v[3] = v[1];
+            lo = yl + (s0l >>> 0) + (majl >>> 0);
+            v[0] = yh + (s0h >>> 0) + (majh >>> 0) +
+                Math.floor(lo / 0x100000000);
+            v[1] = lo;
+        };
+
+        for(i=0; i<16; i+=2){
+            lo = h[i + 1] + v[i + 1];
+            h[i] = h[i] + v[i] + Math.floor(lo / 0x100000000);
+            h[i + 1] = lo;
+        };
+    };
+
+    return output(h);
+};
+
+/////////////////// BEGIN HASH FUNCTION INTERFACE ////////////////////////////
+
+tool.set('hash.algorithms.sha256', function hashFunctionInterface(){
+    var self = this;
+
+    this.name = 'SHA-256';
+    this.blockSize = 64;
+    this.digestSize = 32;
+
+    this.hash = function(dataBuf){
+        return SHA256(dataBuf);
+    };
+
+    return this;
+});
+
+tool.set('hash.algorithms.sha512', function hashFunctionInterface(){
+    var self = this;
+
+    this.name = 'SHA-512';
+    this.blockSize = 128;
+    this.digestSize = 64;
+
+    this.hash = function(dataBuf){
+        return SHA512(dataBuf);
+    };
+
+    return this;
+});
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
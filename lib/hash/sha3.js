@@ -0,0 +1,176 @@
+/*
+ * SHA-3 and SHAKE
+ * ===============
+ *
+ * Implementation of SHA3-256, SHA3-512 and the extendable-output functions
+ * SHAKE128 and SHAKE256 as specified in FIPS 202, all on top of the
+ * Keccak-f[1600] permutation.
+ *
+ * SHAKE gives output of any length. Through `hash(LENGTH, 'shake256')` it is
+ * limited to the `digestSize` declared here(32 bytes for SHAKE128, 64 bytes
+ * for SHAKE256), so that the caller gets a full security level by default.
+ *
+ * The 64-bit lanes of the state are held as pairs of 32-bit words, lower half
+ * first, as they are read in little-endian.
+ */
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+
+// round constants and rotation offsets, derived as in the specification
+var RC = new Uint32Array(48), ROTATION = new Uint8Array(25);
+(function(){
+    var R = 1, bit, i, j, t, x = 1, y = 0, z;
+    for(i=0; i<24; i++){
+        for(j=0; j<7; j++){
+            if(R & 1){
+                bit = (1 << j) - 1;
+                if(bit < 32)
+                    RC[2*i] |= 1 << bit;
+                else
+                    RC[2*i+1] |= 1 << (bit - 32);
+            };
+            R = (R & 0x80) ? ((R << 1) ^ 0x71) & 0xff : R << 1;
+        };
+    };
+    for(t=0; t<24; t++){
+        ROTATION[x + 5*y] = ((t + 1) * (t + 2) / 2) % 64;
+        z = (2*x + 3*y) % 5;
+        x = y;
+        y = z;
+    };
+})();
+
+var B = new Uint32Array(50), C = new Uint32Array(10);
+
+function keccakF(A){
+    var round, x, y, i, j, r, lo, hi, dlo, dhi;
+    for(round=0; round<24; round++){
+        // theta
+        for(x=0; x<5; x++){
+            C[2*x] = A[2*x] ^ A[2*x+10] ^ A[2*x+20] ^ A[2*x+30] ^ A[2*x+40];
+            C[2*x+1] =
+                A[2*x+1] ^ A[2*x+11] ^ A[2*x+21] ^ A[2*x+31] ^ A[2*x+41];
+        };
+        for(x=0; x<5; x++){
+            i = 2 * ((x + 1) % 5);
+            j = 2 * ((x + 4) % 5);
+            dlo = C[j] ^ ((C[i] << 1) | (C[i+1] >>> 31));
+            dhi = C[j+1] ^ ((C[i+1] << 1) | (C[i] >>> 31));
+            for(y=0; y<25; y+=5){
+                A[2*(x+y)] ^= dlo;
+                A[2*(x+y)+1] ^= dhi;
+            };
+        };
+
+        // rho and pi
+        for(x=0; x<5; x++) for(y=0; y<5; y++){
+            i = 2 * (x + 5*y);
+            j = 2 * (y + 5*((2*x + 3*y) % 5));
+            r = ROTATION[x + 5*y];
+            lo = A[i];
+            hi = A[i+1];
+            if(r >= 32){
+                lo = A[i+1];
+                hi = A[i];
+                r -= 32;
+            };
+            if(0 == r){
+                B[j] = lo;
+                B[j+1] = hi;
+            } else {
+                B[j] = (lo << r) | (hi >>> (32 - r));
+                B[j+1] = (hi << r) | (lo >>> (32 - r));
+            };
+        };
+
+        // chi
+        for(y=0; y<25; y+=5) for(x=0; x<5; x++){
+            i = 2 * (x + y);
+            j = 2 * ((x + 1) % 5 + y);
+            r = 2 * ((x + 2) % 5 + y);
+            A[i] = B[i] ^ (~B[j] & B[r]);
+            A[i+1] = B[i+1] ^ (~B[j+1] & B[r+1]);
+        };
+
+        // iota
+        A[0] ^= RC[2*round];
+        A[1] ^= RC[2*round+1];
+    };
+};
+
+function xorByte(A, position, value){
+    A[position >>> 2] ^= value << (8 * (position & 3));
+};
+
+function getByte(A, position){
+    return (A[position >>> 2] >>> (8 * (position & 3))) & 0xff;
+};
+
+/*
+ * The sponge construction with given rate(in bytes) and domain separation
+ * bits, which are 0x06 for SHA-3 and 0x1f for SHAKE.
+ */
+function sponge(dataBuf, rate, suffix, outlen){
+    var A = new Uint32Array(50), data = new Uint8Array(dataBuf), i, j = 0;
+
+    for(i=0; i<data.length; i++){
+        xorByte(A, j++, data[i]);
+        if(j == rate){
+            keccakF(A);
+            j = 0;
+        };
+    };
+    xorByte(A, j, suffix);
+    xorByte(A, rate - 1, 0x80);
+    keccakF(A);
+
+    var ret = new Uint8Array(outlen);
+    for(i=0, j=0; i<outlen; i++){
+        if(j == rate){
+            keccakF(A);
+            j = 0;
+        };
+        ret[i] = getByte(A, j++);
+    };
+    return ret.buffer;
+};
+
+/////////////////// BEGIN HASH FUNCTION INTERFACE ////////////////////////////
+
+var variants = {
+    'sha3-256': {name: 'SHA3-256', rate: 136, suffix: 0x06, digestSize: 32},
+    'sha3-512': {name: 'SHA3-512', rate: 72, suffix: 0x06, digestSize: 64},
+    'shake128': {name: 'SHAKE128', rate: 168, suffix: 0x1f, digestSize: 32},
+    'shake256': {name: 'SHAKE256', rate: 136, suffix: 0x1f, digestSize: 64},
+};
+
+function getInterface(variantName){
+    var variant = variants[variantName];
+
+    return function hashFunctionInterface(){
+        var self = this;
+
+        this.name = variant.name;
+        this.blockSize = variant.rate;
+        this.digestSize = variant.digestSize;
+
+        this.hash = function(dataBuf){
+            return sponge(
+                dataBuf,
+                variant.rate,
+                variant.suffix,
+                variant.digestSize
+            );
+        };
+
+        return this;
+    };
+};
+
+for(var variantName in variants)
+    tool.set(
+        'hash.algorithms.' + variantName,
+        getInterface(variantName)
+    );
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
@@ -33,7 +33,7 @@ process.exit();*/
 /* test code end */
 if('undefined' != typeof module && 'undefined' != module.exports)
     module.exports = exportTree;
-else
+else if('function' == typeof define)
     define([], function(){
         return exportTree;
     });
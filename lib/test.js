@@ -34,10 +34,46 @@ function test(name, func){
     crypto.util.log.notice(s);
 };
 
+// tests returning Promises run one after another, after all others
+var asyncTests = [];
+function testAsync(name, func){
+    asyncTests.push(function(){
+        var begin = new Date().getTime();
+        function report(result){
+            crypto.util.log.notice(
+                '[' + (result ? '  OK  ' : 'FAILED') + '] Test ' + name +
+                ' done within ' + (new Date().getTime() - begin) + 'ms.'
+            );
+        };
+        return Promise.resolve().then(func).then(report, function(e){
+            crypto.util.log.error(e);
+            report(false);
+        });
+    });
+};
+
 var genericStr = '朱,聿𪚥 abc 平雪迎骨水直',
     plaintext1K = new crypto.util.srand().bytes(1024),
     plaintext10K = new crypto.util.srand().bytes(10240);
 
+// a localStorage kept in memory
+function memoryStorage(){
+    var items = {};
+    function names(){ return Object.keys(items); };
+    this.getItem = function(k){
+        return (k in items) ? items[k] : null;
+    };
+    this.setItem = function(k, v){ items[k] = String(v); };
+    this.removeItem = function(k){ delete items[k]; };
+    this.key = function(n){
+        return (n < names().length) ? names()[n] : null;
+    };
+    Object.defineProperty(this, 'length', {
+        get: function(){ return names().length; },
+    });
+    return this;
+};
+
 crypto.util.log.notice('----------------------');
 
 test('Generating a UUID', function(){
@@ -60,6 +96,50 @@ test('Encoding and Decoding String in Base32', function(){
     return (src == again.toUTF16());
 });
 
+test('Encoding and Decoding Secrets and Fingerprints in Mnemonic', function(r){
+    var lengths = [10, 16, 20, 24, 28, 32, 64], src, words;
+    for(var i=0; i<lengths.length; i++){
+        src = crypto.util.srand().bytes(lengths[i]);
+        words = crypto.util.encoding(src).toMnemonic();
+        if(!crypto.util.buffer.equal(
+            crypto.util.encoding(words, 'mnemonic').toArrayBuffer(),
+            src
+        ))
+            return false;
+    };
+    r('encoded and decoded');
+
+    // words may be abbreviated to 4 letters, but a wrong word is found
+    var abbreviated = words.split(' ').map(function(w){
+        return w.slice(0, 4).toUpperCase();
+    });
+    if(!crypto.util.buffer.equal(
+        crypto.util.encoding(abbreviated.join('  '), 'mnemonic')
+            .toArrayBuffer(),
+        src
+    ))
+        return false;
+    abbreviated[5] = ('zoo' == abbreviated[5] ? 'zero' : 'zoo');
+    try{
+        crypto.util.encoding(abbreviated.join(' '), 'mnemonic');
+        return false;
+    } catch(e){
+        if('mnemonic-checksum-mismatch' != e.message) return false;
+    };
+    r('abbreviation and checksum');
+
+    var alice = crypto.enigma.identity(), restored = crypto.enigma.identity();
+    alice.generate('identity for alice');
+    restored.generate('identity for alice', {
+        secret: crypto.util.encoding(alice.exportMnemonic(), 'mnemonic')
+            .toArrayBuffer(),
+    });
+    return (
+        8 == alice.getFingerprint('mnemonic').split(' ').length &&
+        alice.getFingerprint(true) == restored.getFingerprint(true)
+    );
+});
+
 test('Compressing and Decompressing String', function(){
     var src = 'TOBEORNOTTOBEORTOBEORNOT朱,聿𪚥 abc 平雪迎骨水直';
     src = crypto.util.encoding(src).toArrayBuffer();
@@ -70,17 +150,183 @@ test('Compressing and Decompressing String', function(){
     return crypto.util.buffer.equal(src, decomp);
 });
 
+test('Compressing and Decompressing with DEFLATE', function(r){
+    // as written by zlib with `deflateRawSync`
+    var text = 'TOBEORNOTTOBEORTOBEORNOT, TOBEORNOTTOBEORTOBEORNOT!',
+        zlibBuf = crypto.util.encoding(
+            '0bf17772f50ff2f30f09013342605c1d85101c328a00', 'hex')
+            .toArrayBuffer();
+    if(!crypto.util.buffer.equal(
+        crypto.util.inflate(zlibBuf),
+        crypto.util.encoding(text, 'ascii').toArrayBuffer()
+    ))
+        return false;
+    r('zlib output read');
+
+    // text shrinks, and random data grows by a few bytes only
+    var textBuf = crypto.util.encoding(genericStr + text + text)
+            .toArrayBuffer(),
+        deflatedText = crypto.util.deflate(textBuf),
+        deflatedRandom = crypto.util.deflate(plaintext10K);
+    if(!(
+        deflatedText.byteLength < textBuf.byteLength &&
+        deflatedRandom.byteLength <= plaintext10K.byteLength + 8 &&
+        crypto.util.buffer.equal(crypto.util.inflate(deflatedText), textBuf) &&
+        crypto.util.buffer.equal(
+            crypto.util.inflate(deflatedRandom), plaintext10K)
+    ))
+        return false;
+    r('compressed and decompressed');
+
+    // a bomb of 1 MB zeros is stopped at the given limit
+    var bomb = crypto.util.deflate(new Uint8Array(1048576).buffer);
+    try{
+        crypto.util.inflate(bomb, 65536);
+        return false;
+    } catch(e){
+        return (
+            'decompression-limit-exceeded' == e.message &&
+            bomb.byteLength < 2048
+        );
+    };
+});
+
 test('Internal self-test', function(){
     var ret = crypto.test();
     console.log(JSON.stringify(ret));
     return ret.conclusion;
 });
 
+test('Accelerators: Native Versions agree with JavaScript', function(r){
+    var status = crypto.accelerator.status(),
+        results = crypto.accelerator.crossCheck();
+    r('checked: ' + Object.keys(results).join(', '));
+    for(var name in results) if(!results[name]) return false;
+    return Object.keys(status).length == Object.keys(results).length;
+});
+
 test('Random Generator', function(){
     var x = new crypto.util.srand().bytes(1024);
     return 1024 == x.byteLength;
 });
 
+test('Random Generator: Entropy Source, Seeding and Health Tests', function(r){
+    var srand = crypto.util.srand, entropy = srand.entropy();
+    if(!(null !== entropy.source && 256 == entropy.bits && entropy.failClosed))
+        return false;
+    r('source: ' + entropy.source);
+
+    srand.seed(crypto.util.encoding('user input', 'ascii').toArrayBuffer());
+    srand.reseed();
+    var a = srand().bytes(64), b = srand().bytes(64);
+    if(crypto.util.buffer.equal(a, b)) return false;
+    r('seeded and reseeded');
+
+    function fails(bytes){
+        try{
+            crypto.util.entropy.healthTest().feed(bytes);
+            return false;
+        } catch(e){
+            return 'entropy-health-test-failed' == e.message;
+        };
+    };
+
+    // 11 equal bytes in a row fail the repetition count test
+    var stuck = srand().array(100);
+    for(var i=50; i<61; i++) stuck[i] = 0x55;
+    // one value taking 177 of 512 bytes fails the adaptive proportion test
+    var biased = srand().array(512);
+    for(var i=0; i<512; i+=2) biased[i] = 0xaa;
+
+    return (
+        fails(stuck) &&
+        fails(biased) &&
+        !fails(srand().array(4096))
+    );
+});
+
+test('Secure Storage: Items, Key Change, Export and Import', function(r){
+    var backend = new memoryStorage(),
+        storage = crypto.util.secureStorage(backend),
+        close = storage.open('old key');
+    storage.setItem('a', {x: [1, 2]});
+    storage.setItem('toString', 'text');
+    storage.setItem('b', 3);
+    storage.removeItem('b');
+    var exported = storage.export('export key');
+    close();
+    r('written');
+
+    try{
+        storage.open('wrong key');
+        return false;
+    } catch(e){
+        if('storage-corrupted' != e.message) return false;
+    };
+
+    storage.changeKey('old key', 'new key');
+    close = storage.open('new key');
+    var reopened = (
+        2 == storage.length &&
+        2 == storage.getItem('a').x[1] &&
+        'text' == storage.getItem('toString') &&
+        null === storage.getItem('b') &&
+        null === storage.getItem('c') &&
+        null === storage.key(2) &&
+        ['a', 'toString'].indexOf(storage.key(0)) >= 0
+    );
+    storage.clear();
+    var cleared = (0 == storage.length && 1 == backend.length);
+    storage.import(exported, 'export key');
+    close();
+    r('key changed, reopened and cleared');
+
+    var other = crypto.util.secureStorage(backend);
+    other.prefix('other');
+    other.open('new key')();
+
+    close = storage.open('new key');
+    var imported = (
+        2 == storage.length &&
+        'text' == storage.getItem('toString') &&
+        4 == backend.length
+    );
+    close();
+    r('imported');
+
+    return reopened && cleared && imported && undefined === storage.getItem;
+});
+
+test('Secure Storage: AEAD Cipher binding Values to Names', function(){
+    var backend = new memoryStorage(),
+        storage = crypto.util.secureStorage(
+            backend, {cipher: 'XChaCha20-Poly1305'}),
+        close = storage.open('storage key');
+    storage.setItem('a', 'value of a');
+    storage.setItem('b', 'value of b');
+    var exported = storage.export('export key');
+    close();
+
+    // swap the values of both items beneath
+    var names = [backend.key(1), backend.key(2)],
+        valueA = backend.getItem(names[0]);
+    backend.setItem(names[0], backend.getItem(names[1]));
+    backend.setItem(names[1], valueA);
+
+    close = storage.open('storage key');
+    var swapped = (
+        null === storage.getItem('a') && null === storage.getItem('b'));
+    storage.import(exported, 'export key');
+    var imported = ('value of b' == storage.getItem('b'));
+    close();
+
+    return (
+        0 == backend.getItem('secureStorage').indexOf('XChaCha20-Poly1305:') &&
+        0 == exported.indexOf('XChaCha20-Poly1305:') &&
+        swapped && imported
+    );
+});
+
 test('Symmetric Cipher: Encryption and Decryption of Very Short Data', function(){
     var src = new crypto.util.srand().bytes(128);
 
@@ -107,6 +353,64 @@ test('Symmetric Cipher: Encryption and Decryption of 10kB data', function(){
     return crypto.util.buffer.equal(decrypted, plaintext10K);
 });
 
+test('Symmetric Cipher: XChaCha20-Poly1305 with Associated Data', function(){
+    var key = new crypto.util.srand().bytes(32),
+        aad = new crypto.util.srand().bytes(20),
+        cipher = crypto.cipher.symmetric('XChaCha20-Poly1305').key(key),
+        ciphertext = cipher.encrypt(plaintext10K, aad),
+        tampered = new Uint8Array(ciphertext.slice(0));
+    tampered[30] ^= 1;
+    return (
+        true === cipher.aead &&
+        crypto.util.buffer.equal(
+            cipher.decrypt(ciphertext, aad), plaintext10K) &&
+        null === cipher.decrypt(ciphertext) &&
+        null === cipher.decrypt(tampered.buffer, aad)
+    );
+});
+
+test('Symmetric Cipher: Seekable Blob with Ranges and Corrupted Chunks', function(){
+    var blob = crypto.cipher.blob(new crypto.util.srand().bytes(32)),
+        ciphertext = blob.encrypt(plaintext10K, {chunkSize: 1000});
+
+    // only the covered chunks are given to decrypt a range
+    var reader = blob.read(ciphertext.slice(0, blob.headerLength)),
+        pos = reader.locate(2500, 4321),
+        range = reader.decrypt(
+            2500, 4321, ciphertext.slice(pos.start, pos.end));
+
+    // chunk 5 is broken, but chunks before it can still be read
+    var tampered = new Uint8Array(ciphertext.slice(0));
+    tampered[reader.locate(5000, 5001).start + 10] ^= 1;
+    var before = blob.read(tampered.buffer), readBroken = false;
+    pos = before.locate(0, 5000);
+    var beforeOK = crypto.util.buffer.equal(
+        before.decrypt(0, 5000, tampered.buffer.slice(pos.start, pos.end)),
+        plaintext10K.slice(0, 5000)
+    );
+    try{
+        blob.decrypt(tampered.buffer);
+    } catch(e){
+        readBroken = ('blob-corrupted' == e.message);
+    };
+
+    // a cut off blob is detected by its authenticated length
+    var truncated = false;
+    try{
+        blob.decrypt(ciphertext.slice(0, ciphertext.byteLength - 1016));
+    } catch(e){
+        truncated = ('blob-corrupted' == e.message);
+    };
+
+    return (
+        10240 == reader.length &&
+        pos.end - pos.start == 5 * 1016 &&
+        crypto.util.buffer.equal(range, plaintext10K.slice(2500, 4321)) &&
+        crypto.util.buffer.equal(blob.decrypt(ciphertext), plaintext10K) &&
+        beforeOK && readBroken && truncated
+    );
+});
+
 test('Asymmetric Cipher: Public Key Derivation', function(r){
     var secret = new crypto.util.srand().bytes(128);
     r('random secret key generated');
@@ -190,6 +494,288 @@ test('Enigma/Identity: Generation, Reload and Test', function(r){
     return true;
 });
 
+test('Enigma/Identity: Passphrase Protected Export and Reload', function(r){
+    var origIdentity = crypto.enigma.identity();
+    origIdentity.generate('Test Key For Passphrase');
+    var exported = origIdentity.exportPrivate(
+        'correct horse battery staple',
+        {kdf: {N: 1024, r: 8, p: 1}}
+    );
+    r('exported with passphrase');
+
+    var wrongIdentity = crypto.enigma.identity();
+    try{
+        wrongIdentity.loadPrivate(exported, 'wrong horse battery staple');
+        return false;
+    } catch(e){
+        if('enigma-invalid-pinkey' != e.message) return false;
+    };
+    r('wrong passphrase refused');
+
+    var privIdentity = crypto.enigma.identity();
+    privIdentity.loadPrivate(exported, 'correct horse battery staple');
+    r('reloaded with passphrase');
+    return privIdentity.isPrivate() && crypto.util.buffer.equal(
+        privIdentity.getFingerprint(),
+        origIdentity.getFingerprint()
+    );
+});
+
+test('Hash/KDF: Refusing Excessive Costs', function(r){
+    var kdf = crypto.hash.kdf;
+    try{
+        kdf.header({N: Math.pow(2, 24)});
+        return false;
+    } catch(e){
+        if('invalid-parameter' != e.message) return false;
+    };
+    r('excessive cost not written');
+
+    // costN follows the magic and the algorithm
+    var header = new Uint8Array(kdf.header({N: 1024}));
+    header[3] = 31;
+    try{
+        kdf.derive('passphrase', header.buffer, 32);
+        return false;
+    } catch(e){
+        if('invalid-kdf-header' != e.message) return false;
+    };
+    r('excessive cost in header refused');
+
+    // more is accepted only when asked for on both sides
+    header = kdf.header({N: 32768, maxWork: Math.pow(2, 18)});
+    try{
+        kdf.derive('passphrase', header, 32);
+        return false;
+    } catch(e){
+        if('invalid-kdf-header' != e.message) return false;
+    };
+    r('raised limit required for a costlier header');
+
+    // scrypt as in RFC 7914, the salt being right before the version
+    header = kdf.header({N: 1024});
+    var passphraseBuf = crypto.util.encoding('passphrase').toArrayBuffer();
+    return crypto.util.buffer.equal(
+        kdf.derive(passphraseBuf, header, 32),
+        crypto.hash.scrypt(passphraseBuf, header.slice(-17, -1), {
+            N: 1024, r: 8, p: 1, length: 32, hash: 'sha256',
+        })
+    );
+});
+
+test('Enigma/Identity: Expiry and Revocation', function(r){
+    var expires = new Date(new Date().getTime() + 86400000);
+    var alice = crypto.enigma.identity();
+    alice.generate('identity for alice', {expires: expires});
+    var certificate = alice.exportRevocation('key lost');
+    r('generated with revocation certificate');
+
+    var alicePublic = crypto.enigma.identity();
+    alicePublic.loadPublic(alice.exportPublic());
+    if(!(
+        !alicePublic.isExpired() &&
+        alicePublic.isExpired(new Date(expires.getTime() + 1000)) &&
+        Math.floor(expires.getTime() / 1000) * 1000 ==
+            alicePublic.getExpires().getTime()
+    ))
+        return false;
+    r('expiry read');
+
+    // the validity period is covered by the self signature. The first year
+    // found in serialized data is that of the creation date.
+    var exported = new Uint8Array(alice.exportPublic()), found = false;
+    var expiresYear = expires.getUTCFullYear();
+    for(var i=1; i<exported.length; i++){
+        if(
+            exported[i-1] == (expiresYear & 0xff) &&
+            exported[i] == (expiresYear >> 8)
+        ){
+            exported[i] += 1;
+            found = true;
+            break;
+        };
+    };
+    try{
+        crypto.enigma.identity().loadPublic(exported.buffer);
+        return false;
+    } catch(e){
+        if(!found || 'enigma-identity-bad-self-signature' != e.message)
+            return false;
+    };
+    r('modified expiry detected');
+
+    var revocation = alicePublic.revoke(certificate);
+    if(!(alicePublic.isRevoked() && 'key lost' == revocation.reason))
+        return false;
+    try{
+        alicePublic.encrypt(new Uint8Array(16).buffer);
+        return false;
+    } catch(e){
+        if('enigma-identity-revoked' != e.message) return false;
+    };
+    r('revoked identity refuses to encrypt');
+
+    var reloaded = crypto.enigma.identity();
+    reloaded.loadPublic(alicePublic.exportPublic());
+    var bob = crypto.enigma.identity();
+    bob.generate('identity for bob');
+    try{
+        bob.revoke(certificate);
+        return false;
+    } catch(e){
+        if('enigma-identity-bad-revocation' != e.message) return false;
+    };
+    return reloaded.isRevoked() && !bob.isRevoked();
+});
+
+test('Enigma/Identity: Certification', function(r){
+    var alice = crypto.enigma.identity(),
+        alicePublic = crypto.enigma.identity(),
+        bob = crypto.enigma.identity(),
+        carol = crypto.enigma.identity();
+    alice.generate('identity for alice');
+    alicePublic.loadPublic(alice.exportPublic());
+    bob.generate('identity for bob');
+    carol.generate('identity for carol');
+
+    var certification = alice.certify(bob, {level: 'full'});
+    r('bob certified by alice');
+
+    var checked = alicePublic.checkCertification(certification, bob),
+        info = crypto.enigma.identity.readCertification(certification);
+    if(!(
+        checked && 'full' == checked.level &&
+        alice.getFingerprint(true) == info.certifier &&
+        bob.getFingerprint(true) == info.identity
+    ))
+        return false;
+    r('certification checked');
+
+    return (
+        null === alicePublic.checkCertification(certification, carol) &&
+        null === carol.checkCertification(certification, bob)
+    );
+});
+
+test('Enigma/Identity: Subkeys and Rotation', function(r){
+    var alice = crypto.enigma.identity(),
+        alicePublic = crypto.enigma.identity();
+    alice.generate('identity for alice');
+    var fingerprint = alice.getFingerprint(true),
+        plaintext = new Uint8Array([0,1,2,3]).buffer;
+
+    function encryptTo(identity){
+        var msg = crypto.enigma.message();
+        msg.write(plaintext);
+        msg.encrypt(identity);
+        return msg.done();
+    };
+    function decryptWith(identity, ciphertext){
+        var msg = crypto.enigma.message();
+        msg.read(ciphertext);
+        msg.decrypt(identity);
+        return crypto.util.buffer.equal(msg.getPlaintext(), plaintext);
+    };
+
+    var ciphertext0 = encryptTo(alice);
+    alice.rotate();
+    var ciphertext1 = encryptTo(alice);
+    alice.rotate({expires: new Date(new Date().getTime() + 86400000)});
+    r('rotated twice');
+
+    var pinkey = crypto.util.srand().bytes(32),
+        aliceLoaded = crypto.enigma.identity();
+    aliceLoaded.loadPrivate(alice.exportPrivate(pinkey), pinkey);
+    alicePublic.loadPublic(alice.exportPublic());
+    var subkeys = alicePublic.getSubkeys();
+    if(!(
+        2 == subkeys.length &&
+        null === subkeys[0].expires &&
+        null !== subkeys[1].expires &&
+        fingerprint == alicePublic.getFingerprint(true) &&
+        fingerprint == aliceLoaded.getFingerprint(true)
+    ))
+        return false;
+    r('subkeys exported and loaded, fingerprint kept');
+
+    // encrypted to the newest subkey, which only this private identity has
+    var ciphertext2 = encryptTo(alicePublic);
+    return (
+        decryptWith(aliceLoaded, ciphertext0) &&
+        decryptWith(aliceLoaded, ciphertext1) &&
+        decryptWith(aliceLoaded, ciphertext2) &&
+        decryptWith(alice, ciphertext2)
+    );
+});
+
+test('Enigma/Identity: Backup with Secret Sharing', function(r){
+    var sss = crypto.util.sss, secret = crypto.util.srand().bytes(40);
+    var shares = sss.split(secret, 5, 3);
+    if(!(
+        crypto.util.buffer.equal(
+            sss.combine([shares[4], shares[0], shares[2]]),
+            secret
+        ) &&
+        !crypto.util.buffer.equal(sss.combine([shares[1], shares[3]]), secret)
+    ))
+        return false;
+    r('secret split and combined');
+
+    var alice = crypto.enigma.identity();
+    alice.generate('identity for alice');
+    alice.rotate();
+    var backup = alice.exportBackup({shares: 5, threshold: 3});
+    if(3 != crypto.enigma.identity.readShare(backup[0]).threshold)
+        return false;
+
+    var restored = crypto.enigma.identity();
+    restored.loadBackup(alice.exportPublic(), [backup[3], backup[0], backup[4]]);
+    if(!(
+        restored.isPrivate() &&
+        alice.getFingerprint(true) == restored.getFingerprint(true) &&
+        1 == restored.getSubkeys().length
+    ))
+        return false;
+    r('identity restored with 3 of 5 shares');
+
+    // a backup taken before a rotation restores with the newer public part
+    var oldSecretBuf = alice.encrypt(crypto.util.srand().bytes(32));
+    alice.rotate();
+    var newSecretBuf = alice.encrypt(crypto.util.srand().bytes(32));
+    restored = crypto.enigma.identity();
+    restored.loadBackup(alice.exportPublic(), [backup[1], backup[2], backup[3]]);
+    if(!(
+        restored.isPrivate() &&
+        2 == restored.getSubkeys().length &&
+        crypto.util.buffer.equal(
+            restored.decrypt(oldSecretBuf),
+            alice.decrypt(oldSecretBuf)
+        )
+    ))
+        return false;
+    try{
+        restored.decrypt(newSecretBuf);
+        return false;
+    } catch(e){
+        if('enigma-identity-unable-to-decrypt' != e.message) return false;
+    };
+    var pinkey = crypto.util.srand().bytes(32),
+        reloaded = crypto.enigma.identity();
+    reloaded.loadPrivate(restored.exportPrivate(pinkey), pinkey);
+    if(2 != reloaded.getSubkeys().length) return false;
+    r('identity restored after rotation, without the newer subkey secret');
+
+    try{
+        crypto.enigma.identity().loadBackup(
+            alice.exportPublic(),
+            [backup[3], backup[0]]
+        );
+        return false;
+    } catch(e){
+        return 'enigma-identity-bad-backup' == e.message;
+    };
+});
+
 test('Enigma/Message: Encrypt and Decrypt', function(r){
     var alice = crypto.enigma.identity(),
         bob = crypto.enigma.identity();
@@ -211,14 +797,834 @@ test('Enigma/Message: Encrypt and Decrypt', function(r){
     return crypto.util.buffer.equal(recvMsg.getPlaintext(), plaintext);
 });
 
-crypto.util.log.notice('----------------------');
-crypto.util.log.notice('All tests done.');
+test('Enigma/Message: Length Padding', function(r){
+    var alice = crypto.enigma.identity();
+    alice.generate('identity for alice');
+
+    function send(plaintext, options){
+        var sendMsg = crypto.enigma.message();
+        sendMsg.write(plaintext, options);
+        sendMsg.encrypt(alice);
+        var ciphertext = sendMsg.done();
 
+        var recvMsg = crypto.enigma.message();
+        recvMsg.read(ciphertext);
+        recvMsg.decrypt(alice);
+        if(!crypto.util.buffer.equal(recvMsg.getPlaintext(), plaintext))
+            throw new Error('padding not removed');
+        return ciphertext.byteLength;
+    };
 
-if('undefined' != typeof document)
-    document.close();
-else
-    process.exit();
+    // messages of different lengths fill the same bucket
+    var short = plaintext1K.slice(0, 100), longer = plaintext1K.slice(0, 700),
+        bucket = {padding: 'bucket', paddingBuckets: [1024, 4096]};
+    if(!(
+        send(short, bucket) == send(longer, bucket) &&
+        send(short) < send(longer)
+    ))
+        return false;
+    r('bucket');
+
+    // Padmé costs at most 12% more
+    var unpadded = send(plaintext10K),
+        padme = send(plaintext10K, {padding: 'padme'});
+    if(!(padme >= unpadded && padme <= unpadded * 1.12)) return false;
+    r('padme');
+
+    try{
+        crypto.enigma.message().write(short, {padding: 'random'});
+        return false;
+    } catch(e){
+        return 'enigma-invalid-input' == e.message;
+    };
+});
+
+test('Enigma/Message: Signed Attributes', function(r){
+    var alice = crypto.enigma.identity(),
+        alicePublic = crypto.enigma.identity(),
+        bob = crypto.enigma.identity();
+    alice.generate('identity for alice');
+    alicePublic.loadPublic(alice.exportPublic());
+    bob.generate('identity for bob');
+
+    var expires = new Date(new Date().getTime() + 86400000);
+    expires.setUTCMilliseconds(0);
+
+    var sendMsg = crypto.enigma.message();
+    sendMsg.write(plaintext1K);
+    sendMsg.sign(alice, {expires: expires, contentType: 'text/plain'});
+    sendMsg.encrypt(bob);
+    var ciphertext = sendMsg.done();
+    r('signed and encrypted');
+
+    var recvMsg = crypto.enigma.message();
+    recvMsg.read(ciphertext);
+    recvMsg.decrypt(bob);
+    var result = recvMsg.verify(alicePublic);
+    r('verified');
+
+    return (
+        true === result.valid &&
+        false === result.expired &&
+        alice.getFingerprint(true) == result.signer &&
+        'identity for alice' == result.subject &&
+        expires.getTime() == result.expires.getTime() &&
+        Math.abs(result.created.getTime() - new Date().getTime()) < 60000 &&
+        'text/plain' == result.contentType &&
+        1 == result.recipients.length &&
+        bob.getFingerprint(true) == result.recipients[0]
+    );
+});
+
+test('Enigma/Message: Backdated Signature of an Expired Identity', function(){
+    // the clock of the signer is set back two days, for an identity
+    // having expired yesterday
+    var RealDate = Date, offset = -2 * 86400000;
+    function FakeDate(v){
+        if(arguments.length > 0) return new RealDate(v);
+        return new RealDate(RealDate.now() + offset);
+    };
+    FakeDate.prototype = RealDate.prototype;
+    FakeDate.now = function(){ return RealDate.now() + offset; };
+    FakeDate.UTC = RealDate.UTC;
+
+    var alice = crypto.enigma.identity(), sendMsg = crypto.enigma.message();
+    Date = FakeDate;
+    try{
+        alice.generate('identity for alice', {
+            expires: new Date(new Date().getTime() + 86400000),
+        });
+        sendMsg.write(plaintext1K);
+        sendMsg.sign(alice);
+        var signed = sendMsg.done();
+    } finally {
+        Date = RealDate;
+    };
+
+    var alicePublic = crypto.enigma.identity(),
+        recvMsg = crypto.enigma.message();
+    alicePublic.loadPublic(alice.exportPublic());
+    recvMsg.read(signed);
+    var result = recvMsg.verify(alicePublic);
+    return (
+        result.created.getTime() < alicePublic.getExpires().getTime() &&
+        true === result.identityExpired &&
+        false === result.valid
+    );
+});
+
+test('Enigma/Message: Detached Signature', function(r){
+    var alice = crypto.enigma.identity(),
+        alicePublic = crypto.enigma.identity();
+    alice.generate('identity for alice');
+    alicePublic.loadPublic(alice.exportPublic());
+
+    var sendMsg = crypto.enigma.message();
+    sendMsg.write(plaintext10K, {detached: true});
+    sendMsg.sign(alice);
+    var signature = sendMsg.done();
+    r('signed');
+
+    // digest the same content in chunks
+    var digest = crypto.enigma.message.digest();
+    for(var i=0; i<10; i++)
+        digest.update(plaintext10K.slice(i * 1024, (i+1) * 1024));
+    var digestBuf = digest.final();
+
+    var recvMsg = crypto.enigma.message();
+    recvMsg.read(signature, {detached: digestBuf, digest: true});
+    if(true !== recvMsg.verify(alicePublic).valid) return false;
+    r('verified against chunked digest');
+
+    var wrongMsg = crypto.enigma.message();
+    wrongMsg.read(signature, {detached: wrong10K});
+    return (
+        signature.byteLength < 512 &&
+        false === wrongMsg.verify(alicePublic).valid
+    );
+});
+
+test('Enigma: Cipher Suites in Identities and Envelopes', function(r){
+    var suites = crypto.cipher.suite.list(), name, alice, alicePublic;
+    for(var i=0; i<suites.length; i++){
+        name = suites[i];
+        alice = crypto.enigma.identity();
+        alicePublic = crypto.enigma.identity();
+        alice.generate('identity for alice', {algorithm: name});
+        alicePublic.loadPublic(alice.exportPublic());
+        if(name != alicePublic.getAlgorithm()) return false;
+
+        var sendMsg = crypto.enigma.message();
+        sendMsg.write(plaintext1K, {suite: name});
+        sendMsg.sign(alice);
+        sendMsg.encrypt(alicePublic);
+        var ciphertext = sendMsg.done();
+
+        var recvMsg = crypto.enigma.message();
+        recvMsg.read(ciphertext);
+        recvMsg.decrypt(alice);
+        if(!(
+            crypto.util.buffer.equal(recvMsg.getPlaintext(), plaintext1K) &&
+            true === recvMsg.verify(alicePublic).valid
+        ))
+            return false;
+        r(name + ' used in identity and envelope');
+    };
+
+    // the suite ID is the last byte of an envelope
+    var unknown = new Uint8Array(ciphertext.slice(0));
+    unknown[unknown.length - 1] = 0xff;
+    try{
+        crypto.enigma.message().read(unknown.buffer);
+        return false;
+    } catch(e){
+        return 'enigma-message-unsupported-suite' == e.message;
+    };
+});
+
+test('Enigma: Envelope Authenticated with an AEAD Suite', function(r){
+    var bob = crypto.enigma.identity(), carol = crypto.enigma.identity();
+    bob.generate('identity for bob', {algorithm: 'NECRAC128EA'});
+    carol.generate('identity for carol', {algorithm: 'NECRAC128EA'});
+
+    var sendMsg = crypto.enigma.message();
+    sendMsg.write(plaintext1K, {suite: 'NECRAC128EA'});
+    sendMsg.encrypt(bob);
+    sendMsg.encrypt(carol);
+    var ciphertext = sendMsg.done();
+
+    var recvMsg = crypto.enigma.message();
+    recvMsg.read(ciphertext);
+    recvMsg.decrypt(bob);
+    if(!crypto.util.buffer.equal(recvMsg.getPlaintext(), plaintext1K))
+        return false;
+    r('written and read');
+
+    // the receivers are listed right before the suite ID, the last byte
+    var tampered = new Uint8Array(ciphertext.slice(0));
+    tampered[tampered.length - 2] ^= 0x01;
+    recvMsg = crypto.enigma.message();
+    recvMsg.read(tampered.buffer);
+    try{
+        recvMsg.decrypt(bob);
+        return false;
+    } catch(e){
+        return 'enigma-message-corrupted' == e.message;
+    };
+});
+
+test('Enigma: Identities and Messages Written Before Versioned Layouts', function(r){
+    // written by the code before identities, payloads and decryptors were
+    // changed, the private identity protected with the pinkey 00 01 ... 1f
+    var legacy = {
+        pub: [
+            '45490063004100047ea7b3924f4ed7e21fc026f8fdbf91ef90ee8894fa005f3a',
+            '863a4262c4651f5ea77d72b1837c824d16e098fa0a175fb235c82353f206f569',
+            '37bf875805aeafe46fd1e5e36b7ba9839d2f1463eb8b73de4b7ef4d9de09334e',
+            '50c7ea59d3927315004600304402206b17d1f2e12c4247f8bce6e563a440f277',
+            '037d812deb33a0f4a13945d898c29602207b0a7e1f1e24350555c2d794706dca',
+            '9c2e9e62d9aef908d1e42bd2de146db36c186c6567616379206964656e746974',
+            '79206f6620616c696365'
+        ].join(''),
+        prv: [
+            '45490063004100047ea7b3924f4ed7e21fc026f8fdbf91ef90ee8894fa005f3a',
+            '863a4262c4651f5ea77d72b1837c824d16e098fa0a175fb235c82353f206f569',
+            '37bf875805aeafe46fd1e5e36b7ba9839d2f1463eb8b73de4b7ef4d9de09334e',
+            '50c7ea59d392731530c1508dfbb134f4aad2cd2637f17ca40bb586efdbc32eb1',
+            'eecfe03190a040005e9315fe1aafb1ad518108079f902c119e4600304402206b',
+            '17d1f2e12c4247f8bce6e563a440f277037d812deb33a0f4a13945d898c29602',
+            '207b0a7e1f1e24350555c2d794706dca9c2e9e62d9aef908d1e42bd2de146db3',
+            '6c186c6567616379206964656e74697479206f6620616c696365'
+        ].join(''),
+        env: [
+            '454301017000421e6901ff0cdcde10dff96370b655b16e6f8171ba27936809c0',
+            '1fe4006a8ba14cc3d2bcde2f2ca11d66a6934d81abb2758e17c0b842e23d5564',
+            'ae165202f19cdbd09e405f24c4acaad271be2ec30d23b1ddce0492bef0646dee',
+            '66b9e12763fdf2094d5f41b5584504412625d7471a6ea1000000ed63141e460d',
+            'b859d2bba4acec37b0f9028d8c66ad12ddbef3b147d0f3067bec774b97ad39dd',
+            '62230e7f3013c7a46f3aa010ec13ad9eaaf733f1ad9b76f3128168bf90d636c0',
+            '44535d7e62d2d84e8ab48475352bc252ce5453e2b9081d527796120c922ab2b2',
+            '91e51974d31a752689e2bbd7621b69e099e20237a021cba2814b2fab32ebd30a',
+            'ab51c742e3cb260ac9facd467b7e9cd3d05ce6b3b04d6f85b973a4010a067ace',
+            'c69ff075eee369'
+        ].join(''),
+        clear: [
+            '4570190000007772697474656e206265666f7265207468652073657269657301',
+            '4600304402206b17d1f2e12c4247f8bce6e563a440f277037d812deb33a0f4a1',
+            '3945d898c29602203ca9faf2a38fd1a699432699fb9ecf9f112ff77723ab7189',
+            '7acd439699bdadb3010a067acec69ff075eee369'
+        ].join(''),
+    };
+    function legacyBuf(name){
+        return crypto.util.encoding(legacy[name], 'hex').toArrayBuffer();
+    };
+    var pinkey = new Uint8Array(32), fingerprint = '0txcxhmzy1uyxrv9',
+        text = 'written before the series';
+    for(var i=0; i<32; i++) pinkey[i] = i;
+    pinkey = pinkey.buffer;
+
+    var alice = crypto.enigma.identity(),
+        alicePublic = crypto.enigma.identity();
+    alice.loadPrivate(legacyBuf('prv'), pinkey);
+    alicePublic.loadPublic(legacyBuf('pub'));
+    if(!(
+        alice.isPrivate() &&
+        fingerprint == alice.getFingerprint(true) &&
+        fingerprint == alicePublic.getFingerprint(true) &&
+        null === alicePublic.getCreated()
+    ))
+        return false;
+    r('identities loaded');
+
+    var msg = crypto.enigma.message();
+    msg.read(legacyBuf('env'));
+    msg.decrypt(alice);
+    var result = msg.verify(alicePublic);
+    if(!(
+        text == crypto.util.encoding(msg.getPlaintext()).toASCII() &&
+        true === result.valid &&
+        null === result.created
+    ))
+        return false;
+    r('envelope decrypted and verified');
+
+    msg = crypto.enigma.message();
+    msg.read(legacyBuf('clear'));
+    if(!(
+        text == crypto.util.encoding(msg.getPlaintext()).toASCII() &&
+        true === msg.verify(alicePublic).valid
+    ))
+        return false;
+    r('clear signed message verified');
+
+    // exported again in the current layout
+    var aliceReloaded = crypto.enigma.identity(),
+        alicePublicReloaded = crypto.enigma.identity();
+    aliceReloaded.loadPrivate(alice.exportPrivate(pinkey), pinkey);
+    alicePublicReloaded.loadPublic(alice.exportPublic());
+    msg = crypto.enigma.message();
+    msg.write(plaintext1K);
+    msg.encrypt(alicePublicReloaded);
+    var ciphertext = msg.done();
+    msg = crypto.enigma.message();
+    msg.read(ciphertext);
+    msg.decrypt(aliceReloaded);
+    return (
+        fingerprint == alicePublicReloaded.getFingerprint(true) &&
+        crypto.util.buffer.equal(msg.getPlaintext(), plaintext1K)
+    );
+});
+
+test('Enigma/Stream: Chunked Encrypt, Decrypt and Tamper Detection', function(r){
+    var bob = crypto.enigma.identity();
+    bob.generate('identity for bob');
+
+    var writer = crypto.enigma.stream();
+    writer.write({segmentSize: 1024});
+    writer.encrypt(bob);
+    var outputs = [];
+    for(var i=0; i<10; i++)
+        outputs.push(writer.update(plaintext10K.slice(i * 1024, (i+1) * 1024)));
+    outputs.push(writer.final());
+    r('encrypted in 1kB chunks');
+
+    function readAll(pieces){
+        var reader = crypto.enigma.stream(), result = [];
+        reader.read();
+        var all = new Uint8Array(crypto.util.buffer.concat(pieces));
+        for(var i=0; i<all.length; i+=777){
+            result.push(reader.update(all.slice(i, i+777).buffer));
+            if(reader.decrypt) reader.decrypt(bob);
+        };
+        result.push(reader.final());
+        return crypto.util.buffer.concat(result);
+    };
+
+    if(!crypto.util.buffer.equal(readAll(outputs), plaintext10K)) return false;
+    r('decrypted in 777B chunks');
+
+    try{
+        readAll(outputs.slice(0, outputs.length - 1));
+        return false;
+    } catch(e){
+        if('enigma-message-truncated' != e.message) return false;
+    };
+    r('truncation detected');
+
+    var reordered = outputs.slice(0);
+    reordered[2] = outputs[3];
+    reordered[3] = outputs[2];
+    try{
+        readAll(reordered);
+        return false;
+    } catch(e){
+        if('enigma-message-corrupted' != e.message) return false;
+    };
+    r('reordering detected');
+
+    // a segment claiming 4 GiB is refused before it would be buffered
+    var reader = crypto.enigma.stream();
+    reader.read();
+    reader.update(outputs[0]);
+    reader.decrypt(bob);
+    try{
+        reader.update(new Uint8Array([0xff, 0xff, 0xff, 0xff, 0]).buffer);
+        return false;
+    } catch(e){
+        if('enigma-message-corrupted' != e.message) return false;
+    };
+    r('oversized segment refused');
+    return true;
+});
+
+test('Enigma/Session: Handshake, Ratchet and Out-of-order Messages', function(r){
+    var alice = crypto.enigma.identity(),
+        bob = crypto.enigma.identity(),
+        alicePublic = crypto.enigma.identity(),
+        bobPublic = crypto.enigma.identity();
+    alice.generate('identity for alice');
+    bob.generate('identity for bob');
+    alicePublic.loadPublic(alice.exportPublic());
+    bobPublic.loadPublic(bob.exportPublic());
+    function buf(x){ return new Uint8Array([x]).buffer; };
+    function is(plaintext, x){
+        return crypto.util.buffer.equal(plaintext, buf(x));
+    };
+
+    var prekey = crypto.enigma.session.prekey();
+    prekey.generate(bob);
+    var prekeyPublic = prekey.exportPublic(),
+        prekeyPrivate = prekey.exportPrivate();
+    r('prekey generated by bob');
+
+    var aliceSession = crypto.enigma.session();
+    aliceSession.initiate(alice, bobPublic, prekeyPublic);
+    var message1 = aliceSession.encrypt(buf(1)),
+        message2 = aliceSession.encrypt(buf(2));
+
+    var handshake = crypto.enigma.session.readHandshake(message2);
+    if(!(
+        handshake &&
+        alice.getFingerprint(true) == handshake.initiator &&
+        bob.getFingerprint(true) == handshake.responder &&
+        prekey.getID() == handshake.prekey
+    ))
+        return false;
+    r('handshake read');
+
+    var bobPrekey = crypto.enigma.session.prekey(),
+        bobSession = crypto.enigma.session();
+    bobPrekey.loadPrivate(prekeyPrivate);
+    bobSession.accept(bob, alicePublic, bobPrekey, message2);
+    if(!(
+        is(bobSession.decrypt(message2), 2) &&
+        is(bobSession.decrypt(message1), 1)
+    ))
+        return false;
+    try{
+        bobSession.decrypt(message1);
+        return false;
+    } catch(e){
+    };
+    r('session accepted, messages out of order and replay');
+
+    // the state survives saving and loading, and the handshake is dropped
+    // after the first reply
+    var reply = bobSession.encrypt(buf(3)),
+        saved = bobSession.save();
+    bobSession = crypto.enigma.session();
+    bobSession.load(saved);
+    if(!(
+        is(aliceSession.decrypt(reply), 3) &&
+        aliceSession.isEstablished() &&
+        null === crypto.enigma.session.readHandshake(
+            aliceSession.encrypt(buf(4))
+        )
+    ))
+        return false;
+    r('replied, state saved and loaded');
+
+    // tampered messages are refused without changing the state
+    var tampered = new Uint8Array(aliceSession.encrypt(buf(5)));
+    tampered[tampered.length - 1] ^= 1;
+    try{
+        bobSession.decrypt(tampered.buffer);
+        return false;
+    } catch(e){
+    };
+
+    for(var i=6; i<9; i++){
+        if(!is(bobSession.decrypt(aliceSession.encrypt(buf(i))), i))
+            return false;
+        if(!is(aliceSession.decrypt(bobSession.encrypt(buf(i))), i))
+            return false;
+    };
+    return bobSession.getRemote() == alice.getFingerprint(true);
+});
+
+test('Enigma/Encoder: Armor, Dearmor and Detection in Text', function(r){
+    var encoder = crypto.enigma.encoder;
+    var b64 = encoder.armor('MESSAGE', plaintext1K, {
+            headers: {'Comment': 'test message'},
+        }),
+        b32 = encoder.armor('PUBLIC IDENTITY', plaintext1K, {
+            encoding: 'base32',
+        });
+    r('armored in Base64 and Base32');
+
+    var block = encoder.dearmor(b64);
+    if(!(
+        'MESSAGE' == block.type &&
+        'test message' == block.headers['Comment'] &&
+        crypto.util.buffer.equal(block.data, plaintext1K)
+    ))
+        return false;
+    if(!crypto.util.buffer.equal(encoder.dearmor(b32).data, plaintext1K))
+        return false;
+    r('dearmored');
+
+    // flip one character in the data
+    var lines = b64.split('\n');
+    lines[4] = ('A' == lines[4][0] ? 'B' : 'A') + lines[4].slice(1);
+    try{
+        encoder.dearmor(lines.join('\n'));
+        return false;
+    } catch(e){
+        if('enigma-armor-checksum-mismatch' != e.message) return false;
+    };
+    r('corruption detected');
+
+    var quoted = '> ' + b32.split('\n').join('\n> ').replace(/> \n/g, '>\n');
+    var email = [
+        'Hi Bob,', '', 'here is my identity:', '', quoted, '',
+        'and a broken one:', lines.join('\n'), '',
+        'and the message:', b64, '', 'Regards',
+    ].join('\r\n');
+    var found = encoder.find(email);
+    r('blocks found in text');
+
+    return (
+        2 == found.length &&
+        'PUBLIC IDENTITY' == found[0].type &&
+        'MESSAGE' == found[1].type &&
+        crypto.util.buffer.equal(found[0].data, plaintext1K) &&
+        crypto.util.buffer.equal(found[1].data, plaintext1K) &&
+        crypto.util.buffer.equal(
+            encoder.decode(crypto.util.encoding(plaintext1K).toHEX()),
+            plaintext1K
+        )
+    );
+});
+
+test('Enigma/Interface: Encrypted Keyring', function(r){
+    var backend = new memoryStorage(),
+        translator = {
+            error: function(v){ return v; },
+            question: function(v){ return v; },
+        },
+        options = {
+            translator: translator,
+            keyring: {storage: backend, key: 'keyring key'},
+        };
+
+    var enigma = crypto.enigma.interface(options), fingerprint = null;
+    var session = enigma('identity-generate');
+    session
+        .assign('text.subject', 'Keyring Subject')
+        .assign('select.algorithm', 'NECRAC128E')
+        .assign('text.passphrase', 'passphrase of the keyring identity')
+    ;
+    session.onTerminated(function(fp){ fingerprint = fp; });
+    session.start();
+    enigma.lock();
+    r('identity generated');
+
+    // neither fingerprints nor notes are found in the storage
+    var leaked = false, k;
+    for(var i=0; i<backend.length; i++){
+        k = backend.key(i);
+        if(
+            k.indexOf(fingerprint) >= 0 ||
+            backend.getItem(k).indexOf('Keyring') >= 0
+        )
+            leaked = true;
+    };
+    try{
+        enigma('identity-list');
+        return false;
+    } catch(e){
+    };
+
+    var listed = null;
+    enigma = crypto.enigma.interface(options);
+    session = enigma('identity-list');
+    session
+        .assign('option.list-private-identities-only', true)
+        .assign('option.filter-by-keywords', 'keyring')
+    ;
+    session.onTerminated(function(list){ listed = list; });
+    session.start();
+    enigma.lock();
+    r('listed after unlocking again');
+
+    return (
+        null !== fingerprint && !leaked &&
+        listed && listed[fingerprint] &&
+        'Keyring Subject' == listed[fingerprint].subject
+    );
+});
+
+test('Enigma/Interface: Revocation Kept in Exports and Re-imports', function(r){
+    var enigma = crypto.enigma.interface({
+        translator: {
+            error: function(v){ return v; },
+            question: function(v){ return v; },
+        },
+        storage: new memoryStorage(),
+    });
+    var encoder = crypto.enigma.encoder;
+    function run(apiName, answers){
+        // answered when asked, since falsy values can't be assigned
+        var session = enigma(apiName), result = null;
+        session.onQuestion(function(q){ session.answer(answers[q.id]); });
+        session.onTerminated(function(v){ result = v; });
+        session.start();
+        return result;
+    };
+
+    var alice = crypto.enigma.identity();
+    alice.generate('identity for alice', {algorithm: 'NECRAC128E'});
+    var fingerprint = alice.getFingerprint(true),
+        publicText = encoder.armor('PUBLIC IDENTITY', alice.exportPublic());
+    run('identity-import', {'text.data': publicText});
+    run('identity-import', {
+        'text.data': encoder.armor('REVOCATION', alice.exportRevocation()),
+    });
+    r('identity and its revocation imported');
+
+    var exported = crypto.enigma.identity();
+    exported.loadPublic(encoder.dearmor(run('identity-export', {
+        'text.fingerprint': fingerprint,
+    })).data);
+    if(!exported.isRevoked()) return false;
+    r('revocation carried in export');
+
+    // the identity as before its revocation
+    run('identity-import', {'text.data': publicText});
+    var listed = run('identity-list', {
+        'option.list-private-identities-only': false,
+        'option.filter-by-keywords': '',
+    });
+    return true === listed[fingerprint].revoked;
+});
+
+test('Enigma/Interface: Optional Questions left Unanswered', function(r){
+    var enigma = crypto.enigma.interface({
+        translator: {
+            error: function(v){ return v; },
+            question: function(v){ return v; },
+        },
+        storage: new memoryStorage(),
+    });
+    var bob = crypto.enigma.identity();
+    bob.generate('identity for bob');
+    var session = enigma('identity-import');
+    session.assign('text.data', crypto.enigma.encoder.armor(
+        'PUBLIC IDENTITY', bob.exportPublic()));
+    session.start();
+
+    // answers in the order asked, as callers did before padding existed
+    function write(format){
+        var answers = [
+            ['option.add-encrypt', true],
+            ['text.fingerprint', bob.getFingerprint(true)],
+            ['option.add-encrypt', false],
+            ['option.add-sign', false],
+        ], result = null;
+        session = enigma('message-write');
+        session.assign('text.data', '0123456789abcdef');
+        if(format) session.assign('select.format', format);
+        session.onQuestion(function(q){
+            if(0 == answers.length || answers[0][0] != q.id) return;
+            session.answer(answers.shift()[1]);
+        });
+        session.onTerminated(function(v){ result = v; });
+        session.start();
+        return (0 == answers.length) ? result : null;
+    };
+    function readable(text){
+        var message = crypto.enigma.message();
+        message.read(crypto.enigma.encoder.decode(text, ['MESSAGE']));
+        message.decrypt(bob);
+        return '0123456789abcdef' ==
+            crypto.util.encoding(message.getPlaintext()).toHEX();
+    };
+
+    var hexText = write();
+    if(!(/^[0-9a-f]+$/i.test(hexText) && readable(hexText))) return false;
+    r('message written in HEX by default');
+
+    var armoredText = write('armor');
+    return (
+        null !== armoredText &&
+        0 == armoredText.indexOf('-----BEGIN ENIGMA MESSAGE-----') &&
+        readable(armoredText)
+    );
+});
+
+testAsync('Async: Promises on this Thread', function(){
+    var async = crypto.async, buffer = crypto.util.buffer,
+        key = new crypto.util.srand().bytes(64),
+        salt = new crypto.util.srand().bytes(16),
+        sender, receiver, results = {};
+
+    return async.hash(32, 'sha256').pbkdf2(key, salt, 10, 40)
+    .then(function(derived){
+        results.pbkdf2 = buffer.equal(
+            derived,
+            new crypto.hash(32, 'sha256').pbkdf2(key, salt, 10, 40)
+        );
+        return async.cipher.symmetric().key(key).encrypt(plaintext1K);
+    })
+    .then(function(ciphertext){
+        results.cipher = buffer.equal(
+            new crypto.cipher.symmetric().key(key).decrypt(ciphertext),
+            plaintext1K
+        );
+        return async.identity.generate('async-sender');
+    })
+    .then(function(identity){
+        sender = identity;
+        return async.identity.generate('async-receiver');
+    })
+    .then(function(identity){
+        receiver = identity;
+        return async.message.write(plaintext1K, {
+            sign: [sender],
+            encrypt: [receiver],
+        });
+    })
+    .then(function(messageBuf){
+        return async.message.read(messageBuf, {
+            decrypt: receiver,
+            verify: [sender],
+        });
+    })
+    .then(function(read){
+        return (
+            results.pbkdf2 && results.cipher &&
+            buffer.equal(read.plaintext, plaintext1K) &&
+            read.signers[0] == sender.getFingerprint(true) &&
+            true === read.verified[0].valid
+        );
+    });
+});
+
+testAsync('Async: Operations in a Worker Pool', function(){
+    var async = crypto.async, buffer = crypto.util.buffer,
+        key = new crypto.util.srand().bytes(64),
+        salt = new crypto.util.srand().bytes(16),
+        identity, results = {};
+
+    async.startWorkers({size: 1});
+    return async.hash(64).mac(plaintext10K, key)
+    .then(function(mac){
+        results.mac = (
+            mac.hex == new crypto.hash(64).mac(plaintext10K, key).hex);
+        return async.cipher.symmetric().key(key).encrypt(plaintext10K);
+    })
+    .then(function(ciphertext){
+        results.cipher = buffer.equal(
+            new crypto.cipher.symmetric().key(key).decrypt(ciphertext),
+            plaintext10K
+        );
+        return async.identity.generate('async-in-worker');
+    })
+    .then(function(generated){
+        identity = generated;
+        return async.identity.exportPrivate(identity, key);
+    })
+    .then(function(exported){
+        return async.identity.loadPrivate(exported, key);
+    })
+    .then(function(loaded){
+        results.identity = (
+            loaded.isPrivate() &&
+            loaded.getFingerprint(true) == identity.getFingerprint(true)
+        );
+        return async.message.write(plaintext1K, {encrypt: [identity]});
+    })
+    .then(function(messageBuf){
+        return async.message.read(messageBuf, {decrypt: identity});
+    })
+    .then(function(read){
+        results.message = buffer.equal(read.plaintext, plaintext1K);
+        // errors of workers reject with the same message
+        return async.message.read(salt).then(function(){
+            return false;
+        }, function(e){
+            return 'enigma-invalid-input' == e.message;
+        });
+    })
+    .then(function(rejected){
+        async.stopWorkers();
+        return (
+            rejected && results.mac && results.cipher &&
+            results.identity && results.message
+        );
+    }, function(e){
+        async.stopWorkers();
+        throw e;
+    });
+});
+
+// sources failing can't be used again, so this runs last of all
+testAsync('Random Generator: Failing Closed after a Source Fails', function(){
+    if('undefined' == typeof require) return true;
+    var srand = crypto.util.srand, nodeCrypto = require('crypto');
+    srand().bytes(64);
+
+    // the sources give stuck output from now on, failing the health tests
+    function stuck(n){ return new Uint8Array(n); };
+    nodeCrypto.randomBytes = function(n){ return Buffer.from(stuck(n)); };
+    if('undefined' != typeof globalThis && globalThis.crypto)
+        globalThis.crypto.getRandomValues = function(a){
+            a.set(stuck(a.length));
+            return a;
+        };
+
+    function refused(){
+        try{
+            srand().bytes(64);
+            return false;
+        } catch(e){
+            return 'no-secure-entropy-source' == e.message;
+        };
+    };
+    var beforeReseed = refused();
+    srand.reseed();
+    var afterReseed = refused() && 0 == srand.entropy().bits;
+
+    srand.failClosed(false);
+    var allowed = (64 == srand().bytes(64).byteLength);
+    srand.failClosed(true);
+    return beforeReseed && afterReseed && allowed && refused();
+});
+
+function finish(){
+    crypto.util.log.notice('----------------------');
+    crypto.util.log.notice('All tests done.');
+
+    if('undefined' != typeof document)
+        document.close();
+    else
+        process.exit();
+};
+
+(function next(){
+    if(0 == asyncTests.length) return finish();
+    asyncTests.shift()().then(next);
+})();
 };
 /****************************************************************************/
 
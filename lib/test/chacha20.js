@@ -36,6 +36,21 @@ function testExpansion(rounds, nonceBuf, keyBuf, assertBuf){
     );
 };
 
+// ChaCha20/20 as given by `constructor`, which an accelerator may replace
+function testNonce(nonceBuf, keyBuf, block, assertBuf){
+    var cipher = tool.get('cipher.symmetric.chacha20').constructor()
+        .nonce(assureBuf(nonceBuf))
+        .key(assureBuf(keyBuf));
+    if(block > 0) cipher.seek(block);
+
+    assertBuf = assureBuf(assertBuf);
+    var ret = cipher.encrypt(assertBuf);
+    return tool.get('util.buffer').equal(
+        ret,
+        new Uint8Array(ret.byteLength).buffer
+    );
+};
+
 //--------------------------------------------------------------------------//
 
 function doChaChaTest(){
@@ -110,6 +125,37 @@ function doChaChaTest(){
     );
 
 
+    // XChaCha20 of libsodium with a nonce of 24 bytes, from the first
+    // block and from block 3
+    result['xchacha20-24'] = testNonce(
+        '404142434445464748494a4b4c4d4e4f5051525354555658',
+        '808182838485868788898a8b8c8d8e8f' +
+        '909192939495969798999a9b9c9d9e9f',
+        0,
+        '1131ce9a2a20ae0d67c8935c7789fa1025c9e5bb720fb96f11354fb97af0bd9a' +
+        'adec0863ba60cac8582c48f86cdfc48edd46a48642c5de62ccf11c7b21bf337d'
+    );
+
+    result['xchacha20-24-seek'] = testNonce(
+        '404142434445464748494a4b4c4d4e4f5051525354555658',
+        '808182838485868788898a8b8c8d8e8f' +
+        '909192939495969798999a9b9c9d9e9f',
+        3,
+        '7cd8026fba548604f1b6072d91bc91243a5b845f7fd171b02edc5a0a84cf28dd' +
+        '241146bc376e3f48df5e7fee1d11048c190a3d3deb0feb64b42d9c6fdeee290f'
+    );
+
+    // a nonce of 8 bytes, from block 2^33+5 whose number spans both words
+    // of the counter
+    result['chacha20-8-seek'] = testNonce(
+        '0001020304050607',
+        '000102030405060708090a0b0c0d0e0f' +
+        '101112131415161718191a1b1c1d1e1f',
+        0x200000005,
+        'eac74c8c7c647c5b707200dee5c6a305da1e98bcaa69e51b997ecadd9baae136' +
+        '5b626734ac5d1af3eb0cfb78985de346bb40bdefdad92bf7ae0aed8646d5dddc'
+    );
+
     return result;
 };
 
@@ -0,0 +1,115 @@
+/*
+ * Test vectors for Poly1305, ChaCha20-Poly1305 and XChaCha20-Poly1305, from
+ * RFC 8439 and draft-irtf-cfrg-xchacha
+ */
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+
+function toBuf(v){
+    if(0 == v.length) return new Uint8Array(0).buffer;
+    return tool.get('util.encoding')(v, 'hex').toArrayBuffer();
+};
+
+function ascii(s){
+    return tool.get('util.encoding')(s, 'ascii').toArrayBuffer();
+};
+
+function equal(buf, hex){
+    if(null === buf) return false;
+    return tool.get('util.encoding')(buf).toHEX() == hex;
+};
+
+var sunscreen = ascii(
+    "Ladies and Gentlemen of the class of '99: If I could offer you only " +
+    "one tip for the future, sunscreen would be it."
+);
+
+function testAEAD(key, nonce, aad, plaintext, ciphertext, tag){
+    var aead = tool.get('cipher.symmetric.chacha20poly1305');
+    var sealed = aead.seal(toBuf(key), toBuf(nonce), plaintext, toBuf(aad));
+    if(!equal(sealed, ciphertext + tag)) return false;
+
+    // opened, but not with other associated data or a changed tag
+    var opened = aead.open(toBuf(key), toBuf(nonce), sealed, toBuf(aad)),
+        forged = new Uint8Array(sealed.slice(0));
+    forged[forged.length - 1] ^= 1;
+    return (
+        tool.get('util.buffer').equal(opened, plaintext) &&
+        null === aead.open(toBuf(key), toBuf(nonce), sealed) &&
+        null === aead.open(toBuf(key), toBuf(nonce), forged.buffer, toBuf(aad))
+    );
+};
+
+//--------------------------------------------------------------------------//
+
+function doTest(){
+    var result = {};
+
+    // RFC 8439, 2.5.2
+    result['poly1305'] = equal(
+        tool.get('cipher.symmetric.poly1305')(
+            toBuf(
+                '85d6be7857556d337f4452fe42d506a8' +
+                '0103808afb0db2fd4abff6af4149f51b'
+            ),
+            ascii('Cryptographic Forum Research Group')
+        ),
+        'a8061dc1305136c6c22b8baf0c0127a9'
+    );
+
+    // draft-irtf-cfrg-xchacha, 2.2.1
+    result['hchacha20'] = equal(
+        tool.get('cipher.symmetric.chacha20.hchacha20')(
+            new Uint8Array(toBuf(
+                '000102030405060708090a0b0c0d0e0f' +
+                '101112131415161718191a1b1c1d1e1f'
+            )),
+            new Uint8Array(toBuf('000000090000004a0000000031415927'))
+        ).buffer,
+        '82413b4227b27bfed30e42508a877d73' +
+        'a0f9e4d58a74a853c12ec41326d3ecdc'
+    );
+
+    // RFC 8439, 2.8.2
+    result['chacha20-poly1305'] = testAEAD(
+        '808182838485868788898a8b8c8d8e8f' +
+        '909192939495969798999a9b9c9d9e9f',
+        '070000004041424344454647',
+        '50515253c0c1c2c3c4c5c6c7',
+        sunscreen,
+        'd31a8d34648e60db7b86afbc53ef7ec2a4aded51296e08fea9e2b5a736ee62d6' +
+        '3dbea45e8ca9671282fafb69da92728b1a71de0a9e060b2905d6a5b67ecd3b36' +
+        '92ddbd7f2d778b8c9803aee328091b58fab324e4fad675945585808b4831d7bc' +
+        '3ff4def08e4b7a9de576d26586cec64b6116',
+        '1ae10b594f09e26a7e902ecbd0600691'
+    );
+
+    // draft-irtf-cfrg-xchacha, A.3.1
+    result['xchacha20-poly1305'] = testAEAD(
+        '808182838485868788898a8b8c8d8e8f' +
+        '909192939495969798999a9b9c9d9e9f',
+        '404142434445464748494a4b4c4d4e4f5051525354555657',
+        '50515253c0c1c2c3c4c5c6c7',
+        sunscreen,
+        'bd6d179d3e83d43b9576579493c0e939572a1700252bfaccbed2902c21396cbb' +
+        '731c7f1b0b4aa6440bf3a82f4eda7e39ae64c6708c54c216cb96b72e1213b452' +
+        '2f8c9ba40db5d945b11b69b982c1bb9e3f3fac2bc369488f76b2383565d3fff9' +
+        '21f9664c97637da9768812f615c68b13b52e',
+        'c0875924c1c7987947deafd8780acf49'
+    );
+
+    return result;
+};
+
+function evalTest(v){
+    for(var i in v) if(false == v[i]) return false;
+    return true;
+};
+
+tool.set('test.chacha20poly1305', {
+    exec: doTest,
+    eval: evalTest,
+});
+
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
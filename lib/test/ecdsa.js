@@ -0,0 +1,125 @@
+/*
+ * Test vectors for deterministic ECDSA nonces(RFC 6979)
+ */
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+
+function toBuf(hex){
+    return tool.get('util.encoding')(hex, 'hex').toArrayBuffer();
+};
+
+function toHEX(buf){
+    return tool.get('util.encoding')(buf).toHEX();
+};
+
+// Nonces `k` and signatures(DER, with low `s`) for messages hashed by SHA-256.
+// Those for secp256r1 are from RFC 6979, section A.2.5, those for secp256k1
+// are widely used by Bitcoin libraries.
+var vectors = {
+    'rfc6979-p256-sample': {
+        curve: 'secp256r1',
+        key: 'c9afa9d845ba75166b5c215767b1d6934e50c3db36e89b127b8a622b120f6721',
+        message: 'sample',
+        k: 'a6e3c57dd01abe90086538398355dd4c3b17aa873382b0f24d6129493d8aad60',
+        signature:
+            '3045022100efd48b2aacb6a8fd1140dd9cd45e81d69d2c877b56aaf991c34d' +
+            '0ea84eaf371602200834e36ad29a83bf2bc9385e491d6099c8fdf9d1ed67aa' +
+            '7ea5f51f93782857a9',
+    },
+    'rfc6979-p256-test': {
+        curve: 'secp256r1',
+        key: 'c9afa9d845ba75166b5c215767b1d6934e50c3db36e89b127b8a622b120f6721',
+        message: 'test',
+        k: 'd16b6ae827f17175e040871a1c7ec3500192c4c92677336ec2537acaee0008e0',
+        signature:
+            '3045022100f1abb023518351cd71d881567b1ea663ed3efcf6c5132b354f28' +
+            'd3b0b7d383670220019f4113742a2b14bd25926b49c649155f267e60d3814b' +
+            '4c0cc84250e46f0083',
+    },
+    'k256-1': {
+        curve: 'secp256k1',
+        key: '0000000000000000000000000000000000000000000000000000000000000001',
+        message: 'Satoshi Nakamoto',
+        k: '8f8a276c19f4149656b280621e358cce24f5f52542772691ee69063b74f15d15',
+        signature:
+            '3045022100934b1ea10a4b3c1757e2b0c017d0b6143ce3c9a7e6a4a49860d7' +
+            'a6ab210ee3d802202442ce9d2b916064108014783e923ec36b49743e2ffa1c' +
+            '4496f01a512aafd9e5',
+    },
+    'k256-n-1': {
+        curve: 'secp256k1',
+        key: 'fffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364140',
+        message: 'Satoshi Nakamoto',
+        k: '33a19b60e25fb6f4435af53a3d42d493644827367e6453928554f43e49aa6f90',
+        signature:
+            '3045022100fd567d121db66e382991534ada77a6bd3106f0a1098c231e4799' +
+            '3447cd6af2d002206b39cd0eb1bc8603e159ef5c20a5c8ad685a45b06ce9be' +
+            'bed3f153d10d93bed5',
+    },
+};
+
+function doECDSATest(){
+    var result = {}, v, digest, ecdsa, signer, verifier;
+    var encoding = tool.get('util.encoding');
+
+    for(var name in vectors){
+        v = vectors[name];
+        digest = new tool.get('hash')(32, 'sha256').hash(
+            encoding(v.message, 'ascii').toArrayBuffer()
+        ).buffer;
+
+        ecdsa = tool.get('cipher.asymmetric.ec.ecdsa')(
+            tool.get('cipher.asymmetric.ec.ecparams')(v.curve)
+        );
+        var k = ecdsa.nonce(
+            encoding(digest).toArray(),
+            tool.get('cipher.asymmetric.ec.bigi')(v.key, 16)
+        );
+
+        signer = tool.get('cipher.asymmetric.ec').constructor({
+            curve: v.curve,
+        });
+        signer.setPrivateKey(toBuf(v.key));
+        verifier = tool.get('cipher.asymmetric.ec').constructor({
+            curve: v.curve,
+        });
+        verifier.setPublicKey(signer.getPublicKey());
+
+        result[name] = (
+            k.toString(16) == v.k.replace(/^0+/, '') &&
+            toHEX(signer.sign(digest)) == v.signature &&
+            verifier.verify(digest, toBuf(v.signature))
+        );
+    };
+
+    // hedged signatures differ each time, but are still valid
+    signer = tool.get('cipher.asymmetric.ec').constructor({
+        curve: 'secp256r1',
+        hedged: true,
+    });
+    signer.setPrivateKey(toBuf(vectors['rfc6979-p256-sample'].key));
+    verifier = tool.get('cipher.asymmetric.ec').constructor({
+        curve: 'secp256r1',
+    });
+    verifier.setPublicKey(signer.getPublicKey());
+    var sig1 = signer.sign(digest), sig2 = signer.sign(digest);
+    result['hedged'] = (
+        toHEX(sig1) != toHEX(sig2) &&
+        verifier.verify(digest, sig1) &&
+        verifier.verify(digest, sig2)
+    );
+
+    return result;
+};
+
+function evalECDSATest(v){
+    for(var i in v) if(false == v[i]) return false;
+    return true;
+};
+
+tool.set('test.ecdsa', {
+    exec: doECDSATest,
+    eval: evalECDSATest,
+});
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
@@ -0,0 +1,99 @@
+/*
+ * Test vectors for Ed25519 signatures
+ */
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+
+function toBuf(hex){
+    if('' == hex) return new ArrayBuffer(0);
+    return tool.get('util.encoding')(hex, 'hex').toArrayBuffer();
+};
+
+// RFC 8032, section 7.1, tests 1 to 3
+var vectors = [
+    {
+        secret:
+            '9d61b19deffd5a60ba844af492ec2cc4' +
+            '4449c5697b326919703bac031cae7f60',
+        public:
+            'd75a980182b10ab7d54bfed3c964073a' +
+            '0ee172f3daa62325af021a68f707511a',
+        message: '',
+        signature:
+            'e5564300c360ac729086e2cc806e828a' +
+            '84877f1eb8e5d974d873e06522490155' +
+            '5fb8821590a33bacc61e39701cf9b46b' +
+            'd25bf5f0595bbe24655141438e7a100b',
+    },
+    {
+        secret:
+            '4ccd089b28ff96da9db6c346ec114e0f' +
+            '5b8a319f35aba624da8cf6ed4fb8a6fb',
+        public:
+            '3d4017c3e843895a92b70aa74d1b7ebc' +
+            '9c982ccf2ec4968cc0cd55f12af4660c',
+        message: '72',
+        signature:
+            '92a009a9f0d4cab8720e820b5f642540' +
+            'a2b27b5416503f8fb3762223ebdb69da' +
+            '085ac1e43e15996e458f3613d0f11d8c' +
+            '387b2eaeb4302aeeb00d291612bb0c00',
+    },
+    {
+        secret:
+            'c5aa8df43f9f837bedb7442f31dcb7b1' +
+            '66d38535076f094b85ce3a2e0b4458f7',
+        public:
+            'fc51cd8e6218a1a38da47ed00230f058' +
+            '0816ed13ba3303ac5deb911548908025',
+        message: 'af82',
+        signature:
+            '6291d657deec24024827e69c3abe01a3' +
+            '0ce548a284743a445e3680d7db5ac3ac' +
+            '18ff9b538d16f290ae67f760984dc659' +
+            '4a7c15e9716ed28dc027beceea1ec40a',
+    },
+];
+
+function doEd25519Test(){
+    var ed25519 = tool.get('cipher.asymmetric.ed25519').constructor,
+        equal = tool.get('util.buffer').equal,
+        result = {};
+
+    for(var i=0; i<vectors.length; i++){
+        var v = vectors[i],
+            message = toBuf(v.message),
+            signature = toBuf(v.signature);
+
+        var signer = ed25519();
+        signer.setPrivateKey(toBuf(v.secret));
+
+        var verifier = ed25519();
+        verifier.setPublicKey(toBuf(v.public));
+
+        // a flipped bit in the signature must be detected
+        var forged = new Uint8Array(signature.slice(0));
+        forged[0] ^= 1;
+
+        result['rfc8032-' + (i + 1)] = (
+            equal(signer.getPublicKey(), toBuf(v.public)) &&
+            equal(signer.sign(message), signature) &&
+            verifier.verify(message, signature) &&
+            !verifier.verify(message, forged.buffer)
+        );
+    };
+
+    return result;
+};
+
+function evalEd25519Test(v){
+    for(var i in v) if(false == v[i]) return false;
+    return true;
+};
+
+tool.set('test.ed25519', {
+    exec: doEd25519Test,
+    eval: evalEd25519Test,
+});
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
@@ -105,6 +105,201 @@ function getTests(){
         }
     };
 
+    // other algorithms, selected with `hash(LENGTH, ALGORITHM)`. Vectors are
+    // from FIPS 180-4, FIPS 202, RFC 7693 and the BLAKE2 reference KATs.
+    // Keyed ones are computed with `mac`, which for SHA-2 is HMAC(RFC 4231).
+
+    var bytes00to3f = new Uint8Array(64), bytes00tofe = new Uint8Array(255),
+        bytesA3 = new Uint8Array(200);
+    for(var i=0; i<64; i++) bytes00to3f[i] = i;
+    for(var i=0; i<255; i++) bytes00tofe[i] = i;
+    for(var i=0; i<200; i++) bytesA3[i] = 0xa3;
+
+    function ascii(s){
+        return tool.get('util.encoding')(s, 'ascii').toArrayBuffer();
+    };
+
+    tests['sha256-abc'] = {
+        algorithm: 'sha256',
+        input: ascii('abc'),
+        result:
+            'ba7816bf8f01cfea414140de5dae2223' +
+            'b00361a396177a9cb410ff61f20015ad',
+    };
+    tests['sha256-empty'] = {
+        algorithm: 'sha256',
+        input: new Uint8Array(0).buffer,
+        result:
+            'e3b0c44298fc1c149afbf4c8996fb924' +
+            '27ae41e4649b934ca495991b7852b855',
+    };
+    tests['sha256-448bits'] = {
+        algorithm: 'sha256',
+        input: ascii(
+            'abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq'
+        ),
+        result:
+            '248d6a61d20638b8e5c026930c3e6039' +
+            'a33ce45964ff2167f6ecedd419db06c1',
+    };
+    tests['sha256-hmac'] = {
+        algorithm: 'sha256',
+        input: ascii('what do ya want for nothing?'),
+        key: ascii('Jefe'),
+        result:
+            '5bdcc146bf60754e6a042426089575c7' +
+            '5a003f089d2739839dec58b964ec3843',
+    };
+
+    tests['sha512-abc'] = {
+        algorithm: 'sha512',
+        input: ascii('abc'),
+        result:
+            'ddaf35a193617abacc417349ae204131' +
+            '12e6fa4e89a97ea20a9eeee64b55d39a' +
+            '2192992a274fc1a836ba3c23a3feebbd' +
+            '454d4423643ce80e2a9ac94fa54ca49f',
+    };
+    tests['sha512-empty'] = {
+        algorithm: 'sha512',
+        input: new Uint8Array(0).buffer,
+        result:
+            'cf83e1357eefb8bdf1542850d66d8007' +
+            'd620e4050b5715dc83f4a921d36ce9ce' +
+            '47d0d13c5d85f2b0ff8318d2877eec2f' +
+            '63b931bd47417a81a538327af927da3e',
+    };
+    tests['sha512-896bits'] = {
+        algorithm: 'sha512',
+        input: ascii(
+            'abcdefghbcdefghicdefghijdefghijkefghijklfghijklmghijklmn' +
+            'hijklmnoijklmnopjklmnopqklmnopqrlmnopqrsmnopqrstnopqrstu'
+        ),
+        result:
+            '8e959b75dae313da8cf4f72814fc143f' +
+            '8f7779c6eb9f7fa17299aeadb6889018' +
+            '501d289e4900f7e4331b99dec4b5433a' +
+            'c7d329eeb6dd26545e96e55b874be909',
+    };
+    tests['sha512-hmac'] = {
+        algorithm: 'sha512',
+        input: ascii('what do ya want for nothing?'),
+        key: ascii('Jefe'),
+        result:
+            '164b7a7bfcf819e2e395fbe73b56e0a3' +
+            '87bd64222e831fd610270cd7ea250554' +
+            '9758bf75c05a994a6d034f65f8f0e6fd' +
+            'caeab1a34d4a6b4b636e070a38bce737',
+    };
+
+    tests['sha3-256-abc'] = {
+        algorithm: 'sha3-256',
+        input: ascii('abc'),
+        result:
+            '3a985da74fe225b2045c172d6bd390bd' +
+            '855f086e3e9d525b46bfe24511431532',
+    };
+    tests['sha3-256-1600bits'] = {
+        algorithm: 'sha3-256',
+        input: bytesA3.buffer,
+        result:
+            '79f38adec5c20307a98ef76e8324afbf' +
+            'd46cfd81b22e3973c65fa1bd9de31787',
+    };
+    tests['sha3-512-abc'] = {
+        algorithm: 'sha3-512',
+        input: ascii('abc'),
+        result:
+            'b751850b1a57168a5693cd924b6b096e' +
+            '08f621827444f70d884f5d0240d2712e' +
+            '10e116e9192af3c91a7ec57647e39340' +
+            '57340b4cf408d5a56592f8274eec53f0',
+    };
+    tests['shake128-empty'] = {
+        algorithm: 'shake128',
+        input: new Uint8Array(0).buffer,
+        result:
+            '7f9c2ba4e88f827d616045507605853e' +
+            'd73b8093f6efbc88eb1a6eacfa66ef26',
+    };
+    tests['shake128-1600bits'] = {
+        algorithm: 'shake128',
+        input: bytesA3.buffer,
+        result:
+            '131ab8d2b594946b9c81333f9bb6e0ce' +
+            '75c3b93104fa3469d3917457385da037',
+    };
+    tests['shake256-empty'] = {
+        algorithm: 'shake256',
+        input: new Uint8Array(0).buffer,
+        result:
+            '46b9dd2b0ba88d13233b3feb743eeb24' +
+            '3fcd52ea62b81b82b50c27646ed5762f' +
+            'd75dc4ddd8c0f200cb05019d67b592f6' +
+            'fc821c49479ab48640292eacb3b7c4be',
+    };
+
+    tests['blake2b-abc'] = {
+        algorithm: 'blake2b',
+        input: ascii('abc'),
+        result:
+            'ba80a53f981c4d0d6a2797b69f12f6e9' +
+            '4c212f14685ac4b74b12bb6fdbffa2d1' +
+            '7d87c5392aab792dc252d5de4533cc95' +
+            '18d38aa8dbf1925ab92386edd4009923',
+    };
+    tests['blake2b-256-abc'] = {
+        algorithm: 'blake2b',
+        length: 32,
+        input: ascii('abc'),
+        result:
+            'bddd813c634239723171ef3fee98579b' +
+            '94964e3bb1cb3e427262c8c068d52319',
+    };
+    tests['blake2b-keyed-empty'] = {
+        algorithm: 'blake2b',
+        input: new Uint8Array(0).buffer,
+        key: bytes00to3f.buffer,
+        result:
+            '10ebb67700b1868efb4417987acf4690' +
+            'ae9d972fb7a590c2f02871799aaa4786' +
+            'b5e996e8f0f4eb981fc214b005f42d2f' +
+            'f4233499391653df7aefcbc13fc51568',
+    };
+    tests['blake2b-keyed-255bytes'] = {
+        algorithm: 'blake2b',
+        input: bytes00tofe.buffer,
+        key: bytes00to3f.buffer,
+        result:
+            '142709d62e28fcccd0af97fad0f8465b' +
+            '971e82201dc51070faa0372aa43e9248' +
+            '4be1c1e73ba10906d5d1853db6a4106e' +
+            '0a7bf9800d373d6dee2d46d62ef2a461',
+    };
+    tests['blake2s-abc'] = {
+        algorithm: 'blake2s',
+        input: ascii('abc'),
+        result:
+            '508c5e8c327c14e2e1a72ba34eeb452f' +
+            '37458b209ed63a294d999b4c86675982',
+    };
+    tests['blake2s-keyed-empty'] = {
+        algorithm: 'blake2s',
+        input: new Uint8Array(0).buffer,
+        key: bytes00to3f.buffer.slice(0, 32),
+        result:
+            '48a8997da407876b3d79c0d92325ad3b' +
+            '89cbb754d86ab71aee047ad345fd2c49',
+    };
+    tests['blake2s-keyed-255bytes'] = {
+        algorithm: 'blake2s',
+        input: bytes00tofe.buffer,
+        key: bytes00to3f.buffer.slice(0, 32),
+        result:
+            '3fb735061abc519dfe979e54c1ee5bfa' +
+            'd0a9d858b3315bad34bde999efd724dd',
+    };
+
     /*  // takes too much time.
     tests['iso-9'] = {};
     tests['iso-9']['input'] = new Uint8Array(1000000);
@@ -127,7 +322,11 @@ function doHashTest(){
     var result = {};
     for(var item in tests){
         var output = tests[item].result.replace(/[^0-9a-f]/gi, '');
-        var hash = new hashgen().hash(tests[item]['input']).hex;
+        var hasher = new hashgen(tests[item].length, tests[item].algorithm);
+        var hash = (tests[item].key ?
+            hasher.mac(tests[item].input, tests[item].key).hex :
+            hasher.hash(tests[item].input).hex
+        );
         result[item] = Boolean(hash.toLowerCase() === output.toLowerCase());
     };
     return result;
@@ -4,9 +4,13 @@
 function doTest(){
     var items = {
         'hash': tool.get('test.hash'),
+        'scrypt': tool.get('test.scrypt'),
         'salsa20': tool.get('test.salsa20'),
         'chacha20': tool.get('test.chacha20'),
+        'chacha20poly1305': tool.get('test.chacha20poly1305'),
         'curve25519': tool.get('test.curve25519'),
+        'ed25519': tool.get('test.ed25519'),
+        'ecdsa': tool.get('test.ecdsa'),
     };
 
     var report = {}, evaluation = {}, conclusion = true;
@@ -44,6 +44,20 @@ function testCore(rounds, inputBuf, assertBuf){
     return tool.get('util.buffer').equal(ret, assertBuf);
 };
 
+function testNonce(rounds, nonceBuf, keyBuf, block, assertBuf){
+    var cipher = new salsa20(rounds)
+        .nonce(assureBuf(nonceBuf))
+        .key(assureBuf(keyBuf));
+    if(block > 0) cipher.seek(block);
+
+    assertBuf = assureBuf(assertBuf);
+    var ret = cipher.encrypt(assertBuf);
+    return tool.get('util.buffer').equal(
+        ret,
+        new Uint8Array(ret.byteLength).buffer
+    );
+};
+
 //--------------------------------------------------------------------------//
 
 function doSalsaTest(){
@@ -218,6 +232,28 @@ function doSalsaTest(){
     );
 
 
+    // XSalsa20 of NaCl(with 10 double rounds) with a nonce of 24 bytes, from
+    // the first block and from block 3
+    result['xsalsa20-24'] = testNonce(
+        10,
+        '69696ee955b62b73cd62bda875fc73d68219e0036b7a0b37',
+        '1b27556473e985d462cd51197a9a46c7' +
+        '6009549eac6474f206c4ee0844f68389',
+        0,
+        'eea6a7251c1e72916d11c2cb214d3c252539121d8e234e652d651fa4c8cff880' +
+        '309e645a74e9e0a60d8243acd9177ab51a1beb8d5a2f5d700c093c5e55855796'
+    );
+
+    result['xsalsa20-24-seek'] = testNonce(
+        10,
+        '69696ee955b62b73cd62bda875fc73d68219e0036b7a0b37',
+        '1b27556473e985d462cd51197a9a46c7' +
+        '6009549eac6474f206c4ee0844f68389',
+        3,
+        '85ae71f6f84f528e6b397af86f6917d9754b7320dbdc2fea81496f2732f532ac' +
+        '78c4e9c6cfb18f8e9bdf74622eb126141416776971a84f94d156beaf67aecbf2'
+    );
+
     return result;
 };
 
@@ -0,0 +1,62 @@
+/*
+ * Test vectors for the scrypt key derivation function
+ */
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+
+function toBuf(hex){
+    return tool.get('util.encoding')(hex, 'hex').toArrayBuffer();
+};
+
+function doScryptTest(){
+    var result = {};
+
+    // RFC 7914, section 8: test vector for Salsa20/8 core
+    result['rfc7914-salsa208'] = tool.get('util.buffer').equal(
+        tool.get('hash.scrypt.salsa208')(toBuf(
+            '7e879a214f3ec9867ca940e641718f26' +
+            'baee555b8c61c1b50df846116dcd3b1d' +
+            'ee24f319df9b3d8514121e4b5ac5aa32' +
+            '76021d2909c74829edebc68db8b8c25e'
+        )),
+        toBuf(
+            'a41f859c6608cc993b81cacb020cef05' +
+            '044b2181a2fd337dfd7b1c6396682f29' +
+            'b4393168e3c9e6bcfe6bc5b7a06d96ba' +
+            'e424cc102c91745c24ad673dc7618f81'
+        )
+    );
+
+    // RFC 7914, section 12: test vector for scrypt with PBKDF2-HMAC-SHA256
+    result['rfc7914-scrypt'] = tool.get('util.buffer').equal(
+        tool.get('hash.scrypt')(new ArrayBuffer(0), new ArrayBuffer(0), {
+            N: 16,
+            r: 1,
+            p: 1,
+            length: 64,
+            hash: 'sha256',
+        }),
+        toBuf(
+            '77d6576238657b203b19ca42c18a0497' +
+            'f16b4844e3074ae8dfdffa3fede21442' +
+            'fcd0069ded0948f8326a753a0fc81f17' +
+            'e8d3e0fb2e0d3628cf35e20c38d18906'
+        )
+    );
+
+    return result;
+};
+
+function evalScryptTest(v){
+    for(var i in v) if(false == v[i]) return false;
+    return true;
+};
+
+
+tool.set('test.scrypt', {
+    exec: doScryptTest,
+    eval: evalScryptTest,
+});
+
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
@@ -1,5 +1,8 @@
 /*
  * LZW Compression and Decompression
+ *
+ * This is kept for reading messages compressed with it before. New messages
+ * are compressed with DEFLATE, see `deflate.js`.
  */
 
 (function(tool){
@@ -34,7 +37,7 @@ function enpack(array){
             );
         else if(i<=0xFFFFFFFF)
             toArray.push(
-                (i & 0xFF000000) >> 24
+                (i & 0xFF000000) >>> 24,
                 (i & 0x00FF0000) >> 16,
                 (i & 0x0000FF00) >> 8,
                 (i & 0x000000FF)
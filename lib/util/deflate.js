@@ -0,0 +1,576 @@
+/*
+ * DEFLATE Compression and Decompression
+ * =====================================
+ *
+ * Raw DEFLATE streams(RFC 1951), as written and read by zlib with negative
+ * window bits, e.g. `zlib.deflateRawSync` and `zlib.inflateRawSync` of
+ * NodeJS:
+ *
+ *      tool.get('util.deflate')(BUFFER)
+ *      tool.get('util.inflate')(COMPRESSED, MAX_LENGTH)
+ *
+ * Both are also exported as `util.deflate` and `util.inflate`. Decompression
+ * throws `decompression-limit-exceeded` as soon as the output would grow
+ * beyond MAX_LENGTH bytes(by default 64 MiB), so that a small input can't
+ * exhaust the memory. Corrupted input throws `invalid-input`.
+ *
+ * Matches are found with hash chains. Each block is written with dynamic or
+ * fixed Huffman codes, or stored, whichever is the shortest, so that random
+ * data grows by a few bytes per 64 kB only.
+ */
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+// Adjustable
+var config = {
+    defaultMaxLength: 67108864,
+    maxChainLength: 128,
+};
+/****************************************************************************/
+
+var WINDOW_SIZE = 32768, WINDOW_MASK = WINDOW_SIZE - 1,
+    HASH_SIZE = 32768, MIN_MATCH = 3, MAX_MATCH = 258,
+    // a stored block holds up to 65535 bytes, and a match may run over
+    BLOCK_INPUT = 65535 - MAX_MATCH;
+
+var LENGTH_BASE = [
+        3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+        35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258
+    ],
+    LENGTH_EXTRA = [
+        0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+        3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0
+    ],
+    DIST_BASE = [
+        1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+        257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145,
+        8193, 12289, 16385, 24577
+    ],
+    DIST_EXTRA = [
+        0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+        7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13
+    ],
+    CODE_LENGTH_ORDER = [
+        16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15
+    ];
+
+function zeros(n){
+    var ret = new Array(n);
+    for(var i=0; i<n; i++) ret[i] = 0;
+    return ret;
+};
+
+// code lengths of the fixed Huffman codes
+var FIXED_LIT = zeros(288), FIXED_DIST = zeros(30);
+(function(){
+    var i;
+    for(i=0; i<144; i++) FIXED_LIT[i] = 8;
+    for(; i<256; i++) FIXED_LIT[i] = 9;
+    for(; i<280; i++) FIXED_LIT[i] = 7;
+    for(; i<288; i++) FIXED_LIT[i] = 8;
+    for(i=0; i<30; i++) FIXED_DIST[i] = 5;
+})();
+
+// codes of each match length and distance
+var LENGTH_CODE = new Uint8Array(MAX_MATCH + 1),
+    DIST_CODE = new Uint8Array(WINDOW_SIZE + 1);
+(function(){
+    var i, code = 0;
+    for(i=MIN_MATCH; i<=MAX_MATCH; i++){
+        while(code < 28 && LENGTH_BASE[code + 1] <= i) code++;
+        LENGTH_CODE[i] = code;
+    };
+    code = 0;
+    for(i=1; i<=WINDOW_SIZE; i++){
+        while(code < 29 && DIST_BASE[code + 1] <= i) code++;
+        DIST_CODE[i] = code;
+    };
+})();
+
+///////////////////////////// HUFFMAN CODES //////////////////////////////////
+
+/*
+ * Lengths of a Huffman code for the given frequencies, none longer than
+ * `limit`. At least two symbols get a code, so that the code is complete.
+ */
+function codeLengths(freq, limit){
+    var n = freq.length, lengths = zeros(n), used = [], i;
+    for(i=0; i<n; i++) if(freq[i] > 0) used.push(i);
+    for(i=0; used.length < 2; i++) if(0 == freq[i]) used.push(i);
+    used.sort(function(a, b){ return (freq[a] - freq[b]) || (a - b); });
+
+    // the two-queue construction: leaves are sorted, and internal nodes
+    // are created in increasing weights
+    var leaves = used.length, weight = [], parent = [], nextLeaf = 0,
+        nextNode = leaves;
+    for(i=0; i<leaves; i++) weight.push(freq[used[i]]);
+    function pick(){
+        if(
+            nextLeaf < leaves &&
+            (nextNode >= weight.length || weight[nextLeaf] <= weight[nextNode])
+        )
+            return nextLeaf++;
+        return nextNode++;
+    };
+    while(weight.length < 2 * leaves - 1){
+        var a = pick(), b = pick();
+        parent[a] = parent[b] = weight.length;
+        weight.push(weight[a] + weight[b]);
+    };
+
+    var depth = zeros(weight.length);
+    for(i=weight.length-2; i>=0; i--) depth[i] = depth[parent[i]] + 1;
+    for(i=0; i<leaves; i++) lengths[used[i]] = Math.min(depth[i], limit);
+
+    // codes cut to the limit are too many, which is repaired by lengthening
+    // the longest codes still below the limit
+    var kraft = 0, best;
+    for(i=0; i<leaves; i++) kraft += 1 << (limit - lengths[used[i]]);
+    while(kraft > (1 << limit)){
+        best = -1;
+        for(i=0; i<leaves; i++){
+            if(lengths[used[i]] >= limit) continue;
+            if(best < 0 || lengths[used[i]] > lengths[best]) best = used[i];
+        };
+        kraft -= 1 << (limit - lengths[best] - 1);
+        lengths[best] += 1;
+    };
+    return lengths;
+};
+
+// canonical codes for the lengths, bit-reversed as written LSB first
+function canonicalCodes(lengths){
+    var count = zeros(16), next = zeros(16), codes = zeros(lengths.length),
+        code = 0, i, len, c, r;
+    for(i=0; i<lengths.length; i++) count[lengths[i]]++;
+    count[0] = 0;
+    for(i=1; i<16; i++){
+        code = (code + count[i - 1]) << 1;
+        next[i] = code;
+    };
+    for(i=0; i<lengths.length; i++){
+        len = lengths[i];
+        if(0 == len) continue;
+        c = next[len]++;
+        for(r=0; len>0; len--){
+            r = (r << 1) | (c & 1);
+            c >>>= 1;
+        };
+        codes[i] = r;
+    };
+    return codes;
+};
+
+/*
+ * Table for decoding a canonical code: the count of codes of each length,
+ * and the symbols in the order of their codes.
+ */
+function decodingTable(lengths){
+    var count = new Uint16Array(16), offset = new Uint16Array(16),
+        symbol = new Uint16Array(lengths.length), left = 1, i;
+    for(i=0; i<lengths.length; i++) count[lengths[i]]++;
+    count[0] = 0;
+    for(i=1; i<16; i++){
+        left = (left << 1) - count[i];
+        if(left < 0) throw new Error('invalid-input');
+    };
+    for(i=1; i<15; i++) offset[i + 1] = offset[i] + count[i];
+    for(i=0; i<lengths.length; i++)
+        if(0 != lengths[i]) symbol[offset[lengths[i]]++] = i;
+    return {count: count, symbol: symbol};
+};
+
+var FIXED_LIT_TABLE = decodingTable(FIXED_LIT),
+    FIXED_DIST_TABLE = decodingTable(FIXED_DIST),
+    FIXED_LIT_CODES = canonicalCodes(FIXED_LIT),
+    FIXED_DIST_CODES = canonicalCodes(FIXED_DIST);
+
+////////////////////////////// COMPRESSION ///////////////////////////////////
+
+function bitWriter(){
+    var out = new Uint8Array(1024), length = 0, bitBuf = 0, bitCount = 0;
+
+    function ensure(n){
+        if(length + n <= out.length) return;
+        var larger = new Uint8Array(Math.max(out.length * 2, length + n));
+        larger.set(out);
+        out = larger;
+    };
+
+    this.write = function(value, n){
+        bitBuf |= value << bitCount;
+        bitCount += n;
+        while(bitCount >= 8){
+            ensure(1);
+            out[length++] = bitBuf & 0xff;
+            bitBuf >>>= 8;
+            bitCount -= 8;
+        };
+    };
+
+    this.align = function(){
+        if(bitCount > 0) this.write(0, 8 - bitCount);
+    };
+
+    // bytes written as they are, after `align`
+    this.bytes = function(ary){
+        ensure(ary.length);
+        out.set(ary, length);
+        length += ary.length;
+    };
+
+    this.result = function(){
+        this.align();
+        return out.slice(0, length).buffer;
+    };
+
+    return this;
+};
+
+/*
+ * Header of a block with dynamic codes, in which the code lengths are run
+ * length encoded, and themselves Huffman coded.
+ */
+function dynamicHeader(litLengths, distLengths){
+    var nlen = 286, ndist = 30, i;
+    while(nlen > 257 && 0 == litLengths[nlen - 1]) nlen--;
+    while(ndist > 1 && 0 == distLengths[ndist - 1]) ndist--;
+
+    var all = litLengths.slice(0, nlen).concat(distLengths.slice(0, ndist)),
+        rle = [], run, value, repeat;
+    for(i=0; i<all.length; ){
+        value = all[i];
+        for(run=1; i + run < all.length && all[i + run] == value; run++);
+        if(0 == value && run >= 3){
+            repeat = Math.min(run, 138);
+            if(repeat >= 11)
+                rle.push([18, repeat - 11, 7]);
+            else
+                rle.push([17, repeat - 3, 3]);
+            i += repeat;
+        } else if(0 != value && run >= 4){
+            repeat = Math.min(run - 1, 6);
+            rle.push([value, 0, 0], [16, repeat - 3, 2]);
+            i += 1 + repeat;
+        } else {
+            rle.push([value, 0, 0]);
+            i += 1;
+        };
+    };
+
+    var clFreq = zeros(19);
+    for(i=0; i<rle.length; i++) clFreq[rle[i][0]]++;
+    var clLengths = codeLengths(clFreq, 7), clCodes = canonicalCodes(clLengths),
+        nclen = 19;
+    while(nclen > 4 && 0 == clLengths[CODE_LENGTH_ORDER[nclen - 1]]) nclen--;
+
+    var cost = 5 + 5 + 4 + 3 * nclen;
+    for(i=0; i<rle.length; i++) cost += clLengths[rle[i][0]] + rle[i][2];
+
+    return {
+        cost: cost,
+        write: function(writer){
+            writer.write(nlen - 257, 5);
+            writer.write(ndist - 1, 5);
+            writer.write(nclen - 4, 4);
+            for(i=0; i<nclen; i++)
+                writer.write(clLengths[CODE_LENGTH_ORDER[i]], 3);
+            for(i=0; i<rle.length; i++){
+                writer.write(clCodes[rle[i][0]], clLengths[rle[i][0]]);
+                writer.write(rle[i][1], rle[i][2]);
+            };
+        },
+    };
+};
+
+function deflate(uncompressedBuf){
+    if(!tool.get('util.type')(uncompressedBuf).isArrayBuffer())
+        throw new Error('invalid-input');
+
+    var src = new Uint8Array(uncompressedBuf), n = src.length,
+        writer = new bitWriter(),
+        head = new Int32Array(HASH_SIZE),
+        prev = new Int32Array(WINDOW_SIZE);
+    for(var i=0; i<HASH_SIZE; i++) head[i] = -1;
+
+    // symbols of the current block: a literal byte, or a match given as
+    // `length << 16 | distance`
+    var symbols = new Uint32Array(BLOCK_INPUT + MAX_MATCH), symbolCount = 0,
+        blockStart = 0;
+
+    function hash(i){
+        return ((src[i] << 10) ^ (src[i + 1] << 5) ^ src[i + 2]) &
+            (HASH_SIZE - 1);
+    };
+
+    function insert(i){
+        if(i + MIN_MATCH > n) return;
+        var h = hash(i);
+        prev[i & WINDOW_MASK] = head[h];
+        head[h] = i;
+    };
+
+    function writeSymbols(litLengths, litCodes, distLengths, distCodes){
+        var s, len, dist, code;
+        for(var i=0; i<symbolCount; i++){
+            s = symbols[i];
+            if(s < 256){
+                writer.write(litCodes[s], litLengths[s]);
+                continue;
+            };
+            len = s >>> 16;
+            dist = s & 0xffff;
+            code = LENGTH_CODE[len];
+            writer.write(litCodes[257 + code], litLengths[257 + code]);
+            writer.write(len - LENGTH_BASE[code], LENGTH_EXTRA[code]);
+            code = DIST_CODE[dist];
+            writer.write(distCodes[code], distLengths[code]);
+            writer.write(dist - DIST_BASE[code], DIST_EXTRA[code]);
+        };
+        writer.write(litCodes[256], litLengths[256]);
+    };
+
+    function writeBlock(end, last){
+        var litFreq = zeros(286), distFreq = zeros(30), extraBits = 0, s, i;
+        for(i=0; i<symbolCount; i++){
+            s = symbols[i];
+            if(s < 256){
+                litFreq[s]++;
+                continue;
+            };
+            litFreq[257 + LENGTH_CODE[s >>> 16]]++;
+            distFreq[DIST_CODE[s & 0xffff]]++;
+            extraBits += LENGTH_EXTRA[LENGTH_CODE[s >>> 16]] +
+                DIST_EXTRA[DIST_CODE[s & 0xffff]];
+        };
+        litFreq[256] = 1;
+
+        function cost(litLengths, distLengths){
+            var ret = extraBits;
+            for(i=0; i<286; i++) ret += litFreq[i] * litLengths[i];
+            for(i=0; i<30; i++) ret += distFreq[i] * distLengths[i];
+            return ret;
+        };
+
+        var litLengths = codeLengths(litFreq, 15),
+            distLengths = codeLengths(distFreq, 15),
+            header = dynamicHeader(litLengths, distLengths);
+        var dynamicCost = header.cost + cost(litLengths, distLengths),
+            fixedCost = cost(FIXED_LIT, FIXED_DIST),
+            storedCost = 7 + 32 + 8 * (end - blockStart);
+
+        writer.write(last ? 1 : 0, 1);
+        if(storedCost <= fixedCost && storedCost <= dynamicCost){
+            var len = end - blockStart;
+            writer.write(0, 2);
+            writer.align();
+            writer.bytes([
+                len & 0xff, len >>> 8,
+                ~len & 0xff, (~len >>> 8) & 0xff
+            ]);
+            writer.bytes(src.subarray(blockStart, end));
+        } else if(fixedCost <= dynamicCost){
+            writer.write(1, 2);
+            writeSymbols(
+                FIXED_LIT, FIXED_LIT_CODES, FIXED_DIST, FIXED_DIST_CODES);
+        } else {
+            writer.write(2, 2);
+            header.write(writer);
+            writeSymbols(
+                litLengths, canonicalCodes(litLengths),
+                distLengths, canonicalCodes(distLengths)
+            );
+        };
+        blockStart = end;
+        symbolCount = 0;
+    };
+
+    var pos = 0, bestLength, bestDist, candidate, chain, max, len;
+    while(pos < n){
+        bestLength = 0;
+        if(pos + MIN_MATCH <= n){
+            candidate = head[hash(pos)];
+            chain = config.maxChainLength;
+            max = Math.min(MAX_MATCH, n - pos);
+            while(
+                candidate >= 0 &&
+                pos - candidate < WINDOW_SIZE &&
+                chain-- > 0
+            ){
+                for(len=0; len<max && src[candidate + len] == src[pos + len];)
+                    len++;
+                if(len > bestLength){
+                    bestLength = len;
+                    bestDist = pos - candidate;
+                    if(len == max) break;
+                };
+                candidate = prev[candidate & WINDOW_MASK];
+            };
+        };
+
+        if(bestLength >= MIN_MATCH){
+            symbols[symbolCount++] = (bestLength << 16) | bestDist;
+            for(i=0; i<bestLength; i++) insert(pos + i);
+            pos += bestLength;
+        } else {
+            symbols[symbolCount++] = src[pos];
+            insert(pos);
+            pos += 1;
+        };
+
+        if(pos - blockStart >= BLOCK_INPUT && pos < n) writeBlock(pos, false);
+    };
+    writeBlock(n, true);
+
+    return writer.result();
+};
+
+///////////////////////////// DECOMPRESSION //////////////////////////////////
+
+function inflate(compressedBuf, maxLength){
+    if(!tool.get('util.type')(compressedBuf).isArrayBuffer())
+        throw new Error('invalid-input');
+    if(undefined === maxLength) maxLength = config.defaultMaxLength;
+    if(!(tool.get('util.type')(maxLength).isNumber() && maxLength >= 0))
+        throw new Error('invalid-parameter');
+
+    var src = new Uint8Array(compressedBuf), pos = 0, bitBuf = 0,
+        bitCount = 0;
+    var out = new Uint8Array(Math.min(maxLength, 1024 + 4 * src.length)),
+        outLength = 0;
+
+    function ensure(n){
+        if(outLength + n <= out.length) return;
+        if(outLength + n > maxLength)
+            throw new Error('decompression-limit-exceeded');
+        var larger = new Uint8Array(
+            Math.min(maxLength, Math.max(out.length * 2, outLength + n)));
+        larger.set(out);
+        out = larger;
+    };
+
+    function bits(n){
+        while(bitCount < n){
+            if(pos >= src.length) throw new Error('invalid-input');
+            bitBuf |= src[pos++] << bitCount;
+            bitCount += 8;
+        };
+        var ret = bitBuf & ((1 << n) - 1);
+        bitBuf >>>= n;
+        bitCount -= n;
+        return ret;
+    };
+
+    function decode(table){
+        var code = 0, first = 0, index = 0, count;
+        for(var len=1; len<16; len++){
+            code |= bits(1);
+            count = table.count[len];
+            if(code - first < count) return table.symbol[index + code - first];
+            index += count;
+            first = (first + count) << 1;
+            code <<= 1;
+        };
+        throw new Error('invalid-input');
+    };
+
+    function stored(){
+        // the rest of the current byte is skipped
+        bitBuf = 0;
+        bitCount = 0;
+        if(pos + 4 > src.length) throw new Error('invalid-input');
+        var len = src[pos] | (src[pos + 1] << 8),
+            nlen = src[pos + 2] | (src[pos + 3] << 8);
+        pos += 4;
+        if(len != (~nlen & 0xffff) || pos + len > src.length)
+            throw new Error('invalid-input');
+        ensure(len);
+        out.set(src.subarray(pos, pos + len), outLength);
+        outLength += len;
+        pos += len;
+    };
+
+    function codes(litTable, distTable){
+        var symbol, len, dist;
+        while(true){
+            symbol = decode(litTable);
+            if(symbol < 256){
+                ensure(1);
+                out[outLength++] = symbol;
+                continue;
+            };
+            if(256 == symbol) return;
+
+            symbol -= 257;
+            if(symbol >= 29) throw new Error('invalid-input');
+            len = LENGTH_BASE[symbol] + bits(LENGTH_EXTRA[symbol]);
+            symbol = decode(distTable);
+            if(symbol >= 30) throw new Error('invalid-input');
+            dist = DIST_BASE[symbol] + bits(DIST_EXTRA[symbol]);
+            if(dist > outLength) throw new Error('invalid-input');
+
+            ensure(len);
+            for(; len>0; len--){
+                out[outLength] = out[outLength - dist];
+                outLength++;
+            };
+        };
+    };
+
+    function dynamic(){
+        var nlen = bits(5) + 257, ndist = bits(5) + 1, nclen = bits(4) + 4,
+            clLengths = zeros(19), lengths = zeros(nlen + ndist),
+            index = 0, symbol, value, repeat, i;
+        if(nlen > 286) throw new Error('invalid-input');
+
+        for(i=0; i<nclen; i++) clLengths[CODE_LENGTH_ORDER[i]] = bits(3);
+        var clTable = decodingTable(clLengths);
+
+        while(index < nlen + ndist){
+            symbol = decode(clTable);
+            if(symbol < 16){
+                lengths[index++] = symbol;
+                continue;
+            };
+            value = 0;
+            if(16 == symbol){
+                if(0 == index) throw new Error('invalid-input');
+                value = lengths[index - 1];
+                repeat = 3 + bits(2);
+            } else if(17 == symbol)
+                repeat = 3 + bits(3);
+            else
+                repeat = 11 + bits(7);
+            if(index + repeat > nlen + ndist) throw new Error('invalid-input');
+            for(; repeat>0; repeat--) lengths[index++] = value;
+        };
+        if(0 == lengths[256]) throw new Error('invalid-input');
+
+        codes(
+            decodingTable(lengths.slice(0, nlen)),
+            decodingTable(lengths.slice(nlen))
+        );
+    };
+
+    var last, type;
+    do{
+        last = bits(1);
+        type = bits(2);
+        if(0 == type)
+            stored();
+        else if(1 == type)
+            codes(FIXED_LIT_TABLE, FIXED_DIST_TABLE);
+        else if(2 == type)
+            dynamic();
+        else
+            throw new Error('invalid-input');
+    } while(!last);
+
+    return out.slice(0, outLength).buffer;
+};
+
+tool.set('util.deflate', deflate);
+tool.set('util.inflate', inflate);
+tool.exp('util.deflate', deflate);
+tool.exp('util.inflate', inflate);
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
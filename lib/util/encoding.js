@@ -62,6 +62,88 @@ function ArrayBufferToUTF16(src){
     return s;
 };
 
+/*
+ * Mnemonic: the data is written as words of a list of 2048, each telling 11
+ * bits, like BIP39. A checksum taken from `hash` fills the last word:
+ *
+ *      words = ceil((8 * bytes + 4) / 11)
+ *      checksum bits = 11 * words - 8 * bytes, between 4 and 11
+ *
+ * which is the same as BIP39 for 16 to 32 bytes, covers 10 bytes
+ * (fingerprints, 8 words) and 64 bytes, but not all lengths. The checksum
+ * differs from BIP39, which uses SHA-256. Words are also recognized by their
+ * first 4 letters.
+ */
+function mnemonicChecksumBits(bytesCount){
+    var words = Math.ceil((8 * bytesCount + 4) / 11);
+    return 11 * words - 8 * bytesCount;
+};
+
+function mnemonicChecksum(buf, bitsCount){
+    // returns the first `bitsCount` bits of the hash, as a number
+    var digest = new Uint8Array(tool.get('hash')(2).hash(buf).buffer);
+    return ((digest[0] << 8) | digest[1]) >> (16 - bitsCount);
+};
+
+function ArrayBufferToMnemonic(src){
+    var view = new Uint8Array(src),
+        checksumBits = mnemonicChecksumBits(view.length),
+        wordlist = tool.get('util.encoding.wordlist');
+    if(view.length < 1 || checksumBits > 11)
+        throw new Error('mnemonic-unsupported-length');
+
+    var words = [], acc = 0, accBits = 0;
+    for(var i=0; i<view.length; i++){
+        acc = (acc << 8) | view[i];
+        accBits += 8;
+        if(accBits >= 11){
+            accBits -= 11;
+            words.push(wordlist[(acc >> accBits) & 0x7ff]);
+            acc &= (1 << accBits) - 1;
+        };
+    };
+    acc = (acc << checksumBits) | mnemonicChecksum(src, checksumBits);
+    words.push(wordlist[acc & 0x7ff]);
+    return words.join(' ');
+};
+
+function MnemonicToArrayBuffer(src){
+    var wordlist = tool.get('util.encoding.wordlist'),
+        words = src.toLowerCase().split(/\s+/).filter(function(x){
+            return x.length > 0;
+        });
+    var bytesCount = Math.floor((11 * words.length - 4) / 8),
+        checksumBits = 11 * words.length - 8 * bytesCount;
+    if(bytesCount < 1 || mnemonicChecksumBits(bytesCount) != checksumBits)
+        throw new Error('invalid-encoding-choosen');
+
+    var ret = new Uint8Array(bytesCount), acc = 0, accBits = 0, pointer = 0,
+        index, i, j;
+    for(i=0; i<words.length; i++){
+        index = -1;
+        for(j=0; j<wordlist.length; j++){
+            if(wordlist[j].slice(0, 4) != words[i].slice(0, 4)) continue;
+            if(words[i].length < 4 && wordlist[j] != words[i]) continue;
+            index = j;
+            break;
+        };
+        if(index < 0) throw new Error('invalid-encoding-choosen');
+
+        acc = (acc << 11) | index;
+        accBits += 11;
+        while(accBits >= 8 && pointer < bytesCount){
+            accBits -= 8;
+            ret[pointer++] = (acc >> accBits) & 0xff;
+            acc &= (1 << accBits) - 1;
+        };
+    };
+
+    // what remains is the checksum
+    if(acc != mnemonicChecksum(ret.buffer, checksumBits))
+        throw new Error('mnemonic-checksum-mismatch');
+    return ret.buffer;
+};
+
 //////////////////////////////////////////////////////////////////////////////
 
 function encoding(src, format){
@@ -117,7 +199,11 @@ function encoding(src, format){
                     cbuf[i*3+1] = ((b << 4) | (c >> 2)) & 255;
                     cbuf[i*3+2] = ((c << 6) | d) & 255;
                 };
-                buffer = cbuf.buffer.slice(0, cbuf.length + n - 4);
+                // `n` is the count of chars in the last, incomplete group
+                if(0 == n)
+                    buffer = cbuf.buffer;
+                else
+                    buffer = cbuf.buffer.slice(0, cbuf.length + n - 4);
                 break;
             case 'base32':
                 if(!/^[0-9a-z=]+$/.test(src))
@@ -125,6 +211,9 @@ function encoding(src, format){
                 var ary = base32mod.decode(src);
                 buffer = new Uint8Array(ary).buffer;
                 break;
+            case 'mnemonic':
+                buffer = MnemonicToArrayBuffer(src);
+                break;
             case 'ascii':
                 // each unit in the string is treated as a one-byte char
                 var cbuf = new Uint8Array(src.length);
@@ -172,6 +261,10 @@ function encoding(src, format){
         return ret;
     };
 
+    this.toMnemonic = function(){
+        return ArrayBufferToMnemonic(buffer);
+    };
+
     this.toHEX = function(){
         var view = new Uint8Array(buffer), s = '';
         for(var i=0; i<view.length; i++){
@@ -0,0 +1,199 @@
+/*
+ * Entropy Sources
+ * ===============
+ *
+ * Random bytes of the platform are read, by `util.srand`, from the first
+ * available of:
+ *
+ *  1. `ENIGMA_ENHANCEMENT.getRandomBytes`, provided by `enigma-fsbrowser`
+ *     using `os.urandom` of Python;
+ *  2. `crypto.randomBytes` under NodeJS;
+ *  3. `crypto.getRandomValues` of Web Crypto, in browsers.
+ *
+ * All output of a source goes through the health tests of NIST SP 800-90B,
+ * section 4.4: the repetition count test and the adaptive proportion test.
+ * They are set up for a min-entropy of 2 bits per byte, much less than
+ * claimed by the sources, so that a false alarm has a chance of 2^-20 for a
+ * weak but working source, and almost none for a good one. A source failing
+ * them is not used anymore.
+ *
+ * When no secure source is found, bytes are made from `Math.random` and
+ * timing. They are credited no entropy at all, so that `util.srand` refuses
+ * to use them unless told otherwise.
+ */
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+
+var ASSESSED_ENTROPY = 2,                               // bits per byte
+    RCT_CUTOFF = 1 + Math.ceil(20 / ASSESSED_ENTROPY),  // = 11
+    APT_WINDOW = 512,
+    APT_CUTOFF = 177;   // critical binomial value for W=512, p=1/4, 2^-20
+
+/*
+ * Health tests over a stream of bytes. `feed` throws on a failure, after
+ * which every further feed fails as well.
+ */
+function healthTest(){
+    var self = this;
+
+    var failed = false,
+        rctValue = -1, rctCount = 0,
+        aptValue = -1, aptCount = 0, aptSeen = APT_WINDOW;
+
+    function fail(){
+        failed = true;
+        throw new Error('entropy-health-test-failed');
+    };
+
+    this.feed = function(bytes){
+        if(failed) fail();
+        for(var i=0; i<bytes.length; i++){
+            // repetition count test
+            if(bytes[i] === rctValue){
+                rctCount += 1;
+                if(rctCount >= RCT_CUTOFF) fail();
+            } else {
+                rctValue = bytes[i];
+                rctCount = 1;
+            };
+
+            // adaptive proportion test
+            if(aptSeen >= APT_WINDOW){
+                aptValue = bytes[i];
+                aptCount = 1;
+                aptSeen = 1;
+            } else {
+                aptSeen += 1;
+                if(bytes[i] === aptValue){
+                    aptCount += 1;
+                    if(aptCount >= APT_CUTOFF) fail();
+                };
+            };
+        };
+        return bytes;
+    };
+
+    return this;
+};
+
+////////////////////////////// SOURCES ///////////////////////////////////////
+
+var sources = [
+    {
+        name: 'fsbrowser',
+        available: function(){
+            return (
+                ('undefined' !== typeof ENIGMA_ENHANCEMENT) &&
+                ('undefined' !== typeof ENIGMA_ENHANCEMENT.getRandomBytes)
+            );
+        },
+        get: function(n){
+            var got = ENIGMA_ENHANCEMENT.getRandomBytes(n),
+                ret = new Uint8Array(n);
+            for(var i=0; i<n; i++) ret[i] = got[i];
+            return ret;
+        },
+    },
+    {
+        name: 'nodejs',
+        available: function(){
+            if(!tool.get('env.isNode')) return false;
+            try{
+                return 'function' === typeof require('crypto').randomBytes;
+            } catch(e){
+                return false;
+            };
+        },
+        get: function(n){
+            return new Uint8Array(require('crypto').randomBytes(n));
+        },
+    },
+    {
+        name: 'webcrypto',
+        available: function(){
+            return (
+                'undefined' !== typeof crypto &&
+                'function' === typeof crypto.getRandomValues
+            );
+        },
+        get: function(n){
+            var ret = new Uint8Array(n);
+            // at most 65536 bytes are given at once
+            for(var i=0; i<n; i+=65536)
+                crypto.getRandomValues(ret.subarray(i, Math.min(n, i+65536)));
+            return ret;
+        },
+    },
+];
+
+// not a secure source, used only when allowed by `util.srand`
+function insecureBytes(n){
+    var ret = new Uint8Array(n), time = new Date().getTime();
+    for(var i=0; i<n; i++)
+        ret[i] = (
+            Math.floor(256 * Math.random()) ^
+            ((time >>> (8 * (i % 4))) & 0xff)
+        );
+    return ret;
+};
+
+var current = null, currentTest = null, failedSources = {};
+
+function findSource(){
+    if(null !== current) return current;
+    for(var i=0; i<sources.length; i++){
+        if(failedSources[sources[i].name]) continue;
+        try{
+            if(!sources[i].available()) continue;
+            currentTest = new healthTest();
+            // start-up test, as required by SP 800-90B on 1024 samples
+            currentTest.feed(sources[i].get(1024));
+        } catch(e){
+            failedSources[sources[i].name] = true;
+            continue;
+        };
+        current = sources[i];
+        return current;
+    };
+    return null;
+};
+
+/*
+ * Returns `{bytes: Uint8Array, bits: ENTROPY, source: NAME}`, where `bits`
+ * is the entropy credited. Bytes of a failing source are never returned.
+ */
+function getBytes(n){
+    while(null !== findSource()){
+        try{
+            return {
+                bytes: currentTest.feed(current.get(n)),
+                bits: 8 * n,
+                source: current.name,
+            };
+        } catch(e){
+            failedSources[current.name] = true;
+            current = null;
+        };
+    };
+    return {
+        bytes: insecureBytes(n),
+        bits: 0,
+        source: null,
+    };
+};
+
+var exporter = {
+    getBytes: getBytes,
+    source: function(){
+        var source = findSource();
+        return (null === source ? null : source.name);
+    },
+    healthTest: function(){
+        return new healthTest();
+    },
+};
+
+tool.set('util.entropy', exporter);
+tool.exp('util.entropy', exporter);
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
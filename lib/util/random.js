@@ -1,16 +1,29 @@
 /*
  * a blocking random bytes generator
+ *
+ * Random bytes are generated from a pool of 32 bytes, mixed with the Salsa20
+ * core, and XORed with bytes read freshly from the entropy source of the
+ * platform(see `util.entropy`). The pool is seeded on first use, and reseeded
+ * from the source once 1024 blocks were output, or whenever asked:
+ *
+ *      __enigma_jscrypto__.util.srand.reseed()
+ *      __enigma_jscrypto__.util.srand.seed(BUFFER, ENTROPY_BITS)
+ *
+ * where `seed` mixes in bytes from elsewhere, e.g. user input, crediting the
+ * given estimation of their entropy(default none) until the next reseed.
+ * `__enigma_jscrypto__.util.srand.entropy()` returns the estimation of the
+ * pool together with the name of the source.
+ *
+ * The generator fails closed: as long as the pool wasn't credited 256 bits of
+ * entropy, or once no secure source is left(e.g. all failed their health
+ * tests), getting bytes throws `no-secure-entropy-source`. Calling
+ * `srand.failClosed(false)` allows then using `Math.random` instead, which is
+ * NOT secure.
  */
 (function(tool){
 //////////////////////////////////////////////////////////////////////////////
 
-// A randomBytes function based on `Math.random`. This separation is intended
-// to make it possible, to be replaced with external plugins.
-tool.set('util.srand.getRandomBytes', function(n){
-    var ret = new Uint8Array(n);
-    for(var i=0; i<n; i++) ret[n] = Math.floor(256 * Math.random());
-    return ret;
-});
+var FULL_ENTROPY = 256, RESEED_INTERVAL = 1024;
 
 /****************************************************************************/
 
@@ -44,43 +57,50 @@ function salsa20Core(ina, ret){
     for(i=0; i<16; i++) ret[i] = x[i] + ina[i];
 };
 
-/* nonce, identifies the use */
-var nonce = new Uint8Array(16);
-function nonceNew(){
-    for(var i=0; i<16; i++) nonce[i] = Math.floor(256 * Math.random());
-};
-nonceNew();
-
+/* state of the pool */
+var randomPool = new Uint8Array(32),
+    nonce = new Uint8Array(16),
+    counter = new Uint32Array([0, 0]),
+    blocksSinceReseed = 0,  // not reset by `mix`, e.g. with `touch`
+    credited = 0,
+    seeded = false,
+    failClosed = true;
 
-/* usage counter */
-var counter = new Uint32Array([0, 0]);
-function counterReset(){counter[0] = 0; counter[1] = 0;};
 function counterInc(){
     counter[0] += 1;
     if(0 == counter[0]) counter[1] += 1;
-    if(0 == counter[1]) nonceNew(); // not very likely to happen.
+    blocksSinceReseed += 1;
 };
 
-
-/* general random pool */
-var randomPool = new Uint8Array(32), randomPoolCursor = 0;
-function randomPoolUpdate(newByte){
-    randomPool[randomPoolCursor] = newByte;
-    randomPoolCursor += 1;
-    if(randomPoolCursor >= 32){
-        counterReset();
-        randomPoolCursor = 0;
-    };
+// replaces the pool by a hash of itself and the new input
+function mix(inputBuf, bits){
+    var concat = tool.get('util.buffer').concat([
+        randomPool.buffer,
+        nonce.buffer,
+        inputBuf,
+    ]);
+    var digest = new Uint8Array(new tool.get('hash')(48).hash(concat).buffer);
+    randomPool.set(digest.subarray(0, 32));
+    nonce.set(digest.subarray(32, 48));
+    counter[0] = 0;
+    counter[1] = 0;
+    credited = Math.min(FULL_ENTROPY, credited + (bits || 0));
 };
-var _initRandomBytes = tool.get('util.srand.getRandomBytes')(32);
-for(var i=0; i<32; i++) randomPoolUpdate(_initRandomBytes[i]);
 
+// the credit is what the latest reseed got, none when no source is left
+function reseed(){
+    var got = tool.get('util.entropy').getBytes(48);
+    mix(got.bytes.buffer, 0);
+    credited = (null === got.source) ? 0 : Math.min(FULL_ENTROPY, got.bits);
+    blocksSinceReseed = 0;
+    seeded = true;
+};
 
-/* random pool filler by touch */
-function feedRandomPoolByTouch(){
-    randomPoolUpdate(new Date().getTime() % 256);
+function assureSeeded(){
+    if(!seeded || blocksSinceReseed >= RESEED_INTERVAL) reseed();
+    if(failClosed && credited < FULL_ENTROPY)
+        throw new Error('no-secure-entropy-source');
 };
-setInterval(feedRandomPoolByTouch, 100);
 
 
 /* random mixer */
@@ -125,14 +145,22 @@ function srand(){
 
     var pool = new Uint32Array(16);
 
+    // mixes current time into the pool, e.g. on user events
     this.touch = function(){
-        feedRandomPoolByTouch();
+        mix(new Float64Array([new Date().getTime()]).buffer, 0);
     };
 
     this.bytes = function(count){
+        assureSeeded();
         var max = Math.ceil(count / 64);
         var output = new Uint8Array(count), j=0, k=0, transArray;
-        var mask = tool.get('util.srand.getRandomBytes')(count);
+        var got = tool.get('util.entropy').getBytes(count), mask = got.bytes;
+        if(null === got.source){
+            // the source failed since the latest reseed
+            credited = 0;
+            if(failClosed) throw new Error('no-secure-entropy-source');
+            mask = new Uint8Array(count);
+        };
         for(var i=0; i<max; i++){
             getRandomBlock(pool);
             transArray = new Uint8Array(pool.buffer);
@@ -152,6 +180,31 @@ function srand(){
     return this;
 };
 
+srand.seed = function(buf, bits){
+    if(!(
+        tool.get('util.type')(buf).isArrayBuffer() &&
+        (undefined === bits || bits >= 0)
+    ))
+        throw new Error('invalid-parameter');
+    mix(buf, Math.min(bits || 0, 8 * buf.byteLength));
+};
+
+srand.reseed = function(){
+    reseed();
+};
+
+srand.entropy = function(){
+    return {
+        bits: credited,
+        source: tool.get('util.entropy').source(),
+        failClosed: failClosed,
+    };
+};
+
+srand.failClosed = function(v){
+    failClosed = Boolean(v);
+};
+
 
 
 tool.set('util.srand', srand);
@@ -7,8 +7,35 @@
  * compatible interface like localStorage.
  *
  * You have to specify during initialization a localStorage access point. It
- * may be a browser-based localStorage, or some compatible implementation.
- * 
+ * may be a browser-based localStorage, or some compatible implementation
+ * providing `getItem`, `setItem`, `removeItem`, `key` and `length`.
+ *
+ *      var storage = __enigma_jscrypto__.util.secureStorage(localStorage);
+ *      storage.prefix('PREFIX');       // optional, default 'secureStorage'
+ *      var close = storage.open(KEY);  // creates the storage if necessary
+ *
+ * After opening, `setItem`, `getItem`, `removeItem`, `key`, `clear` and
+ * `length` work as those of localStorage, except that values may be anything
+ * JSON can hold, and `clear` removes only the items of this storage. Names
+ * and values of items are both encrypted with a random 128-byte main key,
+ * which is itself encrypted with KEY and stored under PREFIX. Items are
+ * stored under PREFIX followed by a dash.
+ *
+ * `changeKey(OLD KEY, NEW KEY)`, available when closed, encrypts the main key
+ * again with NEW KEY. The items are untouched, and only the header is
+ * replaced within a single `setItem`, so that the storage is readable with
+ * either the old or the new key, should this be interrupted.
+ *
+ * `export(KEY)` returns all items encrypted with KEY as a string. It may be
+ * given, together with KEY, to `import` of an opened storage, which sets all
+ * these items, replacing existing ones of the same names.
+ *
+ * The cipher is NCSC512, unless another one of `cipher.symmetric` is chosen
+ * for a new storage with `secureStorage(localStorage, {cipher: NAME})`. It's
+ * recorded in the header, and used for all items and exports. With an AEAD
+ * like `XChaCha20-Poly1305`, each value is also bound to its name, so that
+ * values can't be swapped unnoticed in the storage beneath.
+ *
  * ATTENTION: The key used for encrypting the storage SHOULD be a derivation
  * with some algorithm like PBKDF2 or scrypt! It depends on your
  * implementation, but you're responsible for making it enough secure with
@@ -18,21 +45,113 @@
 (function(tool){
 //////////////////////////////////////////////////////////////////////////////
 
-function secureStorage(localStorageInterface){
+var MAIN_KEY_LENGTH = 128, DEFAULT_CIPHER = 'NCSC512';
+
+function keyToBuf(key){
+    var buf = tool.get('util.encoding')(key).toArrayBuffer();
+    if(0 == buf.byteLength) throw new Error('invalid-storage-key');
+    return buf;
+};
+
+function ascii(str){
+    return tool.get('util.encoding')(str, 'ascii').toArrayBuffer();
+};
+
+// associated data is authenticated only with an AEAD cipher
+function seal(cipherName, keyBuf, dataBuf, aadBuf){
+    var cipher = tool.get('cipher.symmetric')(cipherName).key(keyBuf);
+    if(cipher.aead) return cipher.encrypt(dataBuf, aadBuf);
+    return cipher.encrypt(dataBuf);
+};
+
+// returns null when the data is not decryptable with this key
+function unseal(cipherName, keyBuf, dataBuf, aadBuf){
+    try{
+        var cipher = tool.get('cipher.symmetric')(cipherName).key(keyBuf);
+        if(cipher.aead) return cipher.decrypt(dataBuf, aadBuf);
+        return cipher.decrypt(dataBuf);
+    } catch(e){
+        return null;
+    };
+};
+
+function encrypt(cipherName, keyBuf, dataBuf, aadBuf){
+    return tool.get('util.encoding')(
+        seal(cipherName, keyBuf, dataBuf, aadBuf)
+    ).toBase64();
+};
+
+function decrypt(cipherName, keyBuf, dataB64, aadBuf){
+    try{
+        var dataBuf = tool.get('util.encoding')(dataB64, 'base64')
+            .toArrayBuffer();
+    } catch(e){
+        return null;
+    };
+    return unseal(cipherName, keyBuf, dataBuf, aadBuf);
+};
+
+/*
+ * The header and exports are written as `CIPHER:BASE64`, or only as BASE64
+ * for NCSC512, as done before other ciphers were possible.
+ */
+function withCipherName(cipherName, dataB64){
+    if(DEFAULT_CIPHER == cipherName) return dataB64;
+    return cipherName + ':' + dataB64;
+};
+
+function splitCipherName(str){
+    var pos = str.indexOf(':');
+    if(pos < 0) return {cipher: DEFAULT_CIPHER, data: str};
+    return {cipher: str.slice(0, pos), data: str.slice(pos + 1)};
+};
+
+function secureStorage(localStorageInterface, options){
     var self = this;
 
-    var prefix = 'secureStorage';
+    var storagePrefix = 'secureStorage';
+
+    // cipher for a new storage, existing ones use the recorded cipher
+    var newCipherName = (options && options.cipher) || DEFAULT_CIPHER;
+    tool.get('cipher.symmetric')(newCipherName);
 
-    var mainKeyBuf;
+    var mainKeyBuf, cipherName;
 
     function prefix(p){
         // set prefix for this storage. It may be used to distinguish this
         // piece of storage from others.
-        if(!/^[0-9a-z].+$/i.test(prefix)) throw new Error('invalid-prefix');
-        prefix = p;
+        if(!(
+            tool.get('util.type')(p).isString() &&
+            /^[0-9a-z].+$/i.test(p)
+        ))
+            throw new Error('invalid-prefix');
+        storagePrefix = p;
         delete self.prefix;
     };
 
+    // returns the main key and the cipher used, or null if not existing
+    function readHeader(keyBuf){
+        var header = localStorageInterface.getItem(storagePrefix);
+        if(null === header || undefined === header) return null;
+        header = splitCipherName(header);
+        var ret = decrypt(
+            header.cipher, keyBuf, header.data, ascii(storagePrefix));
+        if(!(
+            tool.get('util.type')(ret).isArrayBuffer() &&
+            MAIN_KEY_LENGTH == ret.byteLength
+        ))
+            throw new Error('storage-corrupted');
+        return {key: ret, cipher: header.cipher};
+    };
+
+    function writeHeader(cipherName, keyBuf, mainKeyBuf){
+        localStorageInterface.setItem(
+            storagePrefix,
+            withCipherName(cipherName, encrypt(
+                cipherName, keyBuf, mainKeyBuf, ascii(storagePrefix)))
+        );
+    };
+
     function open(key){
         // Assume either the storage of given prefix exists, and use this key
         // to decrypt it, or when not, create one.
@@ -41,37 +160,21 @@ function secureStorage(localStorageInterface){
         // Otherwise, a successful decryption will set this instance with all
         // localStorage-compatible methods. The returned value is a `close`
         // function, which, when called, will revert this state.
-        var decryptKeyBuf = tool.get('util.encoding')(key).toArrayBuffer();
-
-        var header = localStorageInterface.getItem(prefix);
-        if(null == header) throw new Error('storage-not-exists');
-
-        if(!tool.get('util.type')(header).isString()){
-            var mainKeyEncryptor = tool.get('cipher.symmetric')();
-            mainKeyEncryptor.key(decryptKeyBuf);
-            mainKeyBuf = new tool.get('util.srand')().bytes(128);
-            header = tool.get('util.encoding')(
-                mainKeyEncryptor.encrypt(mainKeyBuf)
-            ).toBase64();
-            localStorageInterface.setItem(prefix, header);
+        var decryptKeyBuf = keyToBuf(key);
+
+        var header = readHeader(decryptKeyBuf);
+        if(null === header){
+            cipherName = newCipherName;
+            mainKeyBuf = new tool.get('util.srand')().bytes(MAIN_KEY_LENGTH);
+            writeHeader(cipherName, decryptKeyBuf, mainKeyBuf);
         } else {
-            try{
-                var mainKeyEncryptedBuf = tool.get('util.encoding')(
-                    header,
-                    'base64'
-                ).toArrayBuffer();
-                var mainKeyEncryptor = tool.get('cipher.symmetric')();
-                mainKeyEncryptor.key(decryptKeyBuf);
-                mainKeyBuf = mainKeyEncryptor.decrypt(mainKeyEncryptedBuf);
-            } catch(e){
-                throw new Error('storage-corrupted');
-            };
+            cipherName = header.cipher;
+            mainKeyBuf = header.key;
         };
-        var openRet = _open();
-        if(!openRet) throw new Error('storage-corrupted');
-        
+
+        var closeWorker = _open();
         return function close(){
-            openRet._close();
+            closeWorker();
             _close();
         };
     };
@@ -80,9 +183,13 @@ function secureStorage(localStorageInterface){
         // Assume the storage with given prefix exists and is decryptable with
         // oldKey. The encryption key will be replaced with newKey. If storage
         // does not exist, or oldKey is unable to decrypt this storage, nothing
-        // will be done except an error will be raised. 
-        // This method has no effect on making the `getAccess` method
-        // available.
+        // will be done except an error will be raised.
+        // This method has no effect on making the localStorage-compatible
+        // methods available.
+        var oldKeyBuf = keyToBuf(oldKey), newKeyBuf = keyToBuf(newKey);
+        var header = readHeader(oldKeyBuf);
+        if(null === header) throw new Error('storage-not-exists');
+        writeHeader(header.cipher, newKeyBuf, header.key);
     };
 
 
@@ -96,6 +203,9 @@ function secureStorage(localStorageInterface){
         delete self.length;
         delete self.removeItem;
         delete self.key;
+        delete self.clear;
+        delete self.export;
+        delete self.import;
     };
 
     /*******************************************************************/
@@ -103,105 +213,179 @@ function secureStorage(localStorageInterface){
     function _storageWorker(){
         var closed = false;
         var ret = {};
-        var symcipher = tool.get('cipher.symmetric')();
-        symcipher.key(mainKeyBuf);
+        var itemKeyBuf = mainKeyBuf, itemCipherName = cipherName;
+
+        // names of items, mapped to the names they are stored under. Without
+        // a prototype, names like `toString` are no different from others.
+        var keyList = Object.create(null);
+        var keyPrefix = storagePrefix + '-';
 
-        var keyList = {};
-        function _encryptKey(key){
-            if(undefined != keyList[key]) return keyList[key];
-            var ret = symcipher.encrypt(key);
-            ret = prefix + '-' + tool.get('util.encoding')(ret).toBase32();
-            keyList[key] = ret;
-            return ret;
-        };
         function _readKeyList(){
             // read out key list from localStorageInterface
-            var keyName, keyPrefix = prefix + '-', keyEncrypted, trueKeyName;
+            var keyName, keyDecrypted;
             for(var i=0; i<localStorageInterface.length; i++){
                 keyName = localStorageInterface.key(i);
+                if(null === keyName) continue;
                 if(keyName.slice(0, keyPrefix.length) != keyPrefix) continue;
                 try{
-                    keyEncrypted = keyName.slice(keyPrefix.length);
-                    trueKeyName = tool.get('util.encoding')(
-                        symcipher.decrypt(
-                            tool.get('util.encoding')(
-                                keyEncrypted,
-                                'base32'
-                            ).toArrayBuffer()
-                        )
-                    ).toUTF16();
+                    keyDecrypted = unseal(
+                        itemCipherName,
+                        itemKeyBuf,
+                        tool.get('util.encoding')(
+                            keyName.slice(keyPrefix.length),
+                            'base32'
+                        ).toArrayBuffer(),
+                        ascii(keyPrefix)
+                    );
                 } catch(e){
                     continue;
                 };
-                keyList[trueKeyName] = keyName;
+                if(null === keyDecrypted) continue;
+                keyList[tool.get('util.encoding')(keyDecrypted).toUTF16()] =
+                    keyName;
             };
         };
         _readKeyList();
 
-        ret.setItem = function(key, value){
+        function _checkKey(key){
             if(closed) throw new Error('storage-closed');
-            if(!tool.get('util.type')(key).isString()) 
+            if(!tool.get('util.type')(key).isString())
                 throw new Error('invalid-storage-key');
+        };
+
+        function _encryptKey(key){
+            if(undefined != keyList[key]) return keyList[key];
+            var encrypted = seal(
+                itemCipherName,
+                itemKeyBuf,
+                tool.get('util.encoding')(key).toArrayBuffer(),
+                ascii(keyPrefix)
+            );
+            return keyPrefix + tool.get('util.encoding')(encrypted).toBase32();
+        };
+
+        function _names(){
+            var names = [];
+            for(var name in keyList) names.push(name);
+            return names;
+        };
+
+        ret.setItem = function(key, value){
+            _checkKey(key);
             var buf = tool.get('util.encoding')(
                 JSON.stringify(value)
             ).toArrayBuffer();
-            var encryptedBuf = symcipher.encrypt(buf);
             var encryptedKey = _encryptKey(key);
+            // with an AEAD, values are bound to the names stored under
             localStorageInterface.setItem(
                 encryptedKey,
-                tool.get('util.encoding')(encryptedBuf).toBase64()
+                encrypt(itemCipherName, itemKeyBuf, buf, ascii(encryptedKey))
             );
+            keyList[key] = encryptedKey;
         };
 
         ret.getItem = function(key){
-            if(closed) throw new Error('storage-closed');
-            if(!tool.get('util.type')(key).isString()) 
-                throw new Error('invalid-storage-key');
+            _checkKey(key);
+            if(undefined == keyList[key]) return null;
+            var encryptedB64 = localStorageInterface.getItem(keyList[key]);
+            if(null === encryptedB64 || undefined === encryptedB64)
+                return null;
+            var decrypted = decrypt(
+                itemCipherName,
+                itemKeyBuf,
+                encryptedB64,
+                ascii(keyList[key])
+            );
+            if(null === decrypted) return null;
             try{
-                var encryptedKey = _encryptKey(key);
-                var encryptedBufB64 = localStorageInterface.getItem(
-                    encryptedKey
-                );
-                var encryptedBuf = tool.get('util.encoding')(
-                    encryptedBufB64,
-                    'base64'
-                ).toArrayBuffer();
-                var jsonStr = tool.get('util.encoding')(
-                    symcipher.decrypt(encryptedBuf)
-                ).toUTF16();
-                return JSON.parse(jsonStr);
+                return JSON.parse(
+                    tool.get('util.encoding')(decrypted).toUTF16());
             } catch(e){
-                console.log(e);
                 return null;
             };
         };
 
+        ret.removeItem = function(key){
+            _checkKey(key);
+            if(undefined == keyList[key]) return;
+            localStorageInterface.removeItem(keyList[key]);
+            delete keyList[key];
+        };
+
+        ret.key = function(n){
+            if(closed) throw new Error('storage-closed');
+            var names = _names();
+            return (n >= 0 && n < names.length) ? names[n] : null;
+        };
+
+        ret.clear = function(){
+            if(closed) throw new Error('storage-closed');
+            var names = _names();
+            for(var i=0; i<names.length; i++) ret.removeItem(names[i]);
+        };
+
         ret.getLength = function(){
+            if(closed) throw new Error('storage-closed');
+            return _names().length;
+        };
+
+        ret.export = function(key){
+            if(closed) throw new Error('storage-closed');
+            var items = {}, names = _names();
+            for(var i=0; i<names.length; i++)
+                items[names[i]] = ret.getItem(names[i]);
+            return withCipherName(itemCipherName, encrypt(
+                itemCipherName,
+                keyToBuf(key),
+                tool.get('util.encoding')(JSON.stringify(items))
+                    .toArrayBuffer()
+            ));
+        };
+
+        ret.import = function(exported, key){
+            if(closed) throw new Error('storage-closed');
+            if(!tool.get('util.type')(exported).isString())
+                throw new Error('invalid-input');
+            exported = splitCipherName(exported);
+            var decrypted = decrypt(
+                exported.cipher,
+                keyToBuf(key),
+                exported.data
+            );
+            if(null === decrypted) throw new Error('storage-corrupted');
+            try{
+                var items = JSON.parse(
+                    tool.get('util.encoding')(decrypted).toUTF16());
+            } catch(e){
+                throw new Error('storage-corrupted');
+            };
+            for(var name in items) ret.setItem(name, items[name]);
         };
 
         ret._close = function(){
             closed = true;
-            symcipher = null;
+            itemKeyBuf = itemCipherName = null;
+            keyList = Object.create(null);
         };
 
         return ret;
     };
 
     function _open(){
-        try{
-            var workers = new _storageWorker();
-        } catch(e){
-            return false;
-        };
+        var workers = new _storageWorker();
 
         Object.defineProperty(self, 'length', {
             enumerable: true,
             configurable: true,
-            writable: false,
             get: workers.getLength,
         });
         self.setItem = workers.setItem;
         self.getItem = workers.getItem;
+        self.removeItem = workers.removeItem;
+        self.key = workers.key;
+        self.clear = workers.clear;
+        self.export = workers.export;
+        self.import = workers.import;
         delete self.open;
         delete self.changeKey;
         delete self.prefix;
@@ -215,5 +399,10 @@ function secureStorage(localStorageInterface){
     return this;
 };
 
+function exporter(localStorageInterface, options){
+    return new secureStorage(localStorageInterface, options);
+};
+tool.set('util.secureStorage', exporter);
+tool.exp('util.secureStorage', exporter);
 //////////////////////////////////////////////////////////////////////////////
 })(tool);
@@ -57,15 +57,11 @@ function _datetime(){
             dSecond = new Uint8Array(buf.slice(6, 7))[0];
         buf = buf.slice(7);
 
-        var ret = new Date();
-
-        ret.setUTCMilliseconds(0);
-        ret.setUTCSeconds(dSecond);
-        ret.setUTCMinutes(dMinute);
-        ret.setUTCHours(dHour);
-        ret.setUTCDate(dDate);
-        ret.setUTCMonth(dMonth);
-        ret.setUTCFullYear(dYear);
+        // year, month and date must be set at once, otherwise e.g. setting
+        // the 31st day before a month with 30 days will overflow.
+        var ret = new Date(0);
+        ret.setUTCFullYear(dYear, dMonth - 1, dDate);
+        ret.setUTCHours(dHour, dMinute, dSecond, 0);
 
         return [ret, buf];
     };
@@ -0,0 +1,47 @@
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+
+function _integer(length){
+    var self = this;
+    var max = [0, 0xff, 0xffff, 0, 0xffffffff][length];
+
+    this.pack = function(value){
+        if(!Boolean(value)) value = 0;
+        if(!(
+            tool.get('util.type')(value).isNumber() &&
+            Math.floor(value) === value &&
+            value >= 0 &&
+            value <= max
+        ))
+            throw new Error('invalid-parameter');
+
+        if(4 == length)
+            return new Uint32Array([value]).buffer;
+        else if(2 == length)
+            return new Uint16Array([value]).buffer;
+        return new Uint8Array([value]).buffer;
+    };
+
+    this.unpack = function(buf){
+        if(buf.byteLength < length) throw new Error('invalid-parameter');
+        var headbuf = buf.slice(0, length), value;
+        if(4 == length)
+            value = new Uint32Array(headbuf)[0];
+        else if(2 == length)
+            value = new Uint16Array(headbuf)[0];
+        else
+            value = new Uint8Array(headbuf)[0];
+        return [value, buf.slice(length)];
+    };
+
+    return this;
+};
+
+tool.set('util.serialize.integer', function(regtree){
+    regtree["uint8"] = function(){return new _integer(1);};
+    regtree["uint16"] = function(){return new _integer(2);};
+    regtree["uint32"] = function(){return new _integer(4);};
+});
+
+//////////////////////////////////////////////////////////////////////////////
+})(tool);
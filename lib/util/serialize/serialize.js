@@ -88,6 +88,7 @@ var exporter = function(definition){
         tool.get('util.serialize.constant')(_def);
         tool.get('util.serialize.array')(_def);
         tool.get('util.serialize.datetime')(_def);
+        tool.get('util.serialize.integer')(_def);
     };
     return new _SERIALIZATION(definition);
 };
@@ -0,0 +1,123 @@
+/*
+ * Shamir's Secret Sharing over GF(256)
+ * ====================================
+ *
+ * `split(SECRET, COUNT, THRESHOLD)` splits an ArrayBuffer into COUNT shares,
+ * any THRESHOLD of which restore it with `combine([SHARE, ...])`. Fewer
+ * shares tell nothing about the secret.
+ *
+ * Each byte of the secret is shared independently, as the constant term of a
+ * random polynomial of degree THRESHOLD-1 over GF(2^8)(reduced by
+ * x^8+x^4+x^3+x+1). A share is an ArrayBuffer of
+ *
+ *      [1 byte x-coordinate, 1 to 255][y-coordinates, one per secret byte]
+ *
+ * Shares are not authenticated: combining wrong shares gives a wrong secret
+ * without notice, which must be detected by the caller.
+ */
+(function(tool){
+//////////////////////////////////////////////////////////////////////////////
+
+// logarithm and exponent tables with generator 3
+var EXP = new Uint8Array(510), LOG = new Uint8Array(256);
+(function(){
+    var x = 1;
+    for(var i=0; i<255; i++){
+        EXP[i] = x;
+        LOG[x] = i;
+        // multiply by 3, i.e. x*2 + x
+        x ^= (x << 1) ^ ((x & 0x80) ? 0x11b : 0);
+    };
+    for(var i=255; i<510; i++) EXP[i] = EXP[i - 255];
+})();
+
+function mul(a, b){
+    if(0 == a || 0 == b) return 0;
+    return EXP[LOG[a] + LOG[b]];
+};
+
+function div(a, b){
+    if(0 == b) throw new Error('division-by-zero');
+    if(0 == a) return 0;
+    return EXP[LOG[a] + 255 - LOG[b]];
+};
+
+function split(secretBuf, count, threshold){
+    if(!(
+        tool.get('util.type')(secretBuf).isArrayBuffer() &&
+        secretBuf.byteLength > 0 &&
+        tool.get('util.type')(count).isNumber() &&
+        tool.get('util.type')(threshold).isNumber() &&
+        threshold >= 1 && threshold <= count && count <= 255
+    ))
+        throw new Error('invalid-parameter');
+    count = Math.floor(count);
+    threshold = Math.floor(threshold);
+
+    var secret = new Uint8Array(secretBuf),
+        shares = [], i, j, k, x, y, coeff;
+    for(i=0; i<count; i++){
+        shares.push(new Uint8Array(secret.length + 1));
+        shares[i][0] = i + 1;
+    };
+
+    for(j=0; j<secret.length; j++){
+        // coefficients of the polynomial, highest degree first
+        coeff = new Uint8Array(tool.get('util.srand')().bytes(threshold));
+        coeff[threshold - 1] = secret[j];
+        for(i=0; i<count; i++){
+            // evaluated with Horner's method
+            x = i + 1;
+            y = 0;
+            for(k=0; k<threshold; k++) y = mul(y, x) ^ coeff[k];
+            shares[i][j + 1] = y;
+        };
+    };
+
+    var ret = [];
+    for(i=0; i<count; i++) ret.push(shares[i].buffer);
+    return ret;
+};
+
+function combine(shareBufs){
+    if(!(
+        tool.get('util.type')(shareBufs).isArray() &&
+        shareBufs.length > 0
+    ))
+        throw new Error('invalid-parameter');
+
+    var shares = [], xs = [], length = null, i, j, k, share;
+    for(i=0; i<shareBufs.length; i++){
+        if(!tool.get('util.type')(shareBufs[i]).isArrayBuffer())
+            throw new Error('invalid-parameter');
+        share = new Uint8Array(shareBufs[i]);
+        if(null === length) length = share.length;
+        if(share.length != length || length < 2 || 0 == share[0])
+            throw new Error('invalid-parameter');
+        if(xs.indexOf(share[0]) >= 0) throw new Error('duplicate-share');
+        xs.push(share[0]);
+        shares.push(share);
+    };
+
+    // Lagrange interpolation at x = 0
+    var ret = new Uint8Array(length - 1), basis;
+    for(i=0; i<shares.length; i++){
+        basis = 1;
+        for(k=0; k<shares.length; k++){
+            if(k == i) continue;
+            basis = mul(basis, div(xs[k], xs[k] ^ xs[i]));
+        };
+        for(j=1; j<length; j++) ret[j - 1] ^= mul(shares[i][j], basis);
+    };
+    return ret.buffer;
+};
+
+var exporter = {
+    split: split,
+    combine: combine,
+};
+
+tool.set('util.sss', exporter);
+tool.exp('util.sss', exporter);
+//////////////////////////////////////////////////////////////////////////////
+})(tool);